@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+
+// Contractor API keys. The plaintext key is shown once when it is created;
+// only its SHA-256 hash is stored.
+
+function generateApiKey() {
+  return `etk_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function createApiKeyRecord(contractorId, label) {
+  const key = generateApiKey();
+  const record = {
+    id: `key_${crypto.randomBytes(6).toString('hex')}`,
+    contractorId,
+    keyHash: hashApiKey(key),
+    label: label || null,
+    createdAt: new Date().toISOString(),
+    revokedAt: null
+  };
+  return { key, record };
+}
+
+// What the API returns about a key, never the hash
+function describeApiKey(record) {
+  return {
+    id: record.id,
+    label: record.label,
+    createdAt: record.createdAt,
+    revokedAt: record.revokedAt
+  };
+}
+
+module.exports = { hashApiKey, createApiKeyRecord, describeApiKey };
@@ -0,0 +1,1130 @@
+const { PLATFORMS, VIEW_ALERTS: DEVICE_VIEW_ALERTS } = require('./push');
+const { VIEW_ALERTS, DIGESTS } = require('./notification-settings');
+const { STATUSES } = require('./estimate-status');
+const { MAX_QUANTITY, MAX_TOTAL } = require('./estimate');
+const { VIEW_STATES, MAX_LIMIT } = require('./estimate-query');
+const { ESTIMATE_SORTS } = require('./storage/estimate-sorts');
+const { BEACON_TYPES, SECTIONS } = require('./engagement');
+const { INTERVALS, FORMATS, REPORTS } = require('./reports');
+const { WEBHOOK_EVENTS } = require('./webhooks');
+const { TRIGGERS } = require('./followups');
+const { MAX_MESSAGE_LENGTH, MAX_NAME_LENGTH } = require('./estimate-messages');
+const { LOCALES } = require('./i18n');
+const { LOGO_TYPES, MAX_LOGO_BYTES } = require('./branding');
+
+// Request and response schemas for every route, keyed by 'METHOD /path' as
+// the route is declared in server.js. `params` and `query` describe path and
+// query parameters, `body` the JSON body; all three are validated before the
+// handler runs. `form` documents the view page's HTML forms, which report
+// problems on the page rather than as JSON and so are checked by their
+// handlers, and `binary` the content types of a raw upload. Together they
+// make up the OpenAPI document at /api/openapi.json.
+
+const string = (maxLength, extra) => ({ type: 'string', maxLength, ...extra });
+// OpenAPI 3.0 ignores keywords next to $ref, so a nullable reference is
+// wrapped in allOf
+const nullable = schema => (schema.$ref ? { allOf: [schema], nullable: true } : { ...schema, nullable: true });
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const arrayOf = (items, extra) => ({ type: 'array', items, ...extra });
+const object = (properties, required) => ({ type: 'object', properties, ...(required && { required }) });
+const json = (schema, description = 'OK') => ({ description, schema });
+const notFound = what => ({ description: `${what} not found`, schema: ref('Error') });
+
+const TIMESTAMP = { type: 'string', format: 'date-time' };
+
+const TRACKING_ID = string(200, { description: 'Tracking ID from POST /api/v1/tracking-links, or one the app generated' });
+const ESTIMATE_PARAMS = { trackingId: TRACKING_ID };
+const DEVICE_PARAMS = { deviceToken: string(500, { description: 'The device\'s token, or its id' }) };
+
+const SUCCESS = json(ref('Success'));
+
+const LOCALE = string(6, {
+  pattern: '^[A-Za-z]{2}([-_]([A-Za-z]{2}|\\d{3}))?$',
+  'x-pattern-message': 'must be a language with an optional region, e.g. es or es-MX',
+  description: `One of ${LOCALES.join(', ')}, optionally with a region for date and amount formats`
+});
+const HEX_COLOR = string(7, { pattern: '^#[0-9a-fA-F]{6}$', 'x-pattern-message': 'must be a hex color like #1a73e8' });
+const LOGO_CONTENT_TYPES = Object.keys(LOGO_TYPES);
+const LOGO_RESPONSE = { description: 'The image', contentType: LOGO_CONTENT_TYPES[0], alternatives: LOGO_CONTENT_TYPES.slice(1) };
+
+const SCHEMAS = {
+  Error: object({ error: { type: 'string' } }, ['error']),
+  ValidationError: object({
+    error: { type: 'string', description: 'The first problem, e.g. "title must be at most 200 characters"' },
+    errors: arrayOf(object({
+      location: { type: 'string', enum: ['body', 'query', 'path'] },
+      field: nullable({ type: 'string', description: 'e.g. lineItems[2].quantity; null for the body as a whole' }),
+      message: { type: 'string' }
+    }))
+  }, ['error', 'errors']),
+  Success: object({ success: { type: 'boolean' } }),
+
+  QuietHours: nullable(object({
+    start: string(5, { pattern: '^([01]\\d|2[0-3]):[0-5]\\d$', 'x-pattern-message': 'must be HH:MM' }),
+    end: string(5, { pattern: '^([01]\\d|2[0-3]):[0-5]\\d$', 'x-pattern-message': 'must be HH:MM' }),
+    timeZone: string(100, { description: 'IANA time zone, e.g. America/Denver; UTC by default' })
+  }, ['start', 'end'])),
+  Device: object({
+    id: { type: 'string', description: 'Accepted in place of the token in /devices/{deviceToken}' },
+    token: { type: 'string', description: 'Masked' },
+    platform: { type: 'string', enum: PLATFORMS },
+    bundleId: nullable({ type: 'string' }),
+    registeredAt: TIMESTAMP,
+    muted: { type: 'boolean' },
+    quietHours: ref('QuietHours'),
+    viewAlerts: { type: 'string', enum: DEVICE_VIEW_ALERTS }
+  }),
+  Contractor: object({
+    id: { type: 'string' },
+    email: nullable({ type: 'string' }),
+    name: nullable({ type: 'string' }),
+    companyName: nullable({ type: 'string' }),
+    locale: nullable({ type: 'string', description: 'For notifications, and for customers whose browser language isn\'t supported' }),
+    branding: ref('Branding'),
+    registeredAt: TIMESTAMP
+  }),
+  Branding: object({
+    primaryColor: nullable({ type: 'string', description: 'Headers, buttons and links; #667eea when null' }),
+    accentColor: nullable({ type: 'string', description: 'End of header gradients; the primary color when null' }),
+    showPoweredBy: { type: 'boolean', description: 'Footer reads "Powered by EstimatePro" rather than the company name' },
+    logo: nullable(ref('Logo'))
+  }),
+  Logo: object({
+    contentType: { type: 'string', enum: LOGO_CONTENT_TYPES },
+    size: { type: 'integer', description: 'Bytes' },
+    updatedAt: TIMESTAMP
+  }),
+  ApiKey: object({
+    id: { type: 'string' },
+    label: nullable({ type: 'string' }),
+    createdAt: TIMESTAMP,
+    revokedAt: nullable(TIMESTAMP)
+  }),
+  NewApiKey: {
+    allOf: [ref('ApiKey'), object({ key: { type: 'string', description: 'Shown only once' } })]
+  },
+  NotificationSettings: object({
+    viewAlerts: { type: 'string', enum: VIEW_ALERTS },
+    repeatViewThresholds: arrayOf({ type: 'integer' }),
+    instantEmail: { type: 'boolean' },
+    quietHours: ref('QuietHours'),
+    digest: { type: 'string', enum: DIGESTS },
+    digestHour: { type: 'integer' },
+    timeZone: { type: 'string' },
+    emailSubject: nullable({ type: 'string' }),
+    emailTemplate: nullable({ type: 'string' }),
+    placeholders: arrayOf({ type: 'string' }),
+    lastDigestAt: nullable(TIMESTAMP),
+    updatedAt: nullable(TIMESTAMP)
+  }),
+
+  LineItem: object({
+    description: string(500, { minLength: 1 }),
+    details: nullable(string(2000)),
+    quantity: nullable({ type: 'number', minimum: -MAX_QUANTITY, maximum: MAX_QUANTITY, description: '1 by default' }),
+    unit: nullable(string(20)),
+    unitPrice: nullable({ type: 'number', minimum: -MAX_TOTAL, maximum: MAX_TOTAL, description: '0 by default' })
+  }, ['description']),
+  Discount: object({
+    label: nullable(string(100)),
+    type: { type: 'string', enum: ['amount', 'percent'] },
+    value: { type: 'number', minimum: 0 }
+  }),
+  Company: nullable(object({
+    name: nullable(string(200)),
+    logoUrl: nullable(string(200000, { description: 'https URL or base64 data: image' })),
+    address: nullable(string(500)),
+    phone: nullable(string(50)),
+    email: nullable(string(200)),
+    website: nullable(string(200)),
+    license: nullable(string(100)),
+    primaryColor: nullable(HEX_COLOR)
+  })),
+  // Fields accepted by registration and by PATCH /api/estimates/:trackingId
+  EstimateInput: object({
+    title: nullable(string(200)),
+    customerName: nullable(string(MAX_NAME_LENGTH)),
+    customerEmail: nullable(string(254, { format: 'email' })),
+    total: nullable({ type: 'number', minimum: 0, maximum: MAX_TOTAL, description: 'Calculated from lineItems when there are any' }),
+    estimateNumber: nullable(string(50)),
+    currency: nullable(string(3, { pattern: '^[A-Za-z]{3}$', 'x-pattern-message': 'must be an ISO 4217 code' })),
+    lineItems: nullable(arrayOf(ref('LineItem'), { maxItems: 200 })),
+    discounts: nullable(arrayOf(ref('Discount'), { maxItems: 20 })),
+    taxRate: nullable({ type: 'number', minimum: 0, maximum: 100 }),
+    notes: nullable(string(5000)),
+    terms: nullable(string(5000)),
+    validUntil: nullable({ type: 'string', format: 'date' }),
+    company: ref('Company'),
+    locale: nullable({ ...LOCALE, description: `${LOCALE.description}. Customer pages and emails use it over the browser's language; null clears it` }),
+    expiresAt: nullable({ ...TIMESTAMP, description: 'When the tracking link stops working; null never expires' })
+  }),
+  EstimateDetails: nullable(object({
+    estimateNumber: nullable({ type: 'string' }),
+    currency: { type: 'string' },
+    lineItems: arrayOf(object({
+      description: { type: 'string' },
+      details: nullable({ type: 'string' }),
+      quantity: { type: 'number', minimum: -MAX_QUANTITY, maximum: MAX_QUANTITY },
+      unit: nullable({ type: 'string' }),
+      unitPrice: { type: 'number', minimum: -MAX_TOTAL, maximum: MAX_TOTAL },
+      amount: { type: 'number' }
+    })),
+    discounts: arrayOf(ref('Discount')),
+    taxRate: nullable({ type: 'number' }),
+    notes: nullable({ type: 'string' }),
+    terms: nullable({ type: 'string' }),
+    validUntil: nullable({ type: 'string', format: 'date' }),
+    company: ref('Company')
+  })),
+  Delivery: object({
+    status: { type: 'string', enum: ['not_sent', 'sent', 'failed', 'bounced', 'opened', 'viewed'] },
+    emailStatus: nullable({ type: 'string' }),
+    sentAt: nullable(TIMESTAMP),
+    sentTo: nullable({ type: 'string' }),
+    messageId: nullable({ type: 'string' }),
+    error: nullable({ type: 'string' }),
+    openedAt: nullable(TIMESTAMP),
+    viewedAt: nullable(TIMESTAMP)
+  }),
+  Engagement: object({
+    sessions: { type: 'integer' },
+    returnVisits: { type: 'integer' },
+    totalTimeMs: { type: 'integer' },
+    averageTimeMs: { type: 'integer' },
+    maxScrollDepth: { type: 'integer' },
+    sectionTimeMs: object(Object.fromEntries(SECTIONS.map(section => [section, { type: 'integer' }]))),
+    lastActiveAt: nullable(TIMESTAMP)
+  }),
+  Estimate: object({
+    tracking_id: { type: 'string' },
+    contractorId: nullable({ type: 'string' }),
+    title: nullable({ type: 'string' }),
+    customerName: nullable({ type: 'string' }),
+    customerEmail: nullable({ type: 'string' }),
+    total: nullable({ type: 'number', maximum: MAX_TOTAL }),
+    details: ref('EstimateDetails'),
+    status: { type: 'string', enum: STATUSES },
+    statusUpdatedAt: nullable(TIMESTAMP),
+    emailSentAt: nullable(TIMESTAMP),
+    emailSentTo: nullable({ type: 'string' }),
+    emailMessageId: nullable({ type: 'string' }),
+    emailStatus: nullable({ type: 'string', enum: ['sent', 'failed', 'bounced'] }),
+    emailError: nullable({ type: 'string' }),
+    locale: nullable({ type: 'string' }),
+    version: nullable({ type: 'integer' }),
+    linkExpiresAt: nullable(TIMESTAMP),
+    linkRevokedAt: nullable(TIMESTAMP),
+    linkStatus: { type: 'string', enum: ['active', 'expired', 'revoked'] },
+    created_at: TIMESTAMP,
+    updatedAt: nullable(TIMESTAMP),
+    view_count: { type: 'integer' },
+    raw_view_count: { type: 'integer' },
+    pdf_download_count: { type: 'integer' },
+    first_opened_at: nullable(TIMESTAMP),
+    first_viewed_at: nullable(TIMESTAMP),
+    last_viewed_at: nullable(TIMESTAMP),
+    delivery: ref('Delivery'),
+    engagement: ref('Engagement')
+  }),
+  Client: object({
+    browser: nullable({ type: 'string' }),
+    os: nullable({ type: 'string' }),
+    deviceType: nullable({ type: 'string' }),
+    device: nullable({ type: 'string' }),
+    location: nullable({ type: 'string' })
+  }),
+  ViewStats: object({
+    trackingId: { type: 'string' },
+    status: { type: 'string', enum: STATUSES },
+    statusUpdatedAt: nullable(TIMESTAMP),
+    link: object({
+      status: { type: 'string', enum: ['active', 'expired', 'revoked'] },
+      expiresAt: nullable(TIMESTAMP),
+      revokedAt: nullable(TIMESTAMP)
+    }),
+    viewCount: { type: 'integer', description: 'Likely-human views only' },
+    rawViewCount: { type: 'integer' },
+    viewCountByClassification: object({
+      human: { type: 'integer' },
+      proxy: { type: 'integer' },
+      bot: { type: 'integer' }
+    }),
+    lastViewedAt: nullable(TIMESTAMP),
+    pdfDownloadCount: { type: 'integer' },
+    rawPdfDownloadCount: { type: 'integer' },
+    lastDownloadedAt: nullable(TIMESTAMP),
+    engagement: { allOf: [ref('Engagement'), object({ recentSessions: arrayOf({ type: 'object' }) })] },
+    views: arrayOf({
+      allOf: [
+        object({
+          type: { type: 'string', enum: ['page', 'pixel', 'pdf'] },
+          classification: { type: 'string', enum: ['human', 'proxy', 'bot'] },
+          classificationReason: nullable({ type: 'string' }),
+          timestamp: TIMESTAMP,
+          ip_hash: nullable({ type: 'string' }),
+          userAgent: nullable({ type: 'string' }),
+          version: nullable({ type: 'integer' })
+        }),
+        ref('Client')
+      ]
+    })
+  }),
+  StatusHistory: object({
+    trackingId: { type: 'string' },
+    status: { type: 'string', enum: STATUSES },
+    statusUpdatedAt: nullable(TIMESTAMP),
+    history: arrayOf(object({
+      status: { type: 'string', enum: STATUSES },
+      previousStatus: nullable({ type: 'string' }),
+      name: nullable({ type: 'string' }),
+      message: nullable({ type: 'string' }),
+      signatureType: nullable({ type: 'string', enum: ['typed', 'drawn'] }),
+      signature: nullable({ type: 'string' }),
+      ip_hash: nullable({ type: 'string' }),
+      userAgent: nullable({ type: 'string' }),
+      version: nullable({ type: 'integer' }),
+      timestamp: TIMESTAMP
+    }))
+  }),
+  Revision: object({
+    version: { type: 'integer' },
+    changes: nullable(arrayOf(object({ field: { type: 'string' }, from: {}, to: {} }))),
+    createdAt: TIMESTAMP
+  }),
+  RevisionContent: {
+    allOf: [ref('Revision'), object({
+      title: nullable({ type: 'string' }),
+      customerName: nullable({ type: 'string' }),
+      total: nullable({ type: 'number' }),
+      details: ref('EstimateDetails')
+    })]
+  },
+  Message: object({
+    id: { type: 'string' },
+    author: { type: 'string', enum: ['customer', 'contractor'] },
+    name: nullable({ type: 'string' }),
+    message: { type: 'string' },
+    createdAt: TIMESTAMP
+  }),
+  Notification: object({
+    id: { type: 'string' },
+    contractorId: { type: 'string' },
+    type: { type: 'string' },
+    trackingId: { type: 'string' },
+    estimateTitle: nullable({ type: 'string' }),
+    customerName: nullable({ type: 'string' }),
+    message: { type: 'string' },
+    viewedAt: TIMESTAMP,
+    isRead: { type: 'boolean' }
+  }),
+  Webhook: object({
+    id: { type: 'string' },
+    url: { type: 'string', format: 'uri' },
+    events: arrayOf({ type: 'string', enum: ['*', ...WEBHOOK_EVENTS] }),
+    description: nullable({ type: 'string' }),
+    active: { type: 'boolean' },
+    createdAt: TIMESTAMP,
+    updatedAt: nullable(TIMESTAMP)
+  }),
+  WebhookInput: object({
+    url: string(2000, { format: 'uri', description: 'https (http is allowed outside production)' }),
+    events: arrayOf({ type: 'string', enum: ['*', ...WEBHOOK_EVENTS] }, { minItems: 1, description: '["*"] by default' }),
+    description: nullable(string(200)),
+    active: { type: 'boolean' }
+  }),
+  WebhookDelivery: object({
+    id: { type: 'string' },
+    event: { type: 'string' },
+    status: { type: 'string' },
+    attempts: { type: 'integer' },
+    nextAttemptAt: nullable(TIMESTAMP),
+    lastError: nullable({ type: 'string' }),
+    createdAt: TIMESTAMP,
+    deliveredAt: nullable(TIMESTAMP),
+    payload: { type: 'object' },
+    attemptLog: arrayOf(object({
+      attemptedAt: TIMESTAMP,
+      statusCode: nullable({ type: 'integer' }),
+      error: nullable({ type: 'string' }),
+      durationMs: { type: 'integer' }
+    }))
+  }),
+  FollowupRule: object({
+    id: { type: 'string' },
+    trigger: { type: 'string', enum: TRIGGERS },
+    delayDays: { type: 'integer' },
+    subject: nullable({ type: 'string' }),
+    message: nullable({ type: 'string' }),
+    active: { type: 'boolean' },
+    createdAt: TIMESTAMP,
+    updatedAt: nullable(TIMESTAMP)
+  }),
+  FollowupRuleInput: object({
+    trigger: { type: 'string', enum: TRIGGERS },
+    delayDays: { type: 'integer', minimum: 1, maximum: 365 },
+    subject: nullable(string(200)),
+    message: nullable(string(5000)),
+    active: { type: 'boolean' }
+  }),
+  Followup: object({
+    id: { type: 'string' },
+    trackingId: { type: 'string' },
+    estimateTitle: nullable({ type: 'string' }),
+    customerName: nullable({ type: 'string' }),
+    ruleId: { type: 'string' },
+    trigger: { type: 'string', enum: TRIGGERS },
+    status: { type: 'string', enum: ['scheduled', 'sent', 'cancelled', 'failed'] },
+    dueAt: TIMESTAMP,
+    attempts: { type: 'integer' },
+    lastError: nullable({ type: 'string' }),
+    sentAt: nullable(TIMESTAMP),
+    cancelledAt: nullable(TIMESTAMP),
+    cancelReason: nullable({ type: 'string' })
+  }),
+  AuditEntry: object({
+    id: { type: 'string' },
+    action: { type: 'string', enum: ['retention', 'erase'] },
+    contractorId: nullable({ type: 'string' }),
+    subjectHash: nullable({ type: 'string', description: 'SHA-256 of the erased email address' }),
+    details: { type: 'object' },
+    createdAt: TIMESTAMP
+  }),
+  Overview: object({
+    from: { type: 'string', format: 'date' },
+    to: { type: 'string', format: 'date' },
+    interval: { type: 'string', enum: INTERVALS },
+    customer: nullable({ type: 'string' }),
+    series: arrayOf({ type: 'object' }),
+    funnel: arrayOf({ type: 'object' }),
+    medianTimeToFirstViewMs: nullable({ type: 'integer' }),
+    devices: arrayOf({ type: 'object' }),
+    referrers: arrayOf({ type: 'object' })
+  }),
+  Health: object({
+    status: { type: 'string', enum: ['ok', 'degraded'] },
+    timestamp: TIMESTAMP,
+    version: { type: 'string' },
+    uptimeSeconds: { type: 'integer' },
+    storage: object({
+      driver: { type: 'string', enum: ['sqlite', 'json'] },
+      writable: { type: 'boolean' },
+      error: nullable({ type: 'string' })
+    }),
+    push: { type: 'string' },
+    pushSenders: { type: 'object' },
+    email: { type: 'string' },
+    deliveries: {
+      type: 'object',
+      description: 'By channel: apns, fcm, local, smtp or in_app, once it has been used',
+      additionalProperties: object({
+        lastSentAt: nullable(TIMESTAMP),
+        lastError: nullable(object({ at: TIMESTAMP, error: nullable({ type: 'string' }) }))
+      })
+    }
+  }),
+  Backup: object({
+    format: { type: 'string', enum: ['estimatepro-backup'] },
+    formatVersion: { type: 'integer' },
+    createdAt: TIMESTAMP,
+    driver: { type: 'string', enum: ['sqlite', 'json'] },
+    data: { type: 'object', description: 'Every record, in the tracking-data.json layout' }
+  }, ['format', 'data']),
+  Snapshot: object({
+    name: { type: 'string' },
+    size: { type: 'integer', description: 'Bytes' },
+    createdAt: TIMESTAMP,
+    estimates: { type: 'integer', description: 'Only when the snapshot was just taken' },
+    views: { type: 'integer', description: 'Only when the snapshot was just taken' }
+  }),
+  DatasetCounts: object({
+    estimates: { type: 'integer' },
+    views: { type: 'integer' }
+  })
+};
+
+const QUIET_HOURS_INPUT = { ...SCHEMAS.QuietHours, description: 'null turns quiet hours off' };
+
+const REPORT_QUERY = {
+  from: { schema: { type: 'string', format: 'date' }, description: '30 days before `to` by default' },
+  to: { schema: { type: 'string', format: 'date' }, description: 'Today (UTC) by default' },
+  interval: { schema: { type: 'string', enum: INTERVALS } },
+  customer: { schema: string(200), description: 'Only estimates for this customer name or email' }
+};
+
+const OPERATIONS = {
+  'GET /health': {
+    summary: 'Health check',
+    description: 'Reports whether storage can be written to, and the last delivery and failure on each notification channel.',
+    tags: ['Server'],
+    responses: {
+      200: json(ref('Health')),
+      503: json(ref('Health'), 'Storage can\'t be written to')
+    }
+  },
+  'GET /metrics': {
+    summary: 'Prometheus metrics',
+    description: 'Takes `Authorization: Bearer <METRICS_TOKEN>`, or the server API_KEY.',
+    tags: ['Server'],
+    responses: {
+      200: { description: 'Metrics in the Prometheus text format', contentType: 'text/plain' },
+      401: { description: 'No token', schema: ref('Error') },
+      403: { description: 'The token is invalid', schema: ref('Error') }
+    }
+  },
+  'GET /api/openapi.json': {
+    summary: 'This document',
+    tags: ['Server'],
+    public: true,
+    responses: { 200: json({ type: 'object' }, 'OpenAPI 3.0 document') }
+  },
+
+  // Public links
+  'GET /view/:trackingId': {
+    summary: 'Estimate page for the customer',
+    description: 'Records a view and notifies the contractor.',
+    tags: ['Public'],
+    params: ESTIMATE_PARAMS,
+    responses: {
+      200: { description: 'The estimate page', contentType: 'text/html' },
+      410: { description: 'Unknown, expired or revoked link', contentType: 'text/html' }
+    }
+  },
+  'GET /pixel/:trackingId.gif': {
+    summary: 'Tracking pixel for emails',
+    tags: ['Public'],
+    params: ESTIMATE_PARAMS,
+    responses: { 200: { description: '1×1 transparent GIF', contentType: 'image/gif' } }
+  },
+  'GET /view/:trackingId/pdf': {
+    summary: 'PDF download for the customer',
+    tags: ['Public'],
+    params: ESTIMATE_PARAMS,
+    responses: {
+      200: { description: 'The estimate as a PDF', contentType: 'application/pdf' },
+      410: { description: 'Unknown, expired or revoked link', contentType: 'text/html' }
+    }
+  },
+  'GET /view/:trackingId/logo': {
+    summary: 'The contractor\'s logo for the customer',
+    tags: ['Public'],
+    params: ESTIMATE_PARAMS,
+    responses: {
+      200: LOGO_RESPONSE,
+      404: json(ref('Error'), 'No logo, or an unknown, expired or revoked link')
+    }
+  },
+  'POST /beacon/:trackingId': {
+    summary: 'Reading engagement from the estimate page',
+    tags: ['Public'],
+    params: ESTIMATE_PARAMS,
+    body: object({
+      type: { type: 'string', enum: BEACON_TYPES },
+      sessionId: string(100, { minLength: 1 }),
+      activeMs: { type: 'number', minimum: 0 },
+      scrollDepth: { type: 'number', minimum: 0 },
+      sections: object(Object.fromEntries(SECTIONS.map(section => [section, { type: 'number', minimum: 0 }])))
+    }, ['type', 'sessionId']),
+    responses: { 204: { description: 'Recorded' }, 404: notFound('Session') }
+  },
+  'POST /view/:trackingId/respond': {
+    summary: 'Customer accepts, declines or asks for changes',
+    description: 'Form post from the estimate page. Problems are shown on the page.',
+    tags: ['Public'],
+    params: ESTIMATE_PARAMS,
+    form: object({
+      action: { type: 'string', enum: ['accept', 'decline', 'request_changes'] },
+      version: { type: 'integer', description: 'Version the customer was shown' },
+      name: string(200),
+      message: string(2000),
+      signature: string(200, { description: 'Typed signature' }),
+      signatureData: { type: 'string', description: 'Drawn signature as a data:image/png URL' }
+    }, ['action']),
+    responses: {
+      200: { description: 'Confirmation page', contentType: 'text/html' },
+      400: { description: 'The estimate page with the problem', contentType: 'text/html' },
+      409: { description: 'The estimate was revised; the page shows the new version', contentType: 'text/html' },
+      410: { description: 'Unknown, expired or revoked link', contentType: 'text/html' }
+    }
+  },
+  'POST /view/:trackingId/messages': {
+    summary: 'Customer question or comment',
+    description: 'Form post from the estimate page. Problems are shown on the page.',
+    tags: ['Public'],
+    params: ESTIMATE_PARAMS,
+    form: object({
+      formToken: { type: 'string', description: 'Issued with the page' },
+      name: string(MAX_NAME_LENGTH),
+      message: string(MAX_MESSAGE_LENGTH)
+    }, ['formToken', 'message']),
+    responses: {
+      200: { description: 'Confirmation page', contentType: 'text/html' },
+      400: { description: 'The estimate page with the problem', contentType: 'text/html' },
+      410: { description: 'Unknown, expired or revoked link', contentType: 'text/html' }
+    }
+  },
+
+  // Dashboard
+  'POST /dashboard/session': {
+    summary: 'Sign in to the dashboard',
+    description: 'Sets an HttpOnly session cookie. API requests made with it must send the X-EstimatePro-Dashboard header.',
+    tags: ['Dashboard'],
+    body: object({ apiKey: string(200, { minLength: 1 }) }, ['apiKey']),
+    responses: {
+      200: json(object({ success: { type: 'boolean' }, contractorId: { type: 'string' }, isAdmin: { type: 'boolean' } })),
+      401: json(ref('Error'), 'The API key is invalid or revoked')
+    }
+  },
+  'DELETE /dashboard/session': {
+    summary: 'Sign out of the dashboard',
+    tags: ['Dashboard'],
+    responses: { 200: SUCCESS }
+  },
+
+  // Devices and contractors
+  'POST /api/device/register': {
+    summary: 'Register a device for push notifications',
+    description: 'Apps call this on every launch; preferences set earlier are kept.',
+    tags: ['Devices'],
+    body: object({
+      deviceToken: string(500, { minLength: 1 }),
+      platform: { type: 'string', enum: PLATFORMS, description: 'ios by default' },
+      bundleId: nullable(string(200)),
+      muted: { type: 'boolean' },
+      quietHours: QUIET_HOURS_INPUT,
+      viewAlerts: { type: 'string', enum: DEVICE_VIEW_ALERTS }
+    }, ['deviceToken']),
+    responses: {
+      200: json(object({ success: { type: 'boolean' }, message: { type: 'string' }, device: ref('Device') }))
+    }
+  },
+  'GET /api/devices': {
+    summary: 'Your registered devices',
+    tags: ['Devices'],
+    responses: { 200: json(object({ devices: arrayOf(ref('Device')) })) }
+  },
+  'PATCH /api/devices/:deviceToken': {
+    summary: 'Update a device\'s preferences',
+    tags: ['Devices'],
+    params: DEVICE_PARAMS,
+    body: object({
+      muted: { type: 'boolean' },
+      quietHours: QUIET_HOURS_INPUT,
+      viewAlerts: { type: 'string', enum: DEVICE_VIEW_ALERTS }
+    }),
+    responses: { 200: json(object({ device: ref('Device') })), 404: notFound('Device') }
+  },
+  'DELETE /api/devices/:deviceToken': {
+    summary: 'Unregister a device',
+    tags: ['Devices'],
+    params: DEVICE_PARAMS,
+    responses: { 200: SUCCESS, 404: notFound('Device') }
+  },
+  'POST /api/devices/:deviceToken/test': {
+    summary: 'Send a test push',
+    tags: ['Devices'],
+    params: DEVICE_PARAMS,
+    responses: {
+      200: json(object({ success: { type: 'boolean' }, error: nullable({ type: 'string' }), removed: { type: 'boolean' } })),
+      404: notFound('Device'),
+      502: json(object({ success: { type: 'boolean' }, error: nullable({ type: 'string' }), removed: { type: 'boolean' } }), 'The push service refused the push'),
+      503: json(ref('Error'), 'Push is not configured for the platform')
+    }
+  },
+  'POST /api/contractor/register': {
+    summary: 'Set your email for notifications, your locale and your branding',
+    description: 'locale and branding keep their current values when left out, as do branding fields.',
+    tags: ['Contractor'],
+    body: object({
+      email: string(254, { format: 'email' }),
+      name: nullable(string(200)),
+      companyName: nullable(string(200)),
+      locale: nullable(LOCALE),
+      branding: object({
+        primaryColor: nullable(HEX_COLOR),
+        accentColor: nullable(HEX_COLOR),
+        showPoweredBy: { type: 'boolean' }
+      })
+    }, ['email']),
+    responses: { 200: json(object({ success: { type: 'boolean' }, message: { type: 'string' } })) }
+  },
+  'GET /api/contractor': {
+    summary: 'Your contractor profile',
+    tags: ['Contractor'],
+    responses: { 200: json(nullable(ref('Contractor'))) }
+  },
+  'PUT /api/contractor/logo': {
+    summary: 'Upload your logo',
+    description: `The body is the image, up to ${MAX_LOGO_BYTES / 1024} KB. It is shown on estimate pages, PDFs (PNG and JPEG only) and emails ` +
+      'unless an estimate has its own company logo.',
+    tags: ['Contractor'],
+    binary: { contentTypes: LOGO_CONTENT_TYPES },
+    responses: {
+      200: json(ref('Logo')),
+      400: json(ref('Error'), 'Not a PNG, JPEG, GIF or WebP image'),
+      404: json(ref('Error'), 'Not registered yet'),
+      413: json(ref('Error'), 'The image is too large')
+    }
+  },
+  'GET /api/contractor/logo': {
+    summary: 'Your logo',
+    tags: ['Contractor'],
+    responses: { 200: LOGO_RESPONSE, 404: notFound('Logo') }
+  },
+  'DELETE /api/contractor/logo': {
+    summary: 'Remove your logo',
+    tags: ['Contractor'],
+    responses: { 200: SUCCESS, 404: notFound('Logo') }
+  },
+  'GET /api/contractor/notification-settings': {
+    summary: 'Your notification settings',
+    tags: ['Contractor'],
+    responses: { 200: json(ref('NotificationSettings')) }
+  },
+  'PATCH /api/contractor/notification-settings': {
+    summary: 'Change your notification settings',
+    tags: ['Contractor'],
+    body: object({
+      viewAlerts: { type: 'string', enum: VIEW_ALERTS },
+      repeatViewThresholds: arrayOf({ type: 'integer', minimum: 2, maximum: 1000 }, { maxItems: 10 }),
+      instantEmail: { type: 'boolean' },
+      timeZone: string(100),
+      quietHours: QUIET_HOURS_INPUT,
+      digest: { type: 'string', enum: DIGESTS },
+      digestHour: { type: 'integer', minimum: 0, maximum: 23 },
+      emailSubject: nullable(string(200)),
+      emailTemplate: nullable(string(5000))
+    }),
+    responses: { 200: json(ref('NotificationSettings')) }
+  },
+  'GET /api/contractor/keys': {
+    summary: 'Your API keys',
+    tags: ['Contractor'],
+    responses: { 200: json(object({ keys: arrayOf(ref('ApiKey')) })) }
+  },
+  'POST /api/contractor/keys': {
+    summary: 'Issue another API key',
+    tags: ['Contractor'],
+    body: object({ label: nullable(string(100)) }),
+    responses: { 201: json(ref('NewApiKey'), 'Created') }
+  },
+  'DELETE /api/contractor/keys/:keyId': {
+    summary: 'Revoke an API key',
+    tags: ['Contractor'],
+    params: { keyId: string(100) },
+    responses: { 200: SUCCESS, 404: notFound('API key') }
+  },
+  'GET /api/admin/contractors': {
+    summary: 'All contractor accounts',
+    description: 'Server API_KEY only.',
+    tags: ['Admin'],
+    responses: { 200: json(object({ contractors: arrayOf(ref('Contractor')) })) }
+  },
+  'POST /api/admin/contractors': {
+    summary: 'Create a contractor account with its first API key',
+    description: 'Server API_KEY only.',
+    tags: ['Admin'],
+    body: object({
+      email: nullable(string(254, { format: 'email' })),
+      name: nullable(string(200)),
+      companyName: nullable(string(200))
+    }),
+    responses: { 201: json(object({ contractor: ref('Contractor'), apiKey: ref('NewApiKey') }), 'Created') }
+  },
+
+  // Backups
+  'GET /api/admin/backup': {
+    summary: 'Download every record as a backup',
+    description: 'Server API_KEY only.',
+    tags: ['Admin'],
+    responses: { 200: json(ref('Backup')) }
+  },
+  'GET /api/admin/backups': {
+    summary: 'Snapshots saved in BACKUP_DIR, newest first',
+    description: 'Server API_KEY only.',
+    tags: ['Admin'],
+    responses: {
+      200: json(object({
+        intervalHours: { type: 'integer', description: 'Hours between scheduled snapshots; 0 when they are off' },
+        retention: { type: 'integer', description: 'Snapshots kept; 0 keeps them all' },
+        snapshots: arrayOf(ref('Snapshot'))
+      }))
+    }
+  },
+  'POST /api/admin/backups': {
+    summary: 'Take a snapshot now',
+    description: 'Server API_KEY only.',
+    tags: ['Admin'],
+    responses: { 201: json(object({ snapshot: ref('Snapshot') }), 'Created') }
+  },
+  'POST /api/admin/restore': {
+    summary: 'Replace every record with a backup',
+    description: 'Server API_KEY only. The body is a backup from GET /api/v1/admin/backup (or a tracking-data.json ' +
+      'export), up to 100 MB, or `{ "snapshot": "<name>" }` to restore a snapshot from BACKUP_DIR. ' +
+      'The current data is saved as a snapshot first and returned as `previous`.',
+    tags: ['Admin'],
+    body: object({ snapshot: string(100, { description: 'A snapshot name from GET /api/v1/admin/backups' }) }),
+    responses: {
+      200: json(object({
+        success: { type: 'boolean' },
+        restored: ref('DatasetCounts'),
+        previous: ref('Snapshot')
+      })),
+      404: notFound('Snapshot'),
+      413: { description: 'The backup is over 100 MB', schema: ref('Error') },
+      500: { description: 'The restore failed; the data is unchanged', schema: ref('Error') }
+    }
+  },
+
+  // Estimates
+  'POST /api/tracking-links': {
+    summary: 'Issue a signed tracking link',
+    tags: ['Estimates'],
+    body: object({ expiresAt: SCHEMAS.EstimateInput.properties.expiresAt }),
+    responses: {
+      201: json(object({
+        trackingId: { type: 'string' },
+        viewUrl: { type: 'string', format: 'uri' },
+        pixelUrl: { type: 'string', format: 'uri' },
+        expiresAt: nullable(TIMESTAMP)
+      }), 'Created')
+    }
+  },
+  'POST /api/register/:trackingId': {
+    summary: 'Register or update an estimate',
+    description: 'Registering again with changed content moves the estimate to its next version.',
+    tags: ['Estimates'],
+    params: ESTIMATE_PARAMS,
+    body: ref('EstimateInput'),
+    responses: {
+      200: json(object({
+        success: { type: 'boolean' },
+        trackingId: { type: 'string' },
+        created: { type: 'boolean' },
+        version: { type: 'integer' }
+      })),
+      409: json(ref('Error'), 'Registered to another contractor')
+    }
+  },
+  'GET /api/estimates': {
+    summary: 'Search, filter and page through estimates',
+    tags: ['Estimates'],
+    query: {
+      q: { schema: string(1000), description: 'Words matched against title, customer and estimate number' },
+      status: { schema: string(200), description: `Comma-separated: ${STATUSES.join(', ')}` },
+      minTotal: { schema: { type: 'number' } },
+      maxTotal: { schema: { type: 'number' } },
+      viewState: { schema: { type: 'string', enum: VIEW_STATES } },
+      sort: { schema: { type: 'string', enum: ESTIMATE_SORTS } },
+      order: { schema: { type: 'string', enum: ['asc', 'desc'] } },
+      limit: { schema: { type: 'integer', minimum: 1, maximum: MAX_LIMIT } },
+      cursor: { schema: string(1000), description: 'nextCursor from the previous page' }
+    },
+    responses: { 200: json(object({ estimates: arrayOf(ref('Estimate')), nextCursor: nullable({ type: 'string' }) })) }
+  },
+  'GET /api/estimates/:trackingId': {
+    summary: 'One estimate',
+    tags: ['Estimates'],
+    params: ESTIMATE_PARAMS,
+    responses: { 200: json(ref('Estimate')), 404: notFound('Estimate') }
+  },
+  'PATCH /api/estimates/:trackingId': {
+    summary: 'Change some of an estimate\'s fields',
+    description: 'Content fields are merged into the current content; content changes move the estimate to its next version.',
+    tags: ['Estimates'],
+    params: ESTIMATE_PARAMS,
+    body: ref('EstimateInput'),
+    responses: { 200: json(ref('Estimate')), 404: notFound('Estimate') }
+  },
+  'DELETE /api/estimates/:trackingId': {
+    summary: 'Delete an estimate and everything recorded about it',
+    tags: ['Estimates'],
+    params: ESTIMATE_PARAMS,
+    responses: {
+      200: json(object({ success: { type: 'boolean' }, trackingId: { type: 'string' } })),
+      404: notFound('Estimate')
+    }
+  },
+  'POST /api/estimates/:trackingId/revoke': {
+    summary: 'Revoke an estimate\'s tracking link',
+    tags: ['Estimates'],
+    params: ESTIMATE_PARAMS,
+    responses: {
+      200: json(object({ success: { type: 'boolean' }, trackingId: { type: 'string' }, revokedAt: TIMESTAMP })),
+      404: notFound('Estimate')
+    }
+  },
+  'GET /api/estimates/:trackingId/pdf': {
+    summary: 'Preview the customer PDF',
+    tags: ['Estimates'],
+    params: ESTIMATE_PARAMS,
+    responses: {
+      200: { description: 'The estimate as a PDF', contentType: 'application/pdf' },
+      404: notFound('Estimate')
+    }
+  },
+  'GET /api/estimates/:trackingId/status': {
+    summary: 'Customer response history',
+    tags: ['Estimates'],
+    params: ESTIMATE_PARAMS,
+    responses: { 200: json(ref('StatusHistory')), 404: notFound('Estimate') }
+  },
+  'GET /api/estimates/:trackingId/revisions': {
+    summary: 'Every version of an estimate',
+    tags: ['Estimates'],
+    params: ESTIMATE_PARAMS,
+    responses: {
+      200: json(object({
+        trackingId: { type: 'string' },
+        version: nullable({ type: 'integer' }),
+        revisions: arrayOf(ref('Revision'))
+      })),
+      404: notFound('Estimate')
+    }
+  },
+  'GET /api/estimates/:trackingId/revisions/:version': {
+    summary: 'One version\'s content',
+    tags: ['Estimates'],
+    params: { ...ESTIMATE_PARAMS, version: { type: 'integer', minimum: 1 } },
+    responses: { 200: json(ref('RevisionContent')), 404: notFound('Estimate or revision') }
+  },
+  'GET /api/estimates/:trackingId/messages': {
+    summary: 'Customer questions and your replies',
+    tags: ['Estimates'],
+    params: ESTIMATE_PARAMS,
+    responses: {
+      200: json(object({ trackingId: { type: 'string' }, messages: arrayOf(ref('Message')) })),
+      404: notFound('Estimate')
+    }
+  },
+  'POST /api/estimates/:trackingId/messages': {
+    summary: 'Reply to the customer',
+    tags: ['Estimates'],
+    params: ESTIMATE_PARAMS,
+    body: object({ message: string(MAX_MESSAGE_LENGTH, { minLength: 1 }) }, ['message']),
+    responses: { 201: json(ref('Message'), 'Created'), 404: notFound('Estimate') }
+  },
+  'GET /api/views/:trackingId': {
+    summary: 'Views, downloads and engagement for an estimate',
+    tags: ['Estimates'],
+    params: ESTIMATE_PARAMS,
+    responses: { 200: json(ref('ViewStats')), 404: notFound('Estimate') }
+  },
+
+  // Customer email
+  'POST /api/estimate/send': {
+    summary: 'Email the estimate to the customer',
+    tags: ['Email'],
+    body: object({
+      trackingId: { ...TRACKING_ID, minLength: 1 },
+      to: nullable(string(254, { format: 'email', description: 'The estimate\'s customerEmail by default' })),
+      subject: nullable(string(200)),
+      message: nullable(string(5000)),
+      attachPdf: { type: 'boolean' }
+    }, ['trackingId']),
+    responses: {
+      200: json(object({ success: { type: 'boolean' }, trackingId: { type: 'string' }, delivery: ref('Delivery') })),
+      404: notFound('Estimate'),
+      409: json(ref('Error'), 'The tracking link is expired or revoked'),
+      502: json(object({ success: { type: 'boolean' }, trackingId: { type: 'string' }, delivery: ref('Delivery') }), 'The mail server refused the email'),
+      503: json(ref('Error'), 'Email is not configured')
+    }
+  },
+  'POST /api/estimate/bounce': {
+    summary: 'Report a bounce for a sent estimate',
+    description: 'Identify the email by messageId or trackingId.',
+    tags: ['Email'],
+    body: object({
+      messageId: nullable(string(998)),
+      trackingId: nullable(TRACKING_ID),
+      reason: nullable(string(500))
+    }),
+    responses: {
+      200: json(object({ success: { type: 'boolean' }, trackingId: { type: 'string' }, delivery: ref('Delivery') })),
+      404: notFound('Sent estimate')
+    }
+  },
+
+  // Activity and notifications
+  'GET /api/events/stream': {
+    summary: 'Live activity as Server-Sent Events',
+    description: 'Reconnect with Last-Event-ID to replay missed events.',
+    tags: ['Notifications'],
+    responses: { 200: { description: 'Event stream', contentType: 'text/event-stream' } }
+  },
+  'GET /api/notifications': {
+    summary: 'Your notifications, newest first',
+    description: 'With limit, X-Next-Cursor fetches the next page.',
+    tags: ['Notifications'],
+    query: {
+      limit: { schema: { type: 'integer', minimum: 1, maximum: 100 } },
+      cursor: { schema: string(1000), description: 'X-Next-Cursor from the previous page' },
+      since: { schema: TIMESTAMP, description: 'Only notifications after this time' }
+    },
+    responses: { 200: json(arrayOf(ref('Notification'))) }
+  },
+  'POST /api/notifications/:notificationId/read': {
+    summary: 'Mark a notification as read',
+    tags: ['Notifications'],
+    params: { notificationId: string(100) },
+    responses: { 200: SUCCESS, 404: notFound('Notification') }
+  },
+  'POST /api/notifications/read-all': {
+    summary: 'Mark all notifications as read',
+    tags: ['Notifications'],
+    responses: { 200: SUCCESS }
+  },
+
+  // Reports
+  'GET /api/reports/overview': {
+    summary: 'Every report but the per-estimate rows',
+    tags: ['Reports'],
+    query: REPORT_QUERY,
+    responses: { 200: json(ref('Overview')) }
+  },
+  'GET /api/reports/:report': {
+    summary: 'One report as JSON or CSV',
+    tags: ['Reports'],
+    params: { report: { type: 'string', enum: Object.keys(REPORTS) } },
+    query: { ...REPORT_QUERY, format: { schema: { type: 'string', enum: FORMATS } } },
+    responses: {
+      200: {
+        description: 'The report',
+        schema: object({
+          report: { type: 'string' },
+          from: { type: 'string', format: 'date' },
+          to: { type: 'string', format: 'date' },
+          customer: nullable({ type: 'string' }),
+          rows: arrayOf({ type: 'object' })
+        }),
+        alternatives: ['text/csv']
+      }
+    }
+  },
+
+  // Privacy
+  'GET /api/privacy/customers/export': {
+    summary: 'Everything stored about a customer',
+    tags: ['Privacy'],
+    query: { email: { schema: string(254, { format: 'email' }), required: true } },
+    responses: {
+      200: json(object({
+        customerEmail: { type: 'string' },
+        exportedAt: TIMESTAMP,
+        estimates: arrayOf({ allOf: [ref('Estimate'), object({
+          views: arrayOf({ type: 'object' }),
+          responses: arrayOf({ type: 'object' }),
+          messages: arrayOf(ref('Message')),
+          engagementSessions: arrayOf({ type: 'object' })
+        })] })
+      }))
+    }
+  },
+  'POST /api/privacy/customers/erase': {
+    summary: 'Erase a customer\'s estimates and tracking data',
+    tags: ['Privacy'],
+    body: object({ email: string(254, { format: 'email' }) }, ['email']),
+    responses: {
+      200: json(object({
+        success: { type: 'boolean' },
+        erased: object({
+          estimates: { type: 'integer' },
+          views: { type: 'integer' },
+          responses: { type: 'integer' },
+          messages: { type: 'integer' },
+          webhookDeliveries: { type: 'integer' }
+        }),
+        audit: ref('AuditEntry')
+      }))
+    }
+  },
+  'GET /api/privacy/audit': {
+    summary: 'Privacy audit log, newest first',
+    tags: ['Privacy'],
+    query: { limit: { schema: { type: 'integer', minimum: 1, maximum: 500 } } },
+    responses: { 200: json(object({ entries: arrayOf(ref('AuditEntry')) })) }
+  },
+
+  // Webhooks
+  'GET /api/webhooks': {
+    summary: 'Your webhook subscriptions',
+    tags: ['Webhooks'],
+    responses: { 200: json(object({ webhooks: arrayOf(ref('Webhook')) })) }
+  },
+  'POST /api/webhooks': {
+    summary: 'Subscribe a URL to events',
+    tags: ['Webhooks'],
+    body: { ...SCHEMAS.WebhookInput, required: ['url'] },
+    responses: {
+      201: json({ allOf: [ref('Webhook'), object({ secret: { type: 'string', description: 'Shown only once' } })] }, 'Created')
+    }
+  },
+  'GET /api/webhooks/:webhookId': {
+    summary: 'One webhook subscription',
+    tags: ['Webhooks'],
+    params: { webhookId: string(100) },
+    responses: { 200: json(ref('Webhook')), 404: notFound('Webhook') }
+  },
+  'PATCH /api/webhooks/:webhookId': {
+    summary: 'Change a webhook subscription',
+    tags: ['Webhooks'],
+    params: { webhookId: string(100) },
+    body: ref('WebhookInput'),
+    responses: { 200: json(ref('Webhook')), 404: notFound('Webhook') }
+  },
+  'DELETE /api/webhooks/:webhookId': {
+    summary: 'Delete a webhook subscription',
+    tags: ['Webhooks'],
+    params: { webhookId: string(100) },
+    responses: { 200: SUCCESS, 404: notFound('Webhook') }
+  },
+  'GET /api/webhooks/:webhookId/deliveries': {
+    summary: 'Recent deliveries with every attempt',
+    tags: ['Webhooks'],
+    params: { webhookId: string(100) },
+    responses: { 200: json(object({ deliveries: arrayOf(ref('WebhookDelivery')) })), 404: notFound('Webhook') }
+  },
+
+  // Follow-ups
+  'GET /api/followups': {
+    summary: 'Upcoming follow-up emails, or past ones by status',
+    tags: ['Follow-ups'],
+    query: {
+      status: { schema: { type: 'string', enum: ['scheduled', 'sent', 'cancelled', 'failed'] }, description: 'scheduled by default' },
+      trackingId: { schema: TRACKING_ID }
+    },
+    responses: { 200: json(object({ followups: arrayOf(ref('Followup')) })) }
+  },
+  'GET /api/followups/rules': {
+    summary: 'Your follow-up rules',
+    tags: ['Follow-ups'],
+    responses: { 200: json(object({ rules: arrayOf(ref('FollowupRule')) })) }
+  },
+  'POST /api/followups/rules': {
+    summary: 'Create a follow-up rule',
+    tags: ['Follow-ups'],
+    body: { ...SCHEMAS.FollowupRuleInput, required: ['trigger', 'delayDays'] },
+    responses: { 201: json(ref('FollowupRule'), 'Created') }
+  },
+  'PATCH /api/followups/rules/:ruleId': {
+    summary: 'Change a follow-up rule',
+    description: 'Changing delayDays reschedules pending follow-ups; deactivating cancels them.',
+    tags: ['Follow-ups'],
+    params: { ruleId: string(100) },
+    body: ref('FollowupRuleInput'),
+    responses: { 200: json(ref('FollowupRule')), 404: notFound('Rule') }
+  },
+  'DELETE /api/followups/rules/:ruleId': {
+    summary: 'Delete a follow-up rule',
+    tags: ['Follow-ups'],
+    params: { ruleId: string(100) },
+    responses: { 200: SUCCESS, 404: notFound('Rule') }
+  },
+  'DELETE /api/followups/:followupId': {
+    summary: 'Cancel an upcoming follow-up',
+    tags: ['Follow-ups'],
+    params: { followupId: string(100) },
+    responses: { 200: SUCCESS, 404: notFound('Follow-up') }
+  }
+};
+
+module.exports = { SCHEMAS, OPERATIONS };
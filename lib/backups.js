@@ -0,0 +1,210 @@
+const fs = require('fs');
+const path = require('path');
+const { emptyData } = require('./storage/snapshot');
+const { writeFileAtomic } = require('./storage/files');
+const { logger } = require('./logger');
+
+// Backups of the full dataset. A backup is one JSON file holding the
+// storage export (the tracking-data.json layout) with when and where it was
+// taken, so it can be restored into either storage backend. Snapshots are
+// backups written to BACKUP_DIR on a schedule; the oldest are deleted once
+// there are more than `retention` of them.
+
+const BACKUP_FORMAT = 'estimatepro-backup';
+const BACKUP_FORMAT_VERSION = 1;
+const SNAPSHOT_PATTERN = /^tracking-\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z\.json$/;
+const DEFAULT_INTERVAL_HOURS = 24;
+const DEFAULT_RETENTION = 14;
+const CHECK_INTERVAL_MS = 15 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// A whole-number setting from the environment, or `fallback` when unset
+function parseBackupSetting(value, name, fallback) {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    logger.warn(`Ignoring ${name}="${value}"; expected a whole number`);
+    return fallback;
+  }
+  return number;
+}
+
+function createBackup(data, { driver, createdAt = new Date() }) {
+  return {
+    format: BACKUP_FORMAT,
+    formatVersion: BACKUP_FORMAT_VERSION,
+    createdAt: createdAt.toISOString(),
+    driver,
+    data
+  };
+}
+
+// The dataset in a backup, or in a bare tracking-data.json export. Returns
+// { value } or { error }.
+function readBackup(backup) {
+  if (!backup || typeof backup !== 'object' || Array.isArray(backup)) {
+    return { error: 'Backup must be a JSON object' };
+  }
+  let data = backup;
+  if (backup.format !== undefined) {
+    if (backup.format !== BACKUP_FORMAT) {
+      return { error: `Unknown backup format "${backup.format}"` };
+    }
+    if (backup.formatVersion > BACKUP_FORMAT_VERSION) {
+      return { error: `Backup format version ${backup.formatVersion} is newer than this server supports` };
+    }
+    data = backup.data;
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return { error: 'Backup has no data' };
+    }
+  } else if (data.estimates === undefined) {
+    return { error: 'Not a backup or tracking data export' };
+  }
+
+  for (const [key, empty] of Object.entries(emptyData())) {
+    if (data[key] === undefined) continue;
+    const valid = Array.isArray(empty)
+      ? Array.isArray(data[key])
+      : data[key] !== null && typeof data[key] === 'object' && !Array.isArray(data[key]);
+    if (!valid) {
+      return { error: `Backup ${key} must be ${Array.isArray(empty) ? 'an array' : 'an object'}` };
+    }
+  }
+  return { value: data };
+}
+
+function describeDataset(data) {
+  return {
+    estimates: Object.keys(data.estimates || {}).length,
+    views: (data.views || []).length
+  };
+}
+
+function snapshotName(date) {
+  return `tracking-${date.toISOString().replace(/[:.]/g, '-')}.json`;
+}
+
+// tracking-2026-01-02T03-04-05-006Z.json -> 2026-01-02T03:04:05.006Z
+function snapshotDate(name) {
+  return name.slice('tracking-'.length, -'.json'.length).replace(/T(\d+)-(\d+)-(\d+)-(\d+)Z$/, 'T$1:$2:$3.$4Z');
+}
+
+function createBackupManager({ storage, dir, intervalHours = DEFAULT_INTERVAL_HOURS, retention = DEFAULT_RETENTION }) {
+  let timer = null;
+  let queue = Promise.resolve();
+
+  // Snapshots and restores run one at a time
+  function exclusive(task) {
+    const result = queue.then(task);
+    queue = result.catch(() => {});
+    return result;
+  }
+
+  // Snapshots on disk, newest first
+  async function list() {
+    let names;
+    try {
+      names = await fs.promises.readdir(dir);
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+    const snapshots = [];
+    for (const name of names.filter(name => SNAPSHOT_PATTERN.test(name)).sort().reverse()) {
+      const stat = await fs.promises.stat(path.join(dir, name));
+      snapshots.push({ name, size: stat.size, createdAt: snapshotDate(name) });
+    }
+    return snapshots;
+  }
+
+  async function prune() {
+    if (!retention) return;
+    for (const { name } of (await list()).slice(retention)) {
+      await fs.promises.rm(path.join(dir, name), { force: true });
+    }
+  }
+
+  async function writeSnapshot(now = new Date()) {
+    const backup = createBackup(await storage.exportData(), { driver: storage.driver, createdAt: now });
+    const name = snapshotName(now);
+    await fs.promises.mkdir(dir, { recursive: true });
+    await writeFileAtomic(path.join(dir, name), JSON.stringify(backup));
+    await prune();
+    const { size } = await fs.promises.stat(path.join(dir, name));
+    return { name, size, createdAt: backup.createdAt, ...describeDataset(backup.data) };
+  }
+
+  // The dataset in a snapshot, or null when there isn't one by that name
+  async function readSnapshot(name) {
+    if (!SNAPSHOT_PATTERN.test(name)) return null;
+    let contents;
+    try {
+      contents = await fs.promises.readFile(path.join(dir, name), 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+    const { value, error } = readBackup(JSON.parse(contents));
+    if (error) throw new Error(`${name}: ${error}`);
+    return value;
+  }
+
+  // Take a scheduled snapshot when the newest one is older than the interval
+  async function run(now = new Date()) {
+    try {
+      const [latest] = await list();
+      if (latest && now - new Date(latest.createdAt) < intervalHours * HOUR_MS) return null;
+      const snapshot = await exclusive(() => writeSnapshot(now));
+      logger.info('Backup snapshot written', snapshot);
+      return snapshot;
+    } catch (err) {
+      logger.error('Backup failed', { err });
+      return null;
+    }
+  }
+
+  return {
+    dir,
+    intervalHours,
+    retention,
+    list,
+    readSnapshot,
+    run,
+
+    snapshot() {
+      return exclusive(() => writeSnapshot());
+    },
+
+    // Replace every record with `data`. A snapshot of the current data is
+    // taken first and returned, so a mistaken restore can be undone.
+    restore(data) {
+      return exclusive(async () => {
+        const previous = await writeSnapshot();
+        await storage.importData(data);
+        return { previous, restored: describeDataset(data) };
+      });
+    },
+
+    start() {
+      if (timer || !intervalHours) return;
+      timer = setInterval(run, CHECK_INTERVAL_MS);
+      timer.unref();
+      run();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_INTERVAL_HOURS,
+  DEFAULT_RETENTION,
+  parseBackupSetting,
+  createBackup,
+  readBackup,
+  describeDataset,
+  createBackupManager
+};
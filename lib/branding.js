@@ -0,0 +1,123 @@
+// How a contractor's estimate pages, PDFs and emails look: their logo,
+// colors and company name, and whether "Powered by EstimatePro" is shown.
+// Branding set on an estimate's own company details wins over the
+// contractor's.
+
+const DEFAULT_PRIMARY_COLOR = '#667eea';
+const DEFAULT_ACCENT_COLOR = '#764ba2';
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+const MAX_LOGO_BYTES = 256 * 1024;
+
+// Accepted logo formats, each with a check of the file's first bytes. SVG
+// isn't accepted: logos are served from this origin and SVG can carry
+// scripts.
+const LOGO_TYPES = {
+  'image/png': data => data.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  'image/jpeg': data => data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff,
+  'image/gif': data => /^GIF8[79]a$/.test(data.toString('latin1', 0, 6)),
+  'image/webp': data => data.toString('latin1', 0, 4) === 'RIFF' && data.toString('latin1', 8, 12) === 'WEBP'
+};
+
+// Validate the branding fields of a contractor registration. Fields left
+// out keep their `current` value. Returns { value } or { error }.
+function parseBranding(body, current) {
+  if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+    return { error: 'branding must be an object' };
+  }
+  const value = {
+    primaryColor: current?.primaryColor ?? null,
+    accentColor: current?.accentColor ?? null,
+    showPoweredBy: current?.showPoweredBy ?? true,
+    logo: current?.logo ?? null
+  };
+
+  for (const field of ['primaryColor', 'accentColor']) {
+    if (body[field] === undefined) continue;
+    if (body[field] !== null && body[field] !== '' && !HEX_COLOR.test(body[field])) {
+      return { error: `branding.${field} must be a hex color like #1a73e8` };
+    }
+    value[field] = body[field] ? body[field].toLowerCase() : null;
+  }
+  if (body.showPoweredBy !== undefined) {
+    if (typeof body.showPoweredBy !== 'boolean') {
+      return { error: 'branding.showPoweredBy must be true or false' };
+    }
+    value.showPoweredBy = body.showPoweredBy;
+  }
+  return { value };
+}
+
+// Validate an uploaded logo. Returns { value } with the image base64-encoded
+// or { error }.
+function parseLogo(contentType, body) {
+  const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+  if (!LOGO_TYPES[type]) {
+    return { error: `Logo must be one of: ${Object.keys(LOGO_TYPES).join(', ')}` };
+  }
+  if (!Buffer.isBuffer(body) || body.length === 0) {
+    return { error: 'Logo image is required' };
+  }
+  if (body.length > MAX_LOGO_BYTES) {
+    return { error: `Logo must be at most ${MAX_LOGO_BYTES / 1024} KB` };
+  }
+  if (!LOGO_TYPES[type](body)) {
+    return { error: `Logo is not a valid ${type} image` };
+  }
+  return { value: { contentType: type, data: body.toString('base64') } };
+}
+
+// What the contractor record keeps about its logo
+function describeLogo(logo) {
+  return {
+    contentType: logo.contentType,
+    size: Buffer.byteLength(logo.data, 'base64'),
+    updatedAt: logo.updatedAt
+  };
+}
+
+// The contractor as the API returns it, with their branding filled in
+function describeContractor(contractor) {
+  if (!contractor) return null;
+  const { value: branding } = parseBranding({}, contractor.branding);
+  return { ...contractor, locale: contractor.locale ?? null, branding };
+}
+
+// Branding for one estimate. The contractor's logo is served from the
+// estimate's link, so `baseUrl` is needed where the logo is shown outside
+// the page (emails).
+function resolveBranding(estimate, contractor, { baseUrl = '' } = {}) {
+  const company = estimate?.details?.company || {};
+  const branding = contractor?.branding || {};
+  const primaryColor = company.primaryColor || branding.primaryColor || null;
+
+  let logoUrl = company.logoUrl || null;
+  if (!logoUrl && branding.logo && estimate) {
+    logoUrl = `${baseUrl}/view/${encodeURIComponent(estimate.tracking_id)}/logo?v=${Date.parse(branding.logo.updatedAt)}`;
+  }
+
+  return {
+    companyName: company.name || contractor?.companyName || contractor?.name || null,
+    logoUrl,
+    primaryColor: primaryColor || DEFAULT_PRIMARY_COLOR,
+    // A custom primary color without an accent is used for both, rather
+    // than paired with the default purple
+    accentColor: branding.accentColor || primaryColor || DEFAULT_ACCENT_COLOR,
+    showPoweredBy: branding.showPoweredBy ?? true
+  };
+}
+
+// Branding for pages that aren't tied to an estimate, like the expired
+// link page
+const DEFAULT_BRANDING = resolveBranding(null, null);
+
+module.exports = {
+  MAX_LOGO_BYTES,
+  LOGO_TYPES,
+  DEFAULT_BRANDING,
+  parseBranding,
+  parseLogo,
+  describeLogo,
+  describeContractor,
+  resolveBranding
+};
@@ -0,0 +1,50 @@
+const { escapeHtml } = require('./html');
+const { createTranslator } = require('./i18n');
+const { resolveBranding } = require('./branding');
+
+// Emails sent to customers on the contractor's behalf: the estimate itself
+// and follow-up reminders. Subjects and messages are plain-text templates
+// with {{customerName}}, {{estimateTitle}}, {{companyName}} and {{link}};
+// the default ones are in the locale bundles.
+
+function fillTemplate(template, values) {
+  return template.replace(/\{\{(\w+)\}\}/g, (match, key) => (key in values ? values[key] : match));
+}
+
+// Subject, HTML and plain text in the locale of `i18n`. `subject` and
+// `message` default to the estimate email; `pixelUrl` adds the open-tracking
+// pixel. `branding` needs absolute URLs, as the email is read elsewhere.
+function renderCustomerEmail({
+  estimate, branding = resolveBranding(estimate, null), i18n = createTranslator(), subject, message, link, pixelUrl
+}) {
+  const { t } = i18n;
+  const company = branding.companyName;
+  const values = {
+    customerName: estimate.customerName || t('customerEmail.customerName'),
+    estimateTitle: estimate.title || t('customerEmail.estimateTitle'),
+    companyName: company || t('customerEmail.companyName'),
+    link
+  };
+  const body = fillTemplate(message || t('customerEmail.message'), values);
+
+  const html = `
+    <!DOCTYPE html>
+    <html lang="${escapeHtml(i18n.locale)}">
+    <body style="font-family: -apple-system, Arial, sans-serif; line-height: 1.6; color: #333;">
+      <div style="max-width: 500px; margin: 0 auto; padding: 20px;">
+        ${branding.logoUrl ? `<p style="margin: 0 0 20px;"><img src="${escapeHtml(branding.logoUrl)}" alt="${escapeHtml(company)}" style="max-height: 56px; max-width: 200px; border: 0;"></p>` : ''}
+        ${body.split(/\n{2,}/).map(p => `<p>${escapeHtml(p).replace(/\n/g, '<br>')}</p>`).join('')}
+        <p style="text-align: center; margin: 28px 0;">
+          <a href="${escapeHtml(link)}" style="background: ${branding.primaryColor}; color: white; padding: 12px 24px; border-radius: 8px; text-decoration: none; display: inline-block;">${escapeHtml(t('customerEmail.viewButton'))}</a>
+        </p>
+        ${company ? `<p style="color: #999; font-size: 12px; text-align: center;">${escapeHtml(company)}</p>` : ''}
+      </div>
+      ${pixelUrl ? `<img src="${escapeHtml(pixelUrl)}" width="1" height="1" alt="" style="display: block; border: 0;">` : ''}
+    </body>
+    </html>
+  `;
+
+  return { subject: fillTemplate(subject || t('customerEmail.subject'), values), html, text: `${body}\n\n${link}\n` };
+}
+
+module.exports = { fillTemplate, renderCustomerEmail };
@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+
+// Sign-in for the web dashboard at /dashboard. Office staff sign in with an
+// API key; the browser then holds a signed, HttpOnly session cookie rather
+// than the key itself. The session names the key by its hash, so revoking
+// the key ends every session signed in with it.
+//
+// Requests made with the cookie must also carry the DASHBOARD_HEADER
+// header. Other sites can't add it to a request (CORS doesn't allow it), so
+// a page elsewhere can't use a signed-in browser's cookie.
+
+const SESSION_COOKIE = 'ep_dashboard';
+const DASHBOARD_HEADER = 'X-EstimatePro-Dashboard';
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+
+function sign(secret, payload) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+// Cookie value for a session with the API key whose hash is keyHash
+function createSessionToken(secret, keyHash, now = Date.now()) {
+  const payload = `${keyHash}.${now + SESSION_TTL_MS}`;
+  return `${payload}.${sign(secret, payload)}`;
+}
+
+// The key hash of a valid, unexpired session token, or null
+function readSessionToken(secret, token, now = Date.now()) {
+  const [keyHash, expiresAt, signature] = String(token || '').split('.');
+  if (!keyHash || !/^\d+$/.test(expiresAt || '') || !signature) return null;
+  const expected = Buffer.from(sign(secret, `${keyHash}.${expiresAt}`));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+  return Number(expiresAt) > now ? keyHash : null;
+}
+
+// One cookie from a Cookie header
+function readCookie(header, name) {
+  for (const part of String(header || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index > 0 && part.slice(0, index).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(index + 1).trim());
+      } catch (err) {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+function sessionCookieOptions(secure) {
+  return { httpOnly: true, sameSite: 'strict', secure, path: '/', maxAge: SESSION_TTL_MS };
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  DASHBOARD_HEADER,
+  createSessionToken,
+  readSessionToken,
+  readCookie,
+  sessionCookieOptions
+};
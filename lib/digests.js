@@ -0,0 +1,182 @@
+const { escapeHtml } = require('./html');
+const { createTranslator } = require('./i18n');
+const { localTime, inQuietHours } = require('./push');
+const { DIGEST_HOURLY } = require('./notification-settings');
+const { VIEW_EVENT_PAGE, VIEW_EVENT_PIXEL, VIEW_EVENT_PDF } = require('./storage/constants');
+const { logger } = require('./logger');
+
+// Hourly or daily emails summarising every view, download and response on a
+// contractor's estimates since the last digest. Digests with nothing to
+// report aren't sent. Hourly digests wait out the contractor's quiet hours
+// and then cover them, so nothing held back by quiet hours is lost.
+
+const HOUR_MS = 60 * 60 * 1000;
+const POLL_INTERVAL_MS = 5 * 60 * 1000;
+
+// YYYY-MM-DD in a time zone
+function localDate(date, timeZone) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone: timeZone || 'UTC' }).format(date);
+}
+
+// Start of the period a due digest covers, or null when it isn't due
+function duePeriodStart(settings, now) {
+  const since = settings.lastDigestAt || settings.updatedAt;
+  if (!since) return null;
+
+  if (settings.digest === DIGEST_HOURLY) {
+    if (inQuietHours(settings, now)) return null;
+    return now - new Date(since) >= HOUR_MS ? since : null;
+  }
+
+  // Daily, once the digest hour has come in the contractor's time zone
+  const hour = Number(localTime(now, settings.timeZone).slice(0, 2));
+  if (hour < settings.digestHour) return null;
+  if (settings.lastDigestAt && localDate(new Date(settings.lastDigestAt), settings.timeZone) === localDate(now, settings.timeZone)) {
+    return null;
+  }
+  return since;
+}
+
+// Activity grouped by estimate, most recently active first
+function summarizeActivity({ views, statusEvents }) {
+  const byEstimate = new Map();
+  const entry = trackingId => {
+    if (!byEstimate.has(trackingId)) {
+      byEstimate.set(trackingId, { trackingId, views: 0, opens: 0, downloads: 0, responses: [], lastActivityAt: null });
+    }
+    return byEstimate.get(trackingId);
+  };
+
+  for (const view of views) {
+    const summary = entry(view.tracking_id);
+    if (view.event_type === VIEW_EVENT_PAGE) summary.views++;
+    else if (view.event_type === VIEW_EVENT_PIXEL) summary.opens++;
+    else if (view.event_type === VIEW_EVENT_PDF) summary.downloads++;
+    if (!summary.lastActivityAt || view.viewed_at > summary.lastActivityAt) summary.lastActivityAt = view.viewed_at;
+  }
+  for (const event of statusEvents) {
+    const summary = entry(event.trackingId);
+    summary.responses.push(event.status);
+    if (!summary.lastActivityAt || event.createdAt > summary.lastActivityAt) summary.lastActivityAt = event.createdAt;
+  }
+
+  return [...byEstimate.values()].sort((a, b) => b.lastActivityAt.localeCompare(a.lastActivityAt));
+}
+
+function describeCounts(summary, i18n) {
+  const parts = [];
+  for (const count of ['views', 'opens', 'downloads']) {
+    if (summary[count]) parts.push(i18n.t(`digest.${count}`, { count: summary[count] }));
+  }
+  for (const status of summary.responses) parts.push(i18n.t(`digest.${status}`));
+  return parts.join(', ');
+}
+
+function renderDigestEmail({ settings, rows, since, until, i18n = createTranslator() }) {
+  const period = settings.digest === DIGEST_HOURLY ? 'hourly' : 'daily';
+  const total = rows.reduce((sum, row) => sum + row.views + row.opens + row.downloads + row.responses.length, 0);
+  const subject = i18n.t(`digest.${period}.subject`, {
+    estimates: i18n.t('digest.estimates', { count: rows.length }),
+    events: i18n.t('digest.events', { count: total })
+  });
+  const formatTime = value => i18n.formatDateTime(value, settings.timeZone || 'UTC');
+  const untitled = i18n.t('notifications.untitled');
+
+  const html = `
+    <!DOCTYPE html>
+    <html lang="${i18n.locale}">
+    <body style="font-family: -apple-system, Arial, sans-serif; line-height: 1.6; color: #333;">
+      <div style="max-width: 600px; margin: 0 auto; padding: 20px;">
+        <h2 style="margin: 0 0 4px;">${escapeHtml(i18n.t(`digest.${period}.heading`))}</h2>
+        <p style="color: #666; font-size: 13px; margin: 0 0 20px;">${escapeHtml(formatTime(since))} – ${escapeHtml(formatTime(until))}</p>
+        <table style="width: 100%; border-collapse: collapse; font-size: 14px;">
+          ${rows.map(row => `
+          <tr style="border-top: 1px solid #eee;">
+            <td style="padding: 10px 8px 10px 0; vertical-align: top;">
+              <strong>${escapeHtml(row.estimate?.title || untitled)}</strong>
+              ${row.estimate?.customerName ? `<br><span style="color: #666;">${escapeHtml(row.estimate.customerName)}</span>` : ''}
+            </td>
+            <td style="padding: 10px 8px; vertical-align: top; white-space: nowrap;">${row.estimate?.total != null ? escapeHtml(i18n.formatMoney(row.estimate.total, row.estimate.details?.currency)) : ''}</td>
+            <td style="padding: 10px 0 10px 8px; vertical-align: top;">${escapeHtml(describeCounts(row, i18n))}</td>
+          </tr>
+          `).join('')}
+        </table>
+        <p style="color: #999; font-size: 12px; text-align: center; margin-top: 24px;">${escapeHtml(i18n.t('page.poweredBy'))}</p>
+      </div>
+    </body>
+    </html>
+  `;
+  const text = [
+    i18n.t(`digest.${period}.text`, { since: formatTime(since), until: formatTime(until) }),
+    '',
+    ...rows.map(row => `${row.estimate?.title || untitled}${row.estimate?.customerName ? ` (${row.estimate.customerName})` : ''}: ${describeCounts(row, i18n)}`)
+  ].join('\n');
+
+  return { subject, html, text };
+}
+
+function createDigestScheduler({ storage, transporter, from }) {
+  let timer = null;
+  let processing = false;
+
+  async function sendDigest(settings, since, now) {
+    const until = now.toISOString();
+    const contractor = await storage.getContractor(settings.contractorId);
+
+    if (contractor?.email) {
+      const rows = summarizeActivity(await storage.listActivity(settings.contractorId, since, until));
+      if (rows.length > 0) {
+        for (const row of rows) {
+          row.estimate = await storage.getEstimate(row.trackingId);
+        }
+        const email = renderDigestEmail({ settings, rows, since, until, i18n: createTranslator(contractor.locale) });
+        await transporter.sendMail({ from, to: contractor.email, ...email });
+        logger.info('Digest sent', { contractorId: settings.contractorId, estimates: rows.length });
+      }
+    }
+
+    // Re-read so a settings change made meanwhile isn't overwritten
+    const current = await storage.getNotificationSettings(settings.contractorId);
+    await storage.saveNotificationSettings({ ...current, lastDigestAt: until });
+  }
+
+  async function processDue() {
+    if (processing) return;
+    processing = true;
+    try {
+      const now = new Date();
+      for (const settings of await storage.listDigestSettings()) {
+        const since = duePeriodStart(settings, now);
+        if (!since) continue;
+        try {
+          await sendDigest(settings, since, now);
+        } catch (err) {
+          // Left due, so the next poll tries again
+          logger.error('Digest failed', { contractorId: settings.contractorId, err });
+        }
+      }
+    } catch (err) {
+      logger.error('Digest worker error', { err });
+    } finally {
+      processing = false;
+    }
+  }
+
+  return {
+    processDue,
+
+    start() {
+      if (timer) return;
+      timer = setInterval(processDue, POLL_INTERVAL_MS);
+      timer.unref();
+      processDue();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
+
+module.exports = { createDigestScheduler };
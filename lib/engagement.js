@@ -0,0 +1,103 @@
+// Reading engagement on the estimate page. Each human page view opens a
+// session; /js/estimate-engagement.js reports cumulative time, scroll depth
+// and time per section to the beacon endpoint, and the server keeps the
+// highest values it has seen so resent or out-of-order beacons are harmless.
+
+const BEACON_TYPES = ['heartbeat', 'visibility', 'end'];
+
+// Sections tagged with data-section on the estimate page
+const SECTIONS = ['line_items', 'totals', 'notes', 'terms', 'respond'];
+
+// A session starting this long after the previous one is a return visit
+// rather than a reload
+const RETURN_VISIT_GAP_MS = 30 * 60 * 1000;
+
+// Tolerance for clock drift between the page's timers and the server
+const ELAPSED_SLACK_MS = 5 * 1000;
+
+function milliseconds(value) {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? Math.round(number) : 0;
+}
+
+// Validate a beacon body. Returns { beacon } or { error }.
+function parseBeacon(body) {
+  if (!body || typeof body !== 'object') return { error: 'Invalid beacon' };
+  if (!BEACON_TYPES.includes(body.type)) return { error: 'Unknown beacon type' };
+  if (typeof body.sessionId !== 'string' || !body.sessionId) return { error: 'sessionId is required' };
+
+  const sections = {};
+  if (body.sections && typeof body.sections === 'object') {
+    for (const name of SECTIONS) {
+      const ms = milliseconds(body.sections[name]);
+      if (ms > 0) sections[name] = ms;
+    }
+  }
+
+  return {
+    beacon: {
+      type: body.type,
+      sessionId: body.sessionId,
+      activeMs: milliseconds(body.activeMs),
+      scrollDepth: Math.min(100, milliseconds(body.scrollDepth)),
+      sections
+    }
+  };
+}
+
+// Fold a beacon into its session. Times can't exceed the wall-clock time
+// since the page was served.
+function applyBeacon(session, beacon, now = new Date()) {
+  const elapsed = now.getTime() - new Date(session.startedAt).getTime() + ELAPSED_SLACK_MS;
+  const cap = ms => Math.min(ms, Math.max(0, elapsed));
+
+  const sections = { ...session.sections };
+  for (const [name, ms] of Object.entries(beacon.sections)) {
+    sections[name] = Math.max(sections[name] || 0, cap(ms));
+  }
+
+  return {
+    ...session,
+    activeMs: Math.max(session.activeMs, cap(beacon.activeMs)),
+    scrollDepth: Math.max(session.scrollDepth, beacon.scrollDepth),
+    sections,
+    lastSeenAt: now.toISOString(),
+    endedAt: beacon.type === 'end' ? now.toISOString() : session.endedAt
+  };
+}
+
+// Per-estimate totals across its sessions
+function summarizeEngagement(sessions) {
+  const ordered = [...sessions].sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+  const sectionTimeMs = {};
+  let totalTimeMs = 0;
+  let maxScrollDepth = 0;
+  let returnVisits = 0;
+  let lastActiveAt = null;
+
+  ordered.forEach((session, index) => {
+    totalTimeMs += session.activeMs;
+    maxScrollDepth = Math.max(maxScrollDepth, session.scrollDepth);
+    for (const [name, ms] of Object.entries(session.sections)) {
+      sectionTimeMs[name] = (sectionTimeMs[name] || 0) + ms;
+    }
+    if (index > 0) {
+      const previous = ordered[index - 1];
+      const gap = new Date(session.startedAt) - new Date(previous.lastSeenAt || previous.startedAt);
+      if (gap >= RETURN_VISIT_GAP_MS) returnVisits++;
+    }
+    if (!lastActiveAt || session.lastSeenAt > lastActiveAt) lastActiveAt = session.lastSeenAt;
+  });
+
+  return {
+    sessions: ordered.length,
+    returnVisits,
+    totalTimeMs,
+    averageTimeMs: ordered.length > 0 ? Math.round(totalTimeMs / ordered.length) : 0,
+    maxScrollDepth,
+    sectionTimeMs,
+    lastActiveAt
+  };
+}
+
+module.exports = { BEACON_TYPES, SECTIONS, parseBeacon, applyBeacon, summarizeEngagement };
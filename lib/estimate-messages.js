@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const { createTranslator } = require('./i18n');
+
+// Questions from customers on the view page and the contractor's replies,
+// shown as one thread under the estimate.
+//
+// The customer form is protected from spam by a hidden honeypot field, a
+// signed token that dates when the form was rendered (forms sent back within
+// seconds are from scripts), a cap on links and a daily cap per estimate.
+// Submissions judged to be spam get the usual confirmation but are dropped.
+
+const AUTHOR_CUSTOMER = 'customer';
+const AUTHOR_CONTRACTOR = 'contractor';
+
+const MAX_MESSAGE_LENGTH = 2000;
+const MAX_NAME_LENGTH = 200;
+const MAX_LINKS = 2;
+const MAX_CUSTOMER_MESSAGES_PER_DAY = 20;
+const MIN_FILL_MS = 3 * 1000;
+const MAX_FORM_AGE_MS = 24 * 60 * 60 * 1000;
+const DUPLICATE_WINDOW_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Field a person never sees or fills in
+const HONEYPOT_FIELD = 'website';
+
+function text(value, max) {
+  if (value === undefined || value === null) return '';
+  return String(value).trim().slice(0, max);
+}
+
+function sign(secret, trackingId, issuedAt) {
+  return crypto.createHmac('sha256', secret).update(`${trackingId}.${issuedAt}`).digest('base64url').slice(0, 22);
+}
+
+// Token embedded in the form when the page is rendered
+function createFormToken(secret, trackingId, now = Date.now()) {
+  return `${now}.${sign(secret, trackingId, now)}`;
+}
+
+// Milliseconds since the token was issued, or null if it wasn't issued for
+// this estimate by this server
+function formTokenAge(secret, trackingId, token, now = Date.now()) {
+  const [issuedAt, signature] = String(token || '').split('.');
+  if (!/^\d+$/.test(issuedAt || '') || !signature) return null;
+  const expected = Buffer.from(sign(secret, trackingId, issuedAt));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+  return now - Number(issuedAt);
+}
+
+function countLinks(value) {
+  return (value.match(/https?:\/\/|www\./gi) || []).length;
+}
+
+// Validate the view page's message form. Returns { message } with the name
+// and body to store, { spam: true } for submissions to drop quietly, or
+// { error } with a message to show the customer in the locale of `i18n`.
+function parseCustomerMessage(body, { secret, trackingId, now = Date.now(), i18n = createTranslator() }) {
+  if (text(body[HONEYPOT_FIELD], 200)) return { spam: true };
+
+  const age = formTokenAge(secret, trackingId, body.formToken, now);
+  if (age === null || age < MIN_FILL_MS) return { spam: true };
+  if (age > MAX_FORM_AGE_MS) {
+    return { error: i18n.t('errors.staleForm') };
+  }
+
+  const name = text(body.name, MAX_NAME_LENGTH);
+  const message = text(body.message, MAX_MESSAGE_LENGTH);
+  if (!message) return { error: i18n.t('errors.messageRequired') };
+  if (countLinks(message) > MAX_LINKS) {
+    return { error: i18n.t('errors.tooManyLinks', { max: MAX_LINKS }) };
+  }
+
+  return { message: { name: name || null, body: message } };
+}
+
+// Whether the estimate has had as many customer messages as it takes in a day
+function reachedDailyLimit(messages, now = Date.now()) {
+  const recent = messages.filter(m => m.author === AUTHOR_CUSTOMER && now - Date.parse(m.createdAt) < DAY_MS);
+  return recent.length >= MAX_CUSTOMER_MESSAGES_PER_DAY;
+}
+
+// The same text as the customer's last message, sent again within the hour
+// (e.g. by reloading the confirmation page)
+function isDuplicate(messages, message, now = Date.now()) {
+  const last = messages.filter(m => m.author === AUTHOR_CUSTOMER).pop();
+  return Boolean(last) && last.body === message.body && now - Date.parse(last.createdAt) < DUPLICATE_WINDOW_MS;
+}
+
+// A contractor reply from the API. Returns { value } or { error }.
+function parseReply(body) {
+  if (typeof body?.message !== 'string' || !body.message.trim()) {
+    return { error: 'message is required' };
+  }
+  if (body.message.trim().length > MAX_MESSAGE_LENGTH) {
+    return { error: `message must be at most ${MAX_MESSAGE_LENGTH} characters` };
+  }
+  return { value: body.message.trim() };
+}
+
+function describeMessage(message) {
+  return {
+    id: message.id,
+    author: message.author,
+    name: message.name,
+    message: message.body,
+    createdAt: message.createdAt
+  };
+}
+
+module.exports = {
+  AUTHOR_CUSTOMER,
+  AUTHOR_CONTRACTOR,
+  HONEYPOT_FIELD,
+  MAX_MESSAGE_LENGTH,
+  MAX_NAME_LENGTH,
+  createFormToken,
+  parseCustomerMessage,
+  reachedDailyLimit,
+  isDuplicate,
+  parseReply,
+  describeMessage
+};
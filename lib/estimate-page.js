@@ -0,0 +1,590 @@
+const { escapeHtml } = require('./html');
+const { calculateTotals } = require('./estimate');
+const { FINAL_STATUSES, isExpired } = require('./estimate-status');
+const { describeChanges } = require('./estimate-revisions');
+const { AUTHOR_CUSTOMER, HONEYPOT_FIELD, MAX_MESSAGE_LENGTH, MAX_NAME_LENGTH } = require('./estimate-messages');
+const { createTranslator } = require('./i18n');
+const { DEFAULT_BRANDING, resolveBranding } = require('./branding');
+
+// The customer-facing pages. Every page takes `i18n`, a translator from
+// lib/i18n.js in the customer's locale, and `branding` from lib/branding.js.
+
+function formatQuantity(quantity) {
+  return Number.isInteger(quantity) ? String(quantity) : quantity.toFixed(2).replace(/0+$/, '');
+}
+
+// Multi-line text with line breaks kept
+function paragraphs(value) {
+  return escapeHtml(value).replace(/\r?\n/g, '<br>');
+}
+
+function renderCompany(company, branding, i18n) {
+  const name = branding.companyName;
+  const contact = [
+    company?.address, company?.phone, company?.email, company?.website,
+    company?.license && i18n.t('page.license', { license: company.license })
+  ]
+    .filter(Boolean)
+    .map(line => `<div>${paragraphs(line)}</div>`)
+    .join('');
+
+  return `
+    <div class="company">
+      ${branding.logoUrl ? `<img class="logo" src="${escapeHtml(branding.logoUrl)}" alt="${escapeHtml(name)}">` : ''}
+      ${name ? `<div class="company-name">${escapeHtml(name)}</div>` : ''}
+      ${contact ? `<div class="company-contact">${contact}</div>` : ''}
+    </div>
+  `;
+}
+
+function renderLineItems(items, currency, i18n) {
+  const { t, formatMoney } = i18n;
+  return items.map(item => `
+    <tr>
+      <td class="desc" data-label="${escapeHtml(t('page.description'))}">
+        <div class="item-name">${escapeHtml(item.description)}</div>
+        ${item.details ? `<div class="item-details">${paragraphs(item.details)}</div>` : ''}
+      </td>
+      <td class="num" data-label="${escapeHtml(t('page.quantity'))}">${escapeHtml(formatQuantity(item.quantity))}${item.unit ? ` ${escapeHtml(item.unit)}` : ''}</td>
+      <td class="num" data-label="${escapeHtml(t('page.unitPrice'))}">${escapeHtml(formatMoney(item.unitPrice, currency))}</td>
+      <td class="num" data-label="${escapeHtml(t('page.amount'))}">${escapeHtml(formatMoney(item.amount, currency))}</td>
+    </tr>
+  `).join('');
+}
+
+function renderTotals(totals, currency, i18n) {
+  const { t, formatMoney } = i18n;
+  const rows = [[t('page.subtotal'), formatMoney(totals.subtotal, currency)]];
+  for (const discount of totals.discounts) {
+    const label = discount.type === 'percent' ? `${discount.label} (${discount.value}%)` : discount.label;
+    rows.push([label, `−${formatMoney(discount.amount, currency)}`]);
+  }
+  if (totals.taxRate) {
+    rows.push([t('page.tax', { rate: totals.taxRate }), formatMoney(totals.tax, currency)]);
+  }
+
+  return `
+    <table class="totals" data-section="totals">
+      ${rows.map(([label, value]) => `<tr><td>${escapeHtml(label)}</td><td class="num">${escapeHtml(value)}</td></tr>`).join('')}
+      <tr class="grand-total"><td>${escapeHtml(t('page.total'))}</td><td class="num">${escapeHtml(formatMoney(totals.total, currency))}</td></tr>
+    </table>
+  `;
+}
+
+function renderStatusBanner(estimate, lastResponse, i18n) {
+  const { t } = i18n;
+  const date = lastResponse && i18n.formatDate(lastResponse.createdAt);
+  switch (estimate.status) {
+    case 'accepted': {
+      let text = t('status.accepted');
+      if (lastResponse) {
+        text = lastResponse.name
+          ? t('status.acceptedByOn', { name: lastResponse.name, date })
+          : t('status.acceptedOn', { date });
+      }
+      return `<div class="notice accepted">${escapeHtml(text)}</div>`;
+    }
+    case 'declined':
+      return `<div class="notice declined">${escapeHtml(date ? t('status.declinedOn', { date }) : t('status.declined'))}</div>`;
+    case 'changes_requested':
+      return `<div class="notice changes">${escapeHtml(date ? t('status.changesRequestedOn', { date }) : t('status.changesRequested'))}</div>`;
+    default:
+      return '';
+  }
+}
+
+// Tells a returning customer the estimate has changed since it was first sent
+function renderRevisedNotice(revision, i18n) {
+  if (!revision) return '';
+  const date = i18n.formatDate(revision.createdAt);
+  const fields = describeChanges(revision.changes, i18n);
+  const text = fields ? i18n.t('status.revisedFields', { date, fields }) : i18n.t('status.revised', { date });
+  return `<div class="notice revised">${escapeHtml(text)}</div>`;
+}
+
+// "Powered by EstimatePro", or the company name when the contractor has
+// turned that off
+function renderFooter(branding, i18n) {
+  const text = branding.showPoweredBy ? i18n.t('page.poweredBy') : branding.companyName;
+  return text ? `<div class="footer">${escapeHtml(text)}</div>` : '';
+}
+
+// Accept / request changes / decline forms. They post without JavaScript;
+// /js/estimate-view.js adds the drawn-signature pad on top.
+function renderResponseForms(estimate, { error, values = {} }, i18n) {
+  const { t } = i18n;
+  if (FINAL_STATUSES.includes(estimate.status)) {
+    return error ? `<div class="respond" id="respond"><div class="notice error">${escapeHtml(error)}</div></div>` : '';
+  }
+
+  const action = `/view/${encodeURIComponent(estimate.tracking_id)}/respond`;
+  const open = values.action || (isExpired(estimate) ? 'request_changes' : 'accept');
+  // The version being responded to, so a response to an outdated page is caught
+  const version = estimate.version ? `<input type="hidden" name="version" value="${escapeHtml(estimate.version)}">` : '';
+
+  return `
+    <div class="respond" id="respond" data-section="respond">
+      <h2>${escapeHtml(t('respond.heading'))}</h2>
+      ${error ? `<div class="notice error">${escapeHtml(error)}</div>` : ''}
+      ${isExpired(estimate) ? '' : `
+      <details class="response"${open === 'accept' ? ' open' : ''}>
+        <summary>${escapeHtml(t('respond.accept'))}</summary>
+        <form method="post" action="${action}" id="accept-form">
+          <input type="hidden" name="action" value="accept">
+          ${version}
+          <label>${escapeHtml(t('respond.fullName'))}
+            <input type="text" name="name" maxlength="200" autocomplete="name" required value="${escapeHtml(values.name)}">
+          </label>
+          <div id="signature-typed">
+            <label>${escapeHtml(t('respond.typeSignature'))}
+              <input type="text" name="signature" class="signature-input" maxlength="200" required>
+            </label>
+          </div>
+          <div id="signature-drawn" hidden>
+            <div class="label">${escapeHtml(t('respond.drawSignature'))}</div>
+            <canvas id="signature-pad" width="600" height="160" data-empty-message="${escapeHtml(t('respond.drawToAccept'))}"></canvas>
+            <button type="button" class="link" id="signature-clear">${escapeHtml(t('respond.clear'))}</button>
+          </div>
+          <input type="hidden" name="signatureData" id="signature-data">
+          <button type="button" class="link" id="signature-mode" data-type-label="${escapeHtml(t('respond.typeInstead'))}" hidden>${escapeHtml(t('respond.drawInstead'))}</button>
+          <p class="legal">${escapeHtml(t('respond.legal'))}</p>
+          <button type="submit" class="button">${escapeHtml(t('respond.acceptButton'))}</button>
+        </form>
+      </details>
+      `}
+      <details class="response"${open === 'request_changes' ? ' open' : ''}>
+        <summary>${escapeHtml(t('respond.requestChanges'))}</summary>
+        <form method="post" action="${action}">
+          <input type="hidden" name="action" value="request_changes">
+          ${version}
+          <label>${escapeHtml(t('respond.yourName'))}
+            <input type="text" name="name" maxlength="200" autocomplete="name" value="${escapeHtml(values.name)}">
+          </label>
+          <label>${escapeHtml(t('respond.changesPrompt'))}
+            <textarea name="message" rows="4" maxlength="2000" required></textarea>
+          </label>
+          <button type="submit" class="button secondary">${escapeHtml(t('respond.sendRequest'))}</button>
+        </form>
+      </details>
+      <details class="response"${open === 'decline' ? ' open' : ''}>
+        <summary>${escapeHtml(t('respond.decline'))}</summary>
+        <form method="post" action="${action}">
+          <input type="hidden" name="action" value="decline">
+          ${version}
+          <label>${escapeHtml(t('respond.yourName'))}
+            <input type="text" name="name" maxlength="200" autocomplete="name" value="${escapeHtml(values.name)}">
+          </label>
+          <label>${escapeHtml(t('respond.declineReason'))}
+            <textarea name="message" rows="3" maxlength="2000" required></textarea>
+          </label>
+          <button type="submit" class="button secondary">${escapeHtml(t('respond.declineButton'))}</button>
+        </form>
+      </details>
+    </div>
+  `;
+}
+
+// Questions and replies so far, and the form for a new question. The form
+// stays open after the estimate is accepted or declined.
+function renderMessages(estimate, { messages = [], formToken, error, values = {} }, i18n) {
+  const { t } = i18n;
+  const thread = messages.map(message => {
+    const author = message.name || t(message.author === AUTHOR_CUSTOMER ? 'messages.you' : 'messages.contractor');
+    return `
+        <div class="message ${message.author === AUTHOR_CUSTOMER ? 'from-customer' : 'from-contractor'}">
+          <div class="label">${escapeHtml(author)} &middot; ${escapeHtml(i18n.formatDate(message.createdAt))}</div>
+          <p>${paragraphs(message.body)}</p>
+        </div>
+    `;
+  }).join('');
+
+  return `
+    <div class="messages" id="messages" data-section="messages">
+      <h2>${escapeHtml(t('messages.heading'))}</h2>
+      ${thread}
+      ${error ? `<div class="notice error">${escapeHtml(error)}</div>` : ''}
+      <form method="post" action="/view/${encodeURIComponent(estimate.tracking_id)}/messages">
+        <input type="hidden" name="formToken" value="${escapeHtml(formToken)}">
+        <div class="hp" aria-hidden="true">
+          <label>${escapeHtml(t('messages.honeypot'))}
+            <input type="text" name="${HONEYPOT_FIELD}" tabindex="-1" autocomplete="off">
+          </label>
+        </div>
+        <label>${escapeHtml(t('messages.yourName'))}
+          <input type="text" name="name" maxlength="${MAX_NAME_LENGTH}" autocomplete="name" value="${escapeHtml(values.name)}">
+        </label>
+        <label>${escapeHtml(t('messages.prompt'))}
+          <textarea name="message" rows="4" maxlength="${MAX_MESSAGE_LENGTH}" required>${escapeHtml(values.message)}</textarea>
+        </label>
+        <button type="submit" class="button secondary">${escapeHtml(t('messages.send'))}</button>
+      </form>
+    </div>
+  `;
+}
+
+// Full, printable estimate for /view/:trackingId. Everything is escaped and
+// styles are inline, so the page works under the server's CSP; the only
+// scripts are the self-hosted /js/estimate-view.js and, when the view opened
+// an engagement session, /js/estimate-engagement.js.
+//
+// `lastResponse` is the latest status event and `revision` the current
+// version's revision, when the estimate has been revised; `error` and
+// `values` re-render a rejected response form, `messageError` and
+// `messageValues` a rejected message.
+function renderEstimatePage(estimate, {
+  i18n = createTranslator(), branding = resolveBranding(estimate, null), lastResponse, revision, error, values,
+  messages, formToken, messageError, messageValues, engagementSessionId
+} = {}) {
+  const { t } = i18n;
+  const details = estimate.details;
+  const currency = details.currency || 'USD';
+  const totals = calculateTotals(details);
+  const company = details.company || {};
+  const color = branding.primaryColor;
+  const expired = isExpired(estimate) && !FINAL_STATUSES.includes(estimate.status);
+
+  return `
+    <!DOCTYPE html>
+    <html lang="${escapeHtml(i18n.locale)}">
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>${escapeHtml(t('page.title', { title: estimate.title || t('page.untitled') }))}</title>
+      <style>
+        * { box-sizing: border-box; margin: 0; padding: 0; }
+        body {
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+          background: #f1f3f7;
+          color: #1a1a2e;
+          line-height: 1.5;
+          padding: 24px 16px;
+        }
+        .sheet {
+          background: white;
+          max-width: 820px;
+          margin: 0 auto;
+          border-radius: 12px;
+          border-top: 6px solid ${color};
+          box-shadow: 0 10px 40px rgba(0,0,0,0.08);
+          padding: 40px;
+        }
+        .header { display: flex; justify-content: space-between; gap: 24px; flex-wrap: wrap; margin-bottom: 32px; }
+        .logo { max-height: 64px; max-width: 220px; display: block; margin-bottom: 8px; }
+        .company-name { font-size: 20px; font-weight: 600; }
+        .company-contact { color: #666; font-size: 13px; margin-top: 4px; }
+        .meta { text-align: right; }
+        .meta h1 { font-size: 28px; letter-spacing: 1px; text-transform: uppercase; color: ${color}; }
+        .meta .row { font-size: 13px; color: #666; }
+        .meta .row strong { color: #1a1a2e; font-weight: 500; }
+        .notice { border-radius: 8px; padding: 12px 16px; margin-bottom: 24px; font-size: 14px; }
+        .notice.expired, .notice.changes { background: #fff4e5; color: #8a5300; }
+        .notice.accepted { background: #e8f5e9; color: #2e7d32; }
+        .notice.declined, .notice.error { background: #fdecea; color: #b71c1c; }
+        .notice.revised { background: #e8f0fe; color: #1a47a3; }
+        .parties { display: flex; gap: 24px; flex-wrap: wrap; margin-bottom: 32px; }
+        .party { flex: 1; min-width: 200px; }
+        .label { color: #888; font-size: 11px; text-transform: uppercase; letter-spacing: 0.5px; margin-bottom: 4px; }
+        .title { font-size: 18px; font-weight: 600; }
+        table { width: 100%; border-collapse: collapse; }
+        .items th {
+          text-align: left; font-size: 11px; text-transform: uppercase; letter-spacing: 0.5px;
+          color: #888; border-bottom: 2px solid #eee; padding: 8px;
+        }
+        .items td { padding: 12px 8px; border-bottom: 1px solid #f0f0f0; vertical-align: top; font-size: 14px; }
+        .items .num, .items th.num { text-align: right; white-space: nowrap; }
+        .item-name { font-weight: 500; }
+        .item-details { color: #666; font-size: 13px; margin-top: 2px; }
+        .totals { width: auto; min-width: 280px; margin: 24px 0 0 auto; font-size: 14px; }
+        .totals td { padding: 6px 8px; }
+        .totals .num { text-align: right; white-space: nowrap; }
+        .grand-total td { border-top: 2px solid #1a1a2e; font-size: 18px; font-weight: 700; padding-top: 10px; }
+        .section { margin-top: 32px; }
+        .section p { font-size: 14px; color: #444; }
+        .actions { text-align: center; margin-top: 32px; }
+        .respond { margin-top: 40px; padding-top: 24px; border-top: 2px solid #eee; }
+        .respond h2 { font-size: 18px; margin-bottom: 16px; }
+        .response { border: 1px solid #e5e7eb; border-radius: 8px; margin-bottom: 12px; }
+        .response summary { cursor: pointer; padding: 14px 16px; font-weight: 500; }
+        .response form { padding: 0 16px 16px; }
+        .response label { display: block; font-size: 13px; color: #555; margin-bottom: 12px; }
+        .response input[type=text], .response textarea, .messages input[type=text], .messages textarea {
+          display: block; width: 100%; margin-top: 4px; padding: 10px; font: inherit;
+          border: 1px solid #d1d5db; border-radius: 6px;
+        }
+        .messages { margin-top: 40px; padding-top: 24px; border-top: 2px solid #eee; }
+        .messages h2 { font-size: 18px; margin-bottom: 16px; }
+        .messages label { display: block; font-size: 13px; color: #555; margin-bottom: 12px; }
+        .message { border-radius: 8px; padding: 12px 16px; margin-bottom: 12px; font-size: 14px; }
+        .message.from-customer { background: #f5f6f8; margin-left: 48px; }
+        .message.from-contractor { background: #eef0fc; margin-right: 48px; }
+        .hp { position: absolute; left: -10000px; width: 1px; height: 1px; overflow: hidden; }
+        .signature-input { font-family: 'Brush Script MT', 'Segoe Script', cursive; font-size: 22px; }
+        #signature-pad { display: block; width: 100%; max-width: 600px; height: 160px; border: 1px dashed #9ca3af; border-radius: 6px; touch-action: none; }
+        .link { background: none; border: 0; color: ${color}; cursor: pointer; font-size: 13px; padding: 4px 0; margin-bottom: 8px; }
+        .legal { font-size: 12px; color: #888; margin: 8px 0 12px; }
+        .button.secondary { background: #4b5563; }
+        .button {
+          background: ${color}; color: white; border: 0; border-radius: 25px;
+          padding: 10px 24px; font-size: 15px; font-weight: 500; cursor: pointer;
+          text-decoration: none; display: inline-block; margin: 4px;
+        }
+        .footer { margin-top: 32px; padding-top: 24px; border-top: 1px solid #eee; color: #999; font-size: 12px; text-align: center; }
+        @media (max-width: 600px) {
+          .sheet { padding: 24px 20px; }
+          .meta { text-align: left; }
+          .items thead { display: none; }
+          .items tr { display: block; border-bottom: 1px solid #eee; padding: 8px 0; }
+          .items td { display: flex; justify-content: space-between; border: 0; padding: 4px 0; }
+          .items td.desc { display: block; }
+          .items td.num::before { content: attr(data-label); color: #888; }
+          .totals { width: 100%; }
+        }
+        @media print {
+          body { background: white; padding: 0; }
+          .sheet { box-shadow: none; border-radius: 0; max-width: none; padding: 0; }
+          .actions, .respond, .messages { display: none; }
+          .items tr { page-break-inside: avoid; }
+        }
+      </style>
+    </head>
+    <body>
+      <div class="sheet">
+        <div class="header">
+          ${renderCompany(company, branding, i18n)}
+          <div class="meta">
+            <h1>${escapeHtml(t('page.heading'))}</h1>
+            ${details.estimateNumber ? `<div class="row">${escapeHtml(t('page.number'))} <strong>${escapeHtml(details.estimateNumber)}</strong></div>` : ''}
+            <div class="row">${escapeHtml(t('page.date'))} <strong>${escapeHtml(i18n.formatDate(estimate.created_at))}</strong></div>
+            ${revision ? `<div class="row">${escapeHtml(t('page.revision'))} <strong>${escapeHtml(revision.version)}</strong></div>` : ''}
+            ${details.validUntil ? `<div class="row">${escapeHtml(t('page.validUntil'))} <strong>${escapeHtml(i18n.formatDate(details.validUntil))}</strong></div>` : ''}
+          </div>
+        </div>
+
+        ${renderStatusBanner(estimate, lastResponse, i18n)}
+        ${renderRevisedNotice(revision, i18n)}
+        ${expired ? `<div class="notice expired">${escapeHtml(t('status.expired', { date: i18n.formatDate(details.validUntil) }))}</div>` : ''}
+
+        <div class="parties">
+          <div class="party">
+            <div class="label">${escapeHtml(t('page.project'))}</div>
+            <div class="title">${escapeHtml(estimate.title || t('page.defaultProject'))}</div>
+          </div>
+          ${estimate.customerName ? `
+          <div class="party">
+            <div class="label">${escapeHtml(t('page.preparedFor'))}</div>
+            <div>${escapeHtml(estimate.customerName)}</div>
+          </div>
+          ` : ''}
+        </div>
+
+        <table class="items" data-section="line_items">
+          <thead>
+            <tr>
+              <th>${escapeHtml(t('page.description'))}</th><th class="num">${escapeHtml(t('page.quantity'))}</th>
+              <th class="num">${escapeHtml(t('page.unitPrice'))}</th><th class="num">${escapeHtml(t('page.amount'))}</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${renderLineItems(details.lineItems, currency, i18n)}
+          </tbody>
+        </table>
+
+        ${renderTotals(totals, currency, i18n)}
+
+        ${details.notes ? `
+        <div class="section" data-section="notes">
+          <div class="label">${escapeHtml(t('page.notes'))}</div>
+          <p>${paragraphs(details.notes)}</p>
+        </div>
+        ` : ''}
+        ${details.terms ? `
+        <div class="section" data-section="terms">
+          <div class="label">${escapeHtml(t('page.terms'))}</div>
+          <p>${paragraphs(details.terms)}</p>
+        </div>
+        ` : ''}
+
+        <div class="actions">
+          <a class="button" href="/view/${encodeURIComponent(estimate.tracking_id)}/pdf">${escapeHtml(t('page.downloadPdf'))}</a>
+          <button type="button" class="button secondary" id="print-button">${escapeHtml(t('page.print'))}</button>
+        </div>
+        ${renderResponseForms(estimate, { error, values }, i18n)}
+        ${renderMessages(estimate, { messages, formToken, error: messageError, values: messageValues }, i18n)}
+        ${renderFooter(branding, i18n)}
+      </div>
+      <script src="/js/estimate-view.js"></script>
+      ${engagementSessionId ? `
+      <script src="/js/estimate-engagement.js"
+        data-beacon="/beacon/${encodeURIComponent(estimate.tracking_id)}"
+        data-session="${escapeHtml(engagementSessionId)}"></script>
+      ` : ''}
+    </body>
+    </html>
+  `;
+}
+
+// Shown after a response form or message is accepted
+function renderResponseConfirmation(estimate, status, { i18n = createTranslator(), branding = resolveBranding(estimate, null) } = {}) {
+  const heading = i18n.t(`confirmation.${status}.heading`);
+  const viewUrl = `/view/${encodeURIComponent(estimate.tracking_id)}`;
+
+  return `
+    <!DOCTYPE html>
+    <html lang="${escapeHtml(i18n.locale)}">
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>${escapeHtml(heading)}</title>
+      <style>
+        * { box-sizing: border-box; margin: 0; padding: 0; }
+        body {
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+          background: #f1f3f7; min-height: 100vh; display: flex; align-items: center; justify-content: center; padding: 20px;
+        }
+        .container { background: white; border-radius: 16px; padding: 40px; max-width: 500px; width: 100%; text-align: center; box-shadow: 0 10px 40px rgba(0,0,0,0.08); }
+        .logo { max-height: 56px; max-width: 200px; margin-bottom: 20px; }
+        h1 { color: #1a1a2e; font-size: 24px; margin-bottom: 12px; }
+        p { color: #666; line-height: 1.6; margin-bottom: 24px; }
+        a { color: ${branding.primaryColor}; font-size: 14px; }
+        .footer { margin-top: 32px; padding-top: 24px; border-top: 1px solid #eee; color: #999; font-size: 12px; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        ${branding.logoUrl ? `<img class="logo" src="${escapeHtml(branding.logoUrl)}" alt="${escapeHtml(branding.companyName)}">` : ''}
+        <h1>${escapeHtml(heading)}</h1>
+        <p>${escapeHtml(i18n.t(`confirmation.${status}.message`))}</p>
+        <a href="${viewUrl}">${escapeHtml(i18n.t('confirmation.back'))}</a>
+        ${renderFooter(branding, i18n)}
+      </div>
+    </body>
+    </html>
+  `;
+}
+
+// Shown when an estimate without line items is viewed: the customer has
+// the estimate by email and the view only confirms they opened it
+function renderViewReceipt(estimate, { i18n = createTranslator(), branding = resolveBranding(estimate, null) } = {}) {
+  const { t } = i18n;
+  const gradient = `linear-gradient(135deg, ${branding.primaryColor} 0%, ${branding.accentColor} 100%)`;
+
+  return `
+    <!DOCTYPE html>
+    <html lang="${escapeHtml(i18n.locale)}">
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>${escapeHtml(t('page.title', { title: estimate.title || t('page.untitled') }))}</title>
+      <style>
+        * { box-sizing: border-box; margin: 0; padding: 0; }
+        body {
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+          background: ${gradient};
+          min-height: 100vh;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          padding: 20px;
+        }
+        .container {
+          background: white;
+          border-radius: 16px;
+          padding: 40px;
+          max-width: 500px;
+          width: 100%;
+          text-align: center;
+          box-shadow: 0 20px 60px rgba(0,0,0,0.3);
+        }
+        .logo { max-height: 56px; max-width: 200px; margin-bottom: 20px; }
+        .icon {
+          width: 80px;
+          height: 80px;
+          background: ${gradient};
+          border-radius: 50%;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          margin: 0 auto 24px;
+        }
+        h1 { color: #1a1a2e; font-size: 24px; margin-bottom: 12px; }
+        .subtitle { color: #666; line-height: 1.6; margin-bottom: 24px; }
+        .info-box {
+          background: #f8f9fa;
+          border-radius: 12px;
+          padding: 20px;
+          margin-bottom: 24px;
+          text-align: left;
+        }
+        .info-box h3 { color: #333; font-size: 14px; font-weight: 600; margin-bottom: 12px; }
+        .info-box p { color: #666; font-size: 14px; line-height: 1.5; margin: 0; }
+        .badge {
+          display: inline-block;
+          background: #e8f5e9;
+          color: #2e7d32;
+          padding: 10px 20px;
+          border-radius: 25px;
+          font-size: 15px;
+          font-weight: 500;
+        }
+        .footer { margin-top: 32px; padding-top: 24px; border-top: 1px solid #eee; color: #999; font-size: 12px; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        ${branding.logoUrl ? `<img class="logo" src="${escapeHtml(branding.logoUrl)}" alt="${escapeHtml(branding.companyName)}">` : ''}
+        <div class="icon">
+          <svg width="40" height="40" viewBox="0 0 24 24" fill="white">
+            <path d="M9 16.17L4.83 12l-1.42 1.41L9 19 21 7l-1.41-1.41z"/>
+          </svg>
+        </div>
+        <h1>${escapeHtml(t('receipt.heading'))}</h1>
+        <p class="subtitle">${escapeHtml(t('receipt.subtitle'))}</p>
+        <div class="info-box">
+          <h3>${escapeHtml(t('receipt.emailHeading'))}</h3>
+          <p>${escapeHtml(t('receipt.emailBody'))}</p>
+        </div>
+        <div class="badge">${escapeHtml(t('receipt.badge'))}</div>
+        ${renderFooter(branding, i18n)}
+      </div>
+    </body>
+    </html>
+  `;
+}
+
+// Shown for unknown, expired and revoked links alike, so the page doesn't
+// reveal which tracking IDs exist. For the same reason it has the default
+// branding and the browser's language only.
+function renderLinkExpired(i18n = createTranslator()) {
+  const { t } = i18n;
+  return `
+    <!DOCTYPE html>
+    <html lang="${escapeHtml(i18n.locale)}">
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <meta name="robots" content="noindex">
+      <title>${escapeHtml(t('linkExpired.title'))}</title>
+      <style>
+        * { box-sizing: border-box; margin: 0; padding: 0; }
+        body {
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+          background: #f1f3f7; min-height: 100vh; display: flex; align-items: center; justify-content: center; padding: 20px;
+        }
+        .container { background: white; border-radius: 16px; padding: 40px; max-width: 500px; width: 100%; text-align: center; box-shadow: 0 10px 40px rgba(0,0,0,0.08); }
+        h1 { color: #1a1a2e; font-size: 24px; margin-bottom: 12px; }
+        p { color: #666; line-height: 1.6; }
+        .footer { margin-top: 32px; padding-top: 24px; border-top: 1px solid #eee; color: #999; font-size: 12px; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <h1>${escapeHtml(t('linkExpired.heading'))}</h1>
+        <p>${escapeHtml(t('linkExpired.message'))}</p>
+        ${renderFooter(DEFAULT_BRANDING, i18n)}
+      </div>
+    </body>
+    </html>
+  `;
+}
+
+module.exports = { renderEstimatePage, renderResponseConfirmation, renderViewReceipt, renderLinkExpired };
@@ -0,0 +1,232 @@
+const PDFDocument = require('pdfkit');
+const { calculateTotals } = require('./estimate');
+const { createTranslator } = require('./i18n');
+const { resolveBranding } = require('./branding');
+
+// Renders a registered estimate to PDF with pdfkit (pure JavaScript, no
+// headless browser). Mirrors the layout of the view page.
+
+const TEXT = '#1a1a2e';
+const MUTED = '#666666';
+const LIGHT = '#999999';
+const RULE = '#e5e7eb';
+
+const PAGE_MARGIN = 50;
+const COLUMNS = { description: 0, quantity: 270, unitPrice: 350, amount: 430 };
+const COLUMN_WIDTHS = { description: 260, quantity: 70, unitPrice: 75, amount: 82 };
+
+function formatQuantity(item) {
+  const quantity = Number.isInteger(item.quantity) ? String(item.quantity) : item.quantity.toFixed(2).replace(/0+$/, '');
+  return item.unit ? `${quantity} ${item.unit}` : quantity;
+}
+
+// Only inline PNG/JPEG images can be embedded; remote logos would need a
+// network fetch at render time
+function imageBuffer(dataUrl) {
+  const match = /^data:image\/(png|jpe?g);base64,(.+)$/i.exec(dataUrl || '');
+  return match ? Buffer.from(match[2], 'base64') : null;
+}
+
+function ensureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - PAGE_MARGIN) {
+    doc.addPage();
+  }
+}
+
+function drawHeader(doc, estimate, { company, branding, logo, i18n }) {
+  const left = PAGE_MARGIN;
+  const top = PAGE_MARGIN;
+  let y = top;
+
+  if (logo) {
+    try {
+      doc.image(logo, left, y, { fit: [160, 50] });
+      y += 58;
+    } catch (err) {
+      // Unreadable image: fall back to the company name alone
+    }
+  }
+
+  if (branding.companyName) {
+    doc.font('Helvetica-Bold').fontSize(15).fillColor(TEXT).text(branding.companyName, left, y, { width: 260 });
+    y = doc.y + 2;
+  }
+  const contact = [company.address, company.phone, company.email, company.website, company.license && i18n.t('page.license', { license: company.license })]
+    .filter(Boolean);
+  if (contact.length > 0) {
+    doc.font('Helvetica').fontSize(9).fillColor(MUTED).text(contact.join('\n'), left, y, { width: 260 });
+  }
+  const leftBottom = doc.y;
+
+  const details = estimate.details;
+  const right = doc.page.width - PAGE_MARGIN - 200;
+  doc.font('Helvetica-Bold').fontSize(24).fillColor(branding.primaryColor).text(i18n.t('page.heading').toUpperCase(), right, top, { width: 200, align: 'right' });
+  doc.font('Helvetica').fontSize(9).fillColor(MUTED);
+  const meta = [
+    details.estimateNumber && `${i18n.t('page.number')} ${details.estimateNumber}`,
+    `${i18n.t('page.date')} ${i18n.formatDate(estimate.created_at)}`,
+    details.validUntil && `${i18n.t('page.validUntil')} ${i18n.formatDate(details.validUntil)}`
+  ].filter(Boolean);
+  doc.text(meta.join('\n'), right, doc.y + 4, { width: 200, align: 'right' });
+
+  doc.y = Math.max(leftBottom, doc.y) + 24;
+}
+
+function drawParties(doc, estimate, i18n) {
+  const top = doc.y;
+  doc.font('Helvetica').fontSize(8).fillColor(LIGHT).text(i18n.t('page.project').toUpperCase(), PAGE_MARGIN, top);
+  doc.font('Helvetica-Bold').fontSize(13).fillColor(TEXT).text(estimate.title || i18n.t('page.defaultProject'), PAGE_MARGIN, doc.y + 2, { width: 300 });
+  const projectBottom = doc.y;
+
+  if (estimate.customerName) {
+    doc.font('Helvetica').fontSize(8).fillColor(LIGHT).text(i18n.t('page.preparedFor').toUpperCase(), 330, top);
+    doc.font('Helvetica').fontSize(11).fillColor(TEXT).text(estimate.customerName, 330, doc.y + 2, { width: 215 });
+  }
+  doc.y = Math.max(projectBottom, doc.y) + 20;
+}
+
+function drawTableHeader(doc, i18n) {
+  const y = doc.y;
+  doc.font('Helvetica-Bold').fontSize(8).fillColor(LIGHT);
+  doc.text(i18n.t('page.description').toUpperCase(), PAGE_MARGIN + COLUMNS.description, y, { width: COLUMN_WIDTHS.description });
+  doc.text(i18n.t('page.quantity').toUpperCase(), PAGE_MARGIN + COLUMNS.quantity, y, { width: COLUMN_WIDTHS.quantity, align: 'right' });
+  doc.text(i18n.t('page.unitPrice').toUpperCase(), PAGE_MARGIN + COLUMNS.unitPrice, y, { width: COLUMN_WIDTHS.unitPrice, align: 'right' });
+  doc.text(i18n.t('page.amount').toUpperCase(), PAGE_MARGIN + COLUMNS.amount, y, { width: COLUMN_WIDTHS.amount, align: 'right' });
+  doc.y = y + 14;
+  doc.moveTo(PAGE_MARGIN, doc.y).lineTo(doc.page.width - PAGE_MARGIN, doc.y).lineWidth(1.5).strokeColor(RULE).stroke();
+  doc.y += 6;
+}
+
+function drawLineItems(doc, items, currency, i18n) {
+  drawTableHeader(doc, i18n);
+
+  for (const item of items) {
+    doc.font('Helvetica-Bold').fontSize(10);
+    let height = doc.heightOfString(item.description, { width: COLUMN_WIDTHS.description });
+    if (item.details) {
+      doc.font('Helvetica').fontSize(9);
+      height += doc.heightOfString(item.details, { width: COLUMN_WIDTHS.description }) + 2;
+    }
+    if (doc.y + height + 12 > doc.page.height - PAGE_MARGIN) {
+      doc.addPage();
+      drawTableHeader(doc, i18n);
+    }
+
+    const y = doc.y;
+    doc.font('Helvetica-Bold').fontSize(10).fillColor(TEXT)
+      .text(item.description, PAGE_MARGIN + COLUMNS.description, y, { width: COLUMN_WIDTHS.description });
+    if (item.details) {
+      doc.font('Helvetica').fontSize(9).fillColor(MUTED)
+        .text(item.details, PAGE_MARGIN + COLUMNS.description, doc.y + 2, { width: COLUMN_WIDTHS.description });
+    }
+    const bottom = doc.y;
+
+    doc.font('Helvetica').fontSize(10).fillColor(TEXT);
+    doc.text(formatQuantity(item), PAGE_MARGIN + COLUMNS.quantity, y, { width: COLUMN_WIDTHS.quantity, align: 'right' });
+    doc.text(i18n.formatMoney(item.unitPrice, currency), PAGE_MARGIN + COLUMNS.unitPrice, y, { width: COLUMN_WIDTHS.unitPrice, align: 'right' });
+    doc.text(i18n.formatMoney(item.amount, currency), PAGE_MARGIN + COLUMNS.amount, y, { width: COLUMN_WIDTHS.amount, align: 'right' });
+
+    doc.y = bottom + 8;
+    doc.moveTo(PAGE_MARGIN, doc.y).lineTo(doc.page.width - PAGE_MARGIN, doc.y).lineWidth(0.5).strokeColor(RULE).stroke();
+    doc.y += 8;
+  }
+}
+
+function drawTotals(doc, totals, currency, i18n) {
+  const rows = [[i18n.t('page.subtotal'), i18n.formatMoney(totals.subtotal, currency)]];
+  for (const discount of totals.discounts) {
+    const label = discount.type === 'percent' ? `${discount.label} (${discount.value}%)` : discount.label;
+    rows.push([label, `-${i18n.formatMoney(discount.amount, currency)}`]);
+  }
+  if (totals.taxRate) {
+    rows.push([i18n.t('page.tax', { rate: totals.taxRate }), i18n.formatMoney(totals.tax, currency)]);
+  }
+
+  ensureSpace(doc, rows.length * 16 + 40);
+  const labelX = doc.page.width - PAGE_MARGIN - 260;
+  doc.y += 6;
+  for (const [label, value] of rows) {
+    const y = doc.y;
+    doc.font('Helvetica').fontSize(10).fillColor(MUTED).text(label, labelX, y, { width: 160 });
+    doc.fillColor(TEXT).text(value, labelX + 160, y, { width: 100, align: 'right' });
+    doc.y = y + 16;
+  }
+  doc.moveTo(labelX, doc.y).lineTo(doc.page.width - PAGE_MARGIN, doc.y).lineWidth(1.5).strokeColor(TEXT).stroke();
+  const y = doc.y + 8;
+  doc.font('Helvetica-Bold').fontSize(13).fillColor(TEXT).text(i18n.t('page.total'), labelX, y, { width: 160 });
+  doc.text(i18n.formatMoney(totals.total, currency), labelX + 160, y, { width: 100, align: 'right' });
+  doc.y = y + 30;
+}
+
+function drawSection(doc, label, body) {
+  if (!body) return;
+  ensureSpace(doc, 50);
+  doc.font('Helvetica').fontSize(8).fillColor(LIGHT).text(label.toUpperCase(), PAGE_MARGIN, doc.y);
+  doc.font('Helvetica').fontSize(10).fillColor('#444444')
+    .text(body, PAGE_MARGIN, doc.y + 3, { width: doc.page.width - PAGE_MARGIN * 2 });
+  doc.y += 16;
+}
+
+function drawAcceptance(doc, estimate, lastResponse, i18n) {
+  if (estimate.status !== 'accepted' || !lastResponse) return;
+
+  ensureSpace(doc, 110);
+  doc.font('Helvetica').fontSize(8).fillColor(LIGHT).text(i18n.t('pdf.acceptance').toUpperCase(), PAGE_MARGIN, doc.y);
+  doc.y += 4;
+
+  const signature = lastResponse.signatureType === 'drawn' ? imageBuffer(lastResponse.signature) : null;
+  if (signature) {
+    try {
+      doc.image(signature, PAGE_MARGIN, doc.y, { fit: [200, 60] });
+      doc.y += 64;
+    } catch (err) {
+      // Unreadable image: the typed name below still records the acceptance
+    }
+  } else if (lastResponse.signature) {
+    doc.font('Times-Italic').fontSize(20).fillColor(TEXT).text(lastResponse.signature, PAGE_MARGIN, doc.y);
+  }
+  doc.font('Helvetica').fontSize(9).fillColor(MUTED)
+    .text(i18n.t('pdf.acceptedBy', {
+      name: lastResponse.name || i18n.t('pdf.theCustomer'),
+      date: i18n.formatDate(lastResponse.createdAt)
+    }), PAGE_MARGIN, doc.y + 4);
+  doc.y += 16;
+}
+
+// Resolves with the PDF as a Buffer. `logo` is the contractor's uploaded
+// logo, used when the estimate doesn't carry its own.
+function renderEstimatePdf(estimate, { i18n = createTranslator(), branding = resolveBranding(estimate, null), logo, lastResponse } = {}) {
+  const details = estimate.details;
+  const currency = details.currency || 'USD';
+  const company = details.company || {};
+
+  const doc = new PDFDocument({
+    size: 'LETTER',
+    margin: PAGE_MARGIN,
+    info: {
+      Title: i18n.t('page.title', { title: estimate.title || estimate.tracking_id }),
+      Author: branding.companyName || 'EstimatePro',
+      Creator: 'EstimatePro'
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.rect(0, 0, doc.page.width, 6).fill(branding.primaryColor);
+    drawHeader(doc, estimate, { company, branding, logo: imageBuffer(company.logoUrl) || logo, i18n });
+    drawParties(doc, estimate, i18n);
+    drawLineItems(doc, details.lineItems, currency, i18n);
+    drawTotals(doc, calculateTotals(details), currency, i18n);
+    drawSection(doc, i18n.t('page.notes'), details.notes);
+    drawSection(doc, i18n.t('page.terms'), details.terms);
+    drawAcceptance(doc, estimate, lastResponse, i18n);
+
+    doc.end();
+  });
+}
+
+module.exports = { renderEstimatePdf };
@@ -0,0 +1,92 @@
+const { STATUSES } = require('./estimate-status');
+const { ESTIMATE_SORTS, estimateSortValue } = require('./storage/estimate-sorts');
+
+// Search, filters, sorting and cursor pagination for GET /api/estimates
+
+const VIEW_STATES = ['unviewed', 'opened', 'viewed'];
+const ORDERS = ['asc', 'desc'];
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 200;
+const MAX_SEARCH_TERMS = 10;
+
+function list(value) {
+  return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Opaque cursor for the page after an estimate
+function estimateCursor(estimate, sort) {
+  return Buffer.from(JSON.stringify([estimateSortValue(estimate, sort), estimate.tracking_id])).toString('base64url');
+}
+
+function parseCursor(cursor) {
+  try {
+    const [value, trackingId] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    if (typeof trackingId !== 'string' || !['string', 'number'].includes(typeof value)) return null;
+    return { value, trackingId };
+  } catch (err) {
+    return null;
+  }
+}
+
+// ?q, ?status, ?minTotal, ?maxTotal, ?viewState, ?sort, ?order, ?limit and
+// ?cursor. Returns { value } with listEstimates options, or { error }.
+function parseEstimateQuery(query) {
+  const value = {};
+
+  if (query.q !== undefined) {
+    const terms = String(query.q).trim().split(/\s+/).filter(Boolean);
+    if (terms.length > MAX_SEARCH_TERMS) {
+      return { error: `q is limited to ${MAX_SEARCH_TERMS} words` };
+    }
+    value.search = terms.map(term => term.slice(0, 100));
+  }
+  if (query.status !== undefined) {
+    const statuses = list(query.status);
+    if (statuses.length === 0 || !statuses.every(status => STATUSES.includes(status))) {
+      return { error: `status must be one or more of: ${STATUSES.join(', ')}` };
+    }
+    value.statuses = statuses;
+  }
+  for (const field of ['minTotal', 'maxTotal']) {
+    if (query[field] === undefined) continue;
+    const amount = Number(query[field]);
+    if (query[field] === '' || !Number.isFinite(amount)) {
+      return { error: `${field} must be a number` };
+    }
+    value[field] = amount;
+  }
+  if (query.viewState !== undefined) {
+    if (!VIEW_STATES.includes(query.viewState)) {
+      return { error: `viewState must be one of: ${VIEW_STATES.join(', ')}` };
+    }
+    value.viewState = query.viewState;
+  }
+
+  value.sort = query.sort ?? 'createdAt';
+  if (!ESTIMATE_SORTS.includes(value.sort)) {
+    return { error: `sort must be one of: ${ESTIMATE_SORTS.join(', ')}` };
+  }
+  value.order = query.order ?? 'desc';
+  if (!ORDERS.includes(value.order)) {
+    return { error: 'order must be asc or desc' };
+  }
+
+  value.limit = DEFAULT_LIMIT;
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return { error: `limit must be a whole number from 1 to ${MAX_LIMIT}` };
+    }
+    value.limit = limit;
+  }
+  if (query.cursor !== undefined) {
+    value.after = parseCursor(query.cursor);
+    if (!value.after) {
+      return { error: 'Invalid cursor' };
+    }
+  }
+
+  return { value };
+}
+
+module.exports = { VIEW_STATES, MAX_LIMIT, parseEstimateQuery, estimateCursor };
@@ -0,0 +1,65 @@
+const { DETAIL_FIELDS } = require('./estimate');
+const { createTranslator } = require('./i18n');
+
+// Estimate versions. Each time an estimate's content changes it moves to
+// the next version, and a revision keeps a copy of that version with the
+// fields that changed from the one before. Views and customer responses
+// record the version the customer was shown.
+
+// Top-level fields that are part of the content the customer sees
+const ESTIMATE_FIELDS = ['title', 'customerName', 'total'];
+
+function fieldValue(estimate, field) {
+  const value = ESTIMATE_FIELDS.includes(field) ? estimate?.[field] : estimate?.details?.[field];
+  return value ?? null;
+}
+
+// [{ field, from, to }] for each content field that differs
+function diffEstimates(before, after) {
+  const changes = [];
+  for (const field of [...ESTIMATE_FIELDS, ...DETAIL_FIELDS]) {
+    const from = fieldValue(before, field);
+    const to = fieldValue(after, field);
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field, from, to });
+    }
+  }
+  return changes;
+}
+
+// The revision that records an estimate's current version
+function createRevision(estimate, changes, createdAt) {
+  return {
+    trackingId: estimate.tracking_id,
+    version: estimate.version,
+    title: estimate.title ?? null,
+    customerName: estimate.customerName ?? null,
+    total: estimate.total ?? null,
+    details: estimate.details ?? null,
+    changes,
+    createdAt
+  };
+}
+
+// "line items and total", as the changes are described to the customer
+function describeChanges(changes, i18n = createTranslator()) {
+  const labels = [...new Set((changes || []).map(change => i18n.t(`changes.${change.field}`)))];
+  return i18n.formatList(labels);
+}
+
+// Revisions as the API lists them; `full` adds the version's content
+function describeRevision(revision, { full = false } = {}) {
+  return {
+    version: revision.version,
+    changes: revision.changes,
+    createdAt: revision.createdAt,
+    ...(full && {
+      title: revision.title,
+      customerName: revision.customerName,
+      total: revision.total,
+      details: revision.details
+    })
+  };
+}
+
+module.exports = { diffEstimates, createRevision, describeChanges, describeRevision };
@@ -0,0 +1,82 @@
+const { createTranslator } = require('./i18n');
+
+// Customer responses to an estimate from the view page, stored as status
+// transitions.
+
+const STATUS_PENDING = 'pending';
+
+// Form action -> resulting status
+const ACTIONS = {
+  accept: 'accepted',
+  decline: 'declined',
+  request_changes: 'changes_requested'
+};
+
+// Every status an estimate can be in
+const STATUSES = [STATUS_PENDING, ...Object.values(ACTIONS)];
+
+// Accepted and declined are final; a customer who asked for changes can
+// still accept, decline or ask for more changes afterwards
+const FINAL_STATUSES = ['accepted', 'declined'];
+
+const MAX_SIGNATURE_IMAGE = 200 * 1024;
+const SIGNATURE_IMAGE = /^data:image\/png;base64,[A-Za-z0-9+/=]+$/;
+
+function canTransition(from, to) {
+  if (FINAL_STATUSES.includes(from || STATUS_PENDING)) return false;
+  return from !== to || to === ACTIONS.request_changes;
+}
+
+function isExpired(estimate) {
+  const validUntil = estimate?.details?.validUntil;
+  return Boolean(validUntil) && new Date(`${validUntil}T23:59:59Z`) < new Date();
+}
+
+function text(value, max) {
+  if (value === undefined || value === null) return '';
+  return String(value).trim().slice(0, max);
+}
+
+// Validate a response form submission against the estimate's current state.
+// Returns { response } or { error } with a message to show the customer,
+// in the locale of `i18n`.
+function parseResponse(body, estimate, i18n = createTranslator()) {
+  const { t } = i18n;
+  const status = ACTIONS[body.action];
+  if (!status) return { error: t('errors.unknownResponse') };
+  // Only final statuses refuse a response
+  if (!canTransition(estimate.status, status)) {
+    return { error: t(estimate.status === 'accepted' ? 'errors.alreadyAccepted' : 'errors.alreadyDeclined') };
+  }
+
+  const name = text(body.name, 200);
+  const message = text(body.message, 2000);
+  const response = { status, name: name || null, message: message || null, signatureType: null, signature: null };
+
+  if (status === 'accepted') {
+    if (isExpired(estimate)) return { error: t('errors.expired') };
+    if (!name) return { error: t('errors.nameRequired') };
+
+    const drawn = text(body.signatureData, MAX_SIGNATURE_IMAGE + 100);
+    if (drawn) {
+      if (!SIGNATURE_IMAGE.test(drawn) || drawn.length > MAX_SIGNATURE_IMAGE) {
+        return { error: t('errors.unreadableSignature') };
+      }
+      response.signatureType = 'drawn';
+      response.signature = drawn;
+    } else {
+      const typed = text(body.signature, 200);
+      if (!typed) return { error: t('errors.signatureRequired') };
+      response.signatureType = 'typed';
+      response.signature = typed;
+    }
+  } else if (status === 'declined' && !message) {
+    return { error: t('errors.declineReasonRequired') };
+  } else if (status === 'changes_requested' && !message) {
+    return { error: t('errors.changesRequired') };
+  }
+
+  return { response };
+}
+
+module.exports = { STATUS_PENDING, STATUSES, FINAL_STATUSES, canTransition, isExpired, parseResponse };
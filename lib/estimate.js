@@ -0,0 +1,159 @@
+// Estimate content sent to /api/register/:trackingId: line items, pricing
+// adjustments, notes/terms and the company branding shown to the customer.
+
+// Body fields that make up the estimate content
+const DETAIL_FIELDS = [
+  'estimateNumber', 'currency', 'lineItems', 'discounts', 'taxRate', 'notes', 'terms', 'validUntil', 'company'
+];
+
+const MAX_LINE_ITEMS = 200;
+const MAX_TEXT = 5000;
+// Large enough for any real estimate, small enough that amounts stay exact
+// to the cent. The request schemas hold line items to them; the total is
+// checked here as it depends on every line.
+const MAX_QUANTITY = 1e6;
+const MAX_TOTAL = 1e9;
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function text(value, max = 500) {
+  if (isBlank(value)) return null;
+  return String(value).slice(0, max);
+}
+
+function number(value, field) {
+  if (isBlank(value)) return null;
+  const n = Number(value);
+  if (!Number.isFinite(n)) throw new Error(`${field} must be a number`);
+  return n;
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+// Only https and inline images can load under the view page's CSP
+function imageUrl(value) {
+  const url = text(value, 200000);
+  if (!url) return null;
+  return /^https:\/\//i.test(url) || /^data:image\/(png|jpe?g|gif|svg\+xml|webp);base64,/i.test(url) ? url : null;
+}
+
+function currencyCode(value) {
+  const code = text(value, 3)?.toUpperCase() || 'USD';
+  try {
+    new Intl.NumberFormat('en-US', { style: 'currency', currency: code });
+  } catch (err) {
+    throw new Error('currency must be an ISO 4217 code');
+  }
+  return code;
+}
+
+function dateOnly(value, field) {
+  if (isBlank(value)) return null;
+  const date = new Date(value);
+  if (isNaN(date)) throw new Error(`${field} must be a date`);
+  return date.toISOString().slice(0, 10);
+}
+
+function parseLineItems(items) {
+  if (isBlank(items)) return [];
+  if (!Array.isArray(items)) throw new Error('lineItems must be an array');
+  if (items.length > MAX_LINE_ITEMS) throw new Error(`lineItems is limited to ${MAX_LINE_ITEMS} entries`);
+
+  return items.map((item, i) => {
+    if (!item || typeof item !== 'object') throw new Error(`lineItems[${i}] must be an object`);
+    const description = text(item.description);
+    if (!description) throw new Error(`lineItems[${i}].description is required`);
+    const quantity = number(item.quantity, `lineItems[${i}].quantity`) ?? 1;
+    const unitPrice = number(item.unitPrice, `lineItems[${i}].unitPrice`) ?? 0;
+    return {
+      description,
+      details: text(item.details, 2000),
+      quantity,
+      unit: text(item.unit, 20),
+      unitPrice,
+      amount: round2(quantity * unitPrice)
+    };
+  });
+}
+
+function parseDiscounts(discounts) {
+  if (isBlank(discounts)) return [];
+  if (!Array.isArray(discounts)) throw new Error('discounts must be an array');
+
+  return discounts.map((discount, i) => {
+    if (!discount || typeof discount !== 'object') throw new Error(`discounts[${i}] must be an object`);
+    const type = discount.type === 'percent' ? 'percent' : 'amount';
+    const value = number(discount.value, `discounts[${i}].value`) ?? 0;
+    if (value < 0 || (type === 'percent' && value > 100)) throw new Error(`discounts[${i}].value is out of range`);
+    return { label: text(discount.label, 100) || 'Discount', type, value };
+  });
+}
+
+function parseCompany(company) {
+  if (isBlank(company)) return null;
+  if (typeof company !== 'object') throw new Error('company must be an object');
+  return {
+    name: text(company.name, 200),
+    logoUrl: imageUrl(company.logoUrl),
+    address: text(company.address, 500),
+    phone: text(company.phone, 50),
+    email: text(company.email, 200),
+    website: text(company.website, 200),
+    license: text(company.license, 100),
+    primaryColor: HEX_COLOR.test(company.primaryColor || '') ? company.primaryColor : null
+  };
+}
+
+// Subtotal -> discounts -> tax. Discounts apply to the subtotal in order and
+// tax applies to the discounted amount.
+function calculateTotals(details) {
+  const subtotal = round2(details.lineItems.reduce((sum, item) => sum + item.amount, 0));
+  let running = subtotal;
+  const discounts = details.discounts.map(discount => {
+    const amount = round2(Math.min(running, discount.type === 'percent' ? subtotal * discount.value / 100 : discount.value));
+    running = round2(running - amount);
+    return { ...discount, amount };
+  });
+  const tax = round2(running * (details.taxRate || 0) / 100);
+  return { subtotal, discounts, taxRate: details.taxRate || 0, tax, total: round2(running + tax) };
+}
+
+// Validate and normalize the estimate content in a registration body.
+// Returns { details } or { error } with a message for a 400 response.
+function parseEstimateDetails(body) {
+  try {
+    const taxRate = number(body.taxRate, 'taxRate');
+    if (taxRate !== null && (taxRate < 0 || taxRate > 100)) throw new Error('taxRate must be between 0 and 100');
+
+    const details = {
+      estimateNumber: text(body.estimateNumber, 50),
+      currency: currencyCode(body.currency),
+      lineItems: parseLineItems(body.lineItems),
+      discounts: parseDiscounts(body.discounts),
+      taxRate,
+      notes: text(body.notes, MAX_TEXT),
+      terms: text(body.terms, MAX_TEXT),
+      validUntil: dateOnly(body.validUntil, 'validUntil'),
+      company: parseCompany(body.company)
+    };
+    if (Math.abs(calculateTotals(details).total) > MAX_TOTAL) throw new Error(`total must not exceed ${MAX_TOTAL}`);
+    return { details };
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
+function hasLineItems(estimate) {
+  return Boolean(estimate?.details?.lineItems?.length);
+}
+
+function formatMoney(amount, currency = 'USD', locale = 'en-US') {
+  return new Intl.NumberFormat(locale, { style: 'currency', currency }).format(amount || 0);
+}
+
+module.exports = { DETAIL_FIELDS, MAX_QUANTITY, MAX_TOTAL, parseEstimateDetails, calculateTotals, hasLineItems, formatMoney };
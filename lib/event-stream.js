@@ -0,0 +1,111 @@
+const { logger } = require('./logger');
+
+// Server-Sent Events for the app. Activity is appended to a persisted log
+// and written to the contractor's open streams; a client that reconnects
+// with Last-Event-ID is first replayed whatever it missed from the log.
+
+const KEEPALIVE_MS = 25 * 1000;
+const RETRY_MS = 5 * 1000;
+const REPLAY_PAGE_SIZE = 500;
+
+function formatEvent(event) {
+  const payload = { type: event.type, trackingId: event.trackingId, createdAt: event.createdAt, ...event.data };
+  return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(payload)}\n\n`;
+}
+
+// Last-Event-ID header, or ?lastEventId= for clients that can't set headers
+function parseLastEventId(req) {
+  const value = req.get('Last-Event-ID') ?? req.query.lastEventId;
+  if (value === undefined || value === '') return null;
+  const id = Number(value);
+  return Number.isInteger(id) && id >= 0 ? id : null;
+}
+
+function createEventStream({ storage }) {
+  const clients = new Map(); // contractorId -> Set of clients
+  let timer = null;
+
+  function write(client, event) {
+    if (event.id <= client.lastId) return;
+    client.lastId = event.id;
+    client.res.write(formatEvent(event));
+  }
+
+  function remove(client) {
+    const set = clients.get(client.contractorId);
+    if (!set) return;
+    set.delete(client);
+    if (set.size === 0) clients.delete(client.contractorId);
+  }
+
+  return {
+    // Log an event and send it to the contractor's open streams
+    async publish(contractorId, type, trackingId, data) {
+      const event = await storage.addStreamEvent({
+        contractorId,
+        type,
+        trackingId: trackingId || null,
+        data,
+        createdAt: new Date().toISOString()
+      });
+      for (const client of clients.get(contractorId) || []) {
+        // Streams still replaying pick it up once they catch up
+        if (client.replaying) client.queue.push(event);
+        else write(client, event);
+      }
+      return event;
+    },
+
+    // Take over the response as an event stream
+    async connect(req, res, contractorId) {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+      res.write(`retry: ${RETRY_MS}\n\n`);
+
+      const lastEventId = parseLastEventId(req);
+      const client = { contractorId, res, lastId: lastEventId ?? 0, replaying: lastEventId !== null, queue: [] };
+      if (!clients.has(contractorId)) clients.set(contractorId, new Set());
+      clients.get(contractorId).add(client);
+      req.on('close', () => remove(client));
+
+      if (!client.replaying) return;
+      try {
+        let page;
+        do {
+          page = await storage.listStreamEvents(contractorId, client.lastId, REPLAY_PAGE_SIZE);
+          for (const event of page) write(client, event);
+        } while (page.length === REPLAY_PAGE_SIZE && !res.writableEnded);
+      } catch (err) {
+        (req.log || logger).error('Activity stream replay failed', { err });
+      }
+      for (const event of client.queue) write(client, event);
+      client.queue = [];
+      client.replaying = false;
+    },
+
+    start() {
+      if (timer) return;
+      timer = setInterval(() => {
+        for (const set of clients.values()) {
+          for (const client of set) client.res.write(': ping\n\n');
+        }
+      }, KEEPALIVE_MS);
+      timer.unref();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+      for (const set of clients.values()) {
+        for (const client of set) client.res.end();
+      }
+      clients.clear();
+    }
+  };
+}
+
+module.exports = { createEventStream };
@@ -0,0 +1,263 @@
+const crypto = require('crypto');
+const { renderCustomerEmail } = require('./customer-email');
+const { createTranslator, customerLocale } = require('./i18n');
+const { resolveBranding } = require('./branding');
+const { STATUS_PENDING } = require('./estimate-status');
+const { LINK_ACTIVE, linkStatus } = require('./tracking-links');
+const { VIEW_EVENT_PDF, VIEW_CLASS_HUMAN } = require('./storage/constants');
+const { logger } = require('./logger');
+
+// Follow-up reminders emailed to customers. Contractors define rules
+// ("no view after 3 days", "viewed but not accepted after 7 days"); jobs are
+// scheduled from those rules when an estimate is registered or first viewed,
+// persisted, and sent by a worker in the server process. A view cancels the
+// not-viewed reminders and any customer response cancels everything.
+
+const TRIGGER_NOT_VIEWED = 'not_viewed';
+const TRIGGER_NOT_ACCEPTED = 'not_accepted';
+const TRIGGERS = [TRIGGER_NOT_VIEWED, TRIGGER_NOT_ACCEPTED];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_DELAY_DAYS = 365;
+const MAX_SEND_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 30 * 60 * 1000;
+// Never send a customer two follow-ups within a day, e.g. when several
+// rules come due together after downtime
+const MIN_GAP_MS = DAY_MS;
+const POLL_INTERVAL_MS = 60 * 1000;
+const BATCH_SIZE = 20;
+
+function text(value, max) {
+  if (value === undefined || value === null) return '';
+  return String(value).trim().slice(0, max);
+}
+
+// Validate a rule body for create (all fields) or update (partial).
+// Returns { value } or { error }.
+function parseFollowupRule(body, { partial = false } = {}) {
+  const value = {};
+
+  if (!partial || body.trigger !== undefined) {
+    if (!TRIGGERS.includes(body.trigger)) {
+      return { error: `trigger must be one of: ${TRIGGERS.join(', ')}` };
+    }
+    value.trigger = body.trigger;
+  }
+  if (!partial || body.delayDays !== undefined) {
+    const delayDays = Number(body.delayDays);
+    if (!Number.isInteger(delayDays) || delayDays < 1 || delayDays > MAX_DELAY_DAYS) {
+      return { error: `delayDays must be a whole number from 1 to ${MAX_DELAY_DAYS}` };
+    }
+    value.delayDays = delayDays;
+  }
+  if (body.subject !== undefined) value.subject = text(body.subject, 200) || null;
+  if (body.message !== undefined) value.message = text(body.message, 5000) || null;
+  if (body.active !== undefined) value.active = Boolean(body.active);
+
+  return { value };
+}
+
+function describeFollowupRule(rule) {
+  return {
+    id: rule.id,
+    trigger: rule.trigger,
+    delayDays: rule.delayDays,
+    subject: rule.subject,
+    message: rule.message,
+    active: rule.active,
+    createdAt: rule.createdAt,
+    updatedAt: rule.updatedAt
+  };
+}
+
+// Subject, HTML and plain text for one follow-up. Rules without their own
+// subject or message get the default ones for their trigger, in the
+// customer's locale.
+function renderFollowupEmail({ rule, estimate, contractor, link, publicUrl }) {
+  const i18n = createTranslator(customerLocale(estimate, contractor));
+  return renderCustomerEmail({
+    estimate,
+    branding: resolveBranding(estimate, contractor, { baseUrl: publicUrl }),
+    i18n,
+    subject: rule.subject || i18n.t(`followups.${rule.trigger}.subject`),
+    message: rule.message || i18n.t(`followups.${rule.trigger}.message`),
+    link
+  });
+}
+
+function createFollowupScheduler({ storage, transporter, publicUrl, from }) {
+  let timer = null;
+  let processing = false;
+
+  async function hasHumanView(trackingId) {
+    const views = await storage.listViews(trackingId);
+    return views.some(v => v.classification === VIEW_CLASS_HUMAN && v.event_type !== VIEW_EVENT_PDF);
+  }
+
+  function newJob(estimate, rule, anchorAt) {
+    return {
+      id: `fu_${crypto.randomBytes(8).toString('hex')}`,
+      contractorId: rule.contractorId,
+      trackingId: estimate.tracking_id,
+      ruleId: rule.id,
+      trigger: rule.trigger,
+      anchorAt,
+      dueAt: new Date(new Date(anchorAt).getTime() + rule.delayDays * DAY_MS).toISOString(),
+      status: 'scheduled',
+      attempts: 0,
+      lastError: null,
+      createdAt: new Date().toISOString(),
+      sentAt: null,
+      cancelledAt: null,
+      cancelReason: null
+    };
+  }
+
+  // Schedule every active rule with the given trigger that hasn't been
+  // scheduled for this estimate before
+  async function scheduleTrigger(estimate, trigger, anchorAt) {
+    if (!estimate?.customerEmail || (estimate.status || STATUS_PENDING) !== STATUS_PENDING) return;
+
+    const contractorId = estimate.contractorId;
+    if (!contractorId) return;
+    const rules = (await storage.listFollowupRules(contractorId)).filter(r => r.active && r.trigger === trigger);
+    if (rules.length === 0) return;
+
+    const existing = new Set((await storage.listFollowupJobs({ trackingId: estimate.tracking_id })).map(j => j.ruleId));
+    const jobs = rules.filter(rule => !existing.has(rule.id)).map(rule => newJob(estimate, rule, anchorAt));
+    if (jobs.length > 0) await storage.addFollowupJobs(jobs);
+  }
+
+  // The estimate must still qualify when its follow-up comes due
+  async function stillApplies(job, estimate, rule) {
+    if (!rule || !rule.active) return 'rule disabled';
+    if (!estimate?.customerEmail) return 'no customer email';
+    if (estimate.emailStatus === 'bounced') return 'email bounced';
+    if (linkStatus(estimate) !== LINK_ACTIVE) return `link ${linkStatus(estimate)}`;
+    if ((estimate.status || STATUS_PENDING) !== STATUS_PENDING) return `estimate ${estimate.status}`;
+    if (job.trigger === TRIGGER_NOT_VIEWED && await hasHumanView(job.trackingId)) return 'viewed';
+    return null;
+  }
+
+  async function send(job) {
+    const now = new Date();
+    const estimate = await storage.getEstimate(job.trackingId);
+    const rule = await storage.getFollowupRule(job.ruleId);
+
+    const reason = await stillApplies(job, estimate, rule);
+    if (reason) {
+      await storage.saveFollowupJob({ ...job, status: 'cancelled', cancelledAt: now.toISOString(), cancelReason: reason });
+      return;
+    }
+
+    const lastSent = (await storage.listFollowupJobs({ trackingId: job.trackingId, status: 'sent' }))
+      .reduce((latest, j) => (j.sentAt > latest ? j.sentAt : latest), '');
+    if (lastSent && now - new Date(lastSent) < MIN_GAP_MS) {
+      await storage.saveFollowupJob({ ...job, dueAt: new Date(new Date(lastSent).getTime() + MIN_GAP_MS).toISOString() });
+      return;
+    }
+
+    const contractor = await storage.getContractor(job.contractorId);
+    const email = renderFollowupEmail({
+      rule,
+      estimate,
+      contractor,
+      link: `${publicUrl}/view/${encodeURIComponent(job.trackingId)}`,
+      publicUrl
+    });
+    const attempts = job.attempts + 1;
+    try {
+      await transporter.sendMail({
+        from,
+        to: estimate.customerEmail,
+        replyTo: contractor?.email || undefined,
+        subject: email.subject,
+        html: email.html,
+        text: email.text
+      });
+      await storage.saveFollowupJob({ ...job, status: 'sent', attempts, lastError: null, sentAt: now.toISOString() });
+      logger.info('Follow-up sent', { trackingId: job.trackingId, trigger: job.trigger });
+    } catch (err) {
+      const failed = attempts >= MAX_SEND_ATTEMPTS;
+      await storage.saveFollowupJob({
+        ...job,
+        status: failed ? 'failed' : 'scheduled',
+        attempts,
+        lastError: err.message,
+        dueAt: failed ? job.dueAt : new Date(now.getTime() + RETRY_DELAY_MS).toISOString()
+      });
+      logger.error('Follow-up failed', { trackingId: job.trackingId, attempt: attempts, err });
+    }
+  }
+
+  async function processDue() {
+    if (processing) return;
+    processing = true;
+    try {
+      let due;
+      do {
+        due = await storage.listDueFollowupJobs(new Date().toISOString(), BATCH_SIZE);
+        for (const job of due) {
+          await send(job);
+        }
+      } while (due.length === BATCH_SIZE);
+    } catch (err) {
+      logger.error('Follow-up worker error', { err });
+    } finally {
+      processing = false;
+    }
+  }
+
+  return {
+    processDue,
+
+    // A newly registered estimate starts waiting for its first view
+    async estimateRegistered(estimate) {
+      if (await hasHumanView(estimate.tracking_id)) return;
+      await scheduleTrigger(estimate, TRIGGER_NOT_VIEWED, new Date().toISOString());
+    },
+
+    // Stop the not-viewed reminders and start waiting for a response
+    async estimateViewed(estimate, viewedAt) {
+      await storage.cancelFollowupJobs({ trackingId: estimate.tracking_id, trigger: TRIGGER_NOT_VIEWED }, 'viewed');
+      await scheduleTrigger(estimate, TRIGGER_NOT_ACCEPTED, viewedAt);
+    },
+
+    async statusChanged(trackingId, status) {
+      await storage.cancelFollowupJobs({ trackingId }, `estimate ${status}`);
+    },
+
+    // Keep scheduled jobs in line with an edited or deleted rule
+    async ruleChanged(rule, { deleted = false } = {}) {
+      if (deleted || !rule.active) {
+        await storage.cancelFollowupJobs({ ruleId: rule.id }, deleted ? 'rule deleted' : 'rule disabled');
+        return;
+      }
+      const jobs = await storage.listFollowupJobs({ ruleId: rule.id, status: 'scheduled' });
+      for (const job of jobs) {
+        const dueAt = new Date(new Date(job.anchorAt).getTime() + rule.delayDays * DAY_MS).toISOString();
+        if (dueAt !== job.dueAt) await storage.saveFollowupJob({ ...job, dueAt });
+      }
+    },
+
+    start() {
+      if (timer) return;
+      timer = setInterval(processDue, POLL_INTERVAL_MS);
+      timer.unref();
+      processDue();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
+
+module.exports = {
+  TRIGGERS,
+  parseFollowupRule,
+  describeFollowupRule,
+  renderFollowupEmail,
+  createFollowupScheduler
+};
@@ -0,0 +1,58 @@
+const fs = require('fs');
+const maxmind = require('maxmind');
+const { logger } = require('./logger');
+
+// Approximate viewer location from a local MaxMind-format database
+// (GeoLite2 City or Country, .mmdb), so lookups never leave the server.
+// Without the file, or for private addresses, there is no location.
+
+const LANGUAGE = 'en';
+
+function placeName(record) {
+  return record?.names?.[LANGUAGE] || null;
+}
+
+// Opens the database if the file exists. Resolves with
+// lookup(ip) => { city, region, country } or null. The file is reopened
+// when it is replaced, e.g. by geoipupdate.
+async function openGeoLookup(file) {
+  const none = () => null;
+  if (!file || !fs.existsSync(file)) {
+    logger.warn('GeoIP database not found; views will be recorded without a location', { file });
+    return none;
+  }
+
+  let reader;
+  try {
+    reader = await maxmind.open(file, { watchForUpdates: true, watchForUpdatesNonPersistent: true });
+  } catch (err) {
+    logger.error('GeoIP database could not be opened; views will be recorded without a location', { file, err });
+    return none;
+  }
+  logger.info('GeoIP database opened', { file });
+
+  return function lookup(ip) {
+    const address = String(ip || '').trim().replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+    if (!maxmind.validate(address)) return null;
+    let result;
+    try {
+      result = reader.get(address);
+    } catch (err) {
+      return null;
+    }
+    const location = {
+      city: placeName(result?.city),
+      region: placeName(result?.subdivisions?.[0]),
+      country: placeName(result?.country)
+    };
+    return location.city || location.region || location.country ? location : null;
+  };
+}
+
+// "Denver, Colorado", or as much of it as is known
+function formatLocation({ city, region, country } = {}) {
+  if (city) return [city, region || country].filter(Boolean).join(', ');
+  return [region, country].filter(Boolean).join(', ') || null;
+}
+
+module.exports = { openGeoLookup, formatLocation };
@@ -0,0 +1,138 @@
+const { formatMoney } = require('./estimate');
+const { logger } = require('./logger');
+
+// Translations for everything customers see (the estimate page, its PDF and
+// emails) and for the notifications sent to contractors. Each language has
+// a bundle in lib/locales; a key missing from one falls back to English.
+//
+// A locale is a language with an optional region, like "es" or "es-MX".
+// The language picks the bundle and the region how dates and amounts are
+// written; without one, they are written as in the United States.
+
+const BUNDLES = {
+  en: require('./locales/en.json'),
+  es: require('./locales/es.json')
+};
+const LOCALES = Object.keys(BUNDLES);
+const FALLBACK_LANGUAGE = 'en';
+const DEFAULT_REGION = 'US';
+
+const LOCALE_PATTERN = /^([a-z]{2})(?:[-_]([a-z]{2}|\d{3}))?$/i;
+
+// "es_mx" -> "es-MX", or null for a language without a bundle
+function normalizeLocale(value) {
+  const match = LOCALE_PATTERN.exec(String(value ?? '').trim());
+  if (!match || !BUNDLES[match[1].toLowerCase()]) return null;
+  const language = match[1].toLowerCase();
+  return match[2] ? `${language}-${match[2].toUpperCase()}` : language;
+}
+
+function defaultLocaleFromEnv(env = process.env) {
+  if (!env.DEFAULT_LOCALE) return FALLBACK_LANGUAGE;
+  const locale = normalizeLocale(env.DEFAULT_LOCALE);
+  if (!locale) {
+    logger.warn(`Ignoring DEFAULT_LOCALE "${env.DEFAULT_LOCALE}"`, { expected: LOCALES });
+  }
+  return locale || FALLBACK_LANGUAGE;
+}
+
+// Used when neither the estimate, the customer's browser nor the contractor
+// has a supported locale
+const DEFAULT_LOCALE = defaultLocaleFromEnv();
+
+// Validate a locale from the API. Returns { value } (null clears it) or
+// { error }.
+function parseLocale(value) {
+  if (value === null || value === '') return { value: null };
+  const locale = normalizeLocale(value);
+  if (!locale) {
+    return { error: `locale must be one of: ${LOCALES.join(', ')}, optionally with a region (e.g. es-MX)` };
+  }
+  return { value: locale };
+}
+
+// The supported locale the browser prefers most, from an Accept-Language
+// header, or null
+function negotiateLocale(acceptLanguage) {
+  const ranges = String(acceptLanguage || '').split(',')
+    .map((part, index) => {
+      const [range, ...params] = part.trim().split(';');
+      const q = params.map(p => /^\s*q=([\d.]+)\s*$/.exec(p)).find(Boolean);
+      return { range: range.trim(), q: q ? Number(q[1]) : 1, index };
+    })
+    .filter(({ range, q }) => range && q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index);
+
+  for (const { range } of ranges) {
+    const locale = normalizeLocale(range) || normalizeLocale(range.split('-')[0]);
+    if (locale) return locale;
+  }
+  return null;
+}
+
+// The locale for a customer: the estimate's own, then the browser's, then
+// the contractor's
+function customerLocale(estimate, contractor, acceptLanguage) {
+  return normalizeLocale(estimate?.locale) || negotiateLocale(acceptLanguage) ||
+    normalizeLocale(contractor?.locale) || DEFAULT_LOCALE;
+}
+
+function lookup(bundle, key) {
+  return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), bundle);
+}
+
+// Text and formatting in one locale. t('page.total') looks a message up by
+// its key and fills in {{placeholders}} from `values`; messages with one/other
+// forms are chosen by `values.count`.
+function createTranslator(locale) {
+  const tag = normalizeLocale(locale) || DEFAULT_LOCALE;
+  const language = tag.split('-')[0];
+  const formatLocale = tag.includes('-') ? tag : `${tag}-${DEFAULT_REGION}`;
+  const plurals = new Intl.PluralRules(formatLocale);
+
+  function t(key, values = {}) {
+    let message = lookup(BUNDLES[language], key) ?? lookup(BUNDLES[FALLBACK_LANGUAGE], key);
+    if (message === undefined) return key;
+    if (typeof message === 'object') {
+      message = message[plurals.select(values.count ?? 0)] ?? message.other;
+    }
+    return message.replace(/\{\{(\w+)\}\}/g, (match, name) => (name in values ? String(values[name]) : match));
+  }
+
+  return {
+    locale: tag,
+    language,
+    t,
+
+    // Calendar dates (validUntil) and the day of a timestamp, in UTC
+    formatDate(value) {
+      if (!value) return '';
+      return new Date(value).toLocaleDateString(formatLocale, {
+        year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC'
+      });
+    },
+
+    formatDateTime(value, timeZone) {
+      return new Date(value).toLocaleString(formatLocale, timeZone ? { timeZone } : {});
+    },
+
+    formatMoney(amount, currency) {
+      return formatMoney(amount, currency, formatLocale);
+    },
+
+    // "line items and total"
+    formatList(items) {
+      return new Intl.ListFormat(formatLocale, { type: 'conjunction' }).format(items);
+    }
+  };
+}
+
+module.exports = {
+  LOCALES,
+  DEFAULT_LOCALE,
+  normalizeLocale,
+  parseLocale,
+  negotiateLocale,
+  customerLocale,
+  createTranslator
+};
@@ -0,0 +1,69 @@
+// Structured logging. Each entry is one JSON line on stdout (stderr for
+// errors) with a time, level, message and fields; LOG_FORMAT=text prints
+// the same entries as readable lines for local development. Loggers made
+// with child() add their fields to every entry, which is how a request's
+// requestId reaches the logs of everything done for it.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const FORMATS = ['json', 'text'];
+
+// Errors become their message (and code); everything else is logged as is
+function serializeField(value) {
+  if (value instanceof Error) {
+    return { message: value.message, ...(value.code && { code: value.code }), stack: value.stack };
+  }
+  return value;
+}
+
+function formatText(entry) {
+  const { time, level, msg, ...fields } = entry;
+  const details = Object.entries(fields)
+    .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+    .join(' ');
+  return `${time} ${level.toUpperCase().padEnd(5)} ${msg}${details ? ` ${details}` : ''}`;
+}
+
+function createLogger({ level = 'info', format = 'json', fields = {}, write } = {}) {
+  const threshold = LEVELS[level] ?? LEVELS.info;
+  const output = write || ((levelName, line) => {
+    (LEVELS[levelName] >= LEVELS.error ? process.stderr : process.stdout).write(`${line}\n`);
+  });
+
+  function log(levelName, msg, extra = {}) {
+    if (LEVELS[levelName] < threshold) return;
+    const entry = { time: new Date().toISOString(), level: levelName, msg, ...fields };
+    for (const [key, value] of Object.entries(extra)) {
+      if (value !== undefined) entry[key] = serializeField(value);
+    }
+    output(levelName, format === 'text' ? formatText(entry) : JSON.stringify(entry));
+  }
+
+  return {
+    debug: (msg, extra) => log('debug', msg, extra),
+    info: (msg, extra) => log('info', msg, extra),
+    warn: (msg, extra) => log('warn', msg, extra),
+    error: (msg, extra) => log('error', msg, extra),
+
+    // A logger adding `childFields` to every entry
+    child(childFields) {
+      return createLogger({ level, format, fields: { ...fields, ...childFields }, write: output });
+    }
+  };
+}
+
+function loggerFromEnv(env = process.env) {
+  const level = env.LOG_LEVEL || 'info';
+  const format = env.LOG_FORMAT || 'json';
+  const logger = createLogger({
+    level: LEVELS[level] ? level : 'info',
+    format: FORMATS.includes(format) ? format : 'json'
+  });
+  if (!LEVELS[level]) logger.warn(`Ignoring LOG_LEVEL "${level}"`, { expected: Object.keys(LEVELS) });
+  if (!FORMATS.includes(format)) logger.warn(`Ignoring LOG_FORMAT "${format}"`, { expected: FORMATS });
+  return logger;
+}
+
+// The server's logger, configured by LOG_LEVEL and LOG_FORMAT
+const logger = loggerFromEnv();
+
+module.exports = { LEVELS, FORMATS, createLogger, logger };
@@ -0,0 +1,186 @@
+// Counters and histograms for /metrics, in the Prometheus text format.
+// Metrics are created once, at startup; each labelled series appears once
+// something has been recorded for it.
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+// {a="1",b="2"} for the label names in order, or '' without labels
+function labelString(names, values, extra = '') {
+  const pairs = names.map((name, i) => `${name}="${escapeLabel(values[i])}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function createRegistry() {
+  const metrics = [];
+
+  function register(metric) {
+    if (metrics.some(m => m.name === metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    metrics.push(metric);
+    return metric;
+  }
+
+  // Series of a metric keyed by their label values
+  function seriesStore(labelNames, create) {
+    const series = new Map();
+    return {
+      get(labels = {}) {
+        const values = labelNames.map(name => labels[name] ?? '');
+        const key = JSON.stringify(values);
+        if (!series.has(key)) series.set(key, { values, ...create() });
+        return series.get(key);
+      },
+      all: () => [...series.values()]
+    };
+  }
+
+  function counter({ name, help, labelNames = [] }) {
+    const series = seriesStore(labelNames, () => ({ value: 0 }));
+    register({
+      name,
+      render: () => [
+        `# HELP ${name} ${help}`,
+        `# TYPE ${name} counter`,
+        ...series.all().map(s => `${name}${labelString(labelNames, s.values)} ${s.value}`)
+      ]
+    });
+    return {
+      inc(labels, amount = 1) {
+        series.get(labels).value += amount;
+      }
+    };
+  }
+
+  // A value read when /metrics is scraped
+  function gauge({ name, help, collect }) {
+    register({
+      name,
+      render: () => [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`, `${name} ${collect()}`]
+    });
+  }
+
+  function histogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+    const series = seriesStore(labelNames, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+
+    function observe(labels, value) {
+      const s = series.get(labels);
+      buckets.forEach((bound, i) => {
+        if (value <= bound) s.counts[i]++;
+      });
+      s.sum += value;
+      s.count++;
+    }
+
+    register({
+      name,
+      render: () => [
+        `# HELP ${name} ${help}`,
+        `# TYPE ${name} histogram`,
+        ...series.all().flatMap(s => [
+          ...buckets.map((bound, i) => `${name}_bucket${labelString(labelNames, s.values, `le="${bound}"`)} ${s.counts[i]}`),
+          `${name}_bucket${labelString(labelNames, s.values, 'le="+Inf"')} ${s.count}`,
+          `${name}_sum${labelString(labelNames, s.values)} ${s.sum}`,
+          `${name}_count${labelString(labelNames, s.values)} ${s.count}`
+        ])
+      ]
+    });
+
+    return {
+      observe,
+
+      // Call the returned function when the timed work is done; labels
+      // given then are added to those given now
+      startTimer(labels = {}) {
+        const started = process.hrtime.bigint();
+        return (endLabels = {}) => observe({ ...labels, ...endLabels }, Number(process.hrtime.bigint() - started) / 1e9);
+      }
+    };
+  }
+
+  return {
+    counter,
+    gauge,
+    histogram,
+
+    render() {
+      return `${metrics.flatMap(metric => metric.render()).join('\n')}\n`;
+    }
+  };
+}
+
+// The server's metrics
+const registry = createRegistry();
+
+const metrics = {
+  httpRequests: registry.histogram({
+    name: 'estimatepro_http_request_duration_seconds',
+    help: 'HTTP requests by route and status',
+    labelNames: ['method', 'route', 'status']
+  }),
+  views: registry.counter({
+    name: 'estimatepro_views_total',
+    help: 'Recorded views by event (page, pixel or pdf) and classification (human, proxy or bot)',
+    labelNames: ['event', 'classification']
+  }),
+  pixelHits: registry.counter({
+    name: 'estimatepro_pixel_hits_total',
+    help: 'Tracking pixel requests, by whether the link was active',
+    labelNames: ['result']
+  }),
+  notifications: registry.counter({
+    name: 'estimatepro_notification_deliveries_total',
+    help: 'Notification deliveries by channel (apns, fcm, local, smtp or in_app) and result (sent, failed or invalid_token)',
+    labelNames: ['channel', 'result']
+  }),
+  rateLimited: registry.counter({
+    name: 'estimatepro_rate_limited_total',
+    help: 'Requests rejected by a rate limiter',
+    labelNames: ['limiter']
+  }),
+  storage: registry.histogram({
+    name: 'estimatepro_storage_operation_duration_seconds',
+    help: 'Storage calls by operation, including writes to disk',
+    labelNames: ['operation', 'result'],
+    buckets: [0.0005, 0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5]
+  })
+};
+
+const startedAt = Date.now();
+registry.gauge({
+  name: 'process_start_time_seconds',
+  help: 'When the server process started, in seconds since the Unix epoch',
+  collect: () => startedAt / 1000
+});
+registry.gauge({
+  name: 'process_resident_memory_bytes',
+  help: 'Resident memory size in bytes',
+  collect: () => process.memoryUsage().rss
+});
+
+// Storage with every method call timed into the storage histogram
+function instrumentStorage(store) {
+  const timed = { ...store };
+  for (const [operation, method] of Object.entries(store)) {
+    if (typeof method !== 'function') continue;
+    timed[operation] = async (...args) => {
+      const end = metrics.storage.startTimer({ operation });
+      try {
+        const result = await method(...args);
+        end({ result: 'ok' });
+        return result;
+      } catch (err) {
+        end({ result: 'error' });
+        throw err;
+      }
+    };
+  }
+  return timed;
+}
+
+module.exports = { createRegistry, registry, metrics, instrumentStorage };
@@ -0,0 +1,131 @@
+const { escapeHtml } = require('./html');
+const { createTranslator } = require('./i18n');
+const { resolveBranding } = require('./branding');
+const { fillTemplate } = require('./customer-email');
+const { formatLocation } = require('./geoip');
+
+// Wording of the push, in-app and email notifications a contractor gets
+// about their estimates, in the contractor's locale. Event types are those
+// under notifications.events in the locale bundles.
+
+// " (5 views)" on repeat-view notifications
+function viewCountSuffix(event, i18n) {
+  return event.viewCount ? i18n.t('notifications.viewCount', { count: event.viewCount }) : '';
+}
+
+// " on iPhone in Denver, Colorado" on view and download notifications, as
+// far as the device and location are known
+function viewedFromSuffix(event, i18n) {
+  const view = event.view;
+  if (!view) return '';
+  const location = formatLocation(view);
+  return `${view.device_name ? i18n.t('notifications.onDevice', { device: view.device_name }) : ''}` +
+    `${location ? i18n.t('notifications.inLocation', { location }) : ''}`;
+}
+
+// Title and body of a push notification
+function pushMessage(estimate, event, i18n = createTranslator()) {
+  const { t } = i18n;
+  const body = t(`notifications.events.${event.type}.push`, {
+    name: event.name || estimate.customerName || t('notifications.aCustomer'),
+    title: estimate.title || t('notifications.yourEstimate')
+  });
+  return {
+    title: t(`notifications.events.${event.type}.heading`),
+    body: `${body}${viewedFromSuffix(event, i18n)}${viewCountSuffix(event, i18n)}`
+  };
+}
+
+// The line shown in the contractor's in-app notification list
+function inAppMessage(event, i18n = createTranslator()) {
+  return `${i18n.t(`notifications.events.${event.type}.message`)}${viewedFromSuffix(event, i18n)}${viewCountSuffix(event, i18n)}`;
+}
+
+// Values for the placeholders in a contractor's email subject and template
+function notificationTemplateValues(trackingId, estimate, event, { i18n = createTranslator(), timeZone } = {}) {
+  return {
+    heading: i18n.t(`notifications.events.${event.type}.heading`),
+    estimateTitle: estimate.title || i18n.t('notifications.untitled'),
+    customerName: estimate.customerName || '',
+    customerEmail: estimate.customerEmail || '',
+    total: estimate.total != null ? i18n.formatMoney(estimate.total, estimate.details?.currency) : '',
+    trackingId,
+    viewCount: String(event.viewCount || 1),
+    name: event.name || '',
+    message: event.message || '',
+    device: event.view?.device_name || '',
+    location: (event.view && formatLocation(event.view)) || '',
+    time: i18n.formatDateTime(new Date(), timeZone)
+  };
+}
+
+function renderDetail(label, value) {
+  return `
+            <div class="detail">
+              <div class="label">${escapeHtml(label)}</div>
+              <div class="value">${escapeHtml(value)}</div>
+            </div>`;
+}
+
+// Subject and HTML of the instant email, in the contractor's colors.
+// `settings` may carry the contractor's own subject and body templates.
+function renderNotificationEmail({ trackingId, estimate, event, settings, contractor, i18n = createTranslator() }) {
+  const { t } = i18n;
+  const branding = resolveBranding(estimate, contractor);
+  const heading = t(`notifications.events.${event.type}.heading`);
+  const values = notificationTemplateValues(trackingId, estimate, event, { i18n, timeZone: settings.timeZone });
+
+  // A contractor's own template replaces the details below the heading
+  const body = settings.emailTemplate
+    ? fillTemplate(settings.emailTemplate, values).split(/\n{2,}/)
+      .map(p => `<p>${escapeHtml(p).replace(/\n/g, '<br>')}</p>`).join('')
+    : [
+      renderDetail(t('notifications.estimate'), estimate.title || t('notifications.untitled')),
+      estimate.customerName && renderDetail(t('notifications.customer'), estimate.customerName),
+      event.name && renderDetail(t(event.type === 'accepted' ? 'notifications.signedBy' : 'notifications.from'), event.name),
+      event.message && renderDetail(t('notifications.message'), event.message),
+      values.device && renderDetail(t('notifications.device'), values.device),
+      values.location && renderDetail(t('notifications.location'), t('notifications.approximateLocation', { location: values.location })),
+      renderDetail(t(`notifications.events.${event.type}.timeLabel`), values.time),
+      renderDetail(t('notifications.reference'), trackingId)
+    ].filter(Boolean).join('');
+
+  const subject = settings.emailSubject
+    ? fillTemplate(settings.emailSubject, values)
+    : `${heading.replace(/^¡|!$/g, '')}: ${estimate.title || trackingId}${viewCountSuffix(event, i18n)}`;
+
+  const html = `
+      <!DOCTYPE html>
+      <html lang="${escapeHtml(i18n.locale)}">
+      <head>
+        <style>
+          body { font-family: -apple-system, Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 500px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, ${branding.primaryColor} 0%, ${branding.accentColor} 100%); color: white; padding: 20px; border-radius: 12px 12px 0 0; text-align: center; }
+          .content { background: #f8f9fa; padding: 20px; border-radius: 0 0 12px 12px; }
+          .detail { margin: 12px 0; }
+          .label { color: #666; font-size: 12px; text-transform: uppercase; }
+          .value { font-size: 16px; font-weight: 500; }
+          .footer { text-align: center; margin-top: 20px; color: #999; font-size: 12px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h2 style="margin:0;">${escapeHtml(heading)}</h2>
+          </div>
+          <div class="content">
+            ${body}
+          </div>
+          <div class="footer">
+            ${escapeHtml(branding.showPoweredBy ? t('page.poweredBy') : branding.companyName || '')}
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+  return { subject, html };
+}
+
+module.exports = { pushMessage, inAppMessage, notificationTemplateValues, renderNotificationEmail };
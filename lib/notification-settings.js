@@ -0,0 +1,134 @@
+const { isTimeZone, parseQuietHours } = require('./push');
+
+// How each contractor wants to hear about estimate activity: which views
+// notify, quiet hours for instant email and push, digest emails and the
+// wording of instant emails. Contractors who never changed anything get the
+// defaults, which match the behaviour before settings existed.
+
+const VIEW_ALERTS_FIRST = 'first';
+const VIEW_ALERTS_EVERY = 'every';
+const VIEW_ALERTS = [VIEW_ALERTS_FIRST, VIEW_ALERTS_EVERY];
+
+const DIGEST_OFF = 'off';
+const DIGEST_HOURLY = 'hourly';
+const DIGEST_DAILY = 'daily';
+const DIGESTS = [DIGEST_OFF, DIGEST_HOURLY, DIGEST_DAILY];
+
+const MAX_THRESHOLDS = 10;
+const MAX_THRESHOLD = 1000;
+
+// Placeholders available in emailSubject and emailTemplate
+const TEMPLATE_PLACEHOLDERS = [
+  'heading', 'estimateTitle', 'customerName', 'customerEmail', 'total', 'trackingId',
+  'viewCount', 'name', 'message', 'device', 'location', 'time'
+];
+
+function defaultNotificationSettings(contractorId) {
+  return {
+    contractorId,
+    viewAlerts: VIEW_ALERTS_FIRST,
+    repeatViewThresholds: [],
+    instantEmail: true,
+    quietHoursStart: null,
+    quietHoursEnd: null,
+    timeZone: null,
+    digest: DIGEST_OFF,
+    digestHour: 8,
+    emailSubject: null,
+    emailTemplate: null,
+    lastDigestAt: null,
+    updatedAt: null
+  };
+}
+
+function text(value, max) {
+  if (value === undefined || value === null) return '';
+  return String(value).trim().slice(0, max);
+}
+
+// Validate a (partial) settings update. Returns { value } or { error }.
+function parseNotificationSettings(body) {
+  const value = {};
+
+  if (body.viewAlerts !== undefined) {
+    if (!VIEW_ALERTS.includes(body.viewAlerts)) {
+      return { error: `viewAlerts must be one of: ${VIEW_ALERTS.join(', ')}` };
+    }
+    value.viewAlerts = body.viewAlerts;
+  }
+  if (body.repeatViewThresholds !== undefined) {
+    const thresholds = body.repeatViewThresholds;
+    if (!Array.isArray(thresholds) || thresholds.length > MAX_THRESHOLDS ||
+        !thresholds.every(n => Number.isInteger(n) && n >= 2 && n <= MAX_THRESHOLD)) {
+      return { error: `repeatViewThresholds must be up to ${MAX_THRESHOLDS} whole numbers from 2 to ${MAX_THRESHOLD}` };
+    }
+    value.repeatViewThresholds = [...new Set(thresholds)].sort((a, b) => a - b);
+  }
+  if (body.instantEmail !== undefined) value.instantEmail = Boolean(body.instantEmail);
+  // The time zone is shared by quiet hours and the daily digest
+  if (body.timeZone !== undefined) {
+    if (!isTimeZone(body.timeZone)) {
+      return { error: 'timeZone must be an IANA time zone, e.g. America/Denver' };
+    }
+    value.timeZone = body.timeZone;
+  }
+  if (body.quietHours !== undefined) {
+    const quiet = parseQuietHours(body.quietHours);
+    if (quiet.error) return quiet;
+    const { quietHoursStart, quietHoursEnd, timeZone } = quiet.value;
+    Object.assign(value, { quietHoursStart, quietHoursEnd });
+    if (body.quietHours?.timeZone) value.timeZone = timeZone;
+  }
+  if (body.digest !== undefined) {
+    if (!DIGESTS.includes(body.digest)) {
+      return { error: `digest must be one of: ${DIGESTS.join(', ')}` };
+    }
+    value.digest = body.digest;
+  }
+  if (body.digestHour !== undefined) {
+    if (!Number.isInteger(body.digestHour) || body.digestHour < 0 || body.digestHour > 23) {
+      return { error: 'digestHour must be a whole number from 0 to 23' };
+    }
+    value.digestHour = body.digestHour;
+  }
+  if (body.emailSubject !== undefined) value.emailSubject = text(body.emailSubject, 200) || null;
+  if (body.emailTemplate !== undefined) value.emailTemplate = text(body.emailTemplate, 5000) || null;
+
+  return { value };
+}
+
+function describeNotificationSettings(settings) {
+  return {
+    viewAlerts: settings.viewAlerts,
+    repeatViewThresholds: settings.repeatViewThresholds,
+    instantEmail: settings.instantEmail,
+    quietHours: settings.quietHoursStart
+      ? { start: settings.quietHoursStart, end: settings.quietHoursEnd, timeZone: settings.timeZone || 'UTC' }
+      : null,
+    digest: settings.digest,
+    digestHour: settings.digestHour,
+    timeZone: settings.timeZone || 'UTC',
+    emailSubject: settings.emailSubject,
+    emailTemplate: settings.emailTemplate,
+    placeholders: TEMPLATE_PLACEHOLDERS,
+    lastDigestAt: settings.lastDigestAt,
+    updatedAt: settings.updatedAt
+  };
+}
+
+// Whether a repeat human view (the customer's viewCount-th) notifies
+function notifiesRepeatView(settings, viewCount) {
+  return settings.viewAlerts === VIEW_ALERTS_EVERY || settings.repeatViewThresholds.includes(viewCount);
+}
+
+module.exports = {
+  VIEW_ALERTS,
+  DIGESTS,
+  DIGEST_OFF,
+  DIGEST_HOURLY,
+  DIGEST_DAILY,
+  defaultNotificationSettings,
+  parseNotificationSettings,
+  describeNotificationSettings,
+  notifiesRepeatView
+};
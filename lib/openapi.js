@@ -0,0 +1,176 @@
+const { SCHEMAS, OPERATIONS } = require('./api-schemas');
+const { validate, validateParameters } = require('./schema');
+const { SESSION_COOKIE } = require('./dashboard-sessions');
+
+// The OpenAPI document served at /api/openapi.json and the middleware that
+// validates requests against it. API routes are documented under /api/v1;
+// the unversioned /api paths serve the same routes for app builds released
+// before versioning.
+
+const API_VERSION = 'v1';
+
+const COMPONENTS = { schemas: SCHEMAS };
+
+function operationKey(method, path) {
+  return `${method.toUpperCase()} ${path}`;
+}
+
+// The operation declared for a route. Throws for routes without one, so a
+// route can't be added without its schemas.
+function findOperation(method, path) {
+  const operation = OPERATIONS[operationKey(method, path)];
+  if (!operation) {
+    throw new Error(`No schema for ${operationKey(method, path)} in lib/api-schemas.js`);
+  }
+  return operation;
+}
+
+// Operations in lib/api-schemas.js that aren't served by any route
+function unusedOperations(routes) {
+  const served = new Set(routes.map(({ method, path }) => operationKey(method, path)));
+  return Object.keys(OPERATIONS).filter(key => !served.has(key));
+}
+
+function isApiPath(path) {
+  return path.startsWith('/api/');
+}
+
+// /api/estimates/:trackingId -> /api/v1/estimates/{trackingId}
+function documentedPath(path) {
+  const versioned = isApiPath(path) ? `/api/${API_VERSION}${path.slice('/api'.length)}` : path;
+  return versioned.replace(/:(\w+)/g, '{$1}');
+}
+
+function parameters(operation) {
+  return [
+    ...Object.entries(operation.params || {}).map(([name, schema]) => ({ name, in: 'path', required: true, schema })),
+    ...Object.entries(operation.query || {}).map(([name, { schema, description, required = false }]) => ({
+      name,
+      in: 'query',
+      required,
+      ...(description && { description }),
+      schema
+    }))
+  ];
+}
+
+function responseObject({ description, schema, contentType = 'application/json', alternatives = [] }) {
+  if (!schema && contentType === 'application/json') return { description };
+  return {
+    description,
+    content: {
+      [contentType]: schema ? { schema } : {},
+      ...Object.fromEntries(alternatives.map(type => [type, {}]))
+    }
+  };
+}
+
+const ERROR_RESPONSE = { schema: { $ref: '#/components/schemas/Error' } };
+
+function documentOperation(method, path, operation) {
+  const validated = operation.params || operation.query || operation.body;
+  const authenticated = isApiPath(path) && !operation.public;
+  const responses = {
+    ...(validated && { 400: { description: 'The request is invalid', schema: { $ref: '#/components/schemas/ValidationError' } } }),
+    ...(authenticated && {
+      401: { description: 'No API key', ...ERROR_RESPONSE },
+      403: { description: 'The API key is invalid or not allowed here', ...ERROR_RESPONSE }
+    }),
+    ...operation.responses
+  };
+
+  const requestBody = operation.body || operation.form;
+  const binarySchema = { type: 'string', format: 'binary' };
+  return {
+    operationId: `${method}${path.replace(/[^a-zA-Z]+(\w)?/g, (match, next) => (next || '').toUpperCase())}`,
+    summary: operation.summary,
+    ...(operation.description && { description: operation.description }),
+    tags: operation.tags,
+    ...(!authenticated && { security: [] }),
+    parameters: parameters(operation),
+    ...(requestBody && {
+      requestBody: {
+        required: Boolean(requestBody.required?.length || requestBody.$ref),
+        content: { [operation.form ? 'application/x-www-form-urlencoded' : 'application/json']: { schema: requestBody } }
+      }
+    }),
+    ...(operation.binary && {
+      requestBody: {
+        required: true,
+        content: Object.fromEntries(operation.binary.contentTypes.map(type => [type, { schema: binarySchema }]))
+      }
+    }),
+    responses: Object.fromEntries(Object.entries(responses).map(([status, response]) => [status, responseObject(response)]))
+  };
+}
+
+// OpenAPI 3.0 document for the routes [{ method, path }] in the order they
+// were declared
+function buildOpenApiDocument(routes, { serverUrl, version }) {
+  const paths = {};
+  for (const { method, path } of routes) {
+    const documented = documentedPath(path);
+    paths[documented] = {
+      ...paths[documented],
+      [method]: documentOperation(method, path, findOperation(method, path))
+    };
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'EstimatePro Tracking Server',
+      version,
+      description: 'Estimate view tracking and notifications. API routes take `Authorization: Bearer <API key>`. ' +
+        'Invalid requests get a 400 with `error` (the first problem) and `errors` (every problem, with its location and field).'
+    },
+    servers: [{ url: serverUrl }],
+    components: {
+      ...COMPONENTS,
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer' },
+        dashboardSession: { type: 'apiKey', in: 'cookie', name: SESSION_COOKIE, description: 'Set by POST /dashboard/session' }
+      }
+    },
+    security: [{ bearerAuth: [] }, { dashboardSession: [] }],
+    paths
+  };
+}
+
+// Middleware validating path parameters, the query string and the JSON body
+// against a route's operation. Every problem is reported in one 400.
+function validateRequest(operation) {
+  const params = Object.entries(operation.params || {}).map(([name, schema]) => ({ name, required: true, schema }));
+  const query = Object.entries(operation.query || {}).map(([name, { schema, required = false }]) => ({ name, required, schema }));
+
+  return (req, res, next) => {
+    const errors = [
+      ...validateParameters(params, req.params, { components: SCHEMAS }).map(error => ({ location: 'path', ...error })),
+      ...validateParameters(query, req.query, { components: SCHEMAS }).map(error => ({ location: 'query', ...error })),
+      ...(operation.body
+        ? validate(operation.body, req.body, { components: SCHEMAS }).map(error => ({ location: 'body', ...error }))
+        : [])
+    ];
+    if (errors.length === 0) return next();
+
+    const [first] = errors;
+    res.status(400).json({ error: `${first.field || `Request ${first.location}`} ${first.message}`, errors });
+  };
+}
+
+// The same 400 for a problem a handler finds after the schemas pass. `error`
+// is the whole sentence; with a `field`, the entry in `errors` leaves the
+// field's name out of the message as the schema checks do.
+function sendValidationError(res, error, { location = 'body', field = null } = {}) {
+  const message = field && error.startsWith(`${field} `) ? error.slice(field.length + 1) : error;
+  return res.status(400).json({ error, errors: [{ location, field, message }] });
+}
+
+module.exports = {
+  API_VERSION,
+  findOperation,
+  unusedOperations,
+  buildOpenApiDocument,
+  validateRequest,
+  sendValidationError
+};
@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const net = require('net');
+const { logger } = require('./logger');
+
+// Viewer privacy. IP addresses are anonymized before they are stored, views
+// and notifications older than the retention period are purged (the view
+// counters behind estimate lists and reports keep counting them), and
+// customers' data can be exported or erased by email address. Every purge
+// is written to an audit log.
+
+const IP_STORAGE_HASH = 'hash'; // salted HMAC, the same for every view from an address
+const IP_STORAGE_TRUNCATE = 'truncate'; // network only: /24 for IPv4, /48 for IPv6
+const IP_STORAGE_MODES = [IP_STORAGE_HASH, IP_STORAGE_TRUNCATE];
+
+const AUDIT_RETENTION = 'retention';
+const AUDIT_ERASE = 'erase';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RUN_INTERVAL_MS = 60 * 60 * 1000;
+const MAX_EMAIL_LENGTH = 254;
+
+function normalizeIP(ip) {
+  const address = String(ip || '').trim().replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '').toLowerCase();
+  return net.isIP(address) ? address : null;
+}
+
+// The eight groups of an IPv6 address, with :: expanded
+function ipv6Groups(address) {
+  const [head, tail] = address.split('::');
+  const left = head ? head.split(':') : [];
+  const right = tail ? tail.split(':') : [];
+  const missing = tail === undefined ? 0 : 8 - left.length - right.length;
+  return [...left, ...Array(missing).fill('0'), ...right];
+}
+
+function truncateIP(address) {
+  if (net.isIPv4(address)) {
+    return `${address.split('.').slice(0, 3).join('.')}.0`;
+  }
+  return `${ipv6Groups(address).slice(0, 3).map(group => parseInt(group, 16).toString(16)).join(':')}::`;
+}
+
+// Returns the function that turns a client IP into the value stored with a
+// view. Anything that isn't an IP address (including values that were
+// already anonymized) comes back as null.
+function createIpAnonymizer({ mode = IP_STORAGE_HASH, salt }) {
+  return function anonymizeIP(ip) {
+    const address = normalizeIP(ip);
+    if (!address) return null;
+    if (mode === IP_STORAGE_TRUNCATE) return truncateIP(address);
+    return crypto.createHmac('sha256', salt).update(address).digest('hex').slice(0, 16);
+  };
+}
+
+function ipHashSalt(env) {
+  if (env.IP_HASH_SALT) return env.IP_HASH_SALT;
+  if (env.API_KEY) {
+    return crypto.createHmac('sha256', env.API_KEY).update('ip-hash').digest();
+  }
+  logger.warn('IP_HASH_SALT not set; viewer IP hashes will change on restart');
+  return crypto.randomBytes(32);
+}
+
+// The anonymizer IP_STORAGE configures: hashing with IP_HASH_SALT (or a key
+// derived from API_KEY), or truncating to the network. Shared by the server
+// and the import script so both store the same values.
+function createIpAnonymizerFromEnv(env = process.env) {
+  let mode = env.IP_STORAGE || IP_STORAGE_HASH;
+  if (!IP_STORAGE_MODES.includes(mode)) {
+    logger.warn(`Unknown IP_STORAGE "${mode}"; hashing IPs`);
+    mode = IP_STORAGE_HASH;
+  }
+  return createIpAnonymizer({ mode, salt: ipHashSalt(env) });
+}
+
+// Retention period in days from an environment variable. Unset, empty or 0
+// keeps data indefinitely.
+function parseRetentionDays(value, name) {
+  if (value === undefined || value === '') return null;
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 0) {
+    logger.warn(`Ignoring ${name}="${value}"; expected a whole number of days`);
+    return null;
+  }
+  return days || null;
+}
+
+// `email` from a request. Returns { value } (lowercased) or { error }.
+function parseCustomerEmail(email) {
+  const value = typeof email === 'string' ? email.trim().toLowerCase() : '';
+  if (!value) {
+    return { error: 'email is required' };
+  }
+  if (value.length > MAX_EMAIL_LENGTH || !/^[^\s@]+@[^\s@]+$/.test(value)) {
+    return { error: 'email must be an email address' };
+  }
+  return { value };
+}
+
+// Audit records identify an erased customer by a hash of their email, so the
+// log doesn't keep the address it records erasing
+function hashEmail(email) {
+  return crypto.createHash('sha256').update(email.trim().toLowerCase()).digest('hex');
+}
+
+function describeAuditEntry(entry) {
+  return {
+    id: entry.id,
+    action: entry.action,
+    contractorId: entry.contractorId,
+    subjectHash: entry.subject,
+    details: entry.details,
+    createdAt: entry.createdAt
+  };
+}
+
+// Hourly: anonymizes IPs stored before anonymization was enabled (or by a
+// different IP_STORAGE mode), then purges views and notifications past
+// their retention period. Runs that remove anything are audited.
+function createRetentionScheduler({ storage, anonymizeIP, viewRetentionDays, notificationRetentionDays }) {
+  let timer = null;
+  let running = false;
+
+  const cutoff = (now, days) => new Date(now.getTime() - days * DAY_MS).toISOString();
+
+  async function run(now = new Date()) {
+    if (running) return null;
+    running = true;
+    try {
+      const purged = {
+        anonymizedIPs: await storage.anonymizeViewIPs(anonymizeIP),
+        views: viewRetentionDays ? await storage.purgeViews(cutoff(now, viewRetentionDays)) : 0,
+        notifications: notificationRetentionDays
+          ? await storage.purgeNotifications(cutoff(now, notificationRetentionDays))
+          : 0
+      };
+      if (Object.values(purged).some(count => count > 0)) {
+        await storage.addPrivacyAudit({
+          action: AUDIT_RETENTION,
+          contractorId: null,
+          subject: null,
+          details: { ...purged, viewRetentionDays, notificationRetentionDays },
+          createdAt: now.toISOString()
+        });
+        logger.info('Retention purge', purged);
+      }
+      return purged;
+    } catch (err) {
+      logger.error('Retention purge failed', { err });
+      return null;
+    } finally {
+      running = false;
+    }
+  }
+
+  return {
+    run,
+
+    start() {
+      if (timer) return;
+      timer = setInterval(run, RUN_INTERVAL_MS);
+      timer.unref();
+      run();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
+
+module.exports = {
+  IP_STORAGE_HASH,
+  IP_STORAGE_TRUNCATE,
+  IP_STORAGE_MODES,
+  AUDIT_RETENTION,
+  AUDIT_ERASE,
+  createIpAnonymizer,
+  createIpAnonymizerFromEnv,
+  parseRetentionDays,
+  parseCustomerEmail,
+  hashEmail,
+  describeAuditEntry,
+  createRetentionScheduler
+};
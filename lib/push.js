@@ -0,0 +1,290 @@
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+// Push notifications to contractors' devices. Each platform has a sender
+// (APNs for iOS, FCM for Android, or the local stand-in for both) that
+// reports which tokens the push service no longer accepts so they can be
+// pruned. Devices carry their own preferences: mute, quiet hours, and
+// whether repeat views push as well as the first.
+
+const PLATFORM_IOS = 'ios';
+const PLATFORM_ANDROID = 'android';
+const PLATFORMS = [PLATFORM_IOS, PLATFORM_ANDROID];
+
+const VIEW_ALERTS_FIRST = 'first';
+const VIEW_ALERTS_ALL = 'all';
+const VIEW_ALERTS = [VIEW_ALERTS_FIRST, VIEW_ALERTS_ALL];
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// APNs reasons meaning the token will never work again
+const APNS_INVALID_REASONS = ['BadDeviceToken', 'Unregistered', 'DeviceTokenNotForTopic'];
+
+// FCM error codes meaning the token will never work again
+const FCM_INVALID_CODES = ['UNREGISTERED', 'SENDER_ID_MISMATCH'];
+
+const FCM_SCOPE = 'https://www.googleapis.com/auth/firebase.messaging';
+const FCM_TIMEOUT_MS = 10 * 1000;
+
+function isTimeZone(value) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Validate quiet hours ({ start, end, timeZone } or null) into the
+// quietHoursStart / quietHoursEnd / timeZone fields. Returns { value } or
+// { error }.
+function parseQuietHours(quietHours) {
+  if (quietHours === null) {
+    return { value: { quietHoursStart: null, quietHoursEnd: null, timeZone: null } };
+  }
+  const { start, end, timeZone = 'UTC' } = quietHours || {};
+  if (!TIME_OF_DAY.test(start) || !TIME_OF_DAY.test(end)) {
+    return { error: 'quietHours.start and quietHours.end must be HH:MM' };
+  }
+  if (!isTimeZone(timeZone)) {
+    return { error: 'quietHours.timeZone must be an IANA time zone, e.g. America/Denver' };
+  }
+  return { value: { quietHoursStart: start, quietHoursEnd: end, timeZone } };
+}
+
+// Validate device preferences from a request body. Only the fields present
+// are returned. Returns { value } or { error }.
+function parseDevicePreferences(body) {
+  const value = {};
+
+  if (body.muted !== undefined) value.muted = Boolean(body.muted);
+  if (body.viewAlerts !== undefined) {
+    if (!VIEW_ALERTS.includes(body.viewAlerts)) {
+      return { error: `viewAlerts must be one of: ${VIEW_ALERTS.join(', ')}` };
+    }
+    value.viewAlerts = body.viewAlerts;
+  }
+  if (body.quietHours !== undefined) {
+    const quiet = parseQuietHours(body.quietHours);
+    if (quiet.error) return quiet;
+    Object.assign(value, quiet.value);
+  }
+
+  return { value };
+}
+
+// HH:MM in a time zone
+function localTime(now, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: timeZone || 'UTC',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(now);
+  return `${parts.find(p => p.type === 'hour').value}:${parts.find(p => p.type === 'minute').value}`;
+}
+
+// Quiet hours may run past midnight (22:00 to 07:00). Works for anything
+// with quietHoursStart / quietHoursEnd / timeZone: devices and contractors.
+function inQuietHours(settings, now = new Date()) {
+  if (!settings.quietHoursStart || !settings.quietHoursEnd) return false;
+  const time = localTime(now, settings.timeZone);
+  const { quietHoursStart: start, quietHoursEnd: end } = settings;
+  return start <= end ? time >= start && time < end : time >= start || time < end;
+}
+
+// Whether a device should get a push for an event. `repeat` marks views
+// after the first, which only devices set to every view receive.
+function wantsPush(device, event, now = new Date()) {
+  if (device.muted || inQuietHours(device, now)) return false;
+  if (event.repeat && device.viewAlerts !== VIEW_ALERTS_ALL) return false;
+  return true;
+}
+
+// Tokens are credentials of a sort; the API only shows their ends
+function maskToken(token) {
+  return token.length > 12 ? `${token.slice(0, 6)}…${token.slice(-4)}` : token;
+}
+
+// Stable id for a device that doesn't give its token away
+function deviceId(token) {
+  return crypto.createHash('sha256').update(token).digest('hex').slice(0, 16);
+}
+
+function describeDevice(device) {
+  return {
+    id: deviceId(device.token),
+    token: maskToken(device.token),
+    platform: device.platform,
+    bundleId: device.bundleId,
+    registeredAt: device.registeredAt,
+    muted: device.muted,
+    quietHours: device.quietHoursStart
+      ? { start: device.quietHoursStart, end: device.quietHoursEnd, timeZone: device.timeZone || 'UTC' }
+      : null,
+    viewAlerts: device.viewAlerts
+  };
+}
+
+// Every sender takes a list of tokens and a message ({ title, body, badge,
+// data }) and resolves with one { token, ok, invalid, error } per token.
+
+function createApnsSender(provider, topic) {
+  const apn = require('@parse/node-apn');
+
+  return {
+    name: 'apns',
+
+    async send(tokens, message) {
+      const notification = new apn.Notification();
+      notification.alert = { title: message.title, body: message.body };
+      if (message.badge !== undefined) notification.badge = message.badge;
+      notification.sound = 'default';
+      notification.topic = topic;
+      notification.payload = message.data;
+
+      const result = await provider.send(notification, tokens);
+      const failed = new Map(result.failed.map(f => [f.device, f]));
+      return tokens.map(token => {
+        const failure = failed.get(token);
+        if (!failure) return { token, ok: true, invalid: false, error: null };
+        const reason = failure.response?.reason || failure.error?.message || `status ${failure.status}`;
+        return { token, ok: false, invalid: APNS_INVALID_REASONS.includes(failure.response?.reason), error: reason };
+      });
+    },
+
+    shutdown() {
+      provider.shutdown();
+    }
+  };
+}
+
+// FCM HTTP v1 API, authorised with a service account
+function createFcmSender(serviceAccount) {
+  const tokenUri = serviceAccount.token_uri || 'https://oauth2.googleapis.com/token';
+  let accessToken = null;
+  let accessTokenExpiresAt = 0;
+
+  async function getAccessToken() {
+    if (accessToken && Date.now() < accessTokenExpiresAt - 60 * 1000) return accessToken;
+
+    const now = Math.floor(Date.now() / 1000);
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const unsigned = `${encode({ alg: 'RS256', typ: 'JWT' })}.${encode({
+      iss: serviceAccount.client_email,
+      scope: FCM_SCOPE,
+      aud: tokenUri,
+      iat: now,
+      exp: now + 3600
+    })}`;
+    const signature = crypto.createSign('RSA-SHA256').update(unsigned).sign(serviceAccount.private_key, 'base64url');
+
+    const response = await fetch(tokenUri, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+        assertion: `${unsigned}.${signature}`
+      }),
+      signal: AbortSignal.timeout(FCM_TIMEOUT_MS)
+    });
+    const body = await response.json();
+    if (!response.ok) {
+      throw new Error(`FCM authorisation failed: ${body.error_description || body.error || response.status}`);
+    }
+    accessToken = body.access_token;
+    accessTokenExpiresAt = Date.now() + body.expires_in * 1000;
+    return accessToken;
+  }
+
+  async function sendOne(token, message, authorization) {
+    const response = await fetch(`https://fcm.googleapis.com/v1/projects/${serviceAccount.project_id}/messages:send`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${authorization}` },
+      body: JSON.stringify({
+        message: {
+          token,
+          notification: { title: message.title, body: message.body },
+          // FCM data values must be strings
+          data: Object.fromEntries(Object.entries(message.data).map(([key, value]) => [key, String(value ?? '')])),
+          android: { priority: 'high' }
+        }
+      }),
+      signal: AbortSignal.timeout(FCM_TIMEOUT_MS)
+    });
+    if (response.ok) return { token, ok: true, invalid: false, error: null };
+
+    const body = await response.json().catch(() => ({}));
+    const code = body.error?.details?.find(d => d.errorCode)?.errorCode || body.error?.status;
+    return {
+      token,
+      ok: false,
+      invalid: FCM_INVALID_CODES.includes(code),
+      error: code || `status ${response.status}`
+    };
+  }
+
+  return {
+    name: 'fcm',
+
+    async send(tokens, message) {
+      const authorization = await getAccessToken();
+      const results = [];
+      for (const token of tokens) {
+        try {
+          results.push(await sendOne(token, message, authorization));
+        } catch (err) {
+          results.push({ token, ok: false, invalid: false, error: err.message });
+        }
+      }
+      return results;
+    },
+
+    shutdown() {}
+  };
+}
+
+// Stand-in for APNs and FCM when developing offline. Pushes are logged
+// and kept in memory; tokens starting with "invalid" are reported as
+// unregistered, like a deleted app.
+function createLocalSender({ limit = 100 } = {}) {
+  const sent = [];
+
+  return {
+    name: 'local',
+    sent,
+
+    async send(tokens, message) {
+      return tokens.map(token => {
+        if (token.startsWith('invalid')) {
+          logger.info('Local push rejected', { token: maskToken(token), reason: 'Unregistered' });
+          return { token, ok: false, invalid: true, error: 'Unregistered' };
+        }
+        logger.info('Local push', { token: maskToken(token), title: message.title, body: message.body });
+        sent.push({ token, ...message, sentAt: new Date().toISOString() });
+        if (sent.length > limit) sent.shift();
+        return { token, ok: true, invalid: false, error: null };
+      });
+    },
+
+    shutdown() {}
+  };
+}
+
+module.exports = {
+  PLATFORMS,
+  PLATFORM_IOS,
+  PLATFORM_ANDROID,
+  VIEW_ALERTS,
+  isTimeZone,
+  localTime,
+  parseQuietHours,
+  inQuietHours,
+  parseDevicePreferences,
+  wantsPush,
+  deviceId,
+  describeDevice,
+  createApnsSender,
+  createFcmSender,
+  createLocalSender
+};
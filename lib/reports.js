@@ -0,0 +1,236 @@
+const { VIEW_EVENT_PAGE, VIEW_EVENT_PIXEL, VIEW_EVENT_PDF } = require('./storage/constants');
+
+// Reports over the pre-aggregated view counters: customer views over time,
+// the sent → opened → viewed → accepted funnel, time to first view, and
+// device and referrer breakdowns. Days are UTC. Activity reports cover
+// events in the date range; the funnel and estimate reports cover
+// estimates created in it.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 731;
+
+const INTERVAL_DAY = 'day';
+const INTERVAL_WEEK = 'week';
+const INTERVALS = [INTERVAL_DAY, INTERVAL_WEEK];
+const FORMATS = ['json', 'csv'];
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+function toDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(day, days) {
+  return toDay(new Date(Date.parse(day) + days * DAY_MS));
+}
+
+function isDay(value) {
+  return DATE.test(value) && !Number.isNaN(Date.parse(value)) && toDay(new Date(value)) === value;
+}
+
+// ?from, ?to (YYYY-MM-DD, inclusive; the last 30 days by default),
+// ?interval, ?customer and ?format. Returns { value } or { error }.
+function parseReportQuery(query, now = new Date()) {
+  const to = query.to ?? toDay(now);
+  const from = query.from ?? addDays(to, 1 - DEFAULT_RANGE_DAYS);
+  if (!isDay(from) || !isDay(to)) {
+    return { error: 'from and to must be dates (YYYY-MM-DD)' };
+  }
+  if (from > to) {
+    return { error: 'from must not be after to' };
+  }
+  if ((Date.parse(to) - Date.parse(from)) / DAY_MS + 1 > MAX_RANGE_DAYS) {
+    return { error: `The date range can be at most ${MAX_RANGE_DAYS} days` };
+  }
+
+  const interval = query.interval ?? INTERVAL_DAY;
+  if (!INTERVALS.includes(interval)) {
+    return { error: `interval must be one of: ${INTERVALS.join(', ')}` };
+  }
+  const format = query.format ?? 'json';
+  if (!FORMATS.includes(format)) {
+    return { error: `format must be one of: ${FORMATS.join(', ')}` };
+  }
+  const customer = String(query.customer ?? '').trim().slice(0, 200) || null;
+
+  return { value: { from, to, interval, format, customer } };
+}
+
+// created_at bounds for estimates created in the range
+function createdRange({ from, to }) {
+  return { createdFrom: from, createdTo: addDays(to, 1) };
+}
+
+// First day of the period a day falls in. Weeks start on Monday.
+function periodStart(day, interval) {
+  if (interval !== INTERVAL_WEEK) return day;
+  const weekday = (new Date(day).getUTCDay() + 6) % 7;
+  return addDays(day, -weekday);
+}
+
+function eventCounts() {
+  return { views: 0, opens: 0, downloads: 0 };
+}
+
+function addCount(counts, row) {
+  if (row.eventType === VIEW_EVENT_PAGE) counts.views += row.count;
+  else if (row.eventType === VIEW_EVENT_PIXEL) counts.opens += row.count;
+  else if (row.eventType === VIEW_EVENT_PDF) counts.downloads += row.count;
+}
+
+// Customer views, email opens and PDF downloads per day or week, including
+// periods without any
+function viewSeries(dailyStats, { from, to, interval }) {
+  const periods = new Map();
+  for (let day = from; day <= to; day = addDays(day, 1)) {
+    const period = periodStart(day, interval);
+    if (!periods.has(period)) periods.set(period, { period, ...eventCounts() });
+  }
+  for (const row of dailyStats) {
+    addCount(periods.get(periodStart(row.day, interval)), row);
+  }
+  return [...periods.values()];
+}
+
+function rate(count, total) {
+  return total > 0 ? Math.round((count / total) * 10000) / 10000 : null;
+}
+
+// When the estimate went out: emailed from the server, or registered by the
+// app that sent it
+function sentAt(estimate) {
+  return estimate.emailSentAt || estimate.created_at;
+}
+
+function funnel(estimates) {
+  const stages = [
+    ['sent', () => true],
+    ['opened', e => Boolean(e.first_opened_at)],
+    ['viewed', e => Boolean(e.first_viewed_at)],
+    ['accepted', e => e.status === 'accepted']
+  ];
+  return stages.map(([stage, reached]) => {
+    const count = estimates.filter(reached).length;
+    return { stage, count, rate: rate(count, estimates.length) };
+  });
+}
+
+function timeToFirstView(estimate) {
+  if (!estimate.first_viewed_at) return null;
+  return Math.max(0, Date.parse(estimate.first_viewed_at) - Date.parse(sentAt(estimate)));
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+}
+
+function medianTimeToFirstView(estimates) {
+  return median(estimates.map(timeToFirstView).filter(ms => ms !== null));
+}
+
+function deviceBreakdown(dailyStats) {
+  const devices = new Map();
+  for (const row of dailyStats) {
+    if (!devices.has(row.deviceType)) devices.set(row.deviceType, { deviceType: row.deviceType, ...eventCounts() });
+    addCount(devices.get(row.deviceType), row);
+  }
+  const total = row => row.views + row.opens + row.downloads;
+  return [...devices.values()].sort((a, b) => total(b) - total(a));
+}
+
+// Page views by the site the customer followed the link from
+function referrerBreakdown(dailyStats) {
+  const referrers = new Map();
+  let total = 0;
+  for (const row of dailyStats) {
+    if (row.eventType !== VIEW_EVENT_PAGE) continue;
+    referrers.set(row.referrer, (referrers.get(row.referrer) || 0) + row.count);
+    total += row.count;
+  }
+  return [...referrers]
+    .map(([referrer, views]) => ({ referrer, views, share: rate(views, total) }))
+    .sort((a, b) => b.views - a.views);
+}
+
+function estimateRows(estimates) {
+  return estimates.map(estimate => ({
+    trackingId: estimate.tracking_id,
+    title: estimate.title || null,
+    customerName: estimate.customerName || null,
+    customerEmail: estimate.customerEmail || null,
+    total: estimate.total ?? null,
+    status: estimate.status || 'pending',
+    sentAt: sentAt(estimate),
+    firstOpenedAt: estimate.first_opened_at || null,
+    firstViewedAt: estimate.first_viewed_at || null,
+    timeToFirstViewMs: timeToFirstView(estimate),
+    views: estimate.view_count,
+    pdfDownloads: estimate.pdf_download_count
+  }));
+}
+
+// Reports available one at a time, as JSON or CSV. `data` is
+// { estimates, dailyStats } for the range.
+const REPORTS = {
+  views: {
+    columns: ['period', 'views', 'opens', 'downloads'],
+    build: (data, options) => viewSeries(data.dailyStats, options)
+  },
+  funnel: {
+    columns: ['stage', 'count', 'rate'],
+    build: data => funnel(data.estimates)
+  },
+  devices: {
+    columns: ['deviceType', 'views', 'opens', 'downloads'],
+    build: data => deviceBreakdown(data.dailyStats)
+  },
+  referrers: {
+    columns: ['referrer', 'views', 'share'],
+    build: data => referrerBreakdown(data.dailyStats)
+  },
+  estimates: {
+    columns: [
+      'trackingId', 'title', 'customerName', 'customerEmail', 'total', 'status', 'sentAt',
+      'firstOpenedAt', 'firstViewedAt', 'timeToFirstViewMs', 'views', 'pdfDownloads'
+    ],
+    build: data => estimateRows(data.estimates)
+  }
+};
+
+// Everything but the per-estimate rows, for a dashboard
+function buildOverview(data, options) {
+  return {
+    from: options.from,
+    to: options.to,
+    interval: options.interval,
+    customer: options.customer,
+    series: viewSeries(data.dailyStats, options),
+    funnel: funnel(data.estimates),
+    medianTimeToFirstViewMs: medianTimeToFirstView(data.estimates),
+    devices: deviceBreakdown(data.dailyStats),
+    referrers: referrerBreakdown(data.dailyStats)
+  };
+}
+
+// Cells starting with = + - @ are prefixed so spreadsheets don't run them
+// as formulas
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(columns, rows) {
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => csvCell(row[column])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = { INTERVALS, FORMATS, REPORTS, parseReportQuery, createdRange, buildOverview, toCsv };
@@ -0,0 +1,161 @@
+// Request validation against the schemas in lib/api-schemas.js. Supports the
+// part of JSON Schema that OpenAPI 3.0 documents use here: type, nullable,
+// allOf, enum, string length, pattern and format, number bounds, array
+// items and object properties with required fields. Properties a schema doesn't list
+// are allowed, so newer app builds can send fields older servers ignore.
+
+const FORMATS = {
+  'date-time': value => !Number.isNaN(Date.parse(value)),
+  // A date-time is accepted too; the time is dropped
+  date: value => /^\d{4}-\d{2}-\d{2}/.test(value) && !Number.isNaN(Date.parse(value)),
+  email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  uri: value => {
+    try {
+      new URL(value);
+      return true;
+    } catch (err) {
+      return false;
+    }
+  }
+};
+
+const FORMAT_NAMES = {
+  'date-time': 'an ISO 8601 date and time',
+  date: 'a date (YYYY-MM-DD)',
+  email: 'an email address',
+  uri: 'a URL'
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(type, value) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function describeType(type) {
+  switch (type) {
+    case 'integer': return 'a whole number';
+    case 'array': return 'an array';
+    case 'object': return 'an object';
+    default: return `a ${type}`;
+  }
+}
+
+function join(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+// Schemas may point at a shared one in components with $ref
+function resolve(schema, components) {
+  if (!schema?.$ref) return schema;
+  return components[schema.$ref.replace('#/components/schemas/', '')];
+}
+
+// Appends { field, message } for each way `value` doesn't match `schema`
+function check(schema, value, field, components, errors) {
+  schema = resolve(schema, components);
+  if (!schema) return errors;
+
+  if (value === null) {
+    if (!schema.nullable && (schema.type || schema.allOf)) errors.push({ field, message: 'must not be null' });
+    return errors;
+  }
+  for (const part of schema.allOf || []) {
+    check(part, value, field, components, errors);
+  }
+  if (schema.type && !matchesType(schema.type, value)) {
+    errors.push({ field, message: `must be ${describeType(schema.type)}` });
+    return errors;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ field, message: `must be one of: ${schema.enum.join(', ')}` });
+    return errors;
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      errors.push({ field, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+    } else if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ field, message: `must be at most ${schema.maxLength} characters` });
+    } else if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ field, message: schema['x-pattern-message'] || 'is not in the expected format' });
+    } else if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+      errors.push({ field, message: `must be ${FORMAT_NAMES[schema.format]}` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      errors.push({ field, message: 'must be a finite number' });
+    } else if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ field, message: `must be at least ${schema.minimum}` });
+    } else if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ field, message: `must be at most ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ field, message: `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+    } else if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ field, message: `must have at most ${schema.maxItems} items` });
+    } else if (schema.items) {
+      value.forEach((item, i) => check(schema.items, item, join(field, i), components, errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) errors.push({ field: join(field, name), message: 'is required' });
+    }
+    for (const [name, property] of Object.entries(schema.properties || {})) {
+      if (value[name] !== undefined) check(property, value[name], join(field, name), components, errors);
+    }
+  }
+
+  return errors;
+}
+
+// Query strings and path parameters arrive as strings; numbers and booleans
+// are checked after conversion. Values that don't convert are left as
+// strings so the type check reports them.
+function fromString(schema, value, components) {
+  const type = resolve(schema, components)?.type;
+  if (typeof value !== 'string' || value === '') return value;
+  if ((type === 'integer' || type === 'number') && Number.isFinite(Number(value))) return Number(value);
+  if (type === 'boolean' && (value === 'true' || value === 'false')) return value === 'true';
+  return value;
+}
+
+// Validate a value against a schema. Returns [] or [{ field, message }].
+function validate(schema, value, { components = {}, field = '' } = {}) {
+  return check(schema, value, field, components, []);
+}
+
+// Validate query or path parameters ({ name, required, schema }) against
+// req.query or req.params
+function validateParameters(parameters, values, { components = {} } = {}) {
+  const errors = [];
+  for (const parameter of parameters) {
+    const value = values[parameter.name];
+    if (value === undefined) {
+      if (parameter.required) errors.push({ field: parameter.name, message: 'is required' });
+      continue;
+    }
+    if (Array.isArray(value)) {
+      errors.push({ field: parameter.name, message: 'must only be given once' });
+      continue;
+    }
+    check(parameter.schema, fromString(parameter.schema, value, components), parameter.name, components, errors);
+  }
+  return errors;
+}
+
+module.exports = { validate, validateParameters };
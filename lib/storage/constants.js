@@ -0,0 +1,37 @@
+// Caps applied by every storage backend to prevent unbounded growth.
+// Notifications aren't capped, so their whole history can be paged through;
+// NOTIFICATION_RETENTION_DAYS limits it instead.
+const MAX_VIEWS = 10000; // per estimate
+const MAX_WEBHOOK_DELIVERIES = 5000; // finished deliveries kept for the log
+const MAX_ENGAGEMENT_SESSIONS = 10000;
+const MAX_STREAM_EVENTS = 10000; // activity stream log, for Last-Event-ID resume
+
+// Contractor that owns data from the single-contractor era, and the one the
+// legacy API_KEY acts as
+const DEFAULT_CONTRACTOR_ID = 'default';
+
+// Event types stored with each view. PDF downloads are tracked alongside
+// views but don't count towards view totals.
+const VIEW_EVENT_PAGE = 'page';
+const VIEW_EVENT_PIXEL = 'pixel';
+const VIEW_EVENT_PDF = 'pdf';
+
+// Who a view is attributed to. Only human views count towards view totals
+// and trigger notifications; the rest are kept for the raw counts.
+const VIEW_CLASS_HUMAN = 'human';
+const VIEW_CLASS_PROXY = 'proxy'; // mail client image proxies and prefetch
+const VIEW_CLASS_BOT = 'bot'; // link scanners, crawlers, scripts
+
+module.exports = {
+  MAX_VIEWS,
+  MAX_WEBHOOK_DELIVERIES,
+  MAX_ENGAGEMENT_SESSIONS,
+  MAX_STREAM_EVENTS,
+  DEFAULT_CONTRACTOR_ID,
+  VIEW_EVENT_PAGE,
+  VIEW_EVENT_PIXEL,
+  VIEW_EVENT_PDF,
+  VIEW_CLASS_HUMAN,
+  VIEW_CLASS_PROXY,
+  VIEW_CLASS_BOT
+};
@@ -0,0 +1,20 @@
+// Orders the estimate list can be sorted in. Pagination cursors carry the
+// sort value of the last estimate on a page, so every backend must compute
+// it the same way: missing totals sort as -1, missing titles and view times
+// as ''. Ties are broken by tracking ID.
+
+const ESTIMATE_SORTS = ['createdAt', 'updatedAt', 'total', 'title', 'lastViewedAt', 'viewCount'];
+
+// Sort value of an estimate as listEstimates returns it
+function estimateSortValue(estimate, sort) {
+  switch (sort) {
+    case 'updatedAt': return estimate.updatedAt || estimate.created_at;
+    case 'total': return estimate.total ?? -1;
+    case 'title': return (estimate.title || '').toLowerCase();
+    case 'lastViewedAt': return estimate.last_viewed_at || '';
+    case 'viewCount': return estimate.view_count || 0;
+    default: return estimate.created_at;
+  }
+}
+
+module.exports = { ESTIMATE_SORTS, estimateSortValue };
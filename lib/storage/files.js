@@ -0,0 +1,40 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Replace `file` with `contents` without ever leaving it half-written. The
+// data goes to a temporary file in the same directory and is flushed to
+// disk before being renamed over the original, so a crash leaves either the
+// old file or the new one.
+async function writeFileAtomic(file, contents) {
+  const temp = path.join(path.dirname(file), `.${path.basename(file)}.${crypto.randomBytes(6).toString('hex')}.tmp`);
+  try {
+    const handle = await fs.promises.open(temp, 'w', 0o600);
+    try {
+      await handle.writeFile(contents);
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.promises.rename(temp, file);
+  } catch (err) {
+    await fs.promises.rm(temp, { force: true });
+    throw err;
+  }
+}
+
+// Whether `file` and the directory it is in can be written to, found by
+// writing and removing a probe file next to it. Returns { writable, error }.
+async function checkWritable(file) {
+  const probe = path.join(path.dirname(file), `.${path.basename(file)}.write-check`);
+  try {
+    await fs.promises.writeFile(probe, '');
+    await fs.promises.rm(probe);
+    if (fs.existsSync(file)) await fs.promises.access(file, fs.constants.W_OK);
+    return { writable: true, error: null };
+  } catch (err) {
+    return { writable: false, error: err.code || err.message };
+  }
+}
+
+module.exports = { writeFileAtomic, checkWritable };
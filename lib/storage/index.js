@@ -0,0 +1,53 @@
+const fs = require('fs');
+const path = require('path');
+const { createJsonStore } = require('./json-store');
+const { createSqliteStore } = require('./sqlite-store');
+const { logger } = require('../logger');
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+const LEGACY_JSON_FILE = path.join(ROOT_DIR, 'tracking-data.json');
+
+// Pick a backend from STORAGE_DRIVER ('sqlite' by default, 'json' for local
+// development) and open it. Every backend exposes the same async interface.
+async function createStorage(options = {}) {
+  const driver = options.driver || process.env.STORAGE_DRIVER || 'sqlite';
+  let store;
+
+  if (driver === 'sqlite') {
+    store = createSqliteStore({
+      file: options.file || process.env.DATABASE_PATH || path.join(ROOT_DIR, 'tracking.db')
+    });
+  } else if (driver === 'json') {
+    store = createJsonStore({
+      file: options.file || process.env.JSON_DB_PATH || LEGACY_JSON_FILE
+    });
+  } else {
+    throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected "sqlite" or "json")`);
+  }
+
+  await store.init();
+
+  if (driver === 'sqlite' && options.importLegacy !== false) {
+    await importLegacyJson(store, LEGACY_JSON_FILE);
+  }
+
+  return store;
+}
+
+// One-time import of an existing tracking-data.json into a fresh store. The
+// file is renamed afterwards so the import never runs twice.
+async function importLegacyJson(store, file) {
+  if (!fs.existsSync(file) || !(await store.isEmpty())) return false;
+
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  await store.importData(data);
+  fs.renameSync(file, `${file}.imported`);
+
+  logger.info(`Imported ${path.basename(file)}`, {
+    estimates: Object.keys(data.estimates || {}).length,
+    views: (data.views || []).length
+  });
+  return true;
+}
+
+module.exports = { createStorage, importLegacyJson };
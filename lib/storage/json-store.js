@@ -0,0 +1,772 @@
+const fs = require('fs');
+const {
+  MAX_VIEWS,
+  MAX_WEBHOOK_DELIVERIES,
+  MAX_ENGAGEMENT_SESSIONS,
+  MAX_STREAM_EVENTS,
+  DEFAULT_CONTRACTOR_ID,
+  VIEW_EVENT_PAGE,
+  VIEW_CLASS_HUMAN
+} = require('./constants');
+const { emptyData, normalizeSnapshot } = require('./snapshot');
+const { viewIncrements, dailyStatKey, dailyStatId, emptyEstimateStats, applyIncrements, firstEvents } = require('./stats');
+const { estimateSortValue } = require('./estimate-sorts');
+const { writeFileAtomic, checkWritable } = require('./files');
+const { logger } = require('../logger');
+
+// JSON file-based storage. Keeps everything in memory and rewrites the whole
+// file on every change, so it is only meant for local development.
+function createJsonStore({ file }) {
+  let data = normalizeSnapshot(emptyData());
+  let dailyStats = new Map(); // dailyStatId -> row of data.dailyStats
+  let writeInProgress = false;
+  let writePending = false;
+  let lastSaveError = null;
+
+  // A file that can't be read stops startup. Starting empty instead would
+  // overwrite it, and every estimate with it, on the next save.
+  function load() {
+    if (!fs.existsSync(file)) return normalizeSnapshot(emptyData());
+    try {
+      return normalizeSnapshot(JSON.parse(fs.readFileSync(file, 'utf8')));
+    } catch (err) {
+      throw new Error(`${file} is unreadable (${err.message}). Move it aside, then restore a backup ` +
+        'with `npm run backup -- import <file>` or start the server again with no data.');
+    }
+  }
+
+  async function save() {
+    if (writeInProgress) {
+      writePending = true;
+      return;
+    }
+    writeInProgress = true;
+    try {
+      await writeFileAtomic(file, JSON.stringify(data, null, 2));
+      lastSaveError = null;
+    } catch (err) {
+      lastSaveError = err.code || err.message;
+      logger.error('Failed to save database', { file, err });
+    }
+    writeInProgress = false;
+    if (writePending) {
+      writePending = false;
+      await save();
+    }
+  }
+
+  // Views stored before event types and classification existed are page
+  // views by humans
+  function withDefaults(view) {
+    return {
+      ...view,
+      event_type: view.event_type || VIEW_EVENT_PAGE,
+      classification: view.classification || VIEW_CLASS_HUMAN,
+      classification_reason: view.classification_reason ?? null
+    };
+  }
+
+  // Devices registered before push preferences existed get the defaults
+  function deviceWithDefaults(device) {
+    return {
+      ...device,
+      muted: Boolean(device.muted),
+      quietHoursStart: device.quietHoursStart ?? null,
+      quietHoursEnd: device.quietHoursEnd ?? null,
+      timeZone: device.timeZone ?? null,
+      viewAlerts: device.viewAlerts || 'first'
+    };
+  }
+
+  function indexDailyStats() {
+    dailyStats = new Map(data.dailyStats.map(row => [dailyStatId(row), row]));
+  }
+
+  function addViewStats(view) {
+    const { trackingId, ...increments } = viewIncrements(view);
+    data.estimateStats[trackingId] = applyIncrements(data.estimateStats[trackingId] || emptyEstimateStats(trackingId), increments);
+    const key = dailyStatKey(view);
+    if (!key) return;
+    const id = dailyStatId(key);
+    if (!dailyStats.has(id)) {
+      const row = { ...key, count: 0 };
+      data.dailyStats.push(row);
+      dailyStats.set(id, row);
+    }
+    dailyStats.get(id).count++;
+  }
+
+  // Matches part of the customer's name or email
+  function matchesCustomer(estimate, customer) {
+    if (!customer) return true;
+    const needle = customer.toLowerCase();
+    return [estimate.customerName, estimate.customerEmail].some(value => value && value.toLowerCase().includes(needle));
+  }
+
+  function ownedBy(estimate, contractorId, includeUnowned) {
+    return estimate.contractorId === contractorId || (includeUnowned && !estimate.contractorId);
+  }
+
+  // Every search term appears in the title, customer name or email
+  function matchesSearch(estimate, search) {
+    const fields = [estimate.title, estimate.customerName, estimate.customerEmail].map(value => (value || '').toLowerCase());
+    return (search || []).every(term => fields.some(field => field.includes(term.toLowerCase())));
+  }
+
+  function matchesViewState(estimate, viewState) {
+    if (viewState === 'unviewed') return !estimate.first_viewed_at && !estimate.first_opened_at;
+    if (viewState === 'opened') return !estimate.first_viewed_at && Boolean(estimate.first_opened_at);
+    if (viewState === 'viewed') return Boolean(estimate.first_viewed_at);
+    return true;
+  }
+
+  function compare(a, b) {
+    return a < b ? -1 : a > b ? 1 : 0;
+  }
+
+  // Records whose fields equal every defined value in `filter`
+  function matchesFilter(record, filter) {
+    return Object.entries(filter).every(([key, value]) => value === undefined || record[key] === value);
+  }
+
+  function viewsFor(trackingId) {
+    return data.views
+      .filter(v => v.tracking_id === trackingId)
+      .map(withDefaults)
+      .sort((a, b) => new Date(b.viewed_at) - new Date(a.viewed_at));
+  }
+
+  return {
+    driver: 'json',
+
+    async init() {
+      data = load();
+      indexDailyStats();
+    },
+
+    async close() {
+      await save();
+    },
+
+    // A failed save makes the store unwritable until a save succeeds
+    async checkWritable() {
+      const status = await checkWritable(file);
+      return status.writable && lastSaveError ? { writable: false, error: lastSaveError } : status;
+    },
+
+    async isEmpty() {
+      return Object.keys(data.estimates).length === 0 && data.views.length === 0;
+    },
+
+    // Estimates
+
+    async getEstimate(trackingId) {
+      return data.estimates[trackingId] || null;
+    },
+
+    async saveEstimate(estimate) {
+      data.estimates[estimate.tracking_id] = estimate;
+      await save();
+      return estimate;
+    },
+
+    async findEstimateByMessageId(messageId) {
+      return Object.values(data.estimates).find(e => e.emailMessageId === messageId) || null;
+    },
+
+    // Removes the estimate with its revisions, views, counters, engagement,
+    // responses, messages, notifications, follow-ups, activity stream events
+    // and webhook deliveries. Resolves with { webhookDeliveries } (how many
+    // deliveries went with it), or null if there was no such estimate.
+    async deleteEstimate(trackingId) {
+      if (!data.estimates[trackingId]) return null;
+      delete data.estimates[trackingId];
+      delete data.estimateStats[trackingId];
+      data.views = data.views.filter(v => v.tracking_id !== trackingId);
+      data.dailyStats = data.dailyStats.filter(row => row.trackingId !== trackingId);
+      indexDailyStats();
+      const dependent = [
+        'engagementSessions', 'statusEvents', 'notifications', 'followupJobs', 'streamEvents', 'messages', 'revisions'
+      ];
+      for (const key of dependent) {
+        data[key] = data[key].filter(record => record.trackingId !== trackingId);
+      }
+      const deliveries = new Set(data.webhookDeliveries
+        .filter(d => JSON.parse(d.payload).data?.trackingId === trackingId)
+        .map(d => d.id));
+      data.webhookDeliveries = data.webhookDeliveries.filter(d => !deliveries.has(d.id));
+      data.webhookAttempts = data.webhookAttempts.filter(a => !deliveries.has(a.deliveryId));
+      await save();
+      return { webhookDeliveries: deliveries.size };
+    },
+
+    // includeUnowned adds estimates created by views before registration
+    // With view counters, newest first unless `sort` / `order` say
+    // otherwise. Filters: `trackingId`, `createdFrom` / `createdTo` (to is
+    // exclusive), `customer` (part of the name or email), `customerEmail`
+    // (the whole email, ignoring case), `search` (terms
+    // that must each appear in the title, customer name or email),
+    // `statuses`, `minTotal` / `maxTotal` and `viewState` (unviewed, opened
+    // or viewed). `after` ({ value, trackingId } of the last estimate on the
+    // previous page) continues a page. A null limit lists them all.
+    async listEstimates({
+      contractorId, includeUnowned = false, trackingId, limit = 100, createdFrom, createdTo, customer, customerEmail,
+      search, statuses, minTotal, maxTotal, viewState, sort = 'createdAt', order = 'desc', after
+    } = {}) {
+      const direction = order === 'asc' ? 1 : -1;
+      const byOrder = (a, b) => direction * (compare(estimateSortValue(a, sort), estimateSortValue(b, sort)) ||
+        compare(a.tracking_id, b.tracking_id));
+
+      const estimates = Object.values(data.estimates)
+        .filter(estimate => ownedBy(estimate, contractorId, includeUnowned) && matchesCustomer(estimate, customer))
+        .filter(estimate => !trackingId || estimate.tracking_id === trackingId)
+        .filter(estimate => !customerEmail || (estimate.customerEmail || '').toLowerCase() === customerEmail.toLowerCase())
+        .filter(estimate => (!createdFrom || estimate.created_at >= createdFrom) && (!createdTo || estimate.created_at < createdTo))
+        .filter(estimate => matchesSearch(estimate, search) && (!statuses?.length || statuses.includes(estimate.status || 'pending')))
+        .filter(estimate => (minTotal == null || estimate.total >= minTotal) && (maxTotal == null || estimate.total <= maxTotal))
+        .map(estimate => {
+          const stats = data.estimateStats[estimate.tracking_id] || emptyEstimateStats(estimate.tracking_id);
+          return {
+            ...estimate,
+            view_count: stats.viewCount,
+            raw_view_count: stats.rawViewCount,
+            last_viewed_at: stats.lastViewedAt,
+            pdf_download_count: stats.pdfDownloadCount,
+            first_opened_at: stats.firstOpenedAt,
+            first_viewed_at: stats.firstViewedAt
+          };
+        })
+        .filter(estimate => matchesViewState(estimate, viewState))
+        .filter(estimate => !after || direction * (
+          compare(estimateSortValue(estimate, sort), after.value) || compare(estimate.tracking_id, after.trackingId)
+        ) > 0);
+      estimates.sort(byOrder);
+      return limit ? estimates.slice(0, limit) : estimates;
+    },
+
+    // Daily counters of human events on the contractor's estimates, for
+    // days from `from` to `to` (YYYY-MM-DD, inclusive)
+    async listDailyStats({ contractorId, includeUnowned = false, from, to, customer } = {}) {
+      return data.dailyStats
+        .filter(row => row.day >= from && row.day <= to)
+        .filter(row => {
+          const estimate = data.estimates[row.trackingId];
+          return estimate && ownedBy(estimate, contractorId, includeUnowned) && matchesCustomer(estimate, customer);
+        })
+        .sort((a, b) => a.day.localeCompare(b.day))
+        .map(row => ({ ...row }));
+    },
+
+    // Views
+
+    // Both flags are only set for human views:
+    // isFirstView: no earlier human page view or pixel open for this estimate
+    // isFirstOfType: no earlier human event of the same event_type
+    async addView(view) {
+      if (!data.estimates[view.tracking_id]) {
+        data.estimates[view.tracking_id] = {
+          tracking_id: view.tracking_id,
+          contractorId: null,
+          status: 'pending',
+          created_at: view.viewed_at
+        };
+      }
+      const lastId = data.views.length > 0 ? data.views[data.views.length - 1].id : 0;
+      const stored = withDefaults({ id: lastId + 1, ...view });
+      const { isFirstView, isFirstOfType } = firstEvents(data.estimateStats[view.tracking_id], stored);
+      data.views.push(stored);
+      addViewStats(stored);
+      const estimateViews = data.views.filter(v => v.tracking_id === view.tracking_id);
+      if (estimateViews.length > MAX_VIEWS) {
+        const dropped = new Set(estimateViews.slice(0, -MAX_VIEWS));
+        data.views = data.views.filter(v => !dropped.has(v));
+      }
+      await save();
+      return { view: stored, isFirstView, isFirstOfType };
+    },
+
+    async listViews(trackingId) {
+      return viewsFor(trackingId);
+    },
+
+    // Replace stored IPs with anonymize(ip) wherever that gives a new
+    // value. Resolves with the number of views changed.
+    async anonymizeViewIPs(anonymize) {
+      let changed = 0;
+      for (const view of data.views) {
+        const anonymized = view.ip_address && anonymize(view.ip_address);
+        if (anonymized && anonymized !== view.ip_address) {
+          view.ip_address = anonymized;
+          changed++;
+        }
+      }
+      if (changed > 0) await save();
+      return changed;
+    },
+
+    // Delete views recorded before `before`. Their estimate and daily
+    // counters are kept. Resolves with the number deleted.
+    async purgeViews(before) {
+      const count = data.views.length;
+      data.views = data.views.filter(v => v.viewed_at >= before);
+      if (data.views.length < count) await save();
+      return count - data.views.length;
+    },
+
+    // Engagement sessions
+
+    async addEngagementSession(session) {
+      data.engagementSessions.push(session);
+      if (data.engagementSessions.length > MAX_ENGAGEMENT_SESSIONS) {
+        data.engagementSessions = data.engagementSessions.slice(-MAX_ENGAGEMENT_SESSIONS);
+      }
+      await save();
+      return session;
+    },
+
+    async getEngagementSession(sessionId) {
+      return data.engagementSessions.find(s => s.id === sessionId) || null;
+    },
+
+    async saveEngagementSession(session) {
+      const index = data.engagementSessions.findIndex(s => s.id === session.id);
+      if (index === -1) return null;
+      data.engagementSessions[index] = session;
+      await save();
+      return session;
+    },
+
+    // Oldest first
+    async listEngagementSessions(trackingId) {
+      return data.engagementSessions
+        .filter(s => s.trackingId === trackingId)
+        .sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+    },
+
+    // Status history
+
+    async addStatusEvent(event) {
+      const lastId = data.statusEvents.length > 0 ? data.statusEvents[data.statusEvents.length - 1].id : 0;
+      const stored = { id: lastId + 1, ...event };
+      data.statusEvents.push(stored);
+      const estimate = data.estimates[event.trackingId];
+      if (estimate) {
+        estimate.status = event.status;
+        estimate.statusUpdatedAt = event.createdAt;
+      }
+      await save();
+      return stored;
+    },
+
+    async listStatusEvents(trackingId) {
+      return data.statusEvents.filter(e => e.trackingId === trackingId);
+    },
+
+    // Revisions
+
+    async saveRevision(estimate, revision) {
+      data.estimates[estimate.tracking_id] = estimate;
+      data.revisions.push(JSON.parse(JSON.stringify(revision)));
+      await save();
+      return estimate;
+    },
+
+    // Oldest first
+    async listRevisions(trackingId) {
+      return data.revisions
+        .filter(r => r.trackingId === trackingId)
+        .sort((a, b) => a.version - b.version)
+        .map(r => JSON.parse(JSON.stringify(r)));
+    },
+
+    async getRevision(trackingId, version) {
+      const revision = data.revisions.find(r => r.trackingId === trackingId && r.version === version);
+      return revision ? JSON.parse(JSON.stringify(revision)) : null;
+    },
+
+    // Messages
+
+    async addMessage(message) {
+      data.messages.push({ ...message });
+      await save();
+      return message;
+    },
+
+    // Oldest first
+    async listMessages(trackingId) {
+      return data.messages.filter(m => m.trackingId === trackingId).map(m => ({ ...m }));
+    },
+
+    // Devices
+
+    async listDevices(contractorId) {
+      return data.devices.filter(d => d.contractorId === contractorId).map(deviceWithDefaults);
+    },
+
+    async getDevice(token) {
+      const device = data.devices.find(d => d.token === token);
+      return device ? deviceWithDefaults(device) : null;
+    },
+
+    async saveDevice(device) {
+      data.devices = data.devices.filter(d => d.token !== device.token);
+      data.devices.push(device);
+      await save();
+      return device;
+    },
+
+    async deleteDevice(token) {
+      const before = data.devices.length;
+      data.devices = data.devices.filter(d => d.token !== token);
+      if (data.devices.length === before) return false;
+      await save();
+      return true;
+    },
+
+    // Notifications
+
+    // Newest first. `since` keeps those after a time; `before` ({ viewedAt,
+    // id } of the last one on the previous page) continues a page.
+    async listNotifications(contractorId, { since, before, limit } = {}) {
+      const notifications = data.notifications
+        .filter(n => n.contractorId === contractorId)
+        .filter(n => !since || n.viewedAt > since)
+        .filter(n => !before || n.viewedAt < before.viewedAt || (n.viewedAt === before.viewedAt && n.id < before.id))
+        .sort((a, b) => b.viewedAt.localeCompare(a.viewedAt) || (a.id < b.id ? 1 : a.id > b.id ? -1 : 0));
+      return limit ? notifications.slice(0, limit) : notifications;
+    },
+
+    async countUnreadNotifications(contractorId) {
+      return data.notifications.filter(n => n.contractorId === contractorId && !n.isRead).length;
+    },
+
+    async addNotification(notification) {
+      data.notifications.unshift(notification);
+      await save();
+      return notification;
+    },
+
+    // Delete notifications of every contractor from before `before`.
+    // Resolves with the number deleted.
+    async purgeNotifications(before) {
+      const count = data.notifications.length;
+      data.notifications = data.notifications.filter(n => n.viewedAt >= before);
+      if (data.notifications.length < count) await save();
+      return count - data.notifications.length;
+    },
+
+    async markNotificationRead(contractorId, notificationId) {
+      const notification = data.notifications.find(n => n.id === notificationId && n.contractorId === contractorId);
+      if (!notification) return false;
+      notification.isRead = true;
+      await save();
+      return true;
+    },
+
+    async markAllNotificationsRead(contractorId) {
+      data.notifications
+        .filter(n => n.contractorId === contractorId)
+        .forEach(n => n.isRead = true);
+      await save();
+    },
+
+    // Contractors
+
+    async getContractor(contractorId) {
+      return data.contractors[contractorId] || null;
+    },
+
+    async listContractors() {
+      return Object.values(data.contractors);
+    },
+
+    async saveContractor(contractor) {
+      data.contractors[contractor.id] = contractor;
+      await save();
+      return contractor;
+    },
+
+    // Contractor logos, with the image base64-encoded in `data`
+
+    async getContractorLogo(contractorId) {
+      return data.contractorLogos.find(l => l.contractorId === contractorId) || null;
+    },
+
+    async saveContractorLogo(logo) {
+      data.contractorLogos = data.contractorLogos.filter(l => l.contractorId !== logo.contractorId);
+      data.contractorLogos.push(logo);
+      await save();
+      return logo;
+    },
+
+    async deleteContractorLogo(contractorId) {
+      const count = data.contractorLogos.length;
+      data.contractorLogos = data.contractorLogos.filter(l => l.contractorId !== contractorId);
+      if (data.contractorLogos.length === count) return false;
+      await save();
+      return true;
+    },
+
+    // API keys (only the hash of a key is stored)
+
+    async addApiKey(apiKey) {
+      data.apiKeys.push(apiKey);
+      await save();
+      return apiKey;
+    },
+
+    async findApiKeyByHash(keyHash) {
+      return data.apiKeys.find(k => k.keyHash === keyHash && !k.revokedAt) || null;
+    },
+
+    async listApiKeys(contractorId) {
+      return data.apiKeys.filter(k => k.contractorId === contractorId);
+    },
+
+    async revokeApiKey(contractorId, keyId) {
+      const apiKey = data.apiKeys.find(k => k.id === keyId && k.contractorId === contractorId && !k.revokedAt);
+      if (!apiKey) return false;
+      apiKey.revokedAt = new Date().toISOString();
+      await save();
+      return true;
+    },
+
+    // Webhooks
+
+    async listWebhooks(contractorId) {
+      return data.webhooks.filter(w => w.contractorId === contractorId);
+    },
+
+    async getWebhook(webhookId) {
+      return data.webhooks.find(w => w.id === webhookId) || null;
+    },
+
+    async saveWebhook(webhook) {
+      const index = data.webhooks.findIndex(w => w.id === webhook.id);
+      if (index === -1) {
+        data.webhooks.push(webhook);
+      } else {
+        data.webhooks[index] = webhook;
+      }
+      await save();
+      return webhook;
+    },
+
+    // Also removes the subscription's deliveries and their attempt log
+    async deleteWebhook(webhookId) {
+      const before = data.webhooks.length;
+      data.webhooks = data.webhooks.filter(w => w.id !== webhookId);
+      if (data.webhooks.length === before) return false;
+      const dropped = new Set(data.webhookDeliveries.filter(d => d.webhookId === webhookId).map(d => d.id));
+      data.webhookDeliveries = data.webhookDeliveries.filter(d => !dropped.has(d.id));
+      data.webhookAttempts = data.webhookAttempts.filter(a => !dropped.has(a.deliveryId));
+      await save();
+      return true;
+    },
+
+    async addWebhookDelivery(delivery) {
+      data.webhookDeliveries.push(delivery);
+      const finished = data.webhookDeliveries.filter(d => d.status !== 'pending');
+      if (finished.length > MAX_WEBHOOK_DELIVERIES) {
+        const dropped = new Set(finished.slice(0, finished.length - MAX_WEBHOOK_DELIVERIES).map(d => d.id));
+        data.webhookDeliveries = data.webhookDeliveries.filter(d => !dropped.has(d.id));
+        data.webhookAttempts = data.webhookAttempts.filter(a => !dropped.has(a.deliveryId));
+      }
+      await save();
+      return delivery;
+    },
+
+    async listDueWebhookDeliveries(now, limit) {
+      return data.webhookDeliveries
+        .filter(d => d.status === 'pending' && d.nextAttemptAt <= now)
+        .sort((a, b) => a.nextAttemptAt.localeCompare(b.nextAttemptAt))
+        .slice(0, limit)
+        .map(d => ({ ...d }));
+    },
+
+    async recordWebhookAttempt(delivery, attempt) {
+      const index = data.webhookDeliveries.findIndex(d => d.id === delivery.id);
+      if (index === -1) return;
+      data.webhookDeliveries[index] = delivery;
+      const id = data.webhookAttempts.reduce((max, a) => Math.max(max, a.id), 0) + 1;
+      data.webhookAttempts.push({ id, ...attempt });
+      await save();
+    },
+
+    // Most recent deliveries first, each with its attempts
+    async listWebhookDeliveries(webhookId, { limit = 50 } = {}) {
+      return data.webhookDeliveries
+        .filter(d => d.webhookId === webhookId)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .slice(0, limit)
+        .map(d => ({ ...d, attemptLog: data.webhookAttempts.filter(a => a.deliveryId === d.id) }));
+    },
+
+    // Follow-ups
+
+    async listFollowupRules(contractorId) {
+      return data.followupRules
+        .filter(r => r.contractorId === contractorId)
+        .sort((a, b) => a.trigger.localeCompare(b.trigger) || a.delayDays - b.delayDays);
+    },
+
+    async getFollowupRule(ruleId) {
+      return data.followupRules.find(r => r.id === ruleId) || null;
+    },
+
+    async saveFollowupRule(rule) {
+      const index = data.followupRules.findIndex(r => r.id === rule.id);
+      if (index === -1) {
+        data.followupRules.push(rule);
+      } else {
+        data.followupRules[index] = rule;
+      }
+      await save();
+      return rule;
+    },
+
+    async deleteFollowupRule(ruleId) {
+      const before = data.followupRules.length;
+      data.followupRules = data.followupRules.filter(r => r.id !== ruleId);
+      if (data.followupRules.length === before) return false;
+      await save();
+      return true;
+    },
+
+    async addFollowupJobs(jobs) {
+      data.followupJobs.push(...jobs);
+      await save();
+      return jobs;
+    },
+
+    async saveFollowupJob(job) {
+      const index = data.followupJobs.findIndex(j => j.id === job.id);
+      if (index === -1) {
+        data.followupJobs.push(job);
+      } else {
+        data.followupJobs[index] = job;
+      }
+      await save();
+      return job;
+    },
+
+    // Filter by any of id, contractorId, trackingId, ruleId, trigger and status;
+    // soonest due first
+    async listFollowupJobs({ limit = 1000, ...filter } = {}) {
+      return data.followupJobs
+        .filter(job => matchesFilter(job, filter))
+        .sort((a, b) => a.dueAt.localeCompare(b.dueAt))
+        .slice(0, limit)
+        .map(job => ({ ...job }));
+    },
+
+    async listDueFollowupJobs(now, limit) {
+      return data.followupJobs
+        .filter(job => job.status === 'scheduled' && job.dueAt <= now)
+        .sort((a, b) => a.dueAt.localeCompare(b.dueAt))
+        .slice(0, limit)
+        .map(job => ({ ...job }));
+    },
+
+    // Cancel scheduled jobs matching the filter. Resolves with the count.
+    async cancelFollowupJobs(filter, reason) {
+      const cancelledAt = new Date().toISOString();
+      const jobs = data.followupJobs.filter(job => matchesFilter(job, { ...filter, status: 'scheduled' }));
+      for (const job of jobs) {
+        Object.assign(job, { status: 'cancelled', cancelledAt, cancelReason: reason });
+      }
+      if (jobs.length > 0) await save();
+      return jobs.length;
+    },
+
+    // Notification settings
+
+    async getNotificationSettings(contractorId) {
+      const settings = data.notificationSettings.find(s => s.contractorId === contractorId);
+      return settings ? { ...settings } : null;
+    },
+
+    async saveNotificationSettings(settings) {
+      data.notificationSettings = data.notificationSettings.filter(s => s.contractorId !== settings.contractorId);
+      data.notificationSettings.push(settings);
+      await save();
+      return settings;
+    },
+
+    // Contractors with hourly or daily digests
+    async listDigestSettings() {
+      return data.notificationSettings.filter(s => s.digest !== 'off').map(s => ({ ...s }));
+    },
+
+    // Human views, PDF downloads and customer responses on the contractor's
+    // estimates in (since, until]
+    async listActivity(contractorId, since, until) {
+      const owned = trackingId => {
+        const estimate = data.estimates[trackingId];
+        return estimate && (estimate.contractorId || DEFAULT_CONTRACTOR_ID) === contractorId;
+      };
+      const inPeriod = time => time > since && time <= until;
+      return {
+        views: data.views
+          .map(withDefaults)
+          .filter(v => v.classification === VIEW_CLASS_HUMAN && inPeriod(v.viewed_at) && owned(v.tracking_id))
+          .sort((a, b) => a.viewed_at.localeCompare(b.viewed_at)),
+        statusEvents: data.statusEvents
+          .filter(e => inPeriod(e.createdAt) && owned(e.trackingId))
+          .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      };
+    },
+
+    // Activity stream
+
+    async addStreamEvent(event) {
+      const last = data.streamEvents[data.streamEvents.length - 1];
+      const stored = { ...event, id: last ? last.id + 1 : 1 };
+      data.streamEvents.push(stored);
+      if (data.streamEvents.length > MAX_STREAM_EVENTS) {
+        data.streamEvents = data.streamEvents.slice(-MAX_STREAM_EVENTS);
+      }
+      await save();
+      return stored;
+    },
+
+    // Oldest first, after the given event id
+    async listStreamEvents(contractorId, afterId, limit) {
+      return data.streamEvents.filter(e => e.contractorId === contractorId && e.id > afterId).slice(0, limit);
+    },
+
+    // Privacy audit log
+
+    async addPrivacyAudit(entry) {
+      const last = data.privacyAudit[data.privacyAudit.length - 1];
+      const stored = { ...entry, id: last ? last.id + 1 : 1 };
+      data.privacyAudit.push(stored);
+      await save();
+      return stored;
+    },
+
+    // Newest first. includeSystem adds retention runs, which belong to no
+    // contractor.
+    async listPrivacyAudit({ contractorId, includeSystem = false, limit = 100 } = {}) {
+      return data.privacyAudit
+        .filter(e => e.contractorId === contractorId || (includeSystem && !e.contractorId))
+        .slice(-limit)
+        .reverse()
+        .map(e => ({ ...e }));
+    },
+
+    // Full dataset, in the tracking-data.json layout
+
+    async exportData() {
+      return JSON.parse(JSON.stringify(data));
+    },
+
+    async importData(snapshot) {
+      data = normalizeSnapshot(JSON.parse(JSON.stringify(snapshot)));
+      indexDailyStats();
+      await save();
+    }
+  };
+}
+
+module.exports = { createJsonStore };
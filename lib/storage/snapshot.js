@@ -0,0 +1,85 @@
+const { DEFAULT_CONTRACTOR_ID } = require('./constants');
+const { buildStats } = require('./stats');
+const { createRevision } = require('../estimate-revisions');
+
+// The full dataset in the tracking-data.json layout. Used by the JSON store
+// as its file format and by every backend for import/export.
+function emptyData() {
+  return {
+    estimates: {},
+    views: [],
+    engagementSessions: [],
+    statusEvents: [],
+    devices: [],
+    notifications: [],
+    contractors: {},
+    contractorLogos: [],
+    apiKeys: [],
+    webhooks: [],
+    webhookDeliveries: [],
+    webhookAttempts: [],
+    followupRules: [],
+    followupJobs: [],
+    notificationSettings: [],
+    streamEvents: [],
+    estimateStats: {},
+    dailyStats: [],
+    privacyAudit: [],
+    messages: [],
+    revisions: []
+  };
+}
+
+function defaultContractor() {
+  return {
+    id: DEFAULT_CONTRACTOR_ID,
+    email: null,
+    name: null,
+    companyName: null,
+    locale: null,
+    branding: null,
+    registeredAt: new Date().toISOString()
+  };
+}
+
+// Fill in missing fields and upgrade files written before contractor
+// accounts existed, when everything belonged to the one `contractor`.
+// Nested records are updated in place, so pass a copy you own.
+function normalizeSnapshot(raw) {
+  const data = { ...emptyData(), ...raw };
+
+  if (!raw.contractors || Object.keys(raw.contractors).length === 0) {
+    data.contractors = {};
+    if (raw.contractor) {
+      data.contractors[DEFAULT_CONTRACTOR_ID] = { ...defaultContractor(), ...raw.contractor, id: DEFAULT_CONTRACTOR_ID };
+    }
+    for (const estimate of Object.values(data.estimates)) {
+      if (estimate.contractorId === undefined) estimate.contractorId = DEFAULT_CONTRACTOR_ID;
+    }
+    for (const record of [...data.devices, ...data.notifications]) {
+      if (!record.contractorId) record.contractorId = DEFAULT_CONTRACTOR_ID;
+    }
+  }
+  delete data.contractor;
+
+  // Counters didn't exist yet; count what the view log still has
+  if (!raw.estimateStats) {
+    Object.assign(data, buildStats(data.views));
+  }
+
+  // Versions didn't exist yet; registered estimates start at version 1
+  if (!raw.revisions) {
+    for (const estimate of Object.values(data.estimates)) {
+      if (!estimate.contractorId || estimate.version) continue;
+      estimate.version = 1;
+      data.revisions.push(createRevision(estimate, null, estimate.updatedAt || estimate.created_at));
+    }
+  }
+
+  if (!data.contractors[DEFAULT_CONTRACTOR_ID]) {
+    data.contractors[DEFAULT_CONTRACTOR_ID] = defaultContractor();
+  }
+  return data;
+}
+
+module.exports = { emptyData, normalizeSnapshot };
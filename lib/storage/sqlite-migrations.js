@@ -0,0 +1,407 @@
+const { buildStats } = require('./stats');
+
+// Ordered schema migrations for the SQLite store. The index + 1 of each entry
+// is its schema version, tracked in PRAGMA user_version. Never edit a
+// migration that has shipped; append a new one instead. Entries are SQL, or
+// functions given the database for migrations that need code.
+module.exports = [
+  // 1: initial schema, mirrors the tracking-data.json layout
+  `
+  CREATE TABLE estimates (
+    tracking_id TEXT PRIMARY KEY,
+    title TEXT,
+    customer_name TEXT,
+    customer_email TEXT,
+    total REAL,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX idx_estimates_created_at ON estimates (created_at);
+
+  CREATE TABLE views (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    tracking_id TEXT NOT NULL,
+    viewed_at TEXT NOT NULL,
+    ip_address TEXT,
+    user_agent TEXT,
+    referer TEXT
+  );
+  CREATE INDEX idx_views_tracking_id ON views (tracking_id, viewed_at);
+
+  CREATE TABLE devices (
+    token TEXT PRIMARY KEY,
+    platform TEXT NOT NULL,
+    bundle_id TEXT,
+    registered_at TEXT NOT NULL
+  );
+
+  CREATE TABLE notifications (
+    id TEXT PRIMARY KEY,
+    tracking_id TEXT NOT NULL,
+    estimate_title TEXT,
+    customer_name TEXT,
+    message TEXT,
+    viewed_at TEXT NOT NULL,
+    is_read INTEGER NOT NULL DEFAULT 0
+  );
+  CREATE INDEX idx_notifications_viewed_at ON notifications (viewed_at);
+
+  CREATE TABLE contractors (
+    id INTEGER PRIMARY KEY,
+    email TEXT NOT NULL,
+    name TEXT,
+    company_name TEXT,
+    registered_at TEXT NOT NULL
+  );
+  `,
+
+  // 2: contractor accounts with API keys; existing data belongs to 'default'
+  `
+  CREATE TABLE contractors_v2 (
+    id TEXT PRIMARY KEY,
+    email TEXT,
+    name TEXT,
+    company_name TEXT,
+    registered_at TEXT NOT NULL
+  );
+  INSERT INTO contractors_v2 (id, email, name, company_name, registered_at)
+    SELECT 'default', email, name, company_name, registered_at FROM contractors ORDER BY id LIMIT 1;
+  INSERT OR IGNORE INTO contractors_v2 (id, registered_at)
+    VALUES ('default', strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));
+  DROP TABLE contractors;
+  ALTER TABLE contractors_v2 RENAME TO contractors;
+
+  CREATE TABLE api_keys (
+    id TEXT PRIMARY KEY,
+    contractor_id TEXT NOT NULL REFERENCES contractors (id) ON DELETE CASCADE,
+    key_hash TEXT NOT NULL UNIQUE,
+    label TEXT,
+    created_at TEXT NOT NULL,
+    revoked_at TEXT
+  );
+  CREATE INDEX idx_api_keys_contractor_id ON api_keys (contractor_id);
+
+  ALTER TABLE estimates ADD COLUMN contractor_id TEXT;
+  UPDATE estimates SET contractor_id = 'default';
+  CREATE INDEX idx_estimates_contractor_id ON estimates (contractor_id, created_at);
+
+  ALTER TABLE devices ADD COLUMN contractor_id TEXT NOT NULL DEFAULT 'default';
+  CREATE INDEX idx_devices_contractor_id ON devices (contractor_id);
+
+  ALTER TABLE notifications ADD COLUMN contractor_id TEXT NOT NULL DEFAULT 'default';
+  CREATE INDEX idx_notifications_contractor_id ON notifications (contractor_id, viewed_at);
+  `
+,
+
+  // 3: full estimate content (line items, pricing, branding) as JSON
+  `
+  ALTER TABLE estimates ADD COLUMN details TEXT;
+  `
+,
+
+  // 4: customer responses (accept / decline / request changes)
+  `
+  ALTER TABLE estimates ADD COLUMN status TEXT NOT NULL DEFAULT 'pending';
+  ALTER TABLE estimates ADD COLUMN status_updated_at TEXT;
+
+  CREATE TABLE status_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    tracking_id TEXT NOT NULL,
+    status TEXT NOT NULL,
+    previous_status TEXT,
+    name TEXT,
+    message TEXT,
+    signature_type TEXT,
+    signature TEXT,
+    ip_hash TEXT,
+    user_agent TEXT,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX idx_status_events_tracking_id ON status_events (tracking_id, created_at);
+
+  ALTER TABLE notifications ADD COLUMN type TEXT NOT NULL DEFAULT 'viewed';
+  `
+,
+
+  // 5: view event types (page view, pixel open, PDF download)
+  `
+  ALTER TABLE views ADD COLUMN event_type TEXT NOT NULL DEFAULT 'page';
+  CREATE INDEX idx_views_event_type ON views (tracking_id, event_type);
+  `,
+
+  // 6: outbound webhooks with a persisted delivery queue and attempt log
+  `
+  CREATE TABLE webhooks (
+    id TEXT PRIMARY KEY,
+    contractor_id TEXT NOT NULL,
+    url TEXT NOT NULL,
+    secret TEXT NOT NULL,
+    events TEXT NOT NULL,
+    description TEXT,
+    active INTEGER NOT NULL DEFAULT 1,
+    created_at TEXT NOT NULL,
+    updated_at TEXT
+  );
+  CREATE INDEX idx_webhooks_contractor_id ON webhooks (contractor_id);
+
+  CREATE TABLE webhook_deliveries (
+    id TEXT PRIMARY KEY,
+    webhook_id TEXT NOT NULL REFERENCES webhooks (id) ON DELETE CASCADE,
+    event_type TEXT NOT NULL,
+    payload TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TEXT,
+    last_error TEXT,
+    created_at TEXT NOT NULL,
+    delivered_at TEXT
+  );
+  CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at);
+  CREATE INDEX idx_webhook_deliveries_webhook_id ON webhook_deliveries (webhook_id, created_at);
+
+  CREATE TABLE webhook_attempts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    delivery_id TEXT NOT NULL REFERENCES webhook_deliveries (id) ON DELETE CASCADE,
+    attempted_at TEXT NOT NULL,
+    status_code INTEGER,
+    error TEXT,
+    duration_ms INTEGER
+  );
+  CREATE INDEX idx_webhook_attempts_delivery_id ON webhook_attempts (delivery_id);
+  `,
+
+  // 7: view classification (human / proxy / bot). Views recorded before
+  // filtering existed count as human, as they always have.
+  `
+  ALTER TABLE views ADD COLUMN classification TEXT NOT NULL DEFAULT 'human';
+  ALTER TABLE views ADD COLUMN classification_reason TEXT;
+  CREATE INDEX idx_views_classification ON views (tracking_id, classification);
+  `,
+
+  // 8: reading engagement sessions reported by the view page
+  `
+  CREATE TABLE engagement_sessions (
+    id TEXT PRIMARY KEY,
+    tracking_id TEXT NOT NULL,
+    view_id INTEGER,
+    started_at TEXT NOT NULL,
+    last_seen_at TEXT NOT NULL,
+    ended_at TEXT,
+    active_ms INTEGER NOT NULL DEFAULT 0,
+    scroll_depth INTEGER NOT NULL DEFAULT 0,
+    sections TEXT NOT NULL DEFAULT '{}'
+  );
+  CREATE INDEX idx_engagement_sessions_tracking_id ON engagement_sessions (tracking_id, started_at);
+  `,
+
+  // 9: follow-up reminder rules and their scheduled jobs
+  `
+  CREATE TABLE followup_rules (
+    id TEXT PRIMARY KEY,
+    contractor_id TEXT NOT NULL,
+    trigger_type TEXT NOT NULL,
+    delay_days INTEGER NOT NULL,
+    subject TEXT,
+    message TEXT,
+    active INTEGER NOT NULL DEFAULT 1,
+    created_at TEXT NOT NULL,
+    updated_at TEXT
+  );
+  CREATE INDEX idx_followup_rules_contractor_id ON followup_rules (contractor_id);
+
+  CREATE TABLE followup_jobs (
+    id TEXT PRIMARY KEY,
+    contractor_id TEXT NOT NULL,
+    tracking_id TEXT NOT NULL,
+    rule_id TEXT NOT NULL,
+    trigger_type TEXT NOT NULL,
+    anchor_at TEXT NOT NULL,
+    due_at TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'scheduled',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    created_at TEXT NOT NULL,
+    sent_at TEXT,
+    cancelled_at TEXT,
+    cancel_reason TEXT
+  );
+  CREATE INDEX idx_followup_jobs_due ON followup_jobs (status, due_at);
+  CREATE INDEX idx_followup_jobs_tracking_id ON followup_jobs (tracking_id);
+  CREATE INDEX idx_followup_jobs_contractor_id ON followup_jobs (contractor_id, status, due_at);
+  `,
+
+  // 10: customer email sent from the server
+  `
+  ALTER TABLE estimates ADD COLUMN email_sent_at TEXT;
+  ALTER TABLE estimates ADD COLUMN email_sent_to TEXT;
+  ALTER TABLE estimates ADD COLUMN email_message_id TEXT;
+  ALTER TABLE estimates ADD COLUMN email_status TEXT;
+  ALTER TABLE estimates ADD COLUMN email_error TEXT;
+  CREATE INDEX idx_estimates_email_message_id ON estimates (email_message_id);
+  `,
+
+  // 11: tracking link expiry and revocation
+  `
+  ALTER TABLE estimates ADD COLUMN link_expires_at TEXT;
+  ALTER TABLE estimates ADD COLUMN link_revoked_at TEXT;
+  `,
+
+  // 12: per-device push preferences
+  `
+  ALTER TABLE devices ADD COLUMN muted INTEGER NOT NULL DEFAULT 0;
+  ALTER TABLE devices ADD COLUMN quiet_hours_start TEXT;
+  ALTER TABLE devices ADD COLUMN quiet_hours_end TEXT;
+  ALTER TABLE devices ADD COLUMN time_zone TEXT;
+  ALTER TABLE devices ADD COLUMN view_alerts TEXT NOT NULL DEFAULT 'first';
+  `,
+
+  // 13: per-contractor notification settings and digest state
+  `
+  CREATE TABLE notification_settings (
+    contractor_id TEXT PRIMARY KEY,
+    view_alerts TEXT NOT NULL DEFAULT 'first',
+    repeat_view_thresholds TEXT NOT NULL DEFAULT '[]',
+    instant_email INTEGER NOT NULL DEFAULT 1,
+    quiet_hours_start TEXT,
+    quiet_hours_end TEXT,
+    time_zone TEXT,
+    digest TEXT NOT NULL DEFAULT 'off',
+    digest_hour INTEGER NOT NULL DEFAULT 8,
+    email_subject TEXT,
+    email_template TEXT,
+    last_digest_at TEXT,
+    updated_at TEXT
+  );
+  CREATE INDEX idx_views_viewed_at ON views (viewed_at);
+  CREATE INDEX idx_status_events_created_at ON status_events (created_at);
+  `,
+
+  // 14: activity stream log, replayed to clients resuming with Last-Event-ID
+  `
+  CREATE TABLE stream_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    contractor_id TEXT NOT NULL,
+    type TEXT NOT NULL,
+    tracking_id TEXT,
+    data TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX idx_stream_events_contractor ON stream_events (contractor_id, id);
+  `,
+
+  // 15: pre-aggregated view counters, backfilled from the view log
+  db => {
+    db.exec(`
+    CREATE TABLE estimate_stats (
+      tracking_id TEXT PRIMARY KEY,
+      view_count INTEGER NOT NULL DEFAULT 0,
+      raw_view_count INTEGER NOT NULL DEFAULT 0,
+      pdf_download_count INTEGER NOT NULL DEFAULT 0,
+      first_viewed_at TEXT,
+      first_opened_at TEXT,
+      last_viewed_at TEXT
+    );
+    CREATE TABLE daily_stats (
+      day TEXT NOT NULL,
+      tracking_id TEXT NOT NULL,
+      event_type TEXT NOT NULL,
+      device_type TEXT NOT NULL,
+      referrer TEXT NOT NULL,
+      count INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (day, tracking_id, event_type, device_type, referrer)
+    );
+    CREATE INDEX idx_daily_stats_tracking_id ON daily_stats (tracking_id);
+    `);
+
+    const { estimateStats, dailyStats } = buildStats(db.prepare('SELECT * FROM views ORDER BY id').all());
+    const insertEstimateStats = db.prepare(`
+      INSERT INTO estimate_stats (tracking_id, view_count, raw_view_count, pdf_download_count,
+        first_viewed_at, first_opened_at, last_viewed_at)
+      VALUES (@trackingId, @viewCount, @rawViewCount, @pdfDownloadCount, @firstViewedAt, @firstOpenedAt, @lastViewedAt)
+    `);
+    const insertDailyStats = db.prepare(`
+      INSERT INTO daily_stats (day, tracking_id, event_type, device_type, referrer, count)
+      VALUES (@day, @trackingId, @eventType, @deviceType, @referrer, @count)
+    `);
+    for (const stats of Object.values(estimateStats)) insertEstimateStats.run(stats);
+    for (const stats of dailyStats) insertDailyStats.run(stats);
+  },
+
+  // 16: when an estimate's content last changed
+  `
+  ALTER TABLE estimates ADD COLUMN updated_at TEXT;
+  `,
+
+  // 17: audit log of retention purges and customer erasures
+  `
+  CREATE TABLE privacy_audit (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    action TEXT NOT NULL,
+    contractor_id TEXT,
+    subject TEXT,
+    details TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX idx_privacy_audit_contractor ON privacy_audit (contractor_id, id);
+  `,
+
+  // 18: device and approximate location of each view
+  `
+  ALTER TABLE views ADD COLUMN browser TEXT;
+  ALTER TABLE views ADD COLUMN os TEXT;
+  ALTER TABLE views ADD COLUMN device_type TEXT;
+  ALTER TABLE views ADD COLUMN device_name TEXT;
+  ALTER TABLE views ADD COLUMN city TEXT;
+  ALTER TABLE views ADD COLUMN region TEXT;
+  ALTER TABLE views ADD COLUMN country TEXT;
+  `,
+
+  // 19: customer questions and contractor replies on the view page
+  `
+  CREATE TABLE estimate_messages (
+    id TEXT PRIMARY KEY,
+    tracking_id TEXT NOT NULL,
+    author TEXT NOT NULL,
+    name TEXT,
+    body TEXT NOT NULL,
+    ip_hash TEXT,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX idx_estimate_messages_tracking_id ON estimate_messages (tracking_id, created_at);
+  `,
+
+  // 20: estimate versions. Registered estimates start at version 1, with
+  // their current content as its revision.
+  `
+  ALTER TABLE estimates ADD COLUMN version INTEGER;
+  ALTER TABLE views ADD COLUMN estimate_version INTEGER;
+  ALTER TABLE status_events ADD COLUMN estimate_version INTEGER;
+  CREATE TABLE estimate_revisions (
+    tracking_id TEXT NOT NULL,
+    version INTEGER NOT NULL,
+    title TEXT,
+    customer_name TEXT,
+    total REAL,
+    details TEXT,
+    changes TEXT,
+    created_at TEXT NOT NULL,
+    PRIMARY KEY (tracking_id, version)
+  );
+  UPDATE estimates SET version = 1 WHERE contractor_id IS NOT NULL;
+  INSERT INTO estimate_revisions (tracking_id, version, title, customer_name, total, details, changes, created_at)
+    SELECT tracking_id, 1, title, customer_name, total, details, NULL, COALESCE(updated_at, created_at)
+    FROM estimates WHERE version = 1;
+  `,
+
+  // 21: languages and contractor branding
+  `
+  ALTER TABLE estimates ADD COLUMN locale TEXT;
+  ALTER TABLE contractors ADD COLUMN locale TEXT;
+  ALTER TABLE contractors ADD COLUMN branding TEXT;
+  CREATE TABLE contractor_logos (
+    contractor_id TEXT PRIMARY KEY REFERENCES contractors (id) ON DELETE CASCADE,
+    content_type TEXT NOT NULL,
+    data BLOB NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  `
+];
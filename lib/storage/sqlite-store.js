@@ -0,0 +1,1613 @@
+const {
+  MAX_VIEWS,
+  MAX_WEBHOOK_DELIVERIES,
+  MAX_ENGAGEMENT_SESSIONS,
+  MAX_STREAM_EVENTS,
+  DEFAULT_CONTRACTOR_ID,
+  VIEW_EVENT_PAGE,
+  VIEW_CLASS_HUMAN
+} = require('./constants');
+const { emptyData, normalizeSnapshot } = require('./snapshot');
+const { checkWritable } = require('./files');
+const { logger } = require('../logger');
+const { viewIncrements, dailyStatKey, firstEvents } = require('./stats');
+const migrations = require('./sqlite-migrations');
+
+// Row <-> record mapping. Records keep the field names the API has always
+// returned, so switching backends doesn't change any response shape.
+
+function toEstimate(row) {
+  if (!row) return null;
+  return {
+    tracking_id: row.tracking_id,
+    contractorId: row.contractor_id,
+    title: row.title,
+    customerName: row.customer_name,
+    customerEmail: row.customer_email,
+    total: row.total,
+    details: row.details ? JSON.parse(row.details) : null,
+    status: row.status,
+    statusUpdatedAt: row.status_updated_at,
+    emailSentAt: row.email_sent_at,
+    emailSentTo: row.email_sent_to,
+    emailMessageId: row.email_message_id,
+    emailStatus: row.email_status,
+    emailError: row.email_error,
+    linkExpiresAt: row.link_expires_at,
+    linkRevokedAt: row.link_revoked_at,
+    created_at: row.created_at,
+    updatedAt: row.updated_at,
+    version: row.version,
+    locale: row.locale
+  };
+}
+
+function toRevision(row) {
+  if (!row) return null;
+  return {
+    trackingId: row.tracking_id,
+    version: row.version,
+    title: row.title,
+    customerName: row.customer_name,
+    total: row.total,
+    details: row.details ? JSON.parse(row.details) : null,
+    changes: row.changes ? JSON.parse(row.changes) : null,
+    createdAt: row.created_at
+  };
+}
+
+function toStatusEvent(row) {
+  return {
+    id: row.id,
+    trackingId: row.tracking_id,
+    status: row.status,
+    previousStatus: row.previous_status,
+    name: row.name,
+    message: row.message,
+    signatureType: row.signature_type,
+    signature: row.signature,
+    ipHash: row.ip_hash,
+    userAgent: row.user_agent,
+    version: row.estimate_version,
+    createdAt: row.created_at
+  };
+}
+
+function toMessage(row) {
+  return {
+    id: row.id,
+    trackingId: row.tracking_id,
+    author: row.author,
+    name: row.name,
+    body: row.body,
+    ipHash: row.ip_hash,
+    createdAt: row.created_at
+  };
+}
+
+function toDevice(row) {
+  return {
+    token: row.token,
+    contractorId: row.contractor_id,
+    platform: row.platform,
+    bundleId: row.bundle_id,
+    registeredAt: row.registered_at,
+    muted: Boolean(row.muted),
+    quietHoursStart: row.quiet_hours_start,
+    quietHoursEnd: row.quiet_hours_end,
+    timeZone: row.time_zone,
+    viewAlerts: row.view_alerts
+  };
+}
+
+function toNotification(row) {
+  return {
+    id: row.id,
+    contractorId: row.contractor_id,
+    type: row.type,
+    trackingId: row.tracking_id,
+    estimateTitle: row.estimate_title,
+    customerName: row.customer_name,
+    message: row.message,
+    viewedAt: row.viewed_at,
+    isRead: row.is_read === 1
+  };
+}
+
+function toContractor(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    email: row.email,
+    name: row.name,
+    companyName: row.company_name,
+    locale: row.locale,
+    branding: row.branding ? JSON.parse(row.branding) : null,
+    registeredAt: row.registered_at
+  };
+}
+
+function toContractorLogo(row) {
+  if (!row) return null;
+  return {
+    contractorId: row.contractor_id,
+    contentType: row.content_type,
+    data: row.data.toString('base64'),
+    updatedAt: row.updated_at
+  };
+}
+
+function toApiKey(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    contractorId: row.contractor_id,
+    keyHash: row.key_hash,
+    label: row.label,
+    createdAt: row.created_at,
+    revokedAt: row.revoked_at
+  };
+}
+
+function toEngagementSession(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    trackingId: row.tracking_id,
+    viewId: row.view_id,
+    startedAt: row.started_at,
+    lastSeenAt: row.last_seen_at,
+    endedAt: row.ended_at,
+    activeMs: row.active_ms,
+    scrollDepth: row.scroll_depth,
+    sections: JSON.parse(row.sections)
+  };
+}
+
+function toFollowupRule(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    contractorId: row.contractor_id,
+    trigger: row.trigger_type,
+    delayDays: row.delay_days,
+    subject: row.subject,
+    message: row.message,
+    active: row.active === 1,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function toNotificationSettings(row) {
+  if (!row) return null;
+  return {
+    contractorId: row.contractor_id,
+    viewAlerts: row.view_alerts,
+    repeatViewThresholds: JSON.parse(row.repeat_view_thresholds),
+    instantEmail: row.instant_email === 1,
+    quietHoursStart: row.quiet_hours_start,
+    quietHoursEnd: row.quiet_hours_end,
+    timeZone: row.time_zone,
+    digest: row.digest,
+    digestHour: row.digest_hour,
+    emailSubject: row.email_subject,
+    emailTemplate: row.email_template,
+    lastDigestAt: row.last_digest_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function toStreamEvent(row) {
+  return {
+    id: row.id,
+    contractorId: row.contractor_id,
+    type: row.type,
+    trackingId: row.tracking_id,
+    data: JSON.parse(row.data),
+    createdAt: row.created_at
+  };
+}
+
+function toDailyStats(row) {
+  return {
+    day: row.day,
+    trackingId: row.tracking_id,
+    eventType: row.event_type,
+    deviceType: row.device_type,
+    referrer: row.referrer,
+    count: row.count
+  };
+}
+
+function toEstimateStats(row) {
+  return {
+    trackingId: row.tracking_id,
+    viewCount: row.view_count,
+    rawViewCount: row.raw_view_count,
+    pdfDownloadCount: row.pdf_download_count,
+    firstViewedAt: row.first_viewed_at,
+    firstOpenedAt: row.first_opened_at,
+    lastViewedAt: row.last_viewed_at
+  };
+}
+
+function toPrivacyAudit(row) {
+  return {
+    id: row.id,
+    action: row.action,
+    contractorId: row.contractor_id,
+    subject: row.subject,
+    details: JSON.parse(row.details),
+    createdAt: row.created_at
+  };
+}
+
+function toFollowupJob(row) {
+  return {
+    id: row.id,
+    contractorId: row.contractor_id,
+    trackingId: row.tracking_id,
+    ruleId: row.rule_id,
+    trigger: row.trigger_type,
+    anchorAt: row.anchor_at,
+    dueAt: row.due_at,
+    status: row.status,
+    attempts: row.attempts,
+    lastError: row.last_error,
+    createdAt: row.created_at,
+    sentAt: row.sent_at,
+    cancelledAt: row.cancelled_at,
+    cancelReason: row.cancel_reason
+  };
+}
+
+function toWebhook(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    contractorId: row.contractor_id,
+    url: row.url,
+    secret: row.secret,
+    events: JSON.parse(row.events),
+    description: row.description,
+    active: row.active === 1,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function toWebhookDelivery(row) {
+  return {
+    id: row.id,
+    webhookId: row.webhook_id,
+    eventType: row.event_type,
+    payload: row.payload,
+    status: row.status,
+    attempts: row.attempts,
+    nextAttemptAt: row.next_attempt_at,
+    lastError: row.last_error,
+    createdAt: row.created_at,
+    deliveredAt: row.delivered_at
+  };
+}
+
+function toWebhookAttempt(row) {
+  return {
+    id: row.id,
+    deliveryId: row.delivery_id,
+    attemptedAt: row.attempted_at,
+    statusCode: row.status_code,
+    error: row.error,
+    durationMs: row.duration_ms
+  };
+}
+
+// Embedded SQLite storage (better-sqlite3). Calls are synchronous under the
+// hood; the methods are async to keep the same interface as other backends.
+// SQL for each sort in estimate-sorts.js, computing the same values as
+// estimateSortValue
+const ESTIMATE_SORT_COLUMNS = {
+  createdAt: 'e.created_at',
+  updatedAt: 'COALESCE(e.updated_at, e.created_at)',
+  total: 'COALESCE(e.total, -1)',
+  title: "LOWER(COALESCE(e.title, ''))",
+  lastViewedAt: "COALESCE(s.last_viewed_at, '')",
+  viewCount: 'COALESCE(s.view_count, 0)'
+};
+
+// Tables with rows that belong to a single estimate
+const DEPENDENT_TABLES = [
+  'views', 'estimate_stats', 'daily_stats', 'engagement_sessions', 'status_events',
+  'notifications', 'followup_jobs', 'stream_events', 'estimate_messages', 'estimate_revisions'
+];
+
+function createSqliteStore({ file }) {
+  let db = null;
+  let stmts = null;
+
+  function migrate() {
+    const current = db.pragma('user_version', { simple: true });
+    for (let version = current + 1; version <= migrations.length; version++) {
+      const migration = migrations[version - 1];
+      db.transaction(() => {
+        if (typeof migration === 'function') {
+          migration(db);
+        } else {
+          db.exec(migration);
+        }
+        db.pragma(`user_version = ${version}`);
+      })();
+      logger.info('Storage migrated', { schemaVersion: version });
+    }
+  }
+
+  function prepare() {
+    return {
+      getEstimate: db.prepare('SELECT * FROM estimates WHERE tracking_id = ?'),
+      findEstimateByMessageId: db.prepare('SELECT * FROM estimates WHERE email_message_id = ?'),
+      upsertEstimate: db.prepare(`
+        INSERT INTO estimates (tracking_id, contractor_id, title, customer_name, customer_email, total, details,
+          status, status_updated_at, email_sent_at, email_sent_to, email_message_id, email_status, email_error,
+          link_expires_at, link_revoked_at, created_at, updated_at, version, locale)
+        VALUES (@tracking_id, @contractorId, @title, @customerName, @customerEmail, @total, @details,
+          @status, @statusUpdatedAt, @emailSentAt, @emailSentTo, @emailMessageId, @emailStatus, @emailError,
+          @linkExpiresAt, @linkRevokedAt, @created_at, @updatedAt, @version, @locale)
+        ON CONFLICT (tracking_id) DO UPDATE SET
+          contractor_id = excluded.contractor_id,
+          title = excluded.title,
+          customer_name = excluded.customer_name,
+          customer_email = excluded.customer_email,
+          total = excluded.total,
+          details = excluded.details,
+          status = excluded.status,
+          status_updated_at = excluded.status_updated_at,
+          email_sent_at = excluded.email_sent_at,
+          email_sent_to = excluded.email_sent_to,
+          email_message_id = excluded.email_message_id,
+          email_status = excluded.email_status,
+          email_error = excluded.email_error,
+          link_expires_at = excluded.link_expires_at,
+          link_revoked_at = excluded.link_revoked_at,
+          created_at = excluded.created_at,
+          updated_at = excluded.updated_at,
+          version = excluded.version,
+          locale = excluded.locale
+      `),
+      ensureEstimate: db.prepare(`
+        INSERT INTO estimates (tracking_id, created_at) VALUES (?, ?)
+        ON CONFLICT (tracking_id) DO NOTHING
+      `),
+      addEstimateStats: db.prepare(`
+        INSERT INTO estimate_stats (tracking_id, view_count, raw_view_count, pdf_download_count,
+          first_viewed_at, first_opened_at, last_viewed_at)
+        VALUES (@trackingId, @viewCount, @rawViewCount, @pdfDownloadCount, @firstViewedAt, @firstOpenedAt, @lastViewedAt)
+        ON CONFLICT (tracking_id) DO UPDATE SET
+          view_count = view_count + excluded.view_count,
+          raw_view_count = raw_view_count + excluded.raw_view_count,
+          pdf_download_count = pdf_download_count + excluded.pdf_download_count,
+          first_viewed_at = COALESCE(MIN(first_viewed_at, excluded.first_viewed_at), first_viewed_at, excluded.first_viewed_at),
+          first_opened_at = COALESCE(MIN(first_opened_at, excluded.first_opened_at), first_opened_at, excluded.first_opened_at),
+          last_viewed_at = COALESCE(MAX(last_viewed_at, excluded.last_viewed_at), last_viewed_at, excluded.last_viewed_at)
+      `),
+      addDailyStats: db.prepare(`
+        INSERT INTO daily_stats (day, tracking_id, event_type, device_type, referrer, count)
+        VALUES (@day, @trackingId, @eventType, @deviceType, @referrer, @count)
+        ON CONFLICT (day, tracking_id, event_type, device_type, referrer) DO UPDATE SET
+          count = count + excluded.count
+      `),
+      getEstimateStats: db.prepare('SELECT * FROM estimate_stats WHERE tracking_id = ?'),
+      insertView: db.prepare(`
+        INSERT INTO views (tracking_id, event_type, viewed_at, ip_address, user_agent, referer,
+          classification, classification_reason, browser, os, device_type, device_name, city, region, country,
+          estimate_version)
+        VALUES (@tracking_id, @event_type, @viewed_at, @ip_address, @user_agent, @referer,
+          @classification, @classification_reason, @browser, @os, @device_type, @device_name, @city, @region, @country,
+          @estimate_version)
+      `),
+      trimViews: db.prepare(`
+        DELETE FROM views WHERE tracking_id = @trackingId AND id <=
+          (SELECT id FROM views WHERE tracking_id = @trackingId ORDER BY id DESC LIMIT 1 OFFSET @limit)
+      `),
+      listViews: db.prepare('SELECT * FROM views WHERE tracking_id = ? ORDER BY viewed_at DESC, id DESC'),
+      listViewIPs: db.prepare('SELECT id, ip_address FROM views WHERE ip_address IS NOT NULL'),
+      updateViewIP: db.prepare('UPDATE views SET ip_address = ? WHERE id = ?'),
+      purgeViews: db.prepare('DELETE FROM views WHERE viewed_at < ?'),
+      purgeNotifications: db.prepare('DELETE FROM notifications WHERE viewed_at < ?'),
+      deleteEstimateDeliveries: db.prepare(`
+        DELETE FROM webhook_deliveries WHERE json_extract(payload, '$.data.trackingId') = ?
+      `),
+      insertPrivacyAudit: db.prepare(`
+        INSERT INTO privacy_audit (action, contractor_id, subject, details, created_at)
+        VALUES (@action, @contractorId, @subject, @details, @createdAt)
+      `),
+      upsertEngagementSession: db.prepare(`
+        INSERT INTO engagement_sessions (id, tracking_id, view_id, started_at, last_seen_at, ended_at,
+          active_ms, scroll_depth, sections)
+        VALUES (@id, @trackingId, @viewId, @startedAt, @lastSeenAt, @endedAt,
+          @activeMs, @scrollDepth, @sections)
+        ON CONFLICT (id) DO UPDATE SET
+          last_seen_at = excluded.last_seen_at,
+          ended_at = excluded.ended_at,
+          active_ms = excluded.active_ms,
+          scroll_depth = excluded.scroll_depth,
+          sections = excluded.sections
+      `),
+      trimEngagementSessions: db.prepare(`
+        DELETE FROM engagement_sessions WHERE id NOT IN
+          (SELECT id FROM engagement_sessions ORDER BY started_at DESC LIMIT ?)
+      `),
+      getEngagementSession: db.prepare('SELECT * FROM engagement_sessions WHERE id = ?'),
+      listEngagementSessions: db.prepare('SELECT * FROM engagement_sessions WHERE tracking_id = ? ORDER BY started_at'),
+      listDevices: db.prepare('SELECT * FROM devices WHERE contractor_id = ? ORDER BY registered_at'),
+      getDevice: db.prepare('SELECT * FROM devices WHERE token = ?'),
+      upsertDevice: db.prepare(`
+        INSERT INTO devices (token, contractor_id, platform, bundle_id, registered_at, muted,
+          quiet_hours_start, quiet_hours_end, time_zone, view_alerts)
+        VALUES (@token, @contractorId, @platform, @bundleId, @registeredAt, @muted,
+          @quietHoursStart, @quietHoursEnd, @timeZone, @viewAlerts)
+        ON CONFLICT (token) DO UPDATE SET
+          contractor_id = excluded.contractor_id,
+          platform = excluded.platform,
+          bundle_id = excluded.bundle_id,
+          registered_at = excluded.registered_at,
+          muted = excluded.muted,
+          quiet_hours_start = excluded.quiet_hours_start,
+          quiet_hours_end = excluded.quiet_hours_end,
+          time_zone = excluded.time_zone,
+          view_alerts = excluded.view_alerts
+      `),
+      deleteDevice: db.prepare('DELETE FROM devices WHERE token = ?'),
+      countUnread: db.prepare('SELECT COUNT(*) AS count FROM notifications WHERE contractor_id = ? AND is_read = 0'),
+      insertNotification: db.prepare(`
+        INSERT INTO notifications (id, contractor_id, type, tracking_id, estimate_title, customer_name, message, viewed_at, is_read)
+        VALUES (@id, @contractorId, @type, @trackingId, @estimateTitle, @customerName, @message, @viewedAt, @isRead)
+      `),
+      markRead: db.prepare('UPDATE notifications SET is_read = 1 WHERE contractor_id = ? AND id = ?'),
+      markAllRead: db.prepare('UPDATE notifications SET is_read = 1 WHERE contractor_id = ?'),
+      insertStatusEvent: db.prepare(`
+        INSERT INTO status_events (tracking_id, status, previous_status, name, message, signature_type, signature,
+          ip_hash, user_agent, estimate_version, created_at)
+        VALUES (@trackingId, @status, @previousStatus, @name, @message, @signatureType, @signature,
+          @ipHash, @userAgent, @version, @createdAt)
+      `),
+      updateStatus: db.prepare('UPDATE estimates SET status = ?, status_updated_at = ? WHERE tracking_id = ?'),
+      listStatusEvents: db.prepare('SELECT * FROM status_events WHERE tracking_id = ? ORDER BY created_at, id'),
+      insertMessage: db.prepare(`
+        INSERT INTO estimate_messages (id, tracking_id, author, name, body, ip_hash, created_at)
+        VALUES (@id, @trackingId, @author, @name, @body, @ipHash, @createdAt)
+      `),
+      listMessages: db.prepare('SELECT * FROM estimate_messages WHERE tracking_id = ? ORDER BY created_at, rowid'),
+      insertRevision: db.prepare(`
+        INSERT INTO estimate_revisions (tracking_id, version, title, customer_name, total, details, changes, created_at)
+        VALUES (@trackingId, @version, @title, @customerName, @total, @details, @changes, @createdAt)
+      `),
+      listRevisions: db.prepare('SELECT * FROM estimate_revisions WHERE tracking_id = ? ORDER BY version'),
+      getRevision: db.prepare('SELECT * FROM estimate_revisions WHERE tracking_id = ? AND version = ?'),
+      listWebhooks: db.prepare('SELECT * FROM webhooks WHERE contractor_id = ? ORDER BY created_at'),
+      getWebhook: db.prepare('SELECT * FROM webhooks WHERE id = ?'),
+      upsertWebhook: db.prepare(`
+        INSERT INTO webhooks (id, contractor_id, url, secret, events, description, active, created_at, updated_at)
+        VALUES (@id, @contractorId, @url, @secret, @events, @description, @active, @createdAt, @updatedAt)
+        ON CONFLICT (id) DO UPDATE SET
+          url = excluded.url,
+          secret = excluded.secret,
+          events = excluded.events,
+          description = excluded.description,
+          active = excluded.active,
+          updated_at = excluded.updated_at
+      `),
+      deleteWebhook: db.prepare('DELETE FROM webhooks WHERE id = ?'),
+      insertDelivery: db.prepare(`
+        INSERT INTO webhook_deliveries (id, webhook_id, event_type, payload, status, attempts, next_attempt_at,
+          last_error, created_at, delivered_at)
+        VALUES (@id, @webhookId, @eventType, @payload, @status, @attempts, @nextAttemptAt,
+          @lastError, @createdAt, @deliveredAt)
+      `),
+      updateDelivery: db.prepare(`
+        UPDATE webhook_deliveries SET status = @status, attempts = @attempts, next_attempt_at = @nextAttemptAt,
+          last_error = @lastError, delivered_at = @deliveredAt
+        WHERE id = @id
+      `),
+      trimDeliveries: db.prepare(`
+        DELETE FROM webhook_deliveries WHERE status != 'pending' AND id NOT IN
+          (SELECT id FROM webhook_deliveries WHERE status != 'pending' ORDER BY created_at DESC LIMIT ?)
+      `),
+      listDueDeliveries: db.prepare(`
+        SELECT * FROM webhook_deliveries WHERE status = 'pending' AND next_attempt_at <= ?
+        ORDER BY next_attempt_at LIMIT ?
+      `),
+      listDeliveries: db.prepare('SELECT * FROM webhook_deliveries WHERE webhook_id = ? ORDER BY created_at DESC LIMIT ?'),
+      insertAttempt: db.prepare(`
+        INSERT INTO webhook_attempts (delivery_id, attempted_at, status_code, error, duration_ms)
+        VALUES (@deliveryId, @attemptedAt, @statusCode, @error, @durationMs)
+      `),
+      listAttempts: db.prepare('SELECT * FROM webhook_attempts WHERE delivery_id = ? ORDER BY id'),
+      listFollowupRules: db.prepare('SELECT * FROM followup_rules WHERE contractor_id = ? ORDER BY trigger_type, delay_days'),
+      getFollowupRule: db.prepare('SELECT * FROM followup_rules WHERE id = ?'),
+      upsertFollowupRule: db.prepare(`
+        INSERT INTO followup_rules (id, contractor_id, trigger_type, delay_days, subject, message, active, created_at, updated_at)
+        VALUES (@id, @contractorId, @trigger, @delayDays, @subject, @message, @active, @createdAt, @updatedAt)
+        ON CONFLICT (id) DO UPDATE SET
+          trigger_type = excluded.trigger_type,
+          delay_days = excluded.delay_days,
+          subject = excluded.subject,
+          message = excluded.message,
+          active = excluded.active,
+          updated_at = excluded.updated_at
+      `),
+      deleteFollowupRule: db.prepare('DELETE FROM followup_rules WHERE id = ?'),
+      getNotificationSettings: db.prepare('SELECT * FROM notification_settings WHERE contractor_id = ?'),
+      listDigestSettings: db.prepare("SELECT * FROM notification_settings WHERE digest != 'off'"),
+      upsertNotificationSettings: db.prepare(`
+        INSERT INTO notification_settings (contractor_id, view_alerts, repeat_view_thresholds, instant_email,
+          quiet_hours_start, quiet_hours_end, time_zone, digest, digest_hour, email_subject, email_template,
+          last_digest_at, updated_at)
+        VALUES (@contractorId, @viewAlerts, @repeatViewThresholds, @instantEmail,
+          @quietHoursStart, @quietHoursEnd, @timeZone, @digest, @digestHour, @emailSubject, @emailTemplate,
+          @lastDigestAt, @updatedAt)
+        ON CONFLICT (contractor_id) DO UPDATE SET
+          view_alerts = excluded.view_alerts,
+          repeat_view_thresholds = excluded.repeat_view_thresholds,
+          instant_email = excluded.instant_email,
+          quiet_hours_start = excluded.quiet_hours_start,
+          quiet_hours_end = excluded.quiet_hours_end,
+          time_zone = excluded.time_zone,
+          digest = excluded.digest,
+          digest_hour = excluded.digest_hour,
+          email_subject = excluded.email_subject,
+          email_template = excluded.email_template,
+          last_digest_at = excluded.last_digest_at,
+          updated_at = excluded.updated_at
+      `),
+      insertStreamEvent: db.prepare(`
+        INSERT INTO stream_events (id, contractor_id, type, tracking_id, data, created_at)
+        VALUES (@id, @contractorId, @type, @trackingId, @data, @createdAt)
+      `),
+      trimStreamEvents: db.prepare('DELETE FROM stream_events WHERE id <= (SELECT MAX(id) FROM stream_events) - ?'),
+      listStreamEvents: db.prepare(`
+        SELECT * FROM stream_events WHERE contractor_id = ? AND id > ? ORDER BY id LIMIT ?
+      `),
+      // Unowned estimates belong to the default contractor
+      listActivityViews: db.prepare(`
+        SELECT v.* FROM views v JOIN estimates e ON e.tracking_id = v.tracking_id
+        WHERE COALESCE(e.contractor_id, @defaultContractorId) = @contractorId
+          AND v.classification = @human AND v.viewed_at > @since AND v.viewed_at <= @until
+        ORDER BY v.viewed_at
+      `),
+      listActivityStatusEvents: db.prepare(`
+        SELECT s.* FROM status_events s JOIN estimates e ON e.tracking_id = s.tracking_id
+        WHERE COALESCE(e.contractor_id, @defaultContractorId) = @contractorId
+          AND s.created_at > @since AND s.created_at <= @until
+        ORDER BY s.created_at
+      `),
+      upsertFollowupJob: db.prepare(`
+        INSERT INTO followup_jobs (id, contractor_id, tracking_id, rule_id, trigger_type, anchor_at, due_at, status,
+          attempts, last_error, created_at, sent_at, cancelled_at, cancel_reason)
+        VALUES (@id, @contractorId, @trackingId, @ruleId, @trigger, @anchorAt, @dueAt, @status,
+          @attempts, @lastError, @createdAt, @sentAt, @cancelledAt, @cancelReason)
+        ON CONFLICT (id) DO UPDATE SET
+          due_at = excluded.due_at,
+          status = excluded.status,
+          attempts = excluded.attempts,
+          last_error = excluded.last_error,
+          sent_at = excluded.sent_at,
+          cancelled_at = excluded.cancelled_at,
+          cancel_reason = excluded.cancel_reason
+      `),
+      listDueFollowupJobs: db.prepare(`
+        SELECT * FROM followup_jobs WHERE status = 'scheduled' AND due_at <= ? ORDER BY due_at LIMIT ?
+      `),
+      getContractor: db.prepare('SELECT * FROM contractors WHERE id = ?'),
+      listContractors: db.prepare('SELECT * FROM contractors ORDER BY registered_at'),
+      upsertContractor: db.prepare(`
+        INSERT INTO contractors (id, email, name, company_name, locale, branding, registered_at)
+        VALUES (@id, @email, @name, @companyName, @locale, @branding, @registeredAt)
+        ON CONFLICT (id) DO UPDATE SET
+          email = excluded.email,
+          name = excluded.name,
+          company_name = excluded.company_name,
+          locale = excluded.locale,
+          branding = excluded.branding,
+          registered_at = excluded.registered_at
+      `),
+      getContractorLogo: db.prepare('SELECT * FROM contractor_logos WHERE contractor_id = ?'),
+      upsertContractorLogo: db.prepare(`
+        INSERT INTO contractor_logos (contractor_id, content_type, data, updated_at)
+        VALUES (@contractorId, @contentType, @data, @updatedAt)
+        ON CONFLICT (contractor_id) DO UPDATE SET
+          content_type = excluded.content_type,
+          data = excluded.data,
+          updated_at = excluded.updated_at
+      `),
+      deleteContractorLogo: db.prepare('DELETE FROM contractor_logos WHERE contractor_id = ?'),
+      insertApiKey: db.prepare(`
+        INSERT INTO api_keys (id, contractor_id, key_hash, label, created_at, revoked_at)
+        VALUES (@id, @contractorId, @keyHash, @label, @createdAt, @revokedAt)
+      `),
+      findApiKey: db.prepare('SELECT * FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL'),
+      listApiKeys: db.prepare('SELECT * FROM api_keys WHERE contractor_id = ? ORDER BY created_at'),
+      revokeApiKey: db.prepare(`
+        UPDATE api_keys SET revoked_at = ? WHERE contractor_id = ? AND id = ? AND revoked_at IS NULL
+      `)
+    };
+  }
+
+  function estimateParams(estimate) {
+    return {
+      tracking_id: estimate.tracking_id,
+      contractorId: estimate.contractorId ?? null,
+      title: estimate.title ?? null,
+      customerName: estimate.customerName ?? null,
+      customerEmail: estimate.customerEmail ?? null,
+      total: estimate.total ?? null,
+      details: estimate.details ? JSON.stringify(estimate.details) : null,
+      status: estimate.status || 'pending',
+      statusUpdatedAt: estimate.statusUpdatedAt ?? null,
+      emailSentAt: estimate.emailSentAt ?? null,
+      emailSentTo: estimate.emailSentTo ?? null,
+      emailMessageId: estimate.emailMessageId ?? null,
+      emailStatus: estimate.emailStatus ?? null,
+      emailError: estimate.emailError ?? null,
+      linkExpiresAt: estimate.linkExpiresAt ?? null,
+      linkRevokedAt: estimate.linkRevokedAt ?? null,
+      created_at: estimate.created_at,
+      updatedAt: estimate.updatedAt ?? null,
+      version: estimate.version ?? null,
+      locale: estimate.locale ?? null
+    };
+  }
+
+  function statusEventParams(event) {
+    return {
+      trackingId: event.trackingId,
+      status: event.status,
+      previousStatus: event.previousStatus ?? null,
+      name: event.name ?? null,
+      message: event.message ?? null,
+      signatureType: event.signatureType ?? null,
+      signature: event.signature ?? null,
+      ipHash: event.ipHash ?? null,
+      userAgent: event.userAgent ?? null,
+      version: event.version ?? null,
+      createdAt: event.createdAt
+    };
+  }
+
+  function revisionParams(revision) {
+    return {
+      trackingId: revision.trackingId,
+      version: revision.version,
+      title: revision.title ?? null,
+      customerName: revision.customerName ?? null,
+      total: revision.total ?? null,
+      details: revision.details ? JSON.stringify(revision.details) : null,
+      changes: revision.changes ? JSON.stringify(revision.changes) : null,
+      createdAt: revision.createdAt
+    };
+  }
+
+  function messageParams(message) {
+    return {
+      id: message.id,
+      trackingId: message.trackingId,
+      author: message.author,
+      name: message.name ?? null,
+      body: message.body,
+      ipHash: message.ipHash ?? null,
+      createdAt: message.createdAt
+    };
+  }
+
+  function notificationParams(notification) {
+    return {
+      id: notification.id,
+      contractorId: notification.contractorId,
+      type: notification.type || 'viewed',
+      trackingId: notification.trackingId,
+      estimateTitle: notification.estimateTitle ?? null,
+      customerName: notification.customerName ?? null,
+      message: notification.message ?? null,
+      viewedAt: notification.viewedAt,
+      isRead: notification.isRead ? 1 : 0
+    };
+  }
+
+  function viewParams(view) {
+    return {
+      tracking_id: view.tracking_id,
+      event_type: view.event_type || VIEW_EVENT_PAGE,
+      viewed_at: view.viewed_at,
+      ip_address: view.ip_address ?? null,
+      user_agent: view.user_agent ?? null,
+      referer: view.referer ?? null,
+      classification: view.classification || VIEW_CLASS_HUMAN,
+      classification_reason: view.classification_reason ?? null,
+      browser: view.browser ?? null,
+      os: view.os ?? null,
+      device_type: view.device_type ?? null,
+      device_name: view.device_name ?? null,
+      city: view.city ?? null,
+      region: view.region ?? null,
+      country: view.country ?? null,
+      estimate_version: view.estimate_version ?? null
+    };
+  }
+
+  function engagementSessionParams(session) {
+    return {
+      id: session.id,
+      trackingId: session.trackingId,
+      viewId: session.viewId ?? null,
+      startedAt: session.startedAt,
+      lastSeenAt: session.lastSeenAt || session.startedAt,
+      endedAt: session.endedAt ?? null,
+      activeMs: session.activeMs || 0,
+      scrollDepth: session.scrollDepth || 0,
+      sections: JSON.stringify(session.sections || {})
+    };
+  }
+
+  function deviceParams(device) {
+    return {
+      token: device.token,
+      contractorId: device.contractorId,
+      platform: device.platform || 'ios',
+      bundleId: device.bundleId ?? null,
+      registeredAt: device.registeredAt || new Date().toISOString(),
+      muted: device.muted ? 1 : 0,
+      quietHoursStart: device.quietHoursStart ?? null,
+      quietHoursEnd: device.quietHoursEnd ?? null,
+      timeZone: device.timeZone ?? null,
+      viewAlerts: device.viewAlerts || 'first'
+    };
+  }
+
+  function contractorParams(contractor) {
+    return {
+      id: contractor.id,
+      email: contractor.email ?? null,
+      name: contractor.name ?? null,
+      companyName: contractor.companyName ?? null,
+      locale: contractor.locale ?? null,
+      branding: contractor.branding ? JSON.stringify(contractor.branding) : null,
+      registeredAt: contractor.registeredAt || new Date().toISOString()
+    };
+  }
+
+  function contractorLogoParams(logo) {
+    return {
+      contractorId: logo.contractorId,
+      contentType: logo.contentType,
+      data: Buffer.from(logo.data, 'base64'),
+      updatedAt: logo.updatedAt
+    };
+  }
+
+  function webhookParams(webhook) {
+    return {
+      id: webhook.id,
+      contractorId: webhook.contractorId,
+      url: webhook.url,
+      secret: webhook.secret,
+      events: JSON.stringify(webhook.events),
+      description: webhook.description ?? null,
+      active: webhook.active === false ? 0 : 1,
+      createdAt: webhook.createdAt,
+      updatedAt: webhook.updatedAt ?? null
+    };
+  }
+
+  function deliveryParams(delivery) {
+    return {
+      id: delivery.id,
+      webhookId: delivery.webhookId,
+      eventType: delivery.eventType,
+      payload: delivery.payload,
+      status: delivery.status,
+      attempts: delivery.attempts,
+      nextAttemptAt: delivery.nextAttemptAt ?? null,
+      lastError: delivery.lastError ?? null,
+      createdAt: delivery.createdAt,
+      deliveredAt: delivery.deliveredAt ?? null
+    };
+  }
+
+  function attemptParams(attempt) {
+    return {
+      deliveryId: attempt.deliveryId,
+      attemptedAt: attempt.attemptedAt,
+      statusCode: attempt.statusCode ?? null,
+      error: attempt.error ?? null,
+      durationMs: attempt.durationMs ?? null
+    };
+  }
+
+  function followupRuleParams(rule) {
+    return {
+      id: rule.id,
+      contractorId: rule.contractorId,
+      trigger: rule.trigger,
+      delayDays: rule.delayDays,
+      subject: rule.subject ?? null,
+      message: rule.message ?? null,
+      active: rule.active === false ? 0 : 1,
+      createdAt: rule.createdAt,
+      updatedAt: rule.updatedAt ?? null
+    };
+  }
+
+  function notificationSettingsParams(settings) {
+    return {
+      contractorId: settings.contractorId,
+      viewAlerts: settings.viewAlerts || 'first',
+      repeatViewThresholds: JSON.stringify(settings.repeatViewThresholds || []),
+      instantEmail: settings.instantEmail === false ? 0 : 1,
+      quietHoursStart: settings.quietHoursStart ?? null,
+      quietHoursEnd: settings.quietHoursEnd ?? null,
+      timeZone: settings.timeZone ?? null,
+      digest: settings.digest || 'off',
+      digestHour: settings.digestHour ?? 8,
+      emailSubject: settings.emailSubject ?? null,
+      emailTemplate: settings.emailTemplate ?? null,
+      lastDigestAt: settings.lastDigestAt ?? null,
+      updatedAt: settings.updatedAt ?? null
+    };
+  }
+
+  // Conditions on estimates `e` shared by the estimate list and reports
+  function estimateFilter({
+    contractorId, includeUnowned, trackingId, createdFrom, createdTo, customer, customerEmail, search, statuses,
+    minTotal, maxTotal
+  }) {
+    const where = ['(e.contractor_id = @contractorId OR (@includeUnowned = 1 AND e.contractor_id IS NULL))'];
+    const params = { contractorId, includeUnowned: includeUnowned ? 1 : 0 };
+    const contains = value => `%${value.toLowerCase().replace(/[\\%_]/g, '\\$&')}%`;
+    const like = (column, param) => `LOWER(COALESCE(${column}, '')) LIKE @${param} ESCAPE '\\'`;
+
+    if (trackingId) {
+      where.push('e.tracking_id = @trackingId');
+      params.trackingId = trackingId;
+    }
+    if (createdFrom) {
+      where.push('e.created_at >= @createdFrom');
+      params.createdFrom = createdFrom;
+    }
+    if (createdTo) {
+      where.push('e.created_at < @createdTo');
+      params.createdTo = createdTo;
+    }
+    if (customer) {
+      where.push(`(${like('e.customer_name', 'customer')} OR ${like('e.customer_email', 'customer')})`);
+      params.customer = contains(customer);
+    }
+    if (customerEmail) {
+      where.push('LOWER(e.customer_email) = @customerEmail');
+      params.customerEmail = customerEmail.toLowerCase();
+    }
+    (search || []).forEach((term, i) => {
+      const param = `term${i}`;
+      where.push(`(${['e.title', 'e.customer_name', 'e.customer_email'].map(column => like(column, param)).join(' OR ')})`);
+      params[param] = contains(term);
+    });
+    if (statuses?.length) {
+      where.push(`e.status IN (${statuses.map((status, i) => `@status${i}`).join(', ')})`);
+      statuses.forEach((status, i) => { params[`status${i}`] = status; });
+    }
+    if (minTotal != null) {
+      where.push('e.total >= @minTotal');
+      params.minTotal = minTotal;
+    }
+    if (maxTotal != null) {
+      where.push('e.total <= @maxTotal');
+      params.maxTotal = maxTotal;
+    }
+    return { where, params };
+  }
+
+  function streamEventParams(event) {
+    return {
+      id: event.id ?? null,
+      contractorId: event.contractorId,
+      type: event.type,
+      trackingId: event.trackingId ?? null,
+      data: JSON.stringify(event.data ?? {}),
+      createdAt: event.createdAt
+    };
+  }
+
+  function followupJobParams(job) {
+    return {
+      id: job.id,
+      contractorId: job.contractorId,
+      trackingId: job.trackingId,
+      ruleId: job.ruleId,
+      trigger: job.trigger,
+      anchorAt: job.anchorAt,
+      dueAt: job.dueAt,
+      status: job.status,
+      attempts: job.attempts || 0,
+      lastError: job.lastError ?? null,
+      createdAt: job.createdAt,
+      sentAt: job.sentAt ?? null,
+      cancelledAt: job.cancelledAt ?? null,
+      cancelReason: job.cancelReason ?? null
+    };
+  }
+
+  // WHERE clause for listFollowupJobs / cancelFollowupJobs filters
+  function followupJobFilter({ id, contractorId, trackingId, ruleId, trigger, status } = {}) {
+    const columns = {
+      id: 'id',
+      contractorId: 'contractor_id',
+      trackingId: 'tracking_id',
+      ruleId: 'rule_id',
+      trigger: 'trigger_type',
+      status: 'status'
+    };
+    const params = { id, contractorId, trackingId, ruleId, trigger, status };
+    const conditions = Object.keys(columns)
+      .filter(key => params[key] !== undefined)
+      .map(key => `${columns[key]} = @${key}`);
+    return {
+      where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+      params: Object.fromEntries(Object.entries(params).filter(([, value]) => value !== undefined))
+    };
+  }
+
+  function apiKeyParams(apiKey) {
+    return {
+      id: apiKey.id,
+      contractorId: apiKey.contractorId,
+      keyHash: apiKey.keyHash,
+      label: apiKey.label ?? null,
+      createdAt: apiKey.createdAt,
+      revokedAt: apiKey.revokedAt ?? null
+    };
+  }
+
+  return {
+    driver: 'sqlite',
+
+    async init() {
+      const Database = require('better-sqlite3');
+      db = new Database(file);
+      db.pragma('journal_mode = WAL');
+      db.pragma('foreign_keys = ON');
+      migrate();
+      stmts = prepare();
+    },
+
+    async close() {
+      if (db) db.close();
+      db = null;
+    },
+
+    async checkWritable() {
+      return checkWritable(file);
+    },
+
+    async isEmpty() {
+      const row = db.prepare(`
+        SELECT (SELECT COUNT(*) FROM estimates) + (SELECT COUNT(*) FROM views) AS count
+      `).get();
+      return row.count === 0;
+    },
+
+    // Estimates
+
+    async getEstimate(trackingId) {
+      return toEstimate(stmts.getEstimate.get(trackingId));
+    },
+
+    async saveEstimate(estimate) {
+      stmts.upsertEstimate.run(estimateParams(estimate));
+      return estimate;
+    },
+
+    async findEstimateByMessageId(messageId) {
+      return toEstimate(stmts.findEstimateByMessageId.get(messageId));
+    },
+
+    // Removes the estimate with its revisions, views, counters, engagement,
+    // responses, messages, notifications, follow-ups, activity stream events
+    // and webhook deliveries. Resolves with { webhookDeliveries } (how many
+    // deliveries went with it), or null if there was no such estimate.
+    async deleteEstimate(trackingId) {
+      return db.transaction(() => {
+        for (const table of DEPENDENT_TABLES) {
+          db.prepare(`DELETE FROM ${table} WHERE tracking_id = ?`).run(trackingId);
+        }
+        const webhookDeliveries = stmts.deleteEstimateDeliveries.run(trackingId).changes;
+        const deleted = db.prepare('DELETE FROM estimates WHERE tracking_id = ?').run(trackingId).changes > 0;
+        return deleted ? { webhookDeliveries } : null;
+      })();
+    },
+
+    // With view counters, newest first unless `sort` / `order` say
+    // otherwise. Filters: `trackingId`, `createdFrom` / `createdTo` (to is
+    // exclusive), `customer` (part of the name or email), `customerEmail`
+    // (the whole email, ignoring case), `search` (terms
+    // that must each appear in the title, customer name or email),
+    // `statuses`, `minTotal` / `maxTotal` and `viewState` (unviewed, opened
+    // or viewed). `after` ({ value, trackingId } of the last estimate on the
+    // previous page) continues a page. A null limit lists them all.
+    // includeUnowned adds estimates created by views before registration.
+    async listEstimates({ limit = 100, viewState, sort = 'createdAt', order = 'desc', after, ...filter } = {}) {
+      const { where, params } = estimateFilter(filter);
+      if (viewState === 'unviewed') where.push('s.first_viewed_at IS NULL AND s.first_opened_at IS NULL');
+      if (viewState === 'opened') where.push('s.first_viewed_at IS NULL AND s.first_opened_at IS NOT NULL');
+      if (viewState === 'viewed') where.push('s.first_viewed_at IS NOT NULL');
+
+      const sortBy = ESTIMATE_SORT_COLUMNS[sort] || ESTIMATE_SORT_COLUMNS.createdAt;
+      const direction = order === 'asc' ? 'ASC' : 'DESC';
+      if (after) {
+        const op = direction === 'ASC' ? '>' : '<';
+        where.push(`(${sortBy} ${op} @afterValue OR (${sortBy} = @afterValue AND e.tracking_id ${op} @afterId))`);
+        Object.assign(params, { afterValue: after.value, afterId: after.trackingId });
+      }
+
+      return db.prepare(`
+        SELECT e.*, s.view_count, s.raw_view_count, s.pdf_download_count,
+          s.first_viewed_at, s.first_opened_at, s.last_viewed_at
+        FROM estimates e LEFT JOIN estimate_stats s ON s.tracking_id = e.tracking_id
+        WHERE ${where.join(' AND ')}
+        ORDER BY ${sortBy} ${direction}, e.tracking_id ${direction}
+        ${limit ? 'LIMIT @limit' : ''}
+      `).all({ ...params, limit }).map(row => ({
+        ...toEstimate(row),
+        view_count: row.view_count || 0,
+        raw_view_count: row.raw_view_count || 0,
+        last_viewed_at: row.last_viewed_at,
+        pdf_download_count: row.pdf_download_count || 0,
+        first_opened_at: row.first_opened_at,
+        first_viewed_at: row.first_viewed_at
+      }));
+    },
+
+    // Daily counters of human events on the contractor's estimates, for
+    // days from `from` to `to` (YYYY-MM-DD, inclusive)
+    async listDailyStats({ contractorId, includeUnowned = false, from, to, customer } = {}) {
+      const { where, params } = estimateFilter({ contractorId, includeUnowned, customer });
+      return db.prepare(`
+        SELECT d.* FROM daily_stats d JOIN estimates e ON e.tracking_id = d.tracking_id
+        WHERE ${where.join(' AND ')} AND d.day >= @from AND d.day <= @to
+        ORDER BY d.day
+      `).all({ ...params, from, to }).map(toDailyStats);
+    },
+
+    // Views
+
+    // Both flags are only set for human views:
+    // isFirstView: no earlier human page view or pixel open for this estimate
+    // isFirstOfType: no earlier human event of the same event_type
+    async addView(view) {
+      const params = viewParams(view);
+      return db.transaction(() => {
+        stmts.ensureEstimate.run(view.tracking_id, view.viewed_at);
+        const stats = stmts.getEstimateStats.get(view.tracking_id);
+        const { isFirstView, isFirstOfType } = firstEvents(stats && toEstimateStats(stats), params);
+        const { lastInsertRowid } = stmts.insertView.run(params);
+        stmts.trimViews.run({ trackingId: view.tracking_id, limit: MAX_VIEWS });
+        stmts.addEstimateStats.run(viewIncrements({ ...view, ...params }));
+        const dailyKey = dailyStatKey({ ...view, ...params });
+        if (dailyKey) stmts.addDailyStats.run({ ...dailyKey, count: 1 });
+        return {
+          view: { id: Number(lastInsertRowid), ...view, ...params },
+          isFirstView,
+          isFirstOfType
+        };
+      })();
+    },
+
+    async listViews(trackingId) {
+      return stmts.listViews.all(trackingId);
+    },
+
+    // Replace stored IPs with anonymize(ip) wherever that gives a new
+    // value. Resolves with the number of views changed.
+    async anonymizeViewIPs(anonymize) {
+      return db.transaction(() => {
+        let changed = 0;
+        for (const { id, ip_address: ip } of stmts.listViewIPs.all()) {
+          const anonymized = anonymize(ip);
+          if (anonymized && anonymized !== ip) {
+            stmts.updateViewIP.run(anonymized, id);
+            changed++;
+          }
+        }
+        return changed;
+      })();
+    },
+
+    // Delete views recorded before `before`. Their estimate and daily
+    // counters are kept. Resolves with the number deleted.
+    async purgeViews(before) {
+      return stmts.purgeViews.run(before).changes;
+    },
+
+    // Engagement sessions
+
+    async addEngagementSession(session) {
+      db.transaction(() => {
+        stmts.upsertEngagementSession.run(engagementSessionParams(session));
+        stmts.trimEngagementSessions.run(MAX_ENGAGEMENT_SESSIONS);
+      })();
+      return session;
+    },
+
+    async getEngagementSession(sessionId) {
+      return toEngagementSession(stmts.getEngagementSession.get(sessionId));
+    },
+
+    async saveEngagementSession(session) {
+      stmts.upsertEngagementSession.run(engagementSessionParams(session));
+      return session;
+    },
+
+    // Oldest first
+    async listEngagementSessions(trackingId) {
+      return stmts.listEngagementSessions.all(trackingId).map(toEngagementSession);
+    },
+
+    // Status history
+
+    // Records a transition and moves the estimate to its status atomically
+    async addStatusEvent(event) {
+      return db.transaction(() => {
+        const { lastInsertRowid } = stmts.insertStatusEvent.run(statusEventParams(event));
+        stmts.updateStatus.run(event.status, event.createdAt, event.trackingId);
+        return { id: Number(lastInsertRowid), ...event };
+      })();
+    },
+
+    async listStatusEvents(trackingId) {
+      return stmts.listStatusEvents.all(trackingId).map(toStatusEvent);
+    },
+
+    // Revisions
+
+    // Saves the estimate at its new version along with that version's
+    // revision, atomically
+    async saveRevision(estimate, revision) {
+      db.transaction(() => {
+        stmts.upsertEstimate.run(estimateParams(estimate));
+        stmts.insertRevision.run(revisionParams(revision));
+      })();
+      return estimate;
+    },
+
+    // Oldest first
+    async listRevisions(trackingId) {
+      return stmts.listRevisions.all(trackingId).map(toRevision);
+    },
+
+    async getRevision(trackingId, version) {
+      return toRevision(stmts.getRevision.get(trackingId, version));
+    },
+
+    // Messages
+
+    async addMessage(message) {
+      stmts.insertMessage.run(messageParams(message));
+      return message;
+    },
+
+    // Oldest first
+    async listMessages(trackingId) {
+      return stmts.listMessages.all(trackingId).map(toMessage);
+    },
+
+    // Devices
+
+    async listDevices(contractorId) {
+      return stmts.listDevices.all(contractorId).map(toDevice);
+    },
+
+    async getDevice(token) {
+      const row = stmts.getDevice.get(token);
+      return row ? toDevice(row) : null;
+    },
+
+    async saveDevice(device) {
+      stmts.upsertDevice.run(deviceParams(device));
+      return device;
+    },
+
+    async deleteDevice(token) {
+      return stmts.deleteDevice.run(token).changes > 0;
+    },
+
+    // Notifications
+
+    // Newest first. `since` keeps those after a time; `before` ({ viewedAt,
+    // id } of the last one on the previous page) continues a page.
+    async listNotifications(contractorId, { since, before, limit } = {}) {
+      const where = ['contractor_id = @contractorId'];
+      if (since) where.push('viewed_at > @since');
+      if (before) {
+        where.push('(viewed_at < @beforeViewedAt OR (viewed_at = @beforeViewedAt AND id < @beforeId))');
+      }
+      return db.prepare(`
+        SELECT * FROM notifications WHERE ${where.join(' AND ')}
+        ORDER BY viewed_at DESC, id DESC ${limit ? 'LIMIT @limit' : ''}
+      `).all({
+        contractorId,
+        since,
+        beforeViewedAt: before?.viewedAt,
+        beforeId: before?.id,
+        limit
+      }).map(toNotification);
+    },
+
+    async countUnreadNotifications(contractorId) {
+      return stmts.countUnread.get(contractorId).count;
+    },
+
+    async addNotification(notification) {
+      stmts.insertNotification.run(notificationParams(notification));
+      return notification;
+    },
+
+    // Delete notifications of every contractor from before `before`.
+    // Resolves with the number deleted.
+    async purgeNotifications(before) {
+      return stmts.purgeNotifications.run(before).changes;
+    },
+
+    async markNotificationRead(contractorId, notificationId) {
+      return stmts.markRead.run(contractorId, notificationId).changes > 0;
+    },
+
+    async markAllNotificationsRead(contractorId) {
+      stmts.markAllRead.run(contractorId);
+    },
+
+    // Contractors
+
+    async getContractor(contractorId) {
+      return toContractor(stmts.getContractor.get(contractorId));
+    },
+
+    async listContractors() {
+      return stmts.listContractors.all().map(toContractor);
+    },
+
+    async saveContractor(contractor) {
+      stmts.upsertContractor.run(contractorParams(contractor));
+      return contractor;
+    },
+
+    // Contractor logos, with the image base64-encoded in `data`
+
+    async getContractorLogo(contractorId) {
+      return toContractorLogo(stmts.getContractorLogo.get(contractorId));
+    },
+
+    async saveContractorLogo(logo) {
+      stmts.upsertContractorLogo.run(contractorLogoParams(logo));
+      return logo;
+    },
+
+    async deleteContractorLogo(contractorId) {
+      return stmts.deleteContractorLogo.run(contractorId).changes > 0;
+    },
+
+    // API keys (only the hash of a key is stored)
+
+    async addApiKey(apiKey) {
+      stmts.insertApiKey.run(apiKeyParams(apiKey));
+      return apiKey;
+    },
+
+    async findApiKeyByHash(keyHash) {
+      return toApiKey(stmts.findApiKey.get(keyHash));
+    },
+
+    async listApiKeys(contractorId) {
+      return stmts.listApiKeys.all(contractorId).map(toApiKey);
+    },
+
+    async revokeApiKey(contractorId, keyId) {
+      return stmts.revokeApiKey.run(new Date().toISOString(), contractorId, keyId).changes > 0;
+    },
+
+    // Webhooks
+
+    async listWebhooks(contractorId) {
+      return stmts.listWebhooks.all(contractorId).map(toWebhook);
+    },
+
+    async getWebhook(webhookId) {
+      return toWebhook(stmts.getWebhook.get(webhookId));
+    },
+
+    async saveWebhook(webhook) {
+      stmts.upsertWebhook.run(webhookParams(webhook));
+      return webhook;
+    },
+
+    // Also removes the subscription's deliveries and their attempt log
+    async deleteWebhook(webhookId) {
+      return stmts.deleteWebhook.run(webhookId).changes > 0;
+    },
+
+    async addWebhookDelivery(delivery) {
+      db.transaction(() => {
+        stmts.insertDelivery.run(deliveryParams(delivery));
+        stmts.trimDeliveries.run(MAX_WEBHOOK_DELIVERIES);
+      })();
+      return delivery;
+    },
+
+    async listDueWebhookDeliveries(now, limit) {
+      return stmts.listDueDeliveries.all(now, limit).map(toWebhookDelivery);
+    },
+
+    // Logs an attempt and updates the delivery's state atomically
+    async recordWebhookAttempt(delivery, attempt) {
+      db.transaction(() => {
+        stmts.insertAttempt.run(attemptParams(attempt));
+        stmts.updateDelivery.run(deliveryParams(delivery));
+      })();
+    },
+
+    // Most recent deliveries first, each with its attempts
+    async listWebhookDeliveries(webhookId, { limit = 50 } = {}) {
+      return stmts.listDeliveries.all(webhookId, limit).map(row => ({
+        ...toWebhookDelivery(row),
+        attemptLog: stmts.listAttempts.all(row.id).map(toWebhookAttempt)
+      }));
+    },
+
+    // Follow-ups
+
+    async listFollowupRules(contractorId) {
+      return stmts.listFollowupRules.all(contractorId).map(toFollowupRule);
+    },
+
+    async getFollowupRule(ruleId) {
+      return toFollowupRule(stmts.getFollowupRule.get(ruleId));
+    },
+
+    async saveFollowupRule(rule) {
+      stmts.upsertFollowupRule.run(followupRuleParams(rule));
+      return rule;
+    },
+
+    async deleteFollowupRule(ruleId) {
+      return stmts.deleteFollowupRule.run(ruleId).changes > 0;
+    },
+
+    async addFollowupJobs(jobs) {
+      db.transaction(() => {
+        for (const job of jobs) stmts.upsertFollowupJob.run(followupJobParams(job));
+      })();
+      return jobs;
+    },
+
+    async saveFollowupJob(job) {
+      stmts.upsertFollowupJob.run(followupJobParams(job));
+      return job;
+    },
+
+    // Filter by any of id, contractorId, trackingId, ruleId, trigger and status;
+    // soonest due first
+    async listFollowupJobs({ limit = 1000, ...filter } = {}) {
+      const { where, params } = followupJobFilter(filter);
+      return db.prepare(`SELECT * FROM followup_jobs ${where} ORDER BY due_at LIMIT @limit`)
+        .all({ ...params, limit })
+        .map(toFollowupJob);
+    },
+
+    async listDueFollowupJobs(now, limit) {
+      return stmts.listDueFollowupJobs.all(now, limit).map(toFollowupJob);
+    },
+
+    // Cancel scheduled jobs matching the filter. Resolves with the count.
+    async cancelFollowupJobs(filter, reason) {
+      const { where, params } = followupJobFilter({ ...filter, status: 'scheduled' });
+      return db.prepare(`
+        UPDATE followup_jobs SET status = 'cancelled', cancelled_at = @cancelledAt, cancel_reason = @reason ${where}
+      `).run({ ...params, cancelledAt: new Date().toISOString(), reason }).changes;
+    },
+
+    // Notification settings
+
+    async getNotificationSettings(contractorId) {
+      return toNotificationSettings(stmts.getNotificationSettings.get(contractorId));
+    },
+
+    async saveNotificationSettings(settings) {
+      stmts.upsertNotificationSettings.run(notificationSettingsParams(settings));
+      return settings;
+    },
+
+    // Contractors with hourly or daily digests
+    async listDigestSettings() {
+      return stmts.listDigestSettings.all().map(toNotificationSettings);
+    },
+
+    // Human views, PDF downloads and customer responses on the contractor's
+    // estimates in (since, until]
+    async listActivity(contractorId, since, until) {
+      const params = { contractorId, defaultContractorId: DEFAULT_CONTRACTOR_ID, since, until };
+      return {
+        views: stmts.listActivityViews.all({ ...params, human: VIEW_CLASS_HUMAN }),
+        statusEvents: stmts.listActivityStatusEvents.all(params).map(toStatusEvent)
+      };
+    },
+
+    // Activity stream
+
+    async addStreamEvent(event) {
+      let id;
+      db.transaction(() => {
+        id = stmts.insertStreamEvent.run(streamEventParams(event)).lastInsertRowid;
+        stmts.trimStreamEvents.run(MAX_STREAM_EVENTS);
+      })();
+      return { ...event, id: Number(id) };
+    },
+
+    // Oldest first, after the given event id
+    async listStreamEvents(contractorId, afterId, limit) {
+      return stmts.listStreamEvents.all(contractorId, afterId, limit).map(toStreamEvent);
+    },
+
+    // Privacy audit log
+
+    async addPrivacyAudit(entry) {
+      const { lastInsertRowid } = stmts.insertPrivacyAudit.run({ ...entry, details: JSON.stringify(entry.details ?? {}) });
+      return { ...entry, id: Number(lastInsertRowid) };
+    },
+
+    // Newest first. includeSystem adds retention runs, which belong to no
+    // contractor.
+    async listPrivacyAudit({ contractorId, includeSystem = false, limit = 100 } = {}) {
+      return db.prepare(`
+        SELECT * FROM privacy_audit
+        WHERE contractor_id = @contractorId OR (@includeSystem = 1 AND contractor_id IS NULL)
+        ORDER BY id DESC LIMIT @limit
+      `).all({ contractorId, includeSystem: includeSystem ? 1 : 0, limit }).map(toPrivacyAudit);
+    },
+
+    // Full dataset, in the tracking-data.json layout
+
+    async exportData() {
+      const data = emptyData();
+      for (const row of db.prepare('SELECT * FROM estimates').all()) {
+        data.estimates[row.tracking_id] = toEstimate(row);
+      }
+      data.views = db.prepare('SELECT * FROM views ORDER BY id').all();
+      data.engagementSessions = db.prepare('SELECT * FROM engagement_sessions ORDER BY started_at')
+        .all().map(toEngagementSession);
+      data.devices = db.prepare('SELECT * FROM devices ORDER BY registered_at').all().map(toDevice);
+      data.notifications = db.prepare('SELECT * FROM notifications ORDER BY viewed_at DESC, rowid DESC')
+        .all().map(toNotification);
+      for (const contractor of stmts.listContractors.all().map(toContractor)) {
+        data.contractors[contractor.id] = contractor;
+      }
+      data.contractorLogos = db.prepare('SELECT * FROM contractor_logos').all().map(toContractorLogo);
+      data.apiKeys = db.prepare('SELECT * FROM api_keys ORDER BY created_at').all().map(toApiKey);
+      data.statusEvents = db.prepare('SELECT * FROM status_events ORDER BY id').all().map(toStatusEvent);
+      data.webhooks = db.prepare('SELECT * FROM webhooks ORDER BY created_at').all().map(toWebhook);
+      data.webhookDeliveries = db.prepare('SELECT * FROM webhook_deliveries ORDER BY created_at').all().map(toWebhookDelivery);
+      data.webhookAttempts = db.prepare('SELECT * FROM webhook_attempts ORDER BY id').all().map(toWebhookAttempt);
+      data.followupRules = db.prepare('SELECT * FROM followup_rules ORDER BY created_at').all().map(toFollowupRule);
+      data.followupJobs = db.prepare('SELECT * FROM followup_jobs ORDER BY created_at').all().map(toFollowupJob);
+      data.notificationSettings = db.prepare('SELECT * FROM notification_settings').all().map(toNotificationSettings);
+      data.streamEvents = db.prepare('SELECT * FROM stream_events ORDER BY id').all().map(toStreamEvent);
+      for (const stats of db.prepare('SELECT * FROM estimate_stats').all().map(toEstimateStats)) {
+        data.estimateStats[stats.trackingId] = stats;
+      }
+      data.dailyStats = db.prepare('SELECT * FROM daily_stats ORDER BY day').all().map(toDailyStats);
+      data.privacyAudit = db.prepare('SELECT * FROM privacy_audit ORDER BY id').all().map(toPrivacyAudit);
+      data.messages = db.prepare('SELECT * FROM estimate_messages ORDER BY created_at, rowid').all().map(toMessage);
+      data.revisions = db.prepare('SELECT * FROM estimate_revisions ORDER BY tracking_id, version').all().map(toRevision);
+      return data;
+    },
+
+    // Replaces the whole dataset in a single transaction
+    async importData(snapshot) {
+      const data = normalizeSnapshot(JSON.parse(JSON.stringify(snapshot)));
+
+      db.transaction(() => {
+        db.exec(`
+          DELETE FROM api_keys;
+          DELETE FROM webhook_attempts;
+          DELETE FROM webhook_deliveries;
+          DELETE FROM webhooks;
+          DELETE FROM followup_jobs;
+          DELETE FROM followup_rules;
+          DELETE FROM notification_settings;
+          DELETE FROM stream_events;
+          DELETE FROM estimate_stats;
+          DELETE FROM daily_stats;
+          DELETE FROM privacy_audit;
+          DELETE FROM status_events;
+          DELETE FROM estimate_messages;
+          DELETE FROM estimate_revisions;
+          DELETE FROM estimates;
+          DELETE FROM views;
+          DELETE FROM engagement_sessions;
+          DELETE FROM devices;
+          DELETE FROM notifications;
+          DELETE FROM contractor_logos;
+          DELETE FROM contractors;
+        `);
+        for (const contractor of Object.values(data.contractors)) {
+          stmts.upsertContractor.run(contractorParams(contractor));
+        }
+        for (const logo of data.contractorLogos) {
+          stmts.upsertContractorLogo.run(contractorLogoParams(logo));
+        }
+        for (const apiKey of data.apiKeys) {
+          stmts.insertApiKey.run(apiKeyParams(apiKey));
+        }
+        for (const [trackingId, estimate] of Object.entries(data.estimates)) {
+          stmts.upsertEstimate.run(estimateParams({
+            ...estimate,
+            tracking_id: estimate.tracking_id || trackingId,
+            created_at: estimate.created_at || new Date().toISOString()
+          }));
+        }
+        // Legacy view ids are not unique once the views array has been
+        // capped, so views get fresh ids in their original order
+        for (const view of data.views) {
+          stmts.ensureEstimate.run(view.tracking_id, view.viewed_at);
+          stmts.insertView.run(viewParams(view));
+        }
+        for (const session of data.engagementSessions.slice(-MAX_ENGAGEMENT_SESSIONS)) {
+          stmts.upsertEngagementSession.run(engagementSessionParams(session));
+        }
+        for (const event of data.statusEvents) {
+          stmts.insertStatusEvent.run(statusEventParams(event));
+        }
+        for (const webhook of data.webhooks) {
+          stmts.upsertWebhook.run(webhookParams(webhook));
+        }
+        for (const delivery of data.webhookDeliveries) {
+          stmts.insertDelivery.run(deliveryParams(delivery));
+        }
+        for (const attempt of data.webhookAttempts) {
+          stmts.insertAttempt.run(attemptParams(attempt));
+        }
+        for (const rule of data.followupRules) {
+          stmts.upsertFollowupRule.run(followupRuleParams(rule));
+        }
+        for (const job of data.followupJobs) {
+          stmts.upsertFollowupJob.run(followupJobParams(job));
+        }
+        for (const settings of data.notificationSettings) {
+          stmts.upsertNotificationSettings.run(notificationSettingsParams(settings));
+        }
+        for (const device of data.devices) {
+          stmts.upsertDevice.run(deviceParams(device));
+        }
+        for (const notification of data.notifications) {
+          stmts.insertNotification.run(notificationParams(notification));
+        }
+        for (const event of data.streamEvents.slice(-MAX_STREAM_EVENTS)) {
+          stmts.insertStreamEvent.run(streamEventParams(event));
+        }
+        for (const stats of Object.values(data.estimateStats)) {
+          stmts.addEstimateStats.run(stats);
+        }
+        for (const stats of data.dailyStats) {
+          stmts.addDailyStats.run(stats);
+        }
+        for (const entry of data.privacyAudit) {
+          stmts.insertPrivacyAudit.run({ ...entry, details: JSON.stringify(entry.details ?? {}) });
+        }
+        for (const message of data.messages) {
+          stmts.insertMessage.run(messageParams(message));
+        }
+        for (const revision of data.revisions) {
+          stmts.insertRevision.run(revisionParams(revision));
+        }
+      })();
+    }
+  };
+}
+
+module.exports = { createSqliteStore };
@@ -0,0 +1,138 @@
+const {
+  VIEW_EVENT_PAGE,
+  VIEW_EVENT_PIXEL,
+  VIEW_EVENT_PDF,
+  VIEW_CLASS_HUMAN
+} = require('./constants');
+const { deviceType } = require('../user-agent');
+
+// Counters kept up to date as views are added, so estimate lists and
+// reports don't rescan the view log, and so totals survive the log being
+// capped. Per estimate: the figures /api/estimates shows. Per day: human
+// events by estimate, event type, device type and referring site.
+
+const DIRECT = 'direct';
+
+// Site the customer came from, without "www.", or "direct"
+function refererHost(referer) {
+  try {
+    return new URL(referer).hostname.toLowerCase().replace(/^www\./, '') || DIRECT;
+  } catch (err) {
+    return DIRECT;
+  }
+}
+
+// What one view adds to its estimate's counters. Views stored before event
+// types and classification existed are page views by humans.
+function viewIncrements(view) {
+  const eventType = view.event_type || VIEW_EVENT_PAGE;
+  const isHuman = (view.classification || VIEW_CLASS_HUMAN) === VIEW_CLASS_HUMAN;
+  const isView = eventType !== VIEW_EVENT_PDF;
+  return {
+    trackingId: view.tracking_id,
+    viewCount: isHuman && isView ? 1 : 0,
+    rawViewCount: isView ? 1 : 0,
+    pdfDownloadCount: isHuman && !isView ? 1 : 0,
+    firstViewedAt: isHuman && eventType === VIEW_EVENT_PAGE ? view.viewed_at : null,
+    firstOpenedAt: isHuman && eventType === VIEW_EVENT_PIXEL ? view.viewed_at : null,
+    lastViewedAt: isHuman && isView ? view.viewed_at : null
+  };
+}
+
+// The daily counter a view adds one to, or null for views that aren't
+// counted (proxies and bots)
+function dailyStatKey(view) {
+  if ((view.classification || VIEW_CLASS_HUMAN) !== VIEW_CLASS_HUMAN) return null;
+  const eventType = view.event_type || VIEW_EVENT_PAGE;
+  return {
+    day: view.viewed_at.slice(0, 10),
+    trackingId: view.tracking_id,
+    eventType,
+    deviceType: deviceType(view.user_agent),
+    // Only page views arrive from a link on another site
+    referrer: eventType === VIEW_EVENT_PAGE ? refererHost(view.referer) : DIRECT
+  };
+}
+
+function dailyStatId(key) {
+  return [key.day, key.trackingId, key.eventType, key.deviceType, key.referrer].join('|');
+}
+
+function emptyEstimateStats(trackingId) {
+  return {
+    trackingId,
+    viewCount: 0,
+    rawViewCount: 0,
+    pdfDownloadCount: 0,
+    firstViewedAt: null,
+    firstOpenedAt: null,
+    lastViewedAt: null
+  };
+}
+
+function earliest(a, b) {
+  if (!a || !b) return a || b;
+  return a < b ? a : b;
+}
+
+function latest(a, b) {
+  if (!a || !b) return a || b;
+  return a > b ? a : b;
+}
+
+// Add a view's increments to an estimate's counters, in place
+function applyIncrements(stats, increments) {
+  stats.viewCount += increments.viewCount;
+  stats.rawViewCount += increments.rawViewCount;
+  stats.pdfDownloadCount += increments.pdfDownloadCount;
+  stats.firstViewedAt = earliest(stats.firstViewedAt, increments.firstViewedAt);
+  stats.firstOpenedAt = earliest(stats.firstOpenedAt, increments.firstOpenedAt);
+  stats.lastViewedAt = latest(stats.lastViewedAt, increments.lastViewedAt);
+  return stats;
+}
+
+// Whether a view about to be added is the estimate's first human view (page
+// view or email open) and the first human event of its type. Judged by the
+// counters rather than the view log, which is capped and purged.
+function firstEvents(stats, view) {
+  const isHuman = (view.classification || VIEW_CLASS_HUMAN) === VIEW_CLASS_HUMAN;
+  const eventType = view.event_type || VIEW_EVENT_PAGE;
+  const seen = {
+    [VIEW_EVENT_PAGE]: Boolean(stats?.firstViewedAt),
+    [VIEW_EVENT_PIXEL]: Boolean(stats?.firstOpenedAt),
+    [VIEW_EVENT_PDF]: (stats?.pdfDownloadCount || 0) > 0
+  };
+  return {
+    isFirstView: isHuman && !(stats?.viewCount > 0),
+    isFirstOfType: isHuman && !seen[eventType]
+  };
+}
+
+// Counters for a whole view log, for backfilling data recorded before
+// counters existed
+function buildStats(views) {
+  const estimateStats = {};
+  const daily = new Map();
+  for (const view of views) {
+    const trackingId = view.tracking_id;
+    estimateStats[trackingId] = applyIncrements(estimateStats[trackingId] || emptyEstimateStats(trackingId), viewIncrements(view));
+    const key = dailyStatKey(view);
+    if (!key) continue;
+    const id = dailyStatId(key);
+    if (!daily.has(id)) daily.set(id, { ...key, count: 0 });
+    daily.get(id).count++;
+  }
+  return { estimateStats, dailyStats: [...daily.values()] };
+}
+
+module.exports = {
+  DIRECT,
+  refererHost,
+  viewIncrements,
+  dailyStatKey,
+  dailyStatId,
+  emptyEstimateStats,
+  applyIncrements,
+  firstEvents,
+  buildStats
+};
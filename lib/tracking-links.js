@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+
+// Server-issued tracking IDs: a random part followed by an HMAC of it, so the
+// public routes can turn away made-up or guessed IDs without a database
+// lookup. IDs chosen by clients before links were signed keep working as long
+// as they were registered.
+
+const PREFIX = 'est_';
+const RANDOM_BYTES = 16;
+const SIGNATURE_LENGTH = 16;
+const SIGNED_ID = /^est_([A-Za-z0-9_-]{22})([A-Za-z0-9_-]{16})$/;
+
+const LINK_ACTIVE = 'active';
+const LINK_EXPIRED = 'expired';
+const LINK_REVOKED = 'revoked';
+
+function createLinkSigner(secret) {
+  function sign(random) {
+    return crypto.createHmac('sha256', secret).update(random).digest('base64url').slice(0, SIGNATURE_LENGTH);
+  }
+
+  return {
+    issue() {
+      const random = crypto.randomBytes(RANDOM_BYTES).toString('base64url');
+      return `${PREFIX}${random}${sign(random)}`;
+    },
+
+    // False for anything that claims to be a signed ID but isn't
+    verify(trackingId) {
+      const match = SIGNED_ID.exec(trackingId);
+      if (!match) return false;
+      const expected = Buffer.from(sign(match[1]));
+      const actual = Buffer.from(match[2]);
+      return crypto.timingSafeEqual(expected, actual);
+    }
+  };
+}
+
+function isSignedId(trackingId) {
+  return typeof trackingId === 'string' && trackingId.startsWith(PREFIX);
+}
+
+function linkStatus(estimate, now = new Date()) {
+  if (estimate.linkRevokedAt) return LINK_REVOKED;
+  if (estimate.linkExpiresAt && new Date(estimate.linkExpiresAt) <= now) return LINK_EXPIRED;
+  return LINK_ACTIVE;
+}
+
+// Validate an expiry date from a request body: a future date, or null for
+// a link that never expires. Returns { value } or { error }.
+function parseLinkExpiry(value) {
+  if (value === null || value === '') return { value: null };
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return { error: 'expiresAt must be a date' };
+  if (date <= new Date()) return { error: 'expiresAt must be in the future' };
+  return { value: date.toISOString() };
+}
+
+module.exports = {
+  LINK_ACTIVE,
+  LINK_EXPIRED,
+  LINK_REVOKED,
+  createLinkSigner,
+  isSignedId,
+  linkStatus,
+  parseLinkExpiry
+};
@@ -0,0 +1,79 @@
+// Browser, operating system and device from a user agent string, for
+// "Viewed on iPhone" in notifications. Checked in order: browsers built on
+// Chrome or Safari include those names too.
+
+const DEVICE_MOBILE = 'mobile';
+const DEVICE_TABLET = 'tablet';
+const DEVICE_DESKTOP = 'desktop';
+const DEVICE_UNKNOWN = 'unknown';
+
+const BROWSERS = [
+  { name: 'Edge', pattern: /\bEdg(?:e|A|iOS)?\// },
+  { name: 'Opera', pattern: /\bOPR\/|\bOpera\b/ },
+  { name: 'Samsung Internet', pattern: /\bSamsungBrowser\// },
+  { name: 'Firefox', pattern: /\bFirefox\/|\bFxiOS\// },
+  { name: 'Chrome', pattern: /\bChrome\/|\bCriOS\// },
+  { name: 'Safari', pattern: /\bVersion\/[\d.]+.*\bSafari\// },
+  { name: 'Internet Explorer', pattern: /\bMSIE |\bTrident\// }
+];
+
+const OPERATING_SYSTEMS = [
+  { name: 'Windows Phone', pattern: /\bWindows Phone\b/ },
+  { name: 'iPadOS', pattern: /\biPad\b/ },
+  { name: 'iOS', pattern: /\biPhone\b|\biPod\b/ },
+  { name: 'Android', pattern: /\bAndroid\b/ },
+  { name: 'Windows', pattern: /\bWindows\b/ },
+  { name: 'ChromeOS', pattern: /\bCrOS\b/ },
+  { name: 'macOS', pattern: /\bMacintosh\b|\bMac OS X\b/ },
+  { name: 'Linux', pattern: /\bLinux\b/ }
+];
+
+// mobile, tablet or desktop; also the device breakdown in reports
+function deviceType(userAgent) {
+  if (!userAgent) return DEVICE_UNKNOWN;
+  if (/ipad|tablet|kindle|silk|android(?!.*mobile)/i.test(userAgent)) return DEVICE_TABLET;
+  if (/mobi|iphone|ipod|android|windows phone/i.test(userAgent)) return DEVICE_MOBILE;
+  return DEVICE_DESKTOP;
+}
+
+// What to call the device in "Viewed on …"
+function deviceName(userAgent, os, type) {
+  if (/\biPhone\b/.test(userAgent)) return 'iPhone';
+  if (/\biPad\b/.test(userAgent)) return 'iPad';
+  if (/\biPod\b/.test(userAgent)) return 'iPod';
+  switch (os) {
+    case 'Android': return type === DEVICE_TABLET ? 'Android tablet' : 'Android phone';
+    case 'Windows Phone': return 'Windows phone';
+    case 'macOS': return 'Mac';
+    case 'Windows': return 'Windows PC';
+    case 'ChromeOS': return 'Chromebook';
+    case 'Linux': return 'Linux PC';
+    default: return null;
+  }
+}
+
+function match(list, userAgent) {
+  return list.find(entry => entry.pattern.test(userAgent))?.name || null;
+}
+
+// { browser, os, deviceType, device }; unrecognised parts are null
+function parseUserAgent(userAgent) {
+  const ua = String(userAgent || '');
+  const os = match(OPERATING_SYSTEMS, ua);
+  const type = deviceType(ua);
+  return {
+    browser: match(BROWSERS, ua),
+    os,
+    deviceType: type,
+    device: deviceName(ua, os, type)
+  };
+}
+
+module.exports = {
+  DEVICE_MOBILE,
+  DEVICE_TABLET,
+  DEVICE_DESKTOP,
+  DEVICE_UNKNOWN,
+  deviceType,
+  parseUserAgent
+};
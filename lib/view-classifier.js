@@ -0,0 +1,133 @@
+const net = require('net');
+const {
+  VIEW_EVENT_PIXEL,
+  VIEW_CLASS_HUMAN,
+  VIEW_CLASS_PROXY,
+  VIEW_CLASS_BOT
+} = require('./storage/constants');
+const { logger } = require('./logger');
+
+// Tags each view as human, proxy (mail clients fetching on the customer's
+// behalf) or bot (link scanners and crawlers), so that security scanners and
+// image prefetch don't trigger "Estimate Viewed!" before the customer has
+// opened anything. Checks run from the most to the least certain signal.
+
+const BOT_USER_AGENTS = [
+  { name: 'SafeLinks', pattern: /safelinks|microsoft office protection|ms-office-scan/i },
+  { name: 'Mimecast', pattern: /mimecast/i },
+  { name: 'Proofpoint', pattern: /proofpoint|urldefense/i },
+  { name: 'Barracuda', pattern: /barracuda/i },
+  { name: 'link preview', pattern: /facebookexternalhit|slackbot|twitterbot|linkedinbot|whatsapp|telegrambot|discordbot|skypeuripreview|bingpreview/i },
+  { name: 'headless browser', pattern: /headlesschrome|phantomjs|puppeteer|playwright|selenium/i },
+  { name: 'HTTP library', pattern: /^(curl|wget|python-requests|python-urllib|go-http-client|java\/|okhttp|axios|node-fetch|libwww-perl)/i },
+  { name: 'crawler', pattern: /(?<!cu)bot\b|crawler|spider|scanner|slurp/i }
+];
+
+const PROXY_USER_AGENTS = [
+  { name: 'Gmail image proxy', pattern: /googleimageproxy/i },
+  { name: 'Yahoo Mail proxy', pattern: /yahoomailproxy/i },
+  { name: 'Outlook image proxy', pattern: /ms-office|microsoft outlook|outlook-(ios|android)/i },
+  // Apple Mail Privacy Protection fetches with a bare user agent
+  { name: 'Apple Mail Privacy Protection', pattern: /^Mozilla\/5\.0$/ }
+];
+
+// Egress ranges of mail providers that fetch links and images server-side.
+// Extend with PROXY_IP_RANGES (comma-separated CIDRs).
+const PROXY_IP_RANGES = [
+  { name: 'Google', cidrs: ['66.102.0.0/20', '66.249.80.0/20', '72.14.199.0/24', '74.125.0.0/16'] },
+  { name: 'Apple', cidrs: ['17.0.0.0/8'] },
+  { name: 'Microsoft', cidrs: ['40.92.0.0/15', '40.107.0.0/16', '52.100.0.0/14', '104.47.0.0/17'] },
+  { name: 'Yahoo', cidrs: ['66.196.64.0/18', '98.136.0.0/14'] }
+];
+
+// A hit this soon after the estimate was sent is the recipient's mail
+// server, not the customer
+const PREFETCH_WINDOW_MS = 10 * 1000;
+
+// Several hits from different addresses within a few seconds is a scanner
+// fanning out
+const BURST_WINDOW_MS = 5 * 1000;
+const BURST_COUNT = 3;
+
+function buildBlockLists() {
+  const ranges = [...PROXY_IP_RANGES];
+  const extra = (process.env.PROXY_IP_RANGES || '').split(',').map(s => s.trim()).filter(Boolean);
+  if (extra.length > 0) ranges.push({ name: 'configured proxy', cidrs: extra });
+
+  return ranges.map(({ name, cidrs }) => {
+    const list = new net.BlockList();
+    for (const cidr of cidrs) {
+      const [address, prefix] = cidr.split('/');
+      const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+      try {
+        list.addSubnet(address, Number(prefix ?? (type === 'ipv6' ? 128 : 32)), type);
+      } catch (err) {
+        logger.warn(`Ignoring invalid proxy IP range "${cidr}"`);
+      }
+    }
+    return { name, list };
+  });
+}
+
+const proxyRanges = buildBlockLists();
+
+function normalizeIP(ip) {
+  const address = String(ip || '').trim().replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+  const version = net.isIP(address);
+  return version ? { address, type: version === 6 ? 'ipv6' : 'ipv4' } : null;
+}
+
+function matchSignature(signatures, userAgent) {
+  return signatures.find(s => s.pattern.test(userAgent))?.name || null;
+}
+
+function matchProxyRange(ip) {
+  const normalized = normalizeIP(ip);
+  if (!normalized) return null;
+  return proxyRanges.find(r => r.list.check(normalized.address, normalized.type))?.name || null;
+}
+
+// Classify a view before it is stored. `estimate` is the estimate as it was
+// before this view (null if unknown), `earlierViews` its stored views.
+// `clientIP` is the address before anonymization, for matching proxy
+// ranges; stored views are compared by their anonymized ip_address.
+// Returns { classification, reason }; reason is null for human views.
+function classifyView(view, { estimate, earlierViews = [], clientIP = view.ip_address } = {}) {
+  const userAgent = (view.user_agent || '').trim();
+  const viewedAt = new Date(view.viewed_at).getTime();
+
+  if (!userAgent) {
+    return { classification: VIEW_CLASS_BOT, reason: 'no user agent' };
+  }
+
+  const bot = matchSignature(BOT_USER_AGENTS, userAgent);
+  if (bot) return { classification: VIEW_CLASS_BOT, reason: `user agent: ${bot}` };
+
+  const proxy = matchSignature(PROXY_USER_AGENTS, userAgent);
+  if (proxy) return { classification: VIEW_CLASS_PROXY, reason: `user agent: ${proxy}` };
+
+  const range = matchProxyRange(clientIP);
+  if (range) return { classification: VIEW_CLASS_PROXY, reason: `IP range: ${range}` };
+
+  // Only registered estimates have a meaningful send time: when the server
+  // emailed the customer, or else when the estimate was registered
+  const sentAt = estimate?.emailSentAt || (estimate?.contractorId && estimate.created_at);
+  if (sentAt) {
+    const sinceSent = viewedAt - new Date(sentAt).getTime();
+    if (sinceSent >= 0 && sinceSent < PREFETCH_WINDOW_MS) {
+      return {
+        classification: view.event_type === VIEW_EVENT_PIXEL ? VIEW_CLASS_PROXY : VIEW_CLASS_BOT,
+        reason: 'opened within seconds of sending'
+      };
+    }
+  }
+
+  const burst = earlierViews.filter(v => viewedAt - new Date(v.viewed_at).getTime() < BURST_WINDOW_MS);
+  if (burst.length + 1 >= BURST_COUNT && new Set([...burst.map(v => v.ip_address), view.ip_address]).size > 1) {
+    return { classification: VIEW_CLASS_BOT, reason: 'burst of requests from several addresses' };
+  }
+
+  return { classification: VIEW_CLASS_HUMAN, reason: null };
+}
+
+module.exports = { classifyView };
@@ -0,0 +1,297 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { logger } = require('./logger');
+
+// Outbound webhooks. Events are queued as one delivery per matching
+// subscription in storage, then a worker in the server process posts them,
+// retrying with exponential backoff. Every attempt is logged.
+
+const WEBHOOK_EVENTS = [
+  'view.first',
+  'view.repeat',
+  'pixel.open',
+  'pdf.download',
+  'estimate.accepted',
+  'estimate.declined',
+  'estimate.changes_requested',
+  'message.received'
+];
+
+const MAX_ATTEMPTS = 8;
+const BASE_RETRY_DELAY_MS = 30 * 1000; // 30s, 1m, 2m, 4m ... ~1h between the last attempts
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const POLL_INTERVAL_MS = 15 * 1000;
+const BATCH_SIZE = 20;
+
+// Loopback, private, link-local and other non-public ranges. Webhooks can't
+// be pointed at them, so an API key can't reach services inside the
+// server's network.
+const INTERNAL_RANGES = {
+  ipv4: ['0.0.0.0/8', '10.0.0.0/8', '100.64.0.0/10', '127.0.0.0/8', '169.254.0.0/16', '172.16.0.0/12',
+    '192.0.0.0/24', '192.168.0.0/16', '198.18.0.0/15', '224.0.0.0/4', '240.0.0.0/4'],
+  ipv6: ['::/128', '::1/128', 'fc00::/7', 'fe80::/10', 'ff00::/8']
+};
+
+const internalAddresses = new net.BlockList();
+for (const [family, cidrs] of Object.entries(INTERNAL_RANGES)) {
+  for (const cidr of cidrs) {
+    const [address, prefix] = cidr.split('/');
+    internalAddresses.addSubnet(address, Number(prefix), family);
+  }
+}
+
+function isInternalAddress(address) {
+  // IPv4-mapped IPv6 (::ffff:127.0.0.1) is checked as IPv4
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return internalAddresses.check(mapped[1], 'ipv4');
+  return internalAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// WEBHOOK_ALLOW_LOCAL=true allows http and local addresses, for developing
+// against a receiver on the same machine
+function allowLocal() {
+  return process.env.WEBHOOK_ALLOW_LOCAL === 'true';
+}
+
+// Why a webhook host can't be posted to, or null. Host names are checked
+// again at delivery, once resolved.
+function hostError(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost') || (net.isIP(host) && isInternalAddress(host))) {
+    return 'url must not point to a local or private address';
+  }
+  return null;
+}
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+// Signature header value: t=<unix seconds>,v1=<hex HMAC-SHA256 of "t.body">.
+// Receivers recompute it with their secret and should reject old timestamps.
+function signPayload(secret, timestamp, body) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+function retryDelay(attempts) {
+  const jitter = Math.random() * 0.2 + 0.9;
+  return Math.round(BASE_RETRY_DELAY_MS * 2 ** (attempts - 1) * jitter);
+}
+
+// Validate a subscription body for create (all fields) or update (partial).
+// Returns { value } or { error }.
+function parseSubscription(body, { partial = false } = {}) {
+  const value = {};
+
+  if (!partial || body.url !== undefined) {
+    let url;
+    try {
+      url = new URL(String(body.url || ''));
+    } catch (err) {
+      return { error: 'url must be a valid URL' };
+    }
+    if (url.protocol !== 'https:' && !(allowLocal() && url.protocol === 'http:')) {
+      return { error: 'url must use https' };
+    }
+    const error = allowLocal() ? null : hostError(url.hostname);
+    if (error) return { error };
+    value.url = url.toString();
+  }
+
+  if (!partial || body.events !== undefined) {
+    const events = body.events === undefined ? ['*'] : body.events;
+    if (!Array.isArray(events) || events.length === 0) {
+      return { error: 'events must be a non-empty array' };
+    }
+    const unknown = events.filter(e => e !== '*' && !WEBHOOK_EVENTS.includes(e));
+    if (unknown.length > 0) {
+      return { error: `Unknown events: ${unknown.join(', ')}. Valid events: ${WEBHOOK_EVENTS.join(', ')}` };
+    }
+    value.events = [...new Set(events)];
+  }
+
+  if (body.description !== undefined) {
+    value.description = body.description ? String(body.description).slice(0, 200) : null;
+  }
+  if (body.active !== undefined) {
+    value.active = Boolean(body.active);
+  }
+  return { value };
+}
+
+function subscribesTo(webhook, eventType) {
+  return webhook.active && (webhook.events.includes('*') || webhook.events.includes(eventType));
+}
+
+// What the API returns about a subscription; the secret is only shown once
+function describeWebhook(webhook) {
+  return {
+    id: webhook.id,
+    url: webhook.url,
+    events: webhook.events,
+    description: webhook.description,
+    active: webhook.active,
+    createdAt: webhook.createdAt,
+    updatedAt: webhook.updatedAt
+  };
+}
+
+// Refuse host names that resolve to an internal address
+async function checkResolvedHost(hostname) {
+  if (allowLocal() || net.isIP(hostname.replace(/^\[|\]$/g, ''))) return;
+  const addresses = await dns.promises.lookup(hostname, { all: true });
+  if (addresses.some(({ address }) => isInternalAddress(address))) {
+    throw new Error(`${hostname} resolves to a local or private address`);
+  }
+}
+
+function createWebhookDispatcher({ storage, fetchImpl = globalThis.fetch }) {
+  let timer = null;
+  let processing = false;
+  let rerun = false;
+
+  // Queue an event for every active subscription of the contractor that
+  // wants it. Resolves once the deliveries are persisted.
+  async function dispatch(contractorId, eventType, data) {
+    const webhooks = (await storage.listWebhooks(contractorId)).filter(w => subscribesTo(w, eventType));
+    if (webhooks.length === 0) return;
+
+    const createdAt = new Date().toISOString();
+    const payload = JSON.stringify({
+      id: `evt_${crypto.randomBytes(8).toString('hex')}`,
+      type: eventType,
+      createdAt,
+      data
+    });
+
+    for (const webhook of webhooks) {
+      await storage.addWebhookDelivery({
+        id: `whd_${crypto.randomBytes(8).toString('hex')}`,
+        webhookId: webhook.id,
+        eventType,
+        payload,
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: createdAt,
+        lastError: null,
+        createdAt,
+        deliveredAt: null
+      });
+    }
+    processDue();
+  }
+
+  async function attempt(delivery) {
+    const webhook = await storage.getWebhook(delivery.webhookId);
+    const attemptedAt = new Date();
+    const attempts = delivery.attempts + 1;
+    let statusCode = null;
+    let error = null;
+
+    if (!webhook || !webhook.active) {
+      error = 'Subscription disabled';
+    } else {
+      const timestamp = Math.floor(attemptedAt.getTime() / 1000);
+      try {
+        const url = new URL(webhook.url);
+        const refused = allowLocal() ? null : hostError(url.hostname);
+        if (refused) throw new Error(refused);
+        await checkResolvedHost(url.hostname);
+        const response = await fetchImpl(webhook.url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'EstimatePro-Webhooks/1.0',
+            'X-EstimatePro-Event': delivery.eventType,
+            'X-EstimatePro-Delivery': delivery.id,
+            'X-EstimatePro-Signature': signPayload(webhook.secret, timestamp, delivery.payload)
+          },
+          body: delivery.payload,
+          redirect: 'manual',
+          signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+        });
+        statusCode = response.status;
+        if (!response.ok) error = `HTTP ${response.status}`;
+      } catch (err) {
+        error = err.name === 'TimeoutError' ? 'Timed out' : err.message;
+      }
+    }
+
+    const delivered = !error;
+    const giveUp = !delivered && (attempts >= MAX_ATTEMPTS || !webhook || !webhook.active);
+    await storage.recordWebhookAttempt({
+      ...delivery,
+      attempts,
+      status: delivered ? 'delivered' : giveUp ? 'failed' : 'pending',
+      nextAttemptAt: delivered || giveUp ? null : new Date(Date.now() + retryDelay(attempts)).toISOString(),
+      lastError: error,
+      deliveredAt: delivered ? attemptedAt.toISOString() : null
+    }, {
+      deliveryId: delivery.id,
+      attemptedAt: attemptedAt.toISOString(),
+      statusCode,
+      error,
+      durationMs: Date.now() - attemptedAt.getTime()
+    });
+
+    if (!delivered) {
+      logger.warn('Webhook delivery failed', { deliveryId: delivery.id, attempt: attempts, error });
+    }
+  }
+
+  // Deliver everything that is due. Overlapping calls are folded into one
+  // extra pass so an event queued mid-run isn't left waiting for the timer.
+  async function processDue() {
+    if (processing) {
+      rerun = true;
+      return;
+    }
+    processing = true;
+    try {
+      let due;
+      do {
+        due = await storage.listDueWebhookDeliveries(new Date().toISOString(), BATCH_SIZE);
+        for (const delivery of due) {
+          await attempt(delivery);
+        }
+      } while (due.length === BATCH_SIZE);
+    } catch (err) {
+      logger.error('Webhook worker error', { err });
+    } finally {
+      processing = false;
+    }
+    if (rerun) {
+      rerun = false;
+      await processDue();
+    }
+  }
+
+  return {
+    dispatch,
+    processDue,
+
+    start() {
+      if (timer) return;
+      timer = setInterval(processDue, POLL_INTERVAL_MS);
+      timer.unref();
+      processDue();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  MAX_ATTEMPTS,
+  generateSecret,
+  signPayload,
+  parseSubscription,
+  describeWebhook,
+  createWebhookDispatcher
+};
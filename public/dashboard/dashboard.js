@@ -0,0 +1,480 @@
+// Contractor dashboard. Signing in with an API key gets a session cookie
+// from /dashboard/session; everything else comes from the same /api/v1
+// endpoints the app uses. Served from /public so it runs under the strict
+// `script-src 'self'` CSP, and builds the page with DOM calls so customer
+// data is only ever set as text.
+(function () {
+  var API = '/api/v1';
+  var DASHBOARD_HEADER = 'X-EstimatePro-Dashboard';
+
+  var STATUS_LABELS = {
+    pending: 'Pending',
+    accepted: 'Accepted',
+    declined: 'Declined',
+    changes_requested: 'Changes requested'
+  };
+  var VIEW_LABELS = { page: 'Viewed the estimate', pixel: 'Opened the email', pdf: 'Downloaded the PDF' };
+  var CLASSIFICATION_LABELS = { proxy: 'mail proxy or prefetch, not counted', bot: 'bot or link scanner, not counted' };
+  var RESPONSE_LABELS = {
+    accepted: 'Accepted',
+    declined: 'Declined',
+    changes_requested: 'Asked for changes'
+  };
+
+  var notifications = [];
+  var estimateQuery = {};
+  var nextCursor = null;
+
+  function $(id) {
+    return document.getElementById(id);
+  }
+
+  // Element with attributes and children. Strings become text nodes.
+  function el(tag, attrs, children) {
+    var node = document.createElement(tag);
+    Object.keys(attrs || {}).forEach(function (name) {
+      if (attrs[name] === null || attrs[name] === undefined || attrs[name] === false) return;
+      if (name === 'text') node.textContent = attrs[name];
+      else if (name === 'onclick') node.addEventListener('click', attrs[name]);
+      else node.setAttribute(name, attrs[name]);
+    });
+    (children || []).forEach(function (child) {
+      if (child === null || child === undefined) return;
+      node.appendChild(typeof child === 'string' ? document.createTextNode(child) : child);
+    });
+    return node;
+  }
+
+  function clear(node) {
+    while (node.firstChild) node.removeChild(node.firstChild);
+    return node;
+  }
+
+  function request(method, path, body) {
+    var options = { method: method, credentials: 'same-origin', headers: {} };
+    options.headers[DASHBOARD_HEADER] = '1';
+    if (body !== undefined) {
+      options.headers['Content-Type'] = 'application/json';
+      options.body = JSON.stringify(body);
+    }
+    return fetch(path, options).then(function (res) {
+      if (res.status === 401 && path.indexOf(API) === 0) {
+        showSignIn();
+        throw new Error('Please sign in again.');
+      }
+      return res.json().catch(function () { return {}; }).then(function (data) {
+        if (!res.ok) throw new Error(data.error || 'Something went wrong (' + res.status + ')');
+        return data;
+      });
+    });
+  }
+
+  function api(method, path, body) {
+    return request(method, API + path, body);
+  }
+
+  function flash(message, isError) {
+    var node = $('flash');
+    node.textContent = message;
+    node.className = isError ? 'flash error' : 'flash';
+    node.hidden = false;
+    clearTimeout(flash.timer);
+    flash.timer = setTimeout(function () { node.hidden = true; }, 5000);
+  }
+
+  function showError(err) {
+    flash(err.message, true);
+  }
+
+  function formatDate(value) {
+    return value ? new Date(value).toLocaleString() : '';
+  }
+
+  function formatMoney(amount, currency) {
+    if (amount === null || amount === undefined) return '';
+    try {
+      return new Intl.NumberFormat(undefined, { style: 'currency', currency: currency || 'USD' }).format(amount);
+    } catch (err) {
+      return String(amount);
+    }
+  }
+
+  function estimatePath(trackingId) {
+    return '/' + encodeURIComponent(trackingId);
+  }
+
+  // ----- Sign in -----
+
+  function showSignIn() {
+    $('app').hidden = true;
+    $('sign-in').hidden = false;
+    $('sign-in-form').apiKey.focus();
+  }
+
+  function start() {
+    return api('GET', '/contractor').then(function (contractor) {
+      $('sign-in').hidden = true;
+      $('app').hidden = false;
+      $('account-name').textContent = contractor
+        ? contractor.companyName || contractor.name || contractor.email || ''
+        : '';
+      loadNotifications().catch(showError);
+      route();
+    });
+  }
+
+  $('sign-in-form').addEventListener('submit', function (event) {
+    event.preventDefault();
+    var form = event.target;
+    var error = $('sign-in-error');
+    error.hidden = true;
+    request('POST', '/dashboard/session', { apiKey: form.apiKey.value }).then(function () {
+      form.reset();
+      return start();
+    }).catch(function (err) {
+      error.textContent = err.message;
+      error.hidden = false;
+    });
+  });
+
+  $('sign-out').addEventListener('click', function () {
+    request('DELETE', '/dashboard/session').then(showSignIn, showError);
+  });
+
+  // ----- Navigation: #estimates, #estimate/<trackingId>, #notifications, #settings -----
+
+  function showView(name) {
+    ['estimates', 'estimate', 'notifications', 'settings'].forEach(function (view) {
+      $('view-' + view).hidden = view !== name;
+    });
+    var active = name === 'estimate' ? 'estimates' : name;
+    Array.prototype.forEach.call(document.querySelectorAll('.top nav a'), function (link) {
+      link.className = link.getAttribute('data-view') === active ? 'active' : '';
+    });
+  }
+
+  function route() {
+    var hash = decodeURIComponent(location.hash.slice(1));
+    if (hash.indexOf('estimate/') === 0) {
+      showView('estimate');
+      loadEstimate(hash.slice('estimate/'.length)).catch(showError);
+    } else if (hash === 'notifications') {
+      showView('notifications');
+      loadNotifications().catch(showError);
+    } else if (hash === 'settings') {
+      showView('settings');
+      loadSettings().catch(showError);
+    } else {
+      showView('estimates');
+      loadEstimates(true).catch(showError);
+    }
+  }
+
+  window.addEventListener('hashchange', function () {
+    if (!$('app').hidden) route();
+  });
+
+  // ----- Estimates -----
+
+  function viewBadge(estimate) {
+    if (estimate.view_count > 0) {
+      return el('span', { class: 'badge viewed', text: 'Viewed' + (estimate.view_count > 1 ? ' ' + estimate.view_count + '×' : '') });
+    }
+    if (estimate.delivery && estimate.delivery.status === 'opened') {
+      return el('span', { class: 'badge opened', text: 'Opened' });
+    }
+    return el('span', { class: 'badge', text: 'Not viewed' });
+  }
+
+  function statusBadges(estimate) {
+    var badges = [el('span', { class: 'badge ' + estimate.status, text: STATUS_LABELS[estimate.status] || estimate.status })];
+    if (estimate.linkStatus && estimate.linkStatus !== 'active') {
+      badges.push(' ', el('span', { class: 'badge inactive', text: 'Link ' + estimate.linkStatus }));
+    }
+    return badges;
+  }
+
+  function estimateRow(estimate) {
+    var currency = estimate.details && estimate.details.currency;
+    var number = estimate.details && estimate.details.estimateNumber;
+    return el('tr', {}, [
+      el('td', {}, [
+        el('a', { href: '#estimate/' + encodeURIComponent(estimate.tracking_id), text: estimate.title || 'Untitled estimate' }),
+        number ? el('div', { class: 'sub', text: number }) : null
+      ]),
+      el('td', {}, [
+        estimate.customerName || '',
+        estimate.customerEmail ? el('div', { class: 'sub', text: estimate.customerEmail }) : null
+      ]),
+      el('td', { class: 'num', text: formatMoney(estimate.total, currency) }),
+      el('td', {}, statusBadges(estimate)),
+      el('td', {}, [
+        viewBadge(estimate),
+        estimate.last_viewed_at ? el('div', { class: 'sub', text: formatDate(estimate.last_viewed_at) }) : null
+      ]),
+      el('td', { class: 'sub', text: formatDate(estimate.created_at) })
+    ]);
+  }
+
+  function loadEstimates(reset) {
+    var params = [];
+    Object.keys(estimateQuery).forEach(function (name) {
+      if (estimateQuery[name]) params.push(name + '=' + encodeURIComponent(estimateQuery[name]));
+    });
+    params.push('limit=50');
+    if (!reset && nextCursor) params.push('cursor=' + encodeURIComponent(nextCursor));
+
+    return api('GET', '/estimates?' + params.join('&')).then(function (page) {
+      var rows = $('estimate-rows');
+      if (reset) clear(rows);
+      page.estimates.forEach(function (estimate) {
+        rows.appendChild(estimateRow(estimate));
+      });
+      nextCursor = page.nextCursor;
+      $('estimates-more').hidden = !nextCursor;
+      $('estimates-empty').hidden = rows.children.length > 0;
+    });
+  }
+
+  $('estimate-search').addEventListener('submit', function (event) {
+    event.preventDefault();
+    var form = event.target;
+    estimateQuery = { q: form.q.value.trim(), viewState: form.viewState.value };
+    loadEstimates(true).catch(showError);
+  });
+
+  $('estimates-more').addEventListener('click', function () {
+    loadEstimates(false).catch(showError);
+  });
+
+  // ----- One estimate: summary and timeline -----
+
+  function fact(label, value) {
+    if (value === null || value === undefined || value === '') return null;
+    return el('div', {}, [el('dt', { text: label }), el('dd', {}, [value])]);
+  }
+
+  function renderSummary(estimate, stats) {
+    var currency = estimate.details && estimate.details.currency;
+    var delivery = estimate.delivery || {};
+    clear($('estimate-summary')).appendChild(el('div', { class: 'summary-head' }, [
+      el('div', {}, [
+        el('h1', { text: estimate.title || 'Untitled estimate' }),
+        el('div', { class: 'sub', text: estimate.tracking_id })
+      ]),
+      el('div', {}, statusBadges(estimate).concat([' ', viewBadge(estimate)]))
+    ]));
+    $('estimate-summary').appendChild(el('dl', { class: 'facts' }, [
+      fact('Customer', estimate.customerName),
+      fact('Customer email', estimate.customerEmail),
+      fact('Total', formatMoney(estimate.total, currency)),
+      fact('Views', String(stats.viewCount)),
+      fact('Last viewed', formatDate(stats.lastViewedAt)),
+      fact('PDF downloads', stats.pdfDownloadCount ? String(stats.pdfDownloadCount) : null),
+      fact('Email', delivery.sentAt ? delivery.status.replace('_', ' ') + (delivery.sentTo ? ' to ' + delivery.sentTo : '') : 'Not sent'),
+      fact('Revision', estimate.version ? String(estimate.version) : null),
+      fact('Link expires', formatDate(estimate.linkExpiresAt)),
+      fact('Created', formatDate(estimate.created_at))
+    ]));
+  }
+
+  function clientDescription(view) {
+    var device = view.device || view.browser;
+    var text = (device ? 'On ' + device : '') + (view.location ? (device ? ' in ' : 'In ') + view.location : '');
+    return text || null;
+  }
+
+  function notificationButton(notification, onRead) {
+    return el('button', {
+      type: 'button',
+      class: 'link',
+      text: 'Mark read',
+      onclick: function (event) {
+        event.target.disabled = true;
+        markRead(notification).then(onRead, function (err) {
+          event.target.disabled = false;
+          showError(err);
+        });
+      }
+    });
+  }
+
+  function renderTimeline(estimate, stats, history, trackingId) {
+    var entries = [];
+    entries.push({ at: estimate.created_at, kind: 'created', text: 'Estimate created' });
+    if (estimate.delivery && estimate.delivery.sentAt) {
+      entries.push({ at: estimate.delivery.sentAt, kind: 'sent', text: 'Emailed to ' + estimate.delivery.sentTo });
+    }
+    stats.views.forEach(function (view) {
+      var note = CLASSIFICATION_LABELS[view.classification];
+      entries.push({
+        at: view.timestamp,
+        kind: 'view',
+        muted: Boolean(note),
+        text: (VIEW_LABELS[view.type] || view.type) + (note ? ' (' + note + ')' : ''),
+        detail: clientDescription(view)
+      });
+    });
+    history.history.forEach(function (event) {
+      entries.push({
+        at: event.timestamp,
+        kind: 'response',
+        text: (RESPONSE_LABELS[event.status] || event.status) + (event.name ? ' by ' + event.name : ''),
+        detail: event.message
+      });
+    });
+    notifications.filter(function (n) { return n.trackingId === trackingId; }).forEach(function (n) {
+      entries.push({ at: n.viewedAt, kind: 'notification', text: 'Notified: ' + n.message, notification: n });
+    });
+    entries.sort(function (a, b) { return String(b.at).localeCompare(String(a.at)); });
+
+    var list = clear($('timeline'));
+    entries.forEach(function (entry) {
+      var unread = entry.notification && !entry.notification.isRead;
+      list.appendChild(el('li', { class: entry.kind + (entry.muted ? ' muted' : '') }, [
+        el('div', { class: 'when', text: formatDate(entry.at) }),
+        el('div', {}, [
+          entry.text,
+          unread ? ' ' : null,
+          unread ? notificationButton(entry.notification, route) : null
+        ]),
+        entry.detail ? el('div', { class: 'detail', text: entry.detail }) : null
+      ]));
+    });
+  }
+
+  function loadEstimate(trackingId) {
+    var path = estimatePath(trackingId);
+    return Promise.all([
+      api('GET', '/estimates' + path),
+      api('GET', '/views' + path),
+      api('GET', '/estimates' + path + '/status'),
+      loadNotifications()
+    ]).then(function (results) {
+      renderSummary(results[0], results[1]);
+      renderTimeline(results[0], results[1], results[2], trackingId);
+    });
+  }
+
+  // ----- Notifications -----
+
+  function updateUnreadCount() {
+    var unread = notifications.filter(function (n) { return !n.isRead; }).length;
+    $('unread-count').textContent = String(unread);
+    $('unread-count').hidden = unread === 0;
+  }
+
+  function renderNotifications() {
+    var list = clear($('notification-list'));
+    notifications.forEach(function (n) {
+      list.appendChild(el('li', { class: n.isRead ? '' : 'unread' }, [
+        el('div', { class: 'text' }, [
+          el('div', { text: n.message }),
+          el('div', { class: 'sub' }, [
+            formatDate(n.viewedAt) + ' · ',
+            el('a', { href: '#estimate/' + encodeURIComponent(n.trackingId), text: n.estimateTitle || n.trackingId })
+          ])
+        ]),
+        n.isRead ? null : notificationButton(n, renderNotifications)
+      ]));
+    });
+    list.hidden = notifications.length === 0;
+    $('notifications-empty').hidden = notifications.length > 0;
+    $('read-all').disabled = !notifications.some(function (n) { return !n.isRead; });
+    updateUnreadCount();
+  }
+
+  function loadNotifications() {
+    return api('GET', '/notifications?limit=100').then(function (list) {
+      notifications = list;
+      renderNotifications();
+      return list;
+    });
+  }
+
+  function markRead(notification) {
+    return api('POST', '/notifications/' + encodeURIComponent(notification.id) + '/read').then(function () {
+      notification.isRead = true;
+      updateUnreadCount();
+    });
+  }
+
+  $('read-all').addEventListener('click', function () {
+    api('POST', '/notifications/read-all').then(function () {
+      notifications.forEach(function (n) { n.isRead = true; });
+      renderNotifications();
+    }).catch(showError);
+  });
+
+  // ----- Settings: contractor email and devices -----
+
+  function loadSettings() {
+    return Promise.all([api('GET', '/contractor'), api('GET', '/devices')]).then(function (results) {
+      var contractor = results[0] || {};
+      var form = $('contractor-form');
+      form.email.value = contractor.email || '';
+      form.name.value = contractor.name || '';
+      form.companyName.value = contractor.companyName || '';
+      renderDevices(results[1].devices);
+    });
+  }
+
+  $('contractor-form').addEventListener('submit', function (event) {
+    event.preventDefault();
+    var form = event.target;
+    api('POST', '/contractor/register', {
+      email: form.email.value.trim(),
+      name: form.name.value.trim() || null,
+      companyName: form.companyName.value.trim() || null
+    }).then(function () {
+      flash('Saved. Notifications will be emailed to ' + form.email.value.trim() + '.');
+      $('account-name').textContent = form.companyName.value.trim() || form.name.value.trim() || form.email.value.trim();
+    }).catch(showError);
+  });
+
+  function deviceAction(label, className, action) {
+    return el('button', {
+      type: 'button',
+      class: className,
+      text: label,
+      onclick: function (event) {
+        event.target.disabled = true;
+        action().catch(showError).then(function () { event.target.disabled = false; });
+      }
+    });
+  }
+
+  function renderDevices(devices) {
+    var list = clear($('device-list'));
+    devices.forEach(function (device) {
+      var path = '/devices/' + encodeURIComponent(device.id);
+      var platform = device.platform === 'android' ? 'Android' : 'iOS';
+      list.appendChild(el('li', {}, [
+        el('div', { class: 'text' }, [
+          el('div', { text: platform + ' device ' + device.token + (device.muted ? ' (muted)' : '') }),
+          el('div', { class: 'sub', text: 'Registered ' + formatDate(device.registeredAt) + (device.bundleId ? ' · ' + device.bundleId : '') })
+        ]),
+        el('div', { class: 'actions' }, [
+          deviceAction(device.muted ? 'Unmute' : 'Mute', 'secondary', function () {
+            return api('PATCH', path, { muted: !device.muted }).then(loadSettings);
+          }),
+          deviceAction('Send test', 'secondary', function () {
+            return api('POST', path + '/test').then(function () {
+              flash('Test notification sent.');
+            });
+          }),
+          deviceAction('Remove', 'danger', function () {
+            if (!window.confirm('Stop sending notifications to this device?')) return Promise.resolve();
+            return api('DELETE', path).then(loadSettings);
+          })
+        ])
+      ]));
+    });
+    list.hidden = devices.length === 0;
+    $('devices-empty').hidden = devices.length > 0;
+  }
+
+  start().catch(function () {
+    showSignIn();
+  });
+})();
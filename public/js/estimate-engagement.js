@@ -0,0 +1,99 @@
+// Reports how the customer reads the estimate page: time the page is visible,
+// furthest scroll position and time each section spends on screen. Values are
+// cumulative, so a lost beacon is made up for by the next one.
+(function () {
+  var script = document.currentScript;
+  if (!script || !script.dataset.session) return;
+
+  var HEARTBEAT_MS = 15000;
+  var beaconUrl = script.dataset.beacon;
+  var sessionId = script.dataset.session;
+
+  var activeMs = 0;
+  var visibleSince = document.visibilityState === 'visible' ? Date.now() : null;
+  var scrollDepth = 0;
+  var sections = {};
+  var onScreen = {};
+
+  // Flush running timers into the totals
+  function tick() {
+    var t = Date.now();
+    if (visibleSince !== null) {
+      activeMs += t - visibleSince;
+      visibleSince = t;
+      Object.keys(onScreen).forEach(function (name) {
+        sections[name] = (sections[name] || 0) + (t - onScreen[name]);
+        onScreen[name] = t;
+      });
+    }
+  }
+
+  function measureScroll() {
+    var doc = document.documentElement;
+    var height = Math.max(doc.scrollHeight, 1);
+    var depth = Math.round(Math.min(1, (window.scrollY + window.innerHeight) / height) * 100);
+    if (depth > scrollDepth) scrollDepth = depth;
+  }
+
+  function send(type) {
+    tick();
+    var body = JSON.stringify({
+      type: type,
+      sessionId: sessionId,
+      activeMs: activeMs,
+      scrollDepth: scrollDepth,
+      sections: sections
+    });
+    if (navigator.sendBeacon && navigator.sendBeacon(beaconUrl, new Blob([body], { type: 'application/json' }))) {
+      return;
+    }
+    if (window.fetch) {
+      fetch(beaconUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: body,
+        keepalive: true
+      }).catch(function () {});
+    }
+  }
+
+  if ('IntersectionObserver' in window) {
+    var observer = new IntersectionObserver(function (entries) {
+      tick();
+      entries.forEach(function (entry) {
+        var name = entry.target.dataset.section;
+        if (entry.isIntersecting) {
+          if (!(name in onScreen)) onScreen[name] = Date.now();
+        } else {
+          delete onScreen[name];
+        }
+      });
+    }, { threshold: 0.3 });
+    document.querySelectorAll('[data-section]').forEach(function (element) {
+      observer.observe(element);
+    });
+  }
+
+  window.addEventListener('scroll', measureScroll, { passive: true });
+  measureScroll();
+
+  document.addEventListener('visibilitychange', function () {
+    if (document.visibilityState === 'visible') {
+      var t = Date.now();
+      visibleSince = t;
+      Object.keys(onScreen).forEach(function (name) { onScreen[name] = t; });
+      send('visibility');
+    } else {
+      send('visibility');
+      visibleSince = null;
+    }
+  });
+
+  window.addEventListener('pagehide', function () {
+    send('end');
+  });
+
+  setInterval(function () {
+    if (visibleSince !== null) send('heartbeat');
+  }, HEARTBEAT_MS);
+})();
@@ -0,0 +1,88 @@
+// Behaviour for the customer-facing estimate page. Served from /public so it
+// runs under the page's `script-src 'self'` CSP.
+(function () {
+  var printButton = document.getElementById('print-button');
+  if (printButton) {
+    printButton.addEventListener('click', function () {
+      window.print();
+    });
+  }
+
+  // Signature pad for the accept form. Without JavaScript the form falls
+  // back to a typed signature.
+  var form = document.getElementById('accept-form');
+  var canvas = document.getElementById('signature-pad');
+  if (!form || !canvas || !canvas.getContext) return;
+
+  var typed = document.getElementById('signature-typed');
+  var typedInput = typed.querySelector('input');
+  var drawn = document.getElementById('signature-drawn');
+  var dataInput = document.getElementById('signature-data');
+  var modeButton = document.getElementById('signature-mode');
+  var clearButton = document.getElementById('signature-clear');
+  var ctx = canvas.getContext('2d');
+  var drawing = false;
+  var hasInk = false;
+  var drawMode = false;
+  // Labels come from the page, in its language
+  var drawLabel = modeButton.textContent;
+  var typeLabel = modeButton.getAttribute('data-type-label');
+
+  ctx.lineWidth = 2.5;
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+  ctx.strokeStyle = '#1a1a2e';
+
+  function point(event) {
+    var rect = canvas.getBoundingClientRect();
+    return {
+      x: (event.clientX - rect.left) * (canvas.width / rect.width),
+      y: (event.clientY - rect.top) * (canvas.height / rect.height)
+    };
+  }
+
+  canvas.addEventListener('pointerdown', function (event) {
+    var p = point(event);
+    drawing = true;
+    canvas.setPointerCapture(event.pointerId);
+    ctx.beginPath();
+    ctx.moveTo(p.x, p.y);
+  });
+  canvas.addEventListener('pointermove', function (event) {
+    if (!drawing) return;
+    var p = point(event);
+    ctx.lineTo(p.x, p.y);
+    ctx.stroke();
+    hasInk = true;
+  });
+  ['pointerup', 'pointercancel', 'pointerleave'].forEach(function (type) {
+    canvas.addEventListener(type, function () { drawing = false; });
+  });
+
+  clearButton.addEventListener('click', function () {
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    hasInk = false;
+  });
+
+  function setMode(draw) {
+    drawMode = draw;
+    typed.hidden = draw;
+    drawn.hidden = !draw;
+    typedInput.required = !draw;
+    modeButton.textContent = draw ? typeLabel : drawLabel;
+  }
+
+  modeButton.hidden = false;
+  modeButton.addEventListener('click', function () { setMode(!drawMode); });
+
+  form.addEventListener('submit', function (event) {
+    dataInput.value = '';
+    if (!drawMode) return;
+    if (!hasInk) {
+      event.preventDefault();
+      alert(canvas.getAttribute('data-empty-message'));
+      return;
+    }
+    dataInput.value = canvas.toDataURL('image/png');
+  });
+})();
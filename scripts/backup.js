@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+// Export and import the full dataset of the configured storage backend.
+//
+//   npm run backup -- export [file]          # a new snapshot in BACKUP_DIR without a file
+//   npm run backup -- import <file> [--force]
+//   npm run backup -- list
+//
+// Import accepts a backup from export or GET /api/admin/backup, or a
+// tracking-data.json file. It refuses to touch a store that already has
+// data unless --force is given, in which case the current data is saved as
+// a snapshot and then replaced. Stop the server before importing into the
+// json backend, which would otherwise overwrite the import on its next save.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { createStorage } = require('../lib/storage');
+const { writeFileAtomic } = require('../lib/storage/files');
+const { createBackup, readBackup, describeDataset, createBackupManager } = require('../lib/backups');
+
+const BACKUP_DIR = process.env.BACKUP_DIR || './backups';
+const USAGE = 'Usage: npm run backup -- export [file] | import <file> [--force] | list';
+
+async function exportData(storage, file) {
+  const manager = createBackupManager({ storage, dir: BACKUP_DIR });
+  if (!file) {
+    const snapshot = await manager.snapshot();
+    console.log(`✓ Exported ${snapshot.estimates} estimates and ${snapshot.views} views to ` +
+      path.join(BACKUP_DIR, snapshot.name));
+    return;
+  }
+  const backup = createBackup(await storage.exportData(), { driver: storage.driver });
+  await writeFileAtomic(path.resolve(file), JSON.stringify(backup));
+  const { estimates, views } = describeDataset(backup.data);
+  console.log(`✓ Exported ${estimates} estimates and ${views} views to ${file}`);
+}
+
+async function importData(storage, file, force) {
+  const { value: data, error } = readBackup(JSON.parse(fs.readFileSync(path.resolve(file), 'utf8')));
+  if (error) {
+    console.error(`${file}: ${error}`);
+    process.exitCode = 1;
+    return;
+  }
+  if (!(await storage.isEmpty()) && !force) {
+    console.error('Storage already contains data; re-run with --force to replace it');
+    process.exitCode = 1;
+    return;
+  }
+
+  const { previous, restored } = await createBackupManager({ storage, dir: BACKUP_DIR }).restore(data);
+  console.log(`✓ Imported ${restored.estimates} estimates and ${restored.views} views into ${storage.driver} storage`);
+  console.log(`  Previous data saved as ${path.join(BACKUP_DIR, previous.name)}`);
+}
+
+async function listSnapshots(storage) {
+  const snapshots = await createBackupManager({ storage, dir: BACKUP_DIR }).list();
+  if (snapshots.length === 0) {
+    console.log(`No snapshots in ${BACKUP_DIR}`);
+  }
+  for (const { name, size, createdAt } of snapshots) {
+    console.log(`${name}  ${(size / 1024).toFixed(0).padStart(8)} KB  ${createdAt}`);
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const force = args.includes('--force');
+  const [command, file] = args.filter(a => !a.startsWith('--'));
+
+  if (!['export', 'import', 'list'].includes(command) || (command === 'import' && !file)) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  const storage = await createStorage({ importLegacy: false });
+  try {
+    if (command === 'export') await exportData(storage, file);
+    if (command === 'import') await importData(storage, file, force);
+    if (command === 'list') await listSnapshots(storage);
+  } finally {
+    await storage.close();
+  }
+}
+
+main().catch(err => {
+  console.error('Backup failed:', err.message);
+  process.exit(1);
+});
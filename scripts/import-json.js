@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+// Import a tracking-data.json file into the configured storage backend.
+//
+//   npm run import-json -- path/to/tracking-data.json [--force]
+//
+// Refuses to touch a store that already has data unless --force is given,
+// in which case the store's contents are replaced. Viewer IPs are anonymized
+// on the way in, the way the server stores them (IP_STORAGE, IP_HASH_SALT).
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { createStorage } = require('../lib/storage');
+const { createIpAnonymizerFromEnv } = require('../lib/privacy');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const force = args.includes('--force');
+  const file = args.find(a => !a.startsWith('--'));
+
+  if (!file) {
+    console.error('Usage: npm run import-json -- <tracking-data.json> [--force]');
+    process.exit(1);
+  }
+
+  const data = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+  // Files from older versions hold raw IPs. Values that aren't an IP were
+  // anonymized already and are kept.
+  const anonymizeIP = createIpAnonymizerFromEnv();
+  data.views = (data.views || []).map(view => ({
+    ...view,
+    ip_address: anonymizeIP(view.ip_address) || view.ip_address
+  }));
+  const storage = await createStorage({ importLegacy: false });
+
+  try {
+    if (!(await storage.isEmpty()) && !force) {
+      console.error('Storage already contains data; re-run with --force to replace it');
+      process.exitCode = 1;
+      return;
+    }
+    await storage.importData(data);
+    console.log(`✓ Imported ${Object.keys(data.estimates || {}).length} estimates and ` +
+      `${(data.views || []).length} views into ${storage.driver} storage`);
+  } finally {
+    await storage.close();
+  }
+}
+
+main().catch(err => {
+  console.error('Import failed:', err.message);
+  process.exit(1);
+});
@@ -2,84 +2,188 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const nodemailer = require('nodemailer');
-
-function escapeHtml(str) {
-  if (!str) return '';
-  return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
-}
+const { createStorage } = require('./lib/storage');
+const {
+  DEFAULT_CONTRACTOR_ID,
+  VIEW_EVENT_PAGE,
+  VIEW_EVENT_PIXEL,
+  VIEW_EVENT_PDF,
+  VIEW_CLASS_HUMAN,
+  VIEW_CLASS_PROXY,
+  VIEW_CLASS_BOT
+} = require('./lib/storage/constants');
+const { hashApiKey, createApiKeyRecord, describeApiKey } = require('./lib/api-keys');
+const { DETAIL_FIELDS, parseEstimateDetails, calculateTotals, hasLineItems } = require('./lib/estimate');
+const { renderEstimatePage, renderResponseConfirmation, renderViewReceipt, renderLinkExpired } = require('./lib/estimate-page');
+const { renderEstimatePdf } = require('./lib/estimate-pdf');
+const { STATUS_PENDING, parseResponse } = require('./lib/estimate-status');
+const { classifyView } = require('./lib/view-classifier');
+const { parseUserAgent } = require('./lib/user-agent');
+const { openGeoLookup, formatLocation } = require('./lib/geoip');
+const { parseBeacon, applyBeacon, summarizeEngagement } = require('./lib/engagement');
+const { parseFollowupRule, describeFollowupRule, createFollowupScheduler } = require('./lib/followups');
+const { renderCustomerEmail } = require('./lib/customer-email');
+const { pushMessage, inAppMessage, renderNotificationEmail } = require('./lib/notification-messages');
+const { parseLocale, negotiateLocale, customerLocale, createTranslator } = require('./lib/i18n');
+const {
+  MAX_LOGO_BYTES, LOGO_TYPES, parseBranding, parseLogo, describeLogo, describeContractor, resolveBranding
+} = require('./lib/branding');
+const {
+  LINK_ACTIVE,
+  createLinkSigner,
+  isSignedId,
+  linkStatus,
+  parseLinkExpiry
+} = require('./lib/tracking-links');
+const {
+  PLATFORMS,
+  PLATFORM_IOS,
+  PLATFORM_ANDROID,
+  inQuietHours,
+  parseDevicePreferences,
+  wantsPush,
+  deviceId,
+  describeDevice,
+  createApnsSender,
+  createFcmSender,
+  createLocalSender
+} = require('./lib/push');
+const {
+  defaultNotificationSettings,
+  parseNotificationSettings,
+  describeNotificationSettings,
+  notifiesRepeatView
+} = require('./lib/notification-settings');
+const { createDigestScheduler } = require('./lib/digests');
+const { createEventStream } = require('./lib/event-stream');
+const { REPORTS, parseReportQuery, createdRange, buildOverview, toCsv } = require('./lib/reports');
+const { parseEstimateQuery, estimateCursor } = require('./lib/estimate-query');
+const { diffEstimates, createRevision, describeRevision } = require('./lib/estimate-revisions');
+const {
+  AUTHOR_CUSTOMER,
+  AUTHOR_CONTRACTOR,
+  createFormToken,
+  parseCustomerMessage,
+  reachedDailyLimit,
+  isDuplicate,
+  parseReply,
+  describeMessage
+} = require('./lib/estimate-messages');
+const {
+  AUDIT_ERASE,
+  createIpAnonymizerFromEnv,
+  parseRetentionDays,
+  parseCustomerEmail,
+  hashEmail,
+  describeAuditEntry,
+  createRetentionScheduler
+} = require('./lib/privacy');
+const {
+  generateSecret,
+  parseSubscription,
+  describeWebhook,
+  createWebhookDispatcher
+} = require('./lib/webhooks');
+const {
+  API_VERSION,
+  findOperation,
+  unusedOperations,
+  buildOpenApiDocument,
+  validateRequest,
+  sendValidationError
+} = require('./lib/openapi');
+const {
+  SESSION_COOKIE,
+  DASHBOARD_HEADER,
+  createSessionToken,
+  readSessionToken,
+  readCookie,
+  sessionCookieOptions
+} = require('./lib/dashboard-sessions');
+const {
+  DEFAULT_INTERVAL_HOURS: DEFAULT_BACKUP_INTERVAL_HOURS,
+  DEFAULT_RETENTION: DEFAULT_BACKUP_RETENTION,
+  parseBackupSetting,
+  createBackup,
+  readBackup,
+  createBackupManager
+} = require('./lib/backups');
+const { logger } = require('./lib/logger');
+const { registry, metrics, instrumentStorage } = require('./lib/metrics');
+const { version: SERVER_VERSION } = require('./package.json');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
-
-// JSON file-based storage
-const DB_FILE = path.join(__dirname, 'tracking-data.json');
-
-// Initialize or load database
-function loadDB() {
-  try {
-    if (fs.existsSync(DB_FILE)) {
-      const data = fs.readFileSync(DB_FILE, 'utf8');
-      return JSON.parse(data);
-    }
-  } catch (err) {
-    console.error('Error loading database:', err);
-  }
-  return {
-    estimates: {},
-    views: [],
-    devices: [],
-    notifications: [],
-    contractor: null
-  };
-}
-
-let writeInProgress = false;
-let writePending = false;
-
-async function saveDB() {
-  if (writeInProgress) {
-    writePending = true;
-    return;
-  }
-  writeInProgress = true;
-  try {
-    await fs.promises.writeFile(DB_FILE, JSON.stringify(db, null, 2));
-  } catch (err) {
-    console.error('Failed to save database:', err.message);
-  }
-  writeInProgress = false;
-  if (writePending) {
-    writePending = false;
-    await saveDB();
+// Public base URL of this server, for links in emails sent to customers
+const PUBLIC_URL = (process.env.PUBLIC_URL || `http://localhost:${PORT}`).replace(/\/+$/, '');
+// Dashboard session cookies are only sent over https when the server is
+const SECURE_COOKIES = PUBLIC_URL.startsWith('https:');
+
+// Tracking IDs are signed with LINK_SECRET, or a key derived from API_KEY.
+// Without either, issued links only verify until the server restarts.
+function linkSecret() {
+  if (process.env.LINK_SECRET) return process.env.LINK_SECRET;
+  if (process.env.API_KEY) {
+    return crypto.createHmac('sha256', process.env.API_KEY).update('tracking-links').digest();
   }
+  logger.warn('LINK_SECRET not set; issued tracking links will stop working on restart');
+  return crypto.randomBytes(32);
 }
-
-let db = loadDB();
-
-// Ensure db has all required fields
-if (!db.devices) db.devices = [];
-if (!db.notifications) db.notifications = [];
-if (!db.contractor) db.contractor = null;
+const LINK_SECRET = linkSecret();
+const linkSigner = createLinkSigner(LINK_SECRET);
+// Message forms on the view page and dashboard sessions are signed with
+// keys derived from it
+const messageFormSecret = crypto.createHmac('sha256', LINK_SECRET).update('message-form').digest();
+const dashboardSessionSecret = crypto.createHmac('sha256', LINK_SECRET).update('dashboard-session').digest();
+
+// Viewer IPs are anonymized before they are stored: hashed, or truncated
+// to the network
+const anonymizeIP = createIpAnonymizerFromEnv();
+
+// Approximate viewer locations come from a local GeoIP database, opened
+// along with storage. Until then (or without one) views have no location.
+const GEOIP_DATABASE_PATH = process.env.GEOIP_DATABASE_PATH || './GeoLite2-City.mmdb';
+let lookupLocation = () => null;
+
+// Storage backend (SQLite by default, JSON file for local development),
+// opened before the server starts listening
+let storage = null;
+
+// Outbound webhook queue, follow-up scheduler, digest emails, the app's
+// activity stream, data retention and backup snapshots, started along with
+// storage
+let webhooks = null;
+let followups = null;
+let digests = null;
+let activity = null;
+let retention = null;
+let backups = null;
+
+// Snapshots of the full dataset are written here. Restores upload a whole
+// backup, so they get a larger body limit than other requests.
+const BACKUP_DIR = process.env.BACKUP_DIR || './backups';
+const RESTORE_PATH = '/api/admin/restore';
+const RESTORE_BODY_LIMIT = '100mb';
 
 // ============================================
-// APNs Setup (Apple Push Notifications)
+// Push Setup (APNs for iOS, FCM for Android)
 // ============================================
 
-let apnProvider = null;
+// Sender for each device platform that has one configured
+const pushSenders = {};
 
 function setupAPNs() {
   const keyPath = path.join(__dirname, 'apns-key.p8');
 
   // Check for required env vars
   if (!process.env.APNS_KEY_ID || !process.env.APNS_TEAM_ID) {
-    console.log('⚠ APNs not configured (missing APNS_KEY_ID or APNS_TEAM_ID)');
-    return;
+    logger.warn('APNs not configured (missing APNS_KEY_ID or APNS_TEAM_ID)');
+    return null;
   }
 
   // Get key from base64 env var OR file
@@ -89,23 +193,23 @@ function setupAPNs() {
     // Decode from base64 environment variable
     try {
       keyContent = Buffer.from(process.env.APNS_KEY_BASE64, 'base64').toString('utf8');
-      console.log('✓ APNs key loaded from APNS_KEY_BASE64');
+      logger.info('APNs key loaded from APNS_KEY_BASE64');
     } catch (err) {
-      console.log('⚠ Failed to decode APNS_KEY_BASE64:', err.message);
-      return;
+      logger.warn('Failed to decode APNS_KEY_BASE64', { err });
+      return null;
     }
   } else if (fs.existsSync(keyPath)) {
     // Load from file
     keyContent = fs.readFileSync(keyPath, 'utf8');
-    console.log('✓ APNs key loaded from file');
+    logger.info('APNs key loaded from file');
   } else {
-    console.log('⚠ APNs not configured (no key file or APNS_KEY_BASE64)');
-    return;
+    logger.warn('APNs not configured (no key file or APNS_KEY_BASE64)');
+    return null;
   }
 
   try {
     const apn = require('@parse/node-apn');
-    apnProvider = new apn.Provider({
+    const apnProvider = new apn.Provider({
       token: {
         key: keyContent,
         keyId: process.env.APNS_KEY_ID,
@@ -113,19 +217,70 @@ function setupAPNs() {
       },
       production: process.env.NODE_ENV === 'production'
     });
-    console.log('✓ APNs configured');
+    logger.info('APNs configured');
+    return apnProvider;
+  } catch (err) {
+    logger.warn('APNs not configured', { err });
+    return null;
+  }
+}
+
+// Firebase service account JSON, from FCM_SERVICE_ACCOUNT_BASE64 or
+// fcm-service-account.json next to this file
+function loadFcmServiceAccount() {
+  const accountPath = path.join(__dirname, 'fcm-service-account.json');
+  let json = null;
+
+  if (process.env.FCM_SERVICE_ACCOUNT_BASE64) {
+    json = Buffer.from(process.env.FCM_SERVICE_ACCOUNT_BASE64, 'base64').toString('utf8');
+  } else if (fs.existsSync(accountPath)) {
+    json = fs.readFileSync(accountPath, 'utf8');
+  } else {
+    logger.warn('FCM not configured (no fcm-service-account.json or FCM_SERVICE_ACCOUNT_BASE64)');
+    return null;
+  }
+
+  try {
+    const account = JSON.parse(json);
+    if (!account.project_id || !account.client_email || !account.private_key) {
+      throw new Error('missing project_id, client_email or private_key');
+    }
+    logger.info('FCM configured');
+    return account;
   } catch (err) {
-    console.log('⚠ APNs not configured:', err.message);
+    logger.warn('FCM not configured', { err });
+    return null;
   }
 }
 
-setupAPNs();
+// PUSH_SENDER=local replaces APNs and FCM with a stand-in that logs pushes,
+// for development without credentials
+function setupPush() {
+  if (process.env.PUSH_SENDER === 'local') {
+    const local = createLocalSender();
+    for (const platform of PLATFORMS) pushSenders[platform] = local;
+    logger.info('Push notifications use the local stand-in sender');
+    return;
+  }
+
+  const apnProvider = setupAPNs();
+  if (apnProvider) {
+    pushSenders[PLATFORM_IOS] = createApnsSender(apnProvider, process.env.APP_BUNDLE_ID || 'com.estimatepro.app');
+  }
+  const fcmAccount = loadFcmServiceAccount();
+  if (fcmAccount) {
+    pushSenders[PLATFORM_ANDROID] = createFcmSender(fcmAccount);
+  }
+}
+
+setupPush();
 
 // ============================================
 // Email Setup
 // ============================================
 
 let emailTransporter = null;
+const EMAIL_FROM = process.env.SMTP_FROM || 'EstimatePro <notifications@estimatepro.app>';
 
 if (process.env.SMTP_HOST && process.env.SMTP_USER && process.env.SMTP_PASS) {
   emailTransporter = nodemailer.createTransport({
@@ -137,9 +292,9 @@ if (process.env.SMTP_HOST && process.env.SMTP_USER && process.env.SMTP_PASS) {
       pass: process.env.SMTP_PASS
     }
   });
-  console.log('✓ Email configured');
+  logger.info('Email configured');
 } else {
-  console.log('⚠ Email not configured (missing SMTP env vars)');
+  logger.warn('Email not configured (missing SMTP env vars)');
 }
 
 // Middleware
@@ -156,34 +311,171 @@ app.use(helmet({
 }));
 app.use(cors({
   origin: process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : [],
-  methods: ['GET', 'POST', 'PUT', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Last-Event-ID', 'X-Request-Id'],
+  exposedHeaders: ['X-Next-Cursor', 'X-Request-Id']
 }));
-app.use(morgan('combined'));
-app.use(express.json({ limit: '10mb' }));
+
+// Every request gets an ID: the caller's X-Request-Id when it looks like
+// one, or a new one. It is sent back in X-Request-Id and is on every log
+// entry made while handling the request, through req.log.
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,100}$/;
+app.use((req, res, next) => {
+  const given = req.get('X-Request-Id');
+  req.id = given && REQUEST_ID_PATTERN.test(given) ? given : crypto.randomUUID();
+  req.log = logger.child({ requestId: req.id });
+  res.set('X-Request-Id', req.id);
+
+  const endTimer = metrics.httpRequests.startTimer({ method: req.method });
+  const started = Date.now();
+  res.on('finish', () => {
+    // Unmatched requests share one label, so scanners can't add series
+    const routePath = req.route ? req.baseUrl + req.route.path : 'unmatched';
+    endTimer({ route: routePath, status: res.statusCode });
+    req.log.info('Request', {
+      method: req.method,
+      path: req.originalUrl,
+      route: routePath,
+      status: res.statusCode,
+      durationMs: Date.now() - started,
+      ip: anonymizeIP(getClientIP(req)),
+      userAgent: req.get('User-Agent')
+    });
+  });
+  next();
+});
+
+// /api/v1/... is served by the /api/... routes. New app builds use the
+// versioned paths; the unversioned ones stay for builds released before.
+const VERSIONED_API_PREFIX = `/api/${API_VERSION}`;
+app.use((req, res, next) => {
+  const rest = req.url.slice(VERSIONED_API_PREFIX.length);
+  if (req.url.startsWith(VERSIONED_API_PREFIX) && (rest === '' || rest[0] === '/' || rest[0] === '?')) {
+    req.url = `/api${rest}`;
+  }
+  next();
+});
+
+// The restore route parses its own body, after the admin key is checked
+const jsonBody = express.json({ limit: '1mb' });
+app.use((req, res, next) => (req.path === RESTORE_PATH ? next() : jsonBody(req, res, next)));
+app.use(express.urlencoded({ extended: false, limit: '1mb' }));
 app.use(express.static('public'));
 
 // Rate limiting
-const apiLimiter = rateLimit({ windowMs: 15 * 60 * 1000, max: 100, message: { error: 'Too many requests' } });
-const viewLimiter = rateLimit({ windowMs: 15 * 60 * 1000, max: 300, message: { error: 'Too many requests' } });
+// Each limiter counts its rejections for /metrics under its name
+function rateLimiter(name, max, error) {
+  return rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max,
+    handler: (req, res) => {
+      metrics.rateLimited.inc({ limiter: name });
+      req.log.warn('Rate limited', { limiter: name });
+      res.status(429).json({ error });
+    }
+  });
+}
+const apiLimiter = rateLimiter('api', 100, 'Too many requests');
+const viewLimiter = rateLimiter('view', 300, 'Too many requests');
+const beaconLimiter = rateLimiter('beacon', 600, 'Too many requests');
+const messageLimiter = rateLimiter('message', 10, 'Too many messages');
+const signInLimiter = rateLimiter('sign_in', 10, 'Too many sign-in attempts');
 app.use('/api/', apiLimiter);
 app.use('/view/', viewLimiter);
 app.use('/pixel/', viewLimiter);
+app.use('/beacon/', beaconLimiter);
 
-// API Authentication middleware
-const authenticateAPI = (req, res, next) => {
+// Express 4 doesn't pass rejected promises on, so async handlers are
+// wrapped to send their errors to the error handler rather than crash the
+// process with an unhandled rejection
+function catchErrors(handler) {
+  return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
+
+// API Authentication middleware. Contractor API keys scope the request to
+// that contractor; the server-wide API_KEY acts as the default contractor
+// and can also manage contractor accounts.
+// The dashboard signs in with an API key and then uses a session cookie.
+const authenticateAPI = catchErrors(async (req, res, next) => {
   const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+  let keyHash = null;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    keyHash = hashApiKey(authHeader.split(' ')[1]);
+  } else if (req.get(DASHBOARD_HEADER)) {
+    keyHash = readSessionToken(dashboardSessionSecret, readCookie(req.headers.cookie, SESSION_COOKIE));
+  }
+  if (!keyHash) {
     return res.status(401).json({ error: 'Authentication required' });
   }
-  const token = authHeader.split(' ')[1];
-  if (token !== process.env.API_KEY) {
-    return res.status(403).json({ error: 'Invalid API key' });
+
+  const account = await findAccount(keyHash);
+  if (!account) {
+    // Sessions end when their key is revoked
+    return authHeader
+      ? res.status(403).json({ error: 'Invalid API key' })
+      : res.status(401).json({ error: 'Authentication required' });
   }
+  req.contractorId = account.contractorId;
+  req.isAdmin = account.isAdmin;
+  req.log = req.log.child({ contractorId: account.contractorId });
   next();
-};
+});
+
+// The account an API key belongs to, by the key's hash: { contractorId,
+// isAdmin }, or null for unknown and revoked keys
+async function findAccount(keyHash) {
+  if (process.env.API_KEY && keyHash === hashApiKey(process.env.API_KEY)) {
+    return { contractorId: DEFAULT_CONTRACTOR_ID, isAdmin: true };
+  }
+  const apiKey = await storage.findApiKeyByHash(keyHash);
+  return apiKey ? { contractorId: apiKey.contractorId, isAdmin: false } : null;
+}
+
+// Routes are declared with route() rather than app.get() etc. Each has its
+// request and response schemas in lib/api-schemas.js; the request is
+// validated just before the route's own handler, after any other
+// middleware such as requireAdmin, and the route is added to the OpenAPI
+// document.
+const routes = [];
+
+function route(method, routePath, ...handlers) {
+  const operation = findOperation(method, routePath);
+  const handler = handlers.pop();
+  routes.push({ method, path: routePath });
+  app[method](routePath, ...handlers.map(catchErrors), validateRequest(operation), catchErrors(handler));
+}
+
+let openApiDocument = null;
+
+route('get', '/api/openapi.json', (req, res) => {
+  openApiDocument = openApiDocument || buildOpenApiDocument(routes, {
+    serverUrl: PUBLIC_URL,
+    version: SERVER_VERSION
+  });
+  res.json(openApiDocument);
+});
+
 app.use('/api', authenticateAPI);
 
+const requireAdmin = (req, res, next) => {
+  if (!req.isAdmin) {
+    return res.status(403).json({ error: 'Admin API key required' });
+  }
+  next();
+};
+
+// Whether the authenticated contractor may see an estimate. Unowned estimates
+// (tracking IDs viewed before anyone registered them) belong to the default
+// contractor.
+function ownsEstimate(req, estimate) {
+  return (estimate.contractorId || DEFAULT_CONTRACTOR_ID) === req.contractorId;
+}
+
+// The same rule as listEstimates options
+function estimateScope(req) {
+  return { contractorId: req.contractorId, includeUnowned: req.contractorId === DEFAULT_CONTRACTOR_ID };
+}
+
 // Helper to get client IP
 function getClientIP(req) {
   return req.headers['x-forwarded-for']?.split(',')[0] ||
@@ -192,278 +484,477 @@ function getClientIP(req) {
          req.ip;
 }
 
+// Short identifier for a stored (already anonymized) IP, as the API shows it
+function hashIP(ip) {
+  return crypto.createHash('sha256').update(ip || '').digest('hex').substring(0, 8);
+}
+
 // ============================================
 // NOTIFICATION FUNCTIONS
 // ============================================
 
-async function sendPushNotification(trackingId, estimate) {
-  if (!apnProvider || db.devices.length === 0) return;
+// Last delivery and last failure on each notification channel (a push
+// sender's name, smtp or in_app), for /health
+const deliveryStatus = {};
+
+// Count a delivery result (sent, failed or invalid_token) on a channel.
+// `error` is a short reason: an error code, or the push service's reason.
+function recordDelivery(channel, result, { count = 1, error = null } = {}) {
+  metrics.notifications.inc({ channel, result }, count);
+  const status = deliveryStatus[channel] || (deliveryStatus[channel] = { lastSentAt: null, lastError: null });
+  if (result === 'sent') {
+    status.lastSentAt = new Date().toISOString();
+  } else if (result === 'failed') {
+    status.lastError = { at: new Date().toISOString(), error };
+  }
+}
 
-  const apn = require('@parse/node-apn');
-  const notification = new apn.Notification();
+// Translator for the notifications a contractor gets
+async function contractorTranslator(contractorId) {
+  const contractor = await storage.getContractor(contractorId);
+  return createTranslator(contractor?.locale);
+}
 
-  notification.alert = {
-    title: 'Estimate Viewed!',
-    body: `${estimate.customerName || 'A customer'} viewed "${estimate.title || 'your estimate'}"`
-  };
-  notification.badge = db.notifications.filter(n => !n.isRead).length + 1;
-  notification.sound = 'default';
-  notification.topic = process.env.APP_BUNDLE_ID || 'com.estimatepro.app';
-  notification.payload = {
-    trackingId: trackingId,
-    estimateTitle: estimate.title,
-    customerName: estimate.customerName
+// Push to the contractor's devices that want this event, through each
+// device platform's sender. Tokens the push service rejects for good are
+// removed.
+async function sendPushNotification(contractorId, trackingId, estimate, event, log = logger) {
+  const now = new Date();
+  const devices = (await storage.listDevices(contractorId))
+    .filter(device => pushSenders[device.platform] && wantsPush(device, event, now));
+  if (devices.length === 0) return;
+
+  const message = {
+    ...pushMessage(estimate, event, await contractorTranslator(contractorId)),
+    badge: (await storage.countUnreadNotifications(contractorId)) + (event.repeat ? 0 : 1),
+    data: {
+      type: event.type,
+      trackingId: trackingId,
+      estimateTitle: estimate.title,
+      customerName: estimate.customerName,
+      device: event.view?.device_name || null,
+      location: event.view ? formatLocation(event.view) : null
+    }
   };
 
-  for (const device of db.devices) {
+  for (const platform of PLATFORMS) {
+    const tokens = devices.filter(device => device.platform === platform).map(device => device.token);
+    if (tokens.length === 0) continue;
+
+    const channel = pushSenders[platform].name;
+    let results;
     try {
-      const result = await apnProvider.send(notification, device.token);
-      if (result.failed.length > 0) {
-        console.log('Push failed:', result.failed[0].response);
+      results = await pushSenders[platform].send(tokens, message);
+    } catch (err) {
+      recordDelivery(channel, 'failed', { count: tokens.length, error: err.code || err.message });
+      log.error('Push failed', { channel, type: event.type, devices: tokens.length, err });
+      continue;
+    }
+    for (const result of results) {
+      if (result.ok) {
+        recordDelivery(channel, 'sent');
+      } else if (result.invalid) {
+        recordDelivery(channel, 'invalid_token');
+        await storage.deleteDevice(result.token);
+        log.info('Removed device after push failure', { channel, reason: result.error });
       } else {
-        console.log('Push sent successfully');
+        recordDelivery(channel, 'failed', { error: result.error });
+        log.warn('Push failed', { channel, type: event.type, reason: result.error });
       }
-    } catch (err) {
-      console.error('Push error:', err);
     }
+    const sent = results.filter(result => result.ok).length;
+    if (sent > 0) log.info('Push sent', { channel, type: event.type, devices: sent });
   }
 }
 
-async function sendEmailNotification(trackingId, estimate, viewInfo) {
-  if (!emailTransporter || !db.contractor?.email) return;
+async function sendEmailNotification(contractorId, trackingId, estimate, event, settings, log = logger) {
+  if (!emailTransporter) return;
+  const contractor = await storage.getContractor(contractorId);
+  if (!contractor?.email) return;
 
   const mailOptions = {
-    from: process.env.SMTP_FROM || 'EstimatePro <notifications@estimatepro.app>',
-    to: db.contractor.email,
-    subject: `Estimate Viewed: ${estimate.title || trackingId}`,
-    html: `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <style>
-          body { font-family: -apple-system, Arial, sans-serif; line-height: 1.6; color: #333; }
-          .container { max-width: 500px; margin: 0 auto; padding: 20px; }
-          .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 20px; border-radius: 12px 12px 0 0; text-align: center; }
-          .content { background: #f8f9fa; padding: 20px; border-radius: 0 0 12px 12px; }
-          .detail { margin: 12px 0; }
-          .label { color: #666; font-size: 12px; text-transform: uppercase; }
-          .value { font-size: 16px; font-weight: 500; }
-          .footer { text-align: center; margin-top: 20px; color: #999; font-size: 12px; }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <div class="header">
-            <h2 style="margin:0;">Estimate Viewed!</h2>
-          </div>
-          <div class="content">
-            <div class="detail">
-              <div class="label">Estimate</div>
-              <div class="value">${escapeHtml(estimate.title) || 'Untitled'}</div>
-            </div>
-            ${estimate.customerName ? `
-            <div class="detail">
-              <div class="label">Customer</div>
-              <div class="value">${escapeHtml(estimate.customerName)}</div>
-            </div>
-            ` : ''}
-            <div class="detail">
-              <div class="label">Viewed At</div>
-              <div class="value">${new Date().toLocaleString()}</div>
-            </div>
-            <div class="detail">
-              <div class="label">Reference</div>
-              <div class="value">${escapeHtml(trackingId)}</div>
-            </div>
-          </div>
-          <div class="footer">
-            Powered by EstimatePro
-          </div>
-        </div>
-      </body>
-      </html>
-    `
+    from: EMAIL_FROM,
+    to: contractor.email,
+    ...renderNotificationEmail({
+      trackingId, estimate, event, settings, contractor, i18n: createTranslator(contractor.locale)
+    })
   };
 
   try {
     await emailTransporter.sendMail(mailOptions);
-    console.log('Email notification sent');
+    recordDelivery('smtp', 'sent');
+    log.info('Email notification sent', { channel: 'smtp', type: event.type });
   } catch (err) {
-    console.error('Email error:', err);
+    recordDelivery('smtp', 'failed', { error: err.code || err.message });
+    log.error('Email notification failed', { channel: 'smtp', type: event.type, err });
   }
 }
 
-async function storeInAppNotification(trackingId, estimate) {
+async function storeInAppNotification(contractorId, trackingId, estimate, event, log = logger) {
+  const i18n = await contractorTranslator(contractorId);
   const notification = {
-    id: `notif_${Date.now()}`,
+    id: `notif_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`,
+    contractorId,
+    type: event.type,
     trackingId: trackingId,
-    estimateTitle: estimate.title || 'Untitled Estimate',
+    estimateTitle: estimate.title || i18n.t('notifications.untitledEstimate'),
     customerName: estimate.customerName || null,
-    message: 'Your estimate was viewed',
+    message: inAppMessage(event, i18n),
     viewedAt: new Date().toISOString(),
     isRead: false
   };
 
-  db.notifications.unshift(notification);
-
-  // Keep only last 100 notifications
-  if (db.notifications.length > 100) {
-    db.notifications = db.notifications.slice(0, 100);
+  try {
+    await storage.addNotification(notification);
+  } catch (err) {
+    recordDelivery('in_app', 'failed', { error: err.code || err.message });
+    throw err;
   }
-
-  await saveDB();
+  recordDelivery('in_app', 'sent');
+  log.info('Notification stored', { channel: 'in_app', type: event.type, notificationId: notification.id });
+  await activity.publish(contractorId, 'notification', trackingId, { notification });
   return notification;
 }
 
-// Helper to record a view and send notifications
-async function recordView(trackingId, req) {
-  // Ensure estimate exists
-  if (!db.estimates[trackingId]) {
-    db.estimates[trackingId] = {
-      tracking_id: trackingId,
-      created_at: new Date().toISOString()
-    };
-  }
+// Activity stream event type for each view event type
+const STREAM_EVENTS = {
+  [VIEW_EVENT_PAGE]: 'view',
+  [VIEW_EVENT_PIXEL]: 'pixel.open',
+  [VIEW_EVENT_PDF]: 'pdf.download'
+};
 
-  const estimate = db.estimates[trackingId];
-  const isFirstView = !db.views.some(v => v.tracking_id === trackingId);
+// Browser, OS, device and approximate location stored with a view. The
+// location is looked up from the full IP, before it is anonymized.
+function viewClientDetails(clientIP, userAgent) {
+  const { browser, os, deviceType, device } = parseUserAgent(userAgent);
+  const location = lookupLocation(clientIP);
+  return {
+    browser,
+    os,
+    device_type: deviceType,
+    device_name: device,
+    city: location?.city ?? null,
+    region: location?.region ?? null,
+    country: location?.country ?? null
+  };
+}
 
-  // Record the view
+// Device and location of a stored view, as the API shows them. Views
+// recorded before these were stored have their user agent parsed now, and
+// no location.
+function describeViewClient(view) {
+  const parsed = view.device_type
+    ? { browser: view.browser, os: view.os, deviceType: view.device_type, device: view.device_name }
+    : parseUserAgent(view.user_agent);
+  const hasLocation = view.city || view.region || view.country;
+  return {
+    ...parsed,
+    location: hasLocation ? { city: view.city || null, region: view.region || null, country: view.country || null } : null
+  };
+}
+
+// Helper to record a view and send notifications. `eventType` is one of
+// page, pixel or pdf (a PDF download, tracked separately from views).
+// Views from mail proxies and bots are recorded but never notify.
+// Resolves with the stored view.
+async function recordView(trackingId, req, eventType = VIEW_EVENT_PAGE) {
+  const log = req.log.child({ trackingId });
+  const clientIP = getClientIP(req);
+  const shown = await storage.getEstimate(trackingId);
   const view = {
-    id: db.views.length + 1,
     tracking_id: trackingId,
+    event_type: eventType,
     viewed_at: new Date().toISOString(),
-    ip_address: getClientIP(req),
+    ip_address: anonymizeIP(clientIP),
     user_agent: req.headers['user-agent'] || null,
-    referer: req.headers['referer'] || null
+    referer: req.headers['referer'] || null,
+    ...viewClientDetails(clientIP, req.headers['user-agent']),
+    estimate_version: shown?.version ?? null
   };
-  db.views.push(view);
+  const earlierViews = await storage.listViews(trackingId);
+  const { classification, reason } = classifyView(view, {
+    estimate: shown,
+    earlierViews,
+    clientIP
+  });
+  const { view: stored, isFirstView, isFirstOfType } = await storage.addView({
+    ...view,
+    classification,
+    classification_reason: reason
+  });
+  const estimate = await storage.getEstimate(trackingId);
+  metrics.views.inc({ event: eventType, classification });
+  log.info('View recorded', { event: eventType, classification, reason: reason || undefined, viewId: stored.id });
+
+  // The app's activity stream gets every human event, not just the first
+  if (classification === VIEW_CLASS_HUMAN) {
+    await activity.publish(estimate.contractorId || DEFAULT_CONTRACTOR_ID, STREAM_EVENTS[eventType], trackingId, {
+      estimateTitle: estimate.title || null,
+      customerName: estimate.customerName || null,
+      isFirstView: eventType === VIEW_EVENT_PDF ? isFirstOfType : isFirstView,
+      device: view.device_name,
+      location: formatLocation(view),
+      timestamp: view.viewed_at
+    });
+  }
 
-  // Cap views array to prevent unbounded growth
-  const MAX_VIEWS = 10000;
-  if (db.views.length > MAX_VIEWS) {
-    db.views = db.views.slice(-MAX_VIEWS);
+  // Send notifications (only on first view or first download to avoid spam)
+  if (eventType === VIEW_EVENT_PDF ? isFirstOfType : isFirstView) {
+    await notifyContractor(trackingId, estimate, { type: eventType === VIEW_EVENT_PDF ? 'pdf_downloaded' : 'viewed', view }, log);
+  } else if (eventType !== VIEW_EVENT_PDF && classification === VIEW_CLASS_HUMAN) {
+    // Repeat views notify when the contractor's settings ask for them;
+    // otherwise they only push, to devices that asked for every view
+    const contractorId = estimate.contractorId || DEFAULT_CONTRACTOR_ID;
+    const settings = await notificationSettingsFor(contractorId);
+    const viewCount = earlierViews
+      .filter(v => v.classification === VIEW_CLASS_HUMAN && v.event_type !== VIEW_EVENT_PDF).length + 1;
+    if (notifiesRepeatView(settings, viewCount)) {
+      await notifyContractor(trackingId, estimate, { type: 'repeat_view', view, viewCount }, log);
+    } else if (!inQuietHours(settings)) {
+      await sendPushNotification(contractorId, trackingId, estimate, { type: 'viewed', view, repeat: true }, log);
+    }
+  }
+  if (isFirstView) {
+    await followups.estimateViewed(estimate, view.viewed_at);
   }
 
-  await saveDB();
+  // Webhooks get every human event, not just the first. Mail proxies and
+  // bots are left out, as they are from notifications.
+  if (classification !== VIEW_CLASS_HUMAN) return stored;
+  const webhookEvent = {
+    [VIEW_EVENT_PAGE]: isFirstView ? 'view.first' : 'view.repeat',
+    [VIEW_EVENT_PIXEL]: 'pixel.open',
+    [VIEW_EVENT_PDF]: 'pdf.download'
+  }[eventType];
+  await webhooks.dispatch(estimate.contractorId || DEFAULT_CONTRACTOR_ID, webhookEvent, {
+    trackingId,
+    estimate: webhookEstimate(estimate),
+    view: {
+      type: eventType,
+      classification,
+      timestamp: view.viewed_at,
+      ip_hash: hashIP(view.ip_address),
+      userAgent: view.user_agent,
+      ...describeViewClient(view)
+    }
+  });
+  return stored;
+}
+
+// Open an engagement session for a page view; the page reports to it via
+// the beacon endpoint
+async function startEngagementSession(trackingId, view) {
+  const now = new Date().toISOString();
+  const session = await storage.addEngagementSession({
+    id: `es_${crypto.randomBytes(12).toString('hex')}`,
+    trackingId,
+    viewId: view.id,
+    startedAt: now,
+    lastSeenAt: now,
+    endedAt: null,
+    activeMs: 0,
+    scrollDepth: 0,
+    sections: {}
+  });
+  return session.id;
+}
 
-  // Send notifications (only on first view to avoid spam)
-  if (isFirstView) {
-    await storeInAppNotification(trackingId, estimate);
-    await sendPushNotification(trackingId, estimate);
-    await sendEmailNotification(trackingId, estimate, view);
+// Estimate summary included in webhook payloads
+function webhookEstimate(estimate) {
+  return {
+    title: estimate.title || null,
+    customerName: estimate.customerName || null,
+    total: estimate.total ?? null,
+    status: estimate.status || STATUS_PENDING,
+    version: estimate.version ?? null
+  };
+}
+
+// Send an event through every notification channel of the contractor that
+// owns the estimate. Unregistered tracking IDs belong to nobody and go to
+// the default contractor, as they did before contractor accounts.
+async function notifyContractor(trackingId, estimate, event, log = logger) {
+  const contractorId = estimate.contractorId || DEFAULT_CONTRACTOR_ID;
+  const settings = await notificationSettingsFor(contractorId);
+  await storeInAppNotification(contractorId, trackingId, estimate, event, log);
+  // Quiet hours hold back push and instant email; the in-app list and
+  // digests still have everything
+  if (inQuietHours(settings)) {
+    log.info('Push and email held for quiet hours', { type: event.type });
+    return;
+  }
+  await sendPushNotification(contractorId, trackingId, estimate, event, log);
+  if (settings.instantEmail) {
+    await sendEmailNotification(contractorId, trackingId, estimate, event, settings, log);
+  }
+}
+
+async function notificationSettingsFor(contractorId) {
+  return (await storage.getNotificationSettings(contractorId)) || defaultNotificationSettings(contractorId);
+}
+
+// Helper to record a customer's response as a status transition and notify
+// the contractor
+async function recordStatusChange(trackingId, estimate, response, req) {
+  const event = await storage.addStatusEvent({
+    trackingId,
+    status: response.status,
+    previousStatus: estimate.status || STATUS_PENDING,
+    name: response.name,
+    message: response.message,
+    signatureType: response.signatureType,
+    signature: response.signature,
+    ipHash: hashIP(anonymizeIP(getClientIP(req))),
+    userAgent: req.headers['user-agent'] || null,
+    version: estimate.version ?? null,
+    createdAt: new Date().toISOString()
+  });
+
+  await activity.publish(estimate.contractorId || DEFAULT_CONTRACTOR_ID, 'status', trackingId, {
+    estimateTitle: estimate.title || null,
+    customerName: estimate.customerName || null,
+    status: response.status,
+    previousStatus: event.previousStatus,
+    name: response.name || null,
+    message: response.message || null,
+    timestamp: event.createdAt
+  });
+  await notifyContractor(trackingId, estimate, {
+    type: response.status,
+    name: response.name,
+    message: response.message
+  }, req.log.child({ trackingId }));
+  await followups.statusChanged(trackingId, response.status);
+  await webhooks.dispatch(estimate.contractorId || DEFAULT_CONTRACTOR_ID, `estimate.${response.status}`, {
+    trackingId,
+    estimate: { ...webhookEstimate(estimate), status: response.status },
+    response: {
+      status: response.status,
+      previousStatus: event.previousStatus,
+      name: response.name,
+      message: response.message,
+      signatureType: response.signatureType,
+      version: event.version,
+      timestamp: event.createdAt
+    }
+  });
+  return event;
+}
+
+// Add a message to an estimate's thread. Customer messages notify the
+// contractor; both kinds reach the activity stream.
+async function recordMessage(trackingId, estimate, message, log = logger) {
+  const stored = await storage.addMessage({
+    id: `msg_${crypto.randomBytes(8).toString('hex')}`,
+    trackingId,
+    ...message,
+    createdAt: new Date().toISOString()
+  });
+  const contractorId = estimate.contractorId || DEFAULT_CONTRACTOR_ID;
+
+  await activity.publish(contractorId, 'message', trackingId, {
+    estimateTitle: estimate.title || null,
+    customerName: estimate.customerName || null,
+    message: describeMessage(stored)
+  });
+  if (stored.author === AUTHOR_CUSTOMER) {
+    await notifyContractor(trackingId, estimate, { type: 'message', name: stored.name, message: stored.body }, log);
+    await webhooks.dispatch(contractorId, 'message.received', {
+      trackingId,
+      estimate: webhookEstimate(estimate),
+      message: describeMessage(stored)
+    });
   }
+  return stored;
 }
 
 // ============================================
 // ROUTES
 // ============================================
 
-// Health check
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'ok',
+// Health check. Storage that can't be written to makes the server
+// unhealthy (503); push and email failures are reported but don't.
+route('get', '/health', async (req, res) => {
+  const storageStatus = await storage.checkWritable();
+  res.status(storageStatus.writable ? 200 : 503).json({
+    status: storageStatus.writable ? 'ok' : 'degraded',
     timestamp: new Date().toISOString(),
-    push: apnProvider ? 'configured' : 'not configured',
-    email: emailTransporter ? 'configured' : 'not configured'
+    version: SERVER_VERSION,
+    uptimeSeconds: Math.round(process.uptime()),
+    storage: { driver: storage.driver, ...storageStatus },
+    push: Object.keys(pushSenders).length > 0 ? 'configured' : 'not configured',
+    pushSenders: Object.fromEntries(PLATFORMS.map(platform => [platform, pushSenders[platform]?.name || null])),
+    email: emailTransporter ? 'configured' : 'not configured',
+    deliveries: deliveryStatus
   });
 });
 
+// Prometheus metrics. Scrapers authenticate with METRICS_TOKEN, or the
+// admin API_KEY.
+route('get', '/metrics', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  const keyHash = hashApiKey(authHeader.split(' ')[1]);
+  const allowed = (process.env.METRICS_TOKEN && keyHash === hashApiKey(process.env.METRICS_TOKEN)) ||
+    (await findAccount(keyHash))?.isAdmin;
+  if (!allowed) {
+    return res.status(403).json({ error: 'Invalid metrics token' });
+  }
+  res.type('text/plain; version=0.0.4').send(registry.render());
+});
+
+// The estimate behind a public link, or null when the link is unknown,
+// forged, expired or revoked. Such links never create records or notify.
+async function findLinkedEstimate(trackingId) {
+  if (isSignedId(trackingId) && !linkSigner.verify(trackingId)) return null;
+  const estimate = await storage.getEstimate(trackingId);
+  if (!estimate || linkStatus(estimate) !== LINK_ACTIVE) return null;
+  return estimate;
+}
+
+// Default branding, and the browser's language alone, so the page doesn't
+// tell which links once existed
+function sendLinkExpired(req, res) {
+  res.status(410).send(renderLinkExpired(createTranslator(negotiateLocale(req.headers['accept-language']))));
+}
+
 // View estimate page (public link)
-app.get('/view/:trackingId', async (req, res) => {
+route('get', '/view/:trackingId', async (req, res) => {
   const { trackingId } = req.params;
+  const estimate = await findLinkedEstimate(trackingId);
+  if (!estimate) {
+    return sendLinkExpired(req, res);
+  }
 
   // Record the view
-  await recordView(trackingId, req);
-
-  const estimate = db.estimates[trackingId] || {};
-
-  // Serve a nice confirmation page
-  res.send(`
-    <!DOCTYPE html>
-    <html lang="en">
-    <head>
-      <meta charset="UTF-8">
-      <meta name="viewport" content="width=device-width, initial-scale=1.0">
-      <title>Estimate - ${escapeHtml(estimate.title) || 'View'}</title>
-      <style>
-        * { box-sizing: border-box; margin: 0; padding: 0; }
-        body {
-          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-          background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-          min-height: 100vh;
-          display: flex;
-          align-items: center;
-          justify-content: center;
-          padding: 20px;
-        }
-        .container {
-          background: white;
-          border-radius: 16px;
-          padding: 40px;
-          max-width: 500px;
-          width: 100%;
-          text-align: center;
-          box-shadow: 0 20px 60px rgba(0,0,0,0.3);
-        }
-        .icon {
-          width: 80px;
-          height: 80px;
-          background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-          border-radius: 50%;
-          display: flex;
-          align-items: center;
-          justify-content: center;
-          margin: 0 auto 24px;
-        }
-        h1 { color: #1a1a2e; font-size: 24px; margin-bottom: 12px; }
-        .subtitle { color: #666; line-height: 1.6; margin-bottom: 24px; }
-        .info-box {
-          background: #f8f9fa;
-          border-radius: 12px;
-          padding: 20px;
-          margin-bottom: 24px;
-          text-align: left;
-        }
-        .info-box h3 { color: #333; font-size: 14px; font-weight: 600; margin-bottom: 12px; }
-        .info-box p { color: #666; font-size: 14px; line-height: 1.5; margin: 0; }
-        .badge {
-          display: inline-block;
-          background: #e8f5e9;
-          color: #2e7d32;
-          padding: 10px 20px;
-          border-radius: 25px;
-          font-size: 15px;
-          font-weight: 500;
-        }
-        .footer { margin-top: 32px; padding-top: 24px; border-top: 1px solid #eee; color: #999; font-size: 12px; }
-      </style>
-    </head>
-    <body>
-      <div class="container">
-        <div class="icon">
-          <svg width="40" height="40" viewBox="0 0 24 24" fill="white">
-            <path d="M9 16.17L4.83 12l-1.42 1.41L9 19 21 7l-1.41-1.41z"/>
-          </svg>
-        </div>
-        <h1>Receipt Confirmed!</h1>
-        <p class="subtitle">Your contractor has been notified.</p>
-        <div class="info-box">
-          <h3>Check Your Email</h3>
-          <p>The full estimate PDF has been sent to your email. You can save, print, or review the complete details there.</p>
-        </div>
-        <div class="badge">✓ View Confirmed</div>
-        <div class="footer">Powered by EstimatePro</div>
-      </div>
-    </body>
-    </html>
-  `);
+  const view = await recordView(trackingId, req);
+
+  // Show the full estimate when its content was registered. Only likely
+  // customers get an engagement session.
+  if (hasLineItems(estimate)) {
+    const engagementSessionId = view.classification === VIEW_CLASS_HUMAN
+      ? await startEngagementSession(trackingId, view)
+      : null;
+    return res.send(await renderEstimateView(estimate, req, { engagementSessionId }));
+  }
+
+  // Otherwise serve a nice confirmation page
+  const { i18n, branding } = await estimateRenderContext(estimate, req);
+  res.send(renderViewReceipt(estimate, { i18n, branding }));
 });
 
 // Tracking pixel
-app.get('/pixel/:trackingId.gif', async (req, res) => {
+route('get', '/pixel/:trackingId.gif', async (req, res) => {
   const trackingId = req.params.trackingId;
-  await recordView(trackingId, req);
+  // The pixel is served either way so the email doesn't show a broken image
+  if (await findLinkedEstimate(trackingId)) {
+    metrics.pixelHits.inc({ result: 'recorded' });
+    await recordView(trackingId, req, VIEW_EVENT_PIXEL);
+  } else {
+    metrics.pixelHits.inc({ result: 'inactive_link' });
+  }
 
   const pixel = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
   res.set({
@@ -476,172 +967,1579 @@ app.get('/pixel/:trackingId.gif', async (req, res) => {
   res.send(pixel);
 });
 
-// ============================================
-// DEVICE & CONTRACTOR REGISTRATION
-// ============================================
+async function renderEstimateView(estimate, req, options = {}) {
+  return renderEstimatePage(estimate, {
+    ...(await estimateRenderContext(estimate, req)),
+    revision: estimate.version > 1 ? await storage.getRevision(estimate.tracking_id, estimate.version) : null,
+    messages: await storage.listMessages(estimate.tracking_id),
+    formToken: createFormToken(messageFormSecret, estimate.tracking_id),
+    ...options
+  });
+}
 
-// Register device for push notifications
-app.post('/api/device/register', async (req, res) => {
-  const { deviceToken, platform, bundleId } = req.body;
+// Locale, branding and latest response for showing an estimate. `req` is
+// the customer's request, whose Accept-Language is used when the estimate
+// has no locale of its own.
+async function estimateRenderContext(estimate, req) {
+  const contractor = await storage.getContractor(estimate.contractorId || DEFAULT_CONTRACTOR_ID);
+  const history = await storage.listStatusEvents(estimate.tracking_id);
+  return {
+    i18n: createTranslator(customerLocale(estimate, contractor, req?.headers['accept-language'])),
+    branding: resolveBranding(estimate, contractor),
+    lastResponse: history[history.length - 1]
+  };
+}
 
-  if (!deviceToken) {
-    return res.status(400).json({ error: 'deviceToken required' });
-  }
+// The estimate's PDF, with the contractor's uploaded logo unless the
+// estimate has one of its own
+async function renderPdf(estimate, req) {
+  const context = await estimateRenderContext(estimate, req);
+  const logo = estimate.details.company?.logoUrl
+    ? null
+    : await storage.getContractorLogo(estimate.contractorId || DEFAULT_CONTRACTOR_ID);
+  return renderEstimatePdf(estimate, { ...context, logo: logo && Buffer.from(logo.data, 'base64') });
+}
 
-  // Remove existing entry for this token
-  db.devices = db.devices.filter(d => d.token !== deviceToken);
+function pdfFilename(estimate) {
+  const base = (estimate.details.estimateNumber || estimate.title || estimate.tracking_id)
+    .replace(/[^A-Za-z0-9._-]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return `Estimate-${base || 'download'}.pdf`;
+}
 
-  // Add new entry
-  db.devices.push({
-    token: deviceToken,
-    platform: platform || 'ios',
-    bundleId: bundleId,
-    registeredAt: new Date().toISOString()
+async function sendEstimatePdf(req, res, estimate, disposition) {
+  const pdf = await renderPdf(estimate, req);
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Length': pdf.length,
+    'Content-Disposition': `${disposition}; filename="${pdfFilename(estimate)}"`,
+    'Cache-Control': 'no-store'
   });
+  res.send(pdf);
+}
 
-  await saveDB();
-  res.json({ success: true, message: 'Device registered for push notifications' });
+// PDF download of the estimate (public link). Tracked as its own event type.
+route('get', '/view/:trackingId/pdf', async (req, res) => {
+  const { trackingId } = req.params;
+  const estimate = await findLinkedEstimate(trackingId);
+
+  if (!estimate) {
+    return sendLinkExpired(req, res);
+  }
+  if (!hasLineItems(estimate)) {
+    return res.status(404).json({ error: 'Estimate not found' });
+  }
+
+  await recordView(trackingId, req, VIEW_EVENT_PDF);
+  await sendEstimatePdf(req, res, estimate, 'attachment');
 });
 
-// Register contractor info (email for notifications)
-app.post('/api/contractor/register', async (req, res) => {
-  const { email, name, companyName } = req.body;
+// The contractor's uploaded logo, as shown on the estimate page and in
+// emails. Not tracked.
+route('get', '/view/:trackingId/logo', async (req, res) => {
+  const estimate = await findLinkedEstimate(req.params.trackingId);
+  const logo = estimate && await storage.getContractorLogo(estimate.contractorId || DEFAULT_CONTRACTOR_ID);
+  if (!logo) {
+    return res.status(404).json({ error: 'Logo not found' });
+  }
+  // The URL changes with each upload
+  res.set('Cache-Control', 'public, max-age=86400');
+  res.type(logo.contentType).send(Buffer.from(logo.data, 'base64'));
+});
 
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  if (!email || !emailRegex.test(email)) {
-    return res.status(400).json({ error: 'Valid email address is required' });
+// Engagement beacon from /js/estimate-engagement.js (heartbeat, visibility
+// change or page close)
+route('post', '/beacon/:trackingId', async (req, res) => {
+  const { beacon, error } = parseBeacon(req.body);
+  if (error) {
+    return sendValidationError(res, error);
   }
 
-  db.contractor = {
-    email,
-    name: name || null,
-    companyName: companyName || null,
-    registeredAt: new Date().toISOString()
-  };
+  const session = await storage.getEngagementSession(beacon.sessionId);
+  if (!session || session.trackingId !== req.params.trackingId || !(await findLinkedEstimate(session.trackingId))) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
 
-  await saveDB();
-  res.json({ success: true, message: 'Contractor registered for email notifications' });
+  await storage.saveEngagementSession(applyBeacon(session, beacon));
+  res.status(204).end();
 });
 
-// ============================================
-// ESTIMATE REGISTRATION
-// ============================================
-
-// Register estimate with metadata (for better notifications)
-app.post('/api/register/:trackingId', async (req, res) => {
+// Customer response from the view page: accept (with signature), decline
+// or request changes
+route('post', '/view/:trackingId/respond', async (req, res) => {
   const { trackingId } = req.params;
-  const { title, customerName, customerEmail, total } = req.body;
+  const estimate = await findLinkedEstimate(trackingId);
 
-  db.estimates[trackingId] = {
-    tracking_id: trackingId,
-    title: title || null,
-    customerName: customerName || null,
-    customerEmail: customerEmail || null,
-    total: total || null,
-    created_at: new Date().toISOString()
-  };
+  if (!estimate) {
+    return sendLinkExpired(req, res);
+  }
+  if (!hasLineItems(estimate)) {
+    return res.status(404).json({ error: 'Estimate not found' });
+  }
 
-  await saveDB();
-  res.json({ success: true, trackingId });
-});
+  // Responses are to the version the customer was shown. If the estimate
+  // was revised since, they get to see the new one first.
+  const { i18n, branding } = await estimateRenderContext(estimate, req);
+  if (req.body.version !== undefined && Number(req.body.version) !== estimate.version) {
+    return res.status(409).send(await renderEstimateView(estimate, req, {
+      error: i18n.t('errors.revisedSinceOpened'),
+      values: req.body
+    }));
+  }
 
-// ============================================
-// NOTIFICATIONS API
-// ============================================
+  const { response, error } = parseResponse(req.body, estimate, i18n);
+  if (error) {
+    return res.status(400).send(await renderEstimateView(estimate, req, { error, values: req.body }));
+  }
 
-// Get notifications for contractor
-app.get('/api/notifications', (req, res) => {
-  res.json(db.notifications || []);
+  await recordStatusChange(trackingId, estimate, response, req);
+  res.send(renderResponseConfirmation(estimate, response.status, { i18n, branding }));
 });
 
-// Mark notification as read
-app.post('/api/notifications/:notificationId/read', async (req, res) => {
-  const { notificationId } = req.params;
-  const notification = db.notifications.find(n => n.id === notificationId);
+// Question or comment from the view page. Spam, repeats of the last message
+// and messages past the daily cap get the same confirmation but aren't
+// stored, so there's nothing to probe.
+route('post', '/view/:trackingId/messages', messageLimiter, async (req, res) => {
+  const { trackingId } = req.params;
+  const estimate = await findLinkedEstimate(trackingId);
 
-  if (notification) {
-    notification.isRead = true;
-    await saveDB();
-    res.json({ success: true });
-  } else {
-    res.status(404).json({ error: 'Notification not found' });
+  if (!estimate) {
+    return sendLinkExpired(req, res);
+  }
+  if (!hasLineItems(estimate)) {
+    return res.status(404).json({ error: 'Estimate not found' });
   }
-});
 
-// Mark all as read
-app.post('/api/notifications/read-all', async (req, res) => {
-  db.notifications.forEach(n => n.isRead = true);
-  await saveDB();
-  res.json({ success: true });
+  const { i18n, branding } = await estimateRenderContext(estimate, req);
+  const { message, spam, error } = parseCustomerMessage(req.body, { secret: messageFormSecret, trackingId, i18n });
+  if (error) {
+    return res.status(400).send(await renderEstimateView(estimate, req, { messageError: error, messageValues: req.body }));
+  }
+
+  if (!spam) {
+    const messages = await storage.listMessages(trackingId);
+    if (!isDuplicate(messages, message) && !reachedDailyLimit(messages)) {
+      await recordMessage(trackingId, estimate, {
+        author: AUTHOR_CUSTOMER,
+        name: message.name,
+        body: message.body,
+        ipHash: hashIP(anonymizeIP(getClientIP(req)))
+      }, req.log.child({ trackingId }));
+    }
+  }
+  res.send(renderResponseConfirmation(estimate, 'message', { i18n, branding }));
 });
 
 // ============================================
-// VIEW STATISTICS
+// DASHBOARD
 // ============================================
 
-app.get('/api/views/:trackingId', (req, res) => {
-  const { trackingId } = req.params;
-  const trackingViews = db.views.filter(v => v.tracking_id === trackingId);
-  const sortedViews = [...trackingViews].sort((a, b) => new Date(b.viewed_at) - new Date(a.viewed_at));
+// The dashboard itself is public/dashboard, served as static files; all of
+// its data comes from the API with the session cookie set here.
 
-  res.json({
-    trackingId,
-    viewCount: trackingViews.length,
-    lastViewedAt: sortedViews[0]?.viewed_at || null,
-    views: sortedViews.slice(0, 50).map(v => ({
-      timestamp: v.viewed_at,
-      ip_hash: crypto.createHash('sha256').update(v.ip_address || '').digest('hex').substring(0, 8),
-      userAgent: v.user_agent,
-    }))
-  });
-});
+// Sign in to the dashboard with a contractor API key (or the admin key)
+route('post', '/dashboard/session', signInLimiter, async (req, res) => {
+  const keyHash = hashApiKey(req.body.apiKey.trim());
+  const account = await findAccount(keyHash);
+  if (!account) {
+    return res.status(401).json({ error: 'That API key isn\'t valid' });
+  }
 
-app.get('/api/estimates', (req, res) => {
-  const estimates = Object.values(db.estimates).map(estimate => {
-    const views = db.views.filter(v => v.tracking_id === estimate.tracking_id);
-    const sortedViews = [...views].sort((a, b) => new Date(b.viewed_at) - new Date(a.viewed_at));
-    return {
-      ...estimate,
-      view_count: views.length,
-      last_viewed_at: sortedViews[0]?.viewed_at || null
-    };
-  });
-  estimates.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
-  res.json({ estimates: estimates.slice(0, 100) });
+  res.cookie(SESSION_COOKIE, createSessionToken(dashboardSessionSecret, keyHash), sessionCookieOptions(SECURE_COOKIES));
+  res.json({ success: true, contractorId: account.contractorId, isAdmin: account.isAdmin });
 });
 
-// 404 handler
-app.use((req, res) => {
-  res.status(404).json({ error: 'Not found' });
+route('delete', '/dashboard/session', (req, res) => {
+  const { maxAge, ...options } = sessionCookieOptions(SECURE_COOKIES);
+  res.clearCookie(SESSION_COOKIE, options);
+  res.json({ success: true });
 });
 
-// Error handler
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({ error: 'Internal server error' });
-});
+// ============================================
+// DEVICE & CONTRACTOR REGISTRATION
+// ============================================
+
+// Register device for push notifications
+route('post', '/api/device/register', async (req, res) => {
+  const { deviceToken, platform, bundleId } = req.body;
+
+  if (!deviceToken) {
+    return sendValidationError(res, 'deviceToken is required', { field: 'deviceToken' });
+  }
+  if (platform !== undefined && !PLATFORMS.includes(platform)) {
+    return sendValidationError(res, `platform must be one of: ${PLATFORMS.join(', ')}`, { field: 'platform' });
+  }
+  const { value: preferences, error } = parseDevicePreferences(req.body);
+  if (error) {
+    return sendValidationError(res, error);
+  }
+
+  // Replaces any existing entry for this token. Apps re-register on every
+  // launch, so the contractor's preferences for the device are kept.
+  const existing = await storage.getDevice(deviceToken);
+  const kept = existing?.contractorId === req.contractorId ? existing : {};
+  const device = await storage.saveDevice({
+    muted: kept.muted || false,
+    quietHoursStart: kept.quietHoursStart || null,
+    quietHoursEnd: kept.quietHoursEnd || null,
+    timeZone: kept.timeZone || null,
+    viewAlerts: kept.viewAlerts || 'first',
+    ...preferences,
+    token: deviceToken,
+    contractorId: req.contractorId,
+    platform: platform || PLATFORM_IOS,
+    bundleId: bundleId,
+    registeredAt: new Date().toISOString()
+  });
+
+  res.json({ success: true, message: 'Device registered for push notifications', device: describeDevice(device) });
+});
+
+// A device registered by the authenticated contractor, by its token or by
+// the id the API shows for it (the dashboard never sees whole tokens)
+async function findDevice(req) {
+  const { deviceToken } = req.params;
+  const device = await storage.getDevice(deviceToken);
+  if (device && device.contractorId === req.contractorId) return device;
+  const devices = await storage.listDevices(req.contractorId);
+  return devices.find(d => deviceId(d.token) === deviceToken) || null;
+}
+
+route('get', '/api/devices', async (req, res) => {
+  const devices = await storage.listDevices(req.contractorId);
+  res.json({ devices: devices.map(describeDevice) });
+});
+
+// Update a device's preferences: muted, quietHours ({ start, end,
+// timeZone } or null) and viewAlerts (first or all)
+route('patch', '/api/devices/:deviceToken', async (req, res) => {
+  const device = await findDevice(req);
+  if (!device) {
+    return res.status(404).json({ error: 'Device not found' });
+  }
+  const { value, error } = parseDevicePreferences(req.body);
+  if (error) {
+    return sendValidationError(res, error);
+  }
+
+  const saved = await storage.saveDevice({ ...device, ...value });
+  res.json({ device: describeDevice(saved) });
+});
+
+route('delete', '/api/devices/:deviceToken', async (req, res) => {
+  const device = await findDevice(req);
+  if (!device) {
+    return res.status(404).json({ error: 'Device not found' });
+  }
+  await storage.deleteDevice(device.token);
+  res.json({ success: true });
+});
+
+// Send a test push to one device, ignoring its preferences
+route('post', '/api/devices/:deviceToken/test', async (req, res) => {
+  const device = await findDevice(req);
+  if (!device) {
+    return res.status(404).json({ error: 'Device not found' });
+  }
+  const sender = pushSenders[device.platform];
+  if (!sender) {
+    return res.status(503).json({ error: `Push is not configured for ${device.platform}` });
+  }
+
+  let result;
+  try {
+    [result] = await sender.send([device.token], {
+      title: 'Test notification',
+      body: 'Push notifications are working.',
+      data: { type: 'test' }
+    });
+  } catch (err) {
+    return res.status(502).json({ error: err.message });
+  }
+  if (result.invalid) {
+    await storage.deleteDevice(device.token);
+  }
+  res.status(result.ok ? 200 : 502).json({
+    success: result.ok,
+    error: result.error,
+    removed: result.invalid
+  });
+});
+
+// Register contractor info (email for notifications)
+route('post', '/api/contractor/register', async (req, res) => {
+  const { email, name, companyName } = req.body;
+
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  if (!email || !emailRegex.test(email)) {
+    return sendValidationError(res, 'Valid email address is required', { field: 'email' });
+  }
+
+  // Locale and branding are kept when left out
+  const current = await storage.getContractor(req.contractorId);
+  const locale = req.body.locale !== undefined ? parseLocale(req.body.locale) : { value: current?.locale ?? null };
+  if (locale.error) {
+    return sendValidationError(res, locale.error, { field: 'locale' });
+  }
+  const branding = req.body.branding !== undefined
+    ? parseBranding(req.body.branding, current?.branding)
+    : { value: current?.branding ?? null };
+  if (branding.error) {
+    return sendValidationError(res, branding.error, { field: 'branding' });
+  }
+
+  await storage.saveContractor({
+    id: req.contractorId,
+    email,
+    name: name || null,
+    companyName: companyName || null,
+    locale: locale.value,
+    branding: branding.value,
+    registeredAt: new Date().toISOString()
+  });
+
+  res.json({ success: true, message: 'Contractor registered for email notifications' });
+});
+
+// Current contractor profile
+route('get', '/api/contractor', async (req, res) => {
+  res.json(describeContractor(await storage.getContractor(req.contractorId)));
+});
+
+// Logo shown on the contractor's estimate pages, PDFs and emails. The body
+// is the image itself.
+route('put', '/api/contractor/logo', express.raw({ type: Object.keys(LOGO_TYPES), limit: MAX_LOGO_BYTES }), async (req, res) => {
+  const { value, error } = parseLogo(req.headers['content-type'], req.body);
+  if (error) {
+    return sendValidationError(res, error);
+  }
+
+  const contractor = await storage.getContractor(req.contractorId);
+  if (!contractor) {
+    return res.status(404).json({ error: 'Register with POST /api/contractor/register first' });
+  }
+  const logo = await storage.saveContractorLogo({ contractorId: req.contractorId, ...value, updatedAt: new Date().toISOString() });
+  const { value: branding } = parseBranding({}, contractor.branding);
+  await storage.saveContractor({ ...contractor, branding: { ...branding, logo: describeLogo(logo) } });
+  res.json(describeLogo(logo));
+});
+
+route('get', '/api/contractor/logo', async (req, res) => {
+  const logo = await storage.getContractorLogo(req.contractorId);
+  if (!logo) {
+    return res.status(404).json({ error: 'Logo not found' });
+  }
+  res.type(logo.contentType).send(Buffer.from(logo.data, 'base64'));
+});
+
+route('delete', '/api/contractor/logo', async (req, res) => {
+  if (!(await storage.deleteContractorLogo(req.contractorId))) {
+    return res.status(404).json({ error: 'Logo not found' });
+  }
+  const contractor = await storage.getContractor(req.contractorId);
+  if (contractor?.branding) {
+    await storage.saveContractor({ ...contractor, branding: { ...contractor.branding, logo: null } });
+  }
+  res.json({ success: true });
+});
+
+// Which events notify the contractor, quiet hours, digests and the
+// instant email template
+route('get', '/api/contractor/notification-settings', async (req, res) => {
+  res.json(describeNotificationSettings(await notificationSettingsFor(req.contractorId)));
+});
+
+route('patch', '/api/contractor/notification-settings', async (req, res) => {
+  const { value, error } = parseNotificationSettings(req.body);
+  if (error) {
+    return sendValidationError(res, error);
+  }
+
+  const current = await notificationSettingsFor(req.contractorId);
+  const settings = await storage.saveNotificationSettings({
+    ...current,
+    ...value,
+    // The first digest covers activity from when digests were turned on
+    lastDigestAt: value.digest && value.digest !== current.digest ? null : current.lastDigestAt,
+    updatedAt: new Date().toISOString()
+  });
+  res.json(describeNotificationSettings(settings));
+});
+
+// ============================================
+// API KEYS
+// ============================================
+
+route('get', '/api/contractor/keys', async (req, res) => {
+  const keys = await storage.listApiKeys(req.contractorId);
+  res.json({ keys: keys.map(describeApiKey) });
+});
+
+// Issue an additional key, e.g. one per estimator's device
+route('post', '/api/contractor/keys', async (req, res) => {
+  const { key, record } = createApiKeyRecord(req.contractorId, req.body.label);
+  await storage.addApiKey(record);
+  res.status(201).json({ ...describeApiKey(record), key });
+});
+
+route('delete', '/api/contractor/keys/:keyId', async (req, res) => {
+  if (await storage.revokeApiKey(req.contractorId, req.params.keyId)) {
+    res.json({ success: true });
+  } else {
+    res.status(404).json({ error: 'API key not found' });
+  }
+});
+
+// ============================================
+// CONTRACTOR ACCOUNTS (admin)
+// ============================================
+
+route('get', '/api/admin/contractors', requireAdmin, async (req, res) => {
+  res.json({ contractors: (await storage.listContractors()).map(describeContractor) });
+});
+
+// Create a contractor account along with its first API key
+route('post', '/api/admin/contractors', requireAdmin, async (req, res) => {
+  const { email, name, companyName } = req.body;
+
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  if (email && !emailRegex.test(email)) {
+    return sendValidationError(res, 'Valid email address is required', { field: 'email' });
+  }
+
+  const contractor = await storage.saveContractor({
+    id: `ctr_${crypto.randomBytes(6).toString('hex')}`,
+    email: email || null,
+    name: name || null,
+    companyName: companyName || null,
+    registeredAt: new Date().toISOString()
+  });
+  const { key, record } = createApiKeyRecord(contractor.id, 'default');
+  await storage.addApiKey(record);
+
+  res.status(201).json({ contractor: describeContractor(contractor), apiKey: { ...describeApiKey(record), key } });
+});
+
+// ============================================
+// BACKUPS (admin)
+// ============================================
+
+// The full dataset, as a file that POST /api/admin/restore or
+// `npm run backup -- import` accepts
+route('get', '/api/admin/backup', requireAdmin, async (req, res) => {
+  const backup = createBackup(await storage.exportData(), { driver: storage.driver });
+  res.set('Content-Disposition', `attachment; filename="estimatepro-backup-${backup.createdAt.slice(0, 10)}.json"`);
+  res.json(backup);
+});
+
+route('get', '/api/admin/backups', requireAdmin, async (req, res) => {
+  res.json({
+    intervalHours: backups.intervalHours,
+    retention: backups.retention,
+    snapshots: await backups.list()
+  });
+});
+
+route('post', '/api/admin/backups', requireAdmin, async (req, res) => {
+  res.status(201).json({ snapshot: await backups.snapshot() });
+});
+
+// Replace every record with an uploaded backup, or with the snapshot named
+// by `snapshot`. The current data is snapshotted first.
+route('post', RESTORE_PATH, requireAdmin, express.json({ limit: RESTORE_BODY_LIMIT }), async (req, res) => {
+  let data;
+  try {
+    if (req.body.snapshot !== undefined) {
+      data = await backups.readSnapshot(req.body.snapshot);
+      if (!data) {
+        return res.status(404).json({ error: 'Snapshot not found' });
+      }
+    } else {
+      const { value, error } = readBackup(req.body);
+      if (error) {
+        return sendValidationError(res, error);
+      }
+      data = value;
+    }
+
+    const { previous, restored } = await backups.restore(data);
+    req.log.info('Restored backup', { ...restored, previous: previous.name });
+    res.json({ success: true, restored, previous });
+  } catch (err) {
+    req.log.error('Restore failed', { err });
+    res.status(500).json({ error: `Restore failed: ${err.message}` });
+  }
+});
+
+// ============================================
+// ESTIMATE REGISTRATION
+// ============================================
+
+function linkUrls(trackingId) {
+  const id = encodeURIComponent(trackingId);
+  return { viewUrl: `${PUBLIC_URL}/view/${id}`, pixelUrl: `${PUBLIC_URL}/pixel/${id}.gif` };
+}
+
+// Issue a signed tracking ID, optionally expiring. Register the estimate's
+// content against it afterwards.
+route('post', '/api/tracking-links', async (req, res) => {
+  let expiresAt = null;
+  if (req.body.expiresAt !== undefined) {
+    const expiry = parseLinkExpiry(req.body.expiresAt);
+    if (expiry.error) {
+      return sendValidationError(res, expiry.error, { field: 'expiresAt' });
+    }
+    expiresAt = expiry.value;
+  }
+
+  const estimate = await storage.saveEstimate({
+    tracking_id: linkSigner.issue(),
+    contractorId: req.contractorId,
+    status: STATUS_PENDING,
+    linkExpiresAt: expiresAt,
+    linkRevokedAt: null,
+    created_at: new Date().toISOString()
+  });
+
+  res.status(201).json({
+    trackingId: estimate.tracking_id,
+    ...linkUrls(estimate.tracking_id),
+    expiresAt
+  });
+});
+
+// Save an estimate whose content may have changed. Registration and each
+// later change of content move it to the next version, recorded as a
+// revision with the fields that changed; otherwise it keeps its version.
+async function saveEstimateVersion(previous, estimate) {
+  const changes = previous?.version ? diffEstimates(previous, estimate) : null;
+  if (changes?.length === 0) {
+    return storage.saveEstimate({ ...estimate, version: previous.version });
+  }
+  const revised = { ...estimate, version: (previous?.version || 0) + 1 };
+  await storage.saveRevision(revised, createRevision(revised, changes, revised.updatedAt || revised.created_at));
+  return revised;
+}
+
+// Register estimate with metadata (for better notifications) and,
+// optionally, its full content for the customer-facing view page
+route('post', '/api/register/:trackingId', async (req, res) => {
+  const { trackingId } = req.params;
+  const { title, customerName, customerEmail, total } = req.body;
+
+  if (isSignedId(trackingId) && !linkSigner.verify(trackingId)) {
+    return sendValidationError(res, 'Invalid tracking ID', { location: 'path', field: 'trackingId' });
+  }
+
+  const { details, error } = parseEstimateDetails(req.body);
+  if (error) {
+    return sendValidationError(res, error);
+  }
+
+  const expiry = req.body.expiresAt !== undefined ? parseLinkExpiry(req.body.expiresAt) : null;
+  if (expiry?.error) {
+    return sendValidationError(res, expiry.error, { field: 'expiresAt' });
+  }
+  const locale = req.body.locale !== undefined ? parseLocale(req.body.locale) : null;
+  if (locale?.error) {
+    return sendValidationError(res, locale.error, { field: 'locale' });
+  }
+
+  // Estimates created by a view before registration have no owner yet.
+  // Registering again revises the content but keeps the estimate's
+  // history: when it was created, its status, delivery and views.
+  const existing = await storage.getEstimate(trackingId);
+  if (existing?.contractorId && existing.contractorId !== req.contractorId) {
+    return res.status(409).json({ error: 'Tracking ID is registered to another contractor' });
+  }
+  const registered = Boolean(existing?.contractorId);
+  const now = new Date().toISOString();
+
+  const estimate = await saveEstimateVersion(registered ? existing : null, {
+    tracking_id: trackingId,
+    contractorId: req.contractorId,
+    title: title || null,
+    customerName: customerName || null,
+    customerEmail: customerEmail || null,
+    // Line items are the source of truth for the total when present
+    total: details.lineItems.length > 0 ? calculateTotals(details).total : (total || null),
+    details,
+    status: existing?.status || STATUS_PENDING,
+    statusUpdatedAt: existing?.statusUpdatedAt || null,
+    emailSentAt: existing?.emailSentAt || null,
+    emailSentTo: existing?.emailSentTo || null,
+    emailMessageId: existing?.emailMessageId || null,
+    emailStatus: existing?.emailStatus || null,
+    emailError: existing?.emailError || null,
+    linkExpiresAt: expiry ? expiry.value : existing?.linkExpiresAt || null,
+    linkRevokedAt: existing?.linkRevokedAt || null,
+    locale: locale ? locale.value : existing?.locale || null,
+    created_at: registered ? existing.created_at : now,
+    updatedAt: registered ? now : null
+  });
+  await followups.estimateRegistered(estimate);
+
+  res.json({ success: true, trackingId, created: !registered, version: estimate.version });
+});
+
+// Revoke an estimate's tracking link. The link shows the expired page from
+// then on and upcoming follow-ups are cancelled.
+route('post', '/api/estimates/:trackingId/revoke', async (req, res) => {
+  const estimate = await storage.getEstimate(req.params.trackingId);
+  if (!estimate || !ownsEstimate(req, estimate)) {
+    return res.status(404).json({ error: 'Estimate not found' });
+  }
+
+  const revoked = estimate.linkRevokedAt
+    ? estimate
+    : await storage.saveEstimate({ ...estimate, linkRevokedAt: new Date().toISOString() });
+  await storage.cancelFollowupJobs({ trackingId: estimate.tracking_id }, 'link revoked');
+
+  res.json({ success: true, trackingId: estimate.tracking_id, revokedAt: revoked.linkRevokedAt });
+});
+
+// ============================================
+// CUSTOMER EMAIL
+// ============================================
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`
-╔════════════════════════════════════════════════════════════╗
-║                                                            ║
-║   EstimatePro Tracking Server                              ║
-║   Running on http://localhost:${PORT}                         ║
-║                                                            ║
-║   Features:                                                ║
-║   • View tracking with notifications                       ║
-║   • Push notifications: ${apnProvider ? 'ON' : 'OFF'}                              ║
-║   • Email notifications: ${emailTransporter ? 'ON' : 'OFF'}                             ║
-║                                                            ║
-╚════════════════════════════════════════════════════════════╝
-  `);
+// nodemailer returns message IDs in angle brackets; bounce reports may not
+function normalizeMessageId(messageId) {
+  return messageId ? String(messageId).trim().replace(/^<|>$/g, '') : null;
+}
+
+// Where the estimate is between being sent and being read
+function describeDelivery(estimate) {
+  let status = estimate.emailStatus || 'not_sent';
+  if (estimate.first_viewed_at) status = 'viewed';
+  else if (estimate.first_opened_at) status = 'opened';
+
+  return {
+    status,
+    emailStatus: estimate.emailStatus || null,
+    sentAt: estimate.emailSentAt || null,
+    sentTo: estimate.emailSentTo || null,
+    messageId: estimate.emailMessageId || null,
+    error: estimate.emailError || null,
+    openedAt: estimate.first_opened_at || null,
+    viewedAt: estimate.first_viewed_at || null
+  };
+}
+
+// Email the estimate to the customer with the view link and the tracking
+// pixel, optionally with the PDF attached
+route('post', '/api/estimate/send', async (req, res) => {
+  const { trackingId, subject, message, attachPdf } = req.body;
+  if (!emailTransporter) {
+    return res.status(503).json({ error: 'Email is not configured on this server' });
+  }
+
+  const estimate = trackingId ? await storage.getEstimate(String(trackingId)) : null;
+  if (!estimate || !ownsEstimate(req, estimate)) {
+    return res.status(404).json({ error: 'Estimate not found' });
+  }
+  const to = req.body.to ? String(req.body.to).trim() : estimate.customerEmail;
+  if (!to || !EMAIL_PATTERN.test(to)) {
+    return sendValidationError(res, 'A valid customer email is required', { field: 'to' });
+  }
+  if (attachPdf && !hasLineItems(estimate)) {
+    return sendValidationError(res, 'Estimate has no line items to attach as a PDF', { field: 'attachPdf' });
+  }
+  if (linkStatus(estimate) !== LINK_ACTIVE) {
+    return res.status(409).json({ error: `Tracking link is ${linkStatus(estimate)}` });
+  }
+
+  const contractor = await storage.getContractor(estimate.contractorId || DEFAULT_CONTRACTOR_ID);
+  const { viewUrl, pixelUrl } = linkUrls(estimate.tracking_id);
+  const email = renderCustomerEmail({
+    estimate,
+    branding: resolveBranding(estimate, contractor, { baseUrl: PUBLIC_URL }),
+    i18n: createTranslator(customerLocale(estimate, contractor)),
+    subject: subject ? String(subject).slice(0, 200) : undefined,
+    message: message ? String(message).slice(0, 5000) : undefined,
+    link: viewUrl,
+    pixelUrl
+  });
+
+  const mailOptions = {
+    from: EMAIL_FROM,
+    to,
+    replyTo: contractor?.email || undefined,
+    subject: email.subject,
+    html: email.html,
+    text: email.text,
+    headers: { 'X-EstimatePro-Tracking-Id': estimate.tracking_id }
+  };
+  if (attachPdf) {
+    mailOptions.attachments = [{
+      filename: pdfFilename(estimate),
+      content: await renderPdf(estimate),
+      contentType: 'application/pdf'
+    }];
+  }
+
+  let result;
+  try {
+    const info = await emailTransporter.sendMail(mailOptions);
+    const rejected = info.rejected?.length > 0;
+    result = {
+      emailStatus: rejected ? 'bounced' : 'sent',
+      emailMessageId: normalizeMessageId(info.messageId),
+      emailError: rejected ? `Rejected by the mail server: ${info.rejected.join(', ')}` : null
+    };
+  } catch (err) {
+    req.log.error('Estimate email failed', { trackingId, err });
+    // A permanent (5xx) SMTP rejection of the recipient is a bounce
+    result = {
+      emailStatus: err.responseCode >= 500 ? 'bounced' : 'failed',
+      emailMessageId: null,
+      emailError: err.message
+    };
+  }
+
+  const saved = await storage.saveEstimate({
+    ...estimate,
+    ...result,
+    emailSentAt: new Date().toISOString(),
+    emailSentTo: to
+  });
+  if (result.emailStatus === 'bounced') {
+    await storage.cancelFollowupJobs({ trackingId: estimate.tracking_id }, 'email bounced');
+  }
+
+  res.status(result.emailStatus === 'sent' ? 200 : 502).json({
+    success: result.emailStatus === 'sent',
+    trackingId: estimate.tracking_id,
+    delivery: describeDelivery(saved)
+  });
+});
+
+// Report a bounce that arrived after sending (e.g. from the mail
+// provider's bounce webhook or a DSN), by message ID or tracking ID
+route('post', '/api/estimate/bounce', async (req, res) => {
+  const { messageId, trackingId, reason } = req.body;
+  const estimate = messageId
+    ? await storage.findEstimateByMessageId(normalizeMessageId(messageId))
+    : trackingId ? await storage.getEstimate(String(trackingId)) : null;
+  if (!estimate || !ownsEstimate(req, estimate) || !estimate.emailSentAt) {
+    return res.status(404).json({ error: 'Sent estimate not found' });
+  }
+
+  const saved = await storage.saveEstimate({
+    ...estimate,
+    emailStatus: 'bounced',
+    emailError: reason ? String(reason).slice(0, 500) : 'Bounced'
+  });
+  await storage.cancelFollowupJobs({ trackingId: estimate.tracking_id }, 'email bounced');
+  res.json({ success: true, trackingId: estimate.tracking_id, delivery: describeDelivery(saved) });
+});
+
+// ============================================
+// ACTIVITY STREAM
+// ============================================
+
+// Server-Sent Events with every view, email open, PDF download, customer
+// response and in-app notification on the contractor's estimates.
+// Reconnecting with Last-Event-ID replays what was missed.
+route('get', '/api/events/stream', async (req, res) => {
+  await activity.connect(req, res, req.contractorId);
+});
+
+// ============================================
+// NOTIFICATIONS API
+// ============================================
+
+const MAX_NOTIFICATIONS_PAGE = 100;
+
+// Opaque cursor for the page after a notification
+function notificationCursor(notification) {
+  return Buffer.from(`${notification.viewedAt}|${notification.id}`).toString('base64url');
+}
+
+// ?limit, ?cursor and ?since for the notification list. Returns { value }
+// or { error }.
+function parseNotificationQuery(query) {
+  const value = {};
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_NOTIFICATIONS_PAGE) {
+      return { error: `limit must be a whole number from 1 to ${MAX_NOTIFICATIONS_PAGE}` };
+    }
+    value.limit = limit;
+  }
+  if (query.cursor !== undefined) {
+    const [viewedAt, id] = Buffer.from(String(query.cursor), 'base64url').toString().split('|');
+    if (!id || Number.isNaN(Date.parse(viewedAt))) {
+      return { error: 'Invalid cursor' };
+    }
+    value.before = { viewedAt, id };
+  }
+  if (query.since !== undefined) {
+    const since = new Date(String(query.since));
+    if (Number.isNaN(since.getTime())) {
+      return { error: 'since must be an ISO 8601 date' };
+    }
+    value.since = since.toISOString();
+  }
+  return { value };
+}
+
+// Get notifications for contractor, newest first. With ?limit the body is
+// one page and X-Next-Cursor, when present, fetches the next.
+route('get', '/api/notifications', async (req, res) => {
+  const { value: query, error } = parseNotificationQuery(req.query);
+  if (error) {
+    return sendValidationError(res, error, { location: 'query' });
+  }
+  const notifications = await storage.listNotifications(req.contractorId, {
+    ...query,
+    limit: query.limit && query.limit + 1
+  });
+  if (query.limit && notifications.length > query.limit) {
+    notifications.length = query.limit;
+    res.set('X-Next-Cursor', notificationCursor(notifications[notifications.length - 1]));
+  }
+  res.json(notifications);
+});
+
+// Mark notification as read
+route('post', '/api/notifications/:notificationId/read', async (req, res) => {
+  const { notificationId } = req.params;
+  if (await storage.markNotificationRead(req.contractorId, notificationId)) {
+    res.json({ success: true });
+  } else {
+    res.status(404).json({ error: 'Notification not found' });
+  }
+});
+
+// Mark all as read
+route('post', '/api/notifications/read-all', async (req, res) => {
+  await storage.markAllNotificationsRead(req.contractorId);
+  res.json({ success: true });
+});
+
+// ============================================
+// VIEW STATISTICS
+// ============================================
+
+route('get', '/api/views/:trackingId', async (req, res) => {
+  const { trackingId } = req.params;
+  const estimate = await storage.getEstimate(trackingId);
+  if (!estimate || !ownsEstimate(req, estimate)) {
+    return res.status(404).json({ error: 'Estimate not found' });
+  }
+  const events = await storage.listViews(trackingId);
+  const allViews = events.filter(v => v.event_type !== VIEW_EVENT_PDF);
+  const allDownloads = events.filter(v => v.event_type === VIEW_EVENT_PDF);
+  // Counts and timestamps only include likely-human views; the raw counts
+  // include mail proxies and bots too
+  const sortedViews = allViews.filter(v => v.classification === VIEW_CLASS_HUMAN);
+  const downloads = allDownloads.filter(v => v.classification === VIEW_CLASS_HUMAN);
+  const countOf = classification => allViews.filter(v => v.classification === classification).length;
+  const sessions = await storage.listEngagementSessions(trackingId);
+
+  res.json({
+    trackingId,
+    status: estimate.status || STATUS_PENDING,
+    statusUpdatedAt: estimate.statusUpdatedAt || null,
+    link: {
+      status: linkStatus(estimate),
+      expiresAt: estimate.linkExpiresAt || null,
+      revokedAt: estimate.linkRevokedAt || null
+    },
+    viewCount: sortedViews.length,
+    rawViewCount: allViews.length,
+    viewCountByClassification: {
+      [VIEW_CLASS_HUMAN]: sortedViews.length,
+      [VIEW_CLASS_PROXY]: countOf(VIEW_CLASS_PROXY),
+      [VIEW_CLASS_BOT]: countOf(VIEW_CLASS_BOT)
+    },
+    lastViewedAt: sortedViews[0]?.viewed_at || null,
+    pdfDownloadCount: downloads.length,
+    rawPdfDownloadCount: allDownloads.length,
+    lastDownloadedAt: downloads[0]?.viewed_at || null,
+    engagement: {
+      ...summarizeEngagement(sessions),
+      recentSessions: sessions.slice(-20).reverse().map(session => ({
+        startedAt: session.startedAt,
+        lastSeenAt: session.lastSeenAt,
+        activeMs: session.activeMs,
+        scrollDepth: session.scrollDepth,
+        sections: session.sections
+      }))
+    },
+    views: events.slice(0, 50).map(v => ({
+      type: v.event_type,
+      classification: v.classification,
+      classificationReason: v.classification_reason,
+      timestamp: v.viewed_at,
+      ip_hash: hashIP(v.ip_address),
+      userAgent: v.user_agent,
+      ...describeViewClient(v),
+      version: v.estimate_version ?? null
+    }))
+  });
+});
+
+// Contractor preview of the PDF the customer will get. Not tracked.
+route('get', '/api/estimates/:trackingId/pdf', async (req, res) => {
+  const estimate = await storage.getEstimate(req.params.trackingId);
+  if (!estimate || !ownsEstimate(req, estimate)) {
+    return res.status(404).json({ error: 'Estimate not found' });
+  }
+  if (!hasLineItems(estimate)) {
+    return sendValidationError(res, 'Estimate has no line items to render', { location: 'path', field: 'trackingId' });
+  }
+
+  await sendEstimatePdf(null, res, estimate, 'inline');
+});
+
+// Customer response history (accept / decline / change requests)
+route('get', '/api/estimates/:trackingId/status', async (req, res) => {
+  const { trackingId } = req.params;
+  const estimate = await storage.getEstimate(trackingId);
+  if (!estimate || !ownsEstimate(req, estimate)) {
+    return res.status(404).json({ error: 'Estimate not found' });
+  }
+
+  const history = await storage.listStatusEvents(trackingId);
+  res.json({
+    trackingId,
+    status: estimate.status || STATUS_PENDING,
+    statusUpdatedAt: estimate.statusUpdatedAt || null,
+    history: history.map(event => ({
+      status: event.status,
+      previousStatus: event.previousStatus,
+      name: event.name,
+      message: event.message,
+      signatureType: event.signatureType,
+      signature: event.signature,
+      ip_hash: event.ipHash,
+      userAgent: event.userAgent,
+      version: event.version ?? null,
+      timestamp: event.createdAt
+    }))
+  });
+});
+
+// An estimate as the API lists it: with view counters, delivery, link
+// state and engagement
+async function describeEstimate(estimate) {
+  return {
+    ...estimate,
+    delivery: describeDelivery(estimate),
+    linkStatus: linkStatus(estimate),
+    engagement: summarizeEngagement(await storage.listEngagementSessions(estimate.tracking_id))
+  };
+}
+
+// Search, filter and page through estimates. nextCursor, when not null,
+// fetches the next page with the same query.
+route('get', '/api/estimates', async (req, res) => {
+  const { value: query, error } = parseEstimateQuery(req.query);
+  if (error) {
+    return sendValidationError(res, error, { location: 'query' });
+  }
+
+  const estimates = await storage.listEstimates({ ...estimateScope(req), ...query, limit: query.limit + 1 });
+  let nextCursor = null;
+  if (estimates.length > query.limit) {
+    estimates.length = query.limit;
+    nextCursor = estimateCursor(estimates[estimates.length - 1], query.sort);
+  }
+
+  const described = [];
+  for (const estimate of estimates) {
+    described.push(await describeEstimate(estimate));
+  }
+  res.json({ estimates: described, nextCursor });
+});
+
+route('get', '/api/estimates/:trackingId', async (req, res) => {
+  const [estimate] = await storage.listEstimates({ ...estimateScope(req), trackingId: req.params.trackingId, limit: 1 });
+  if (!estimate) {
+    return res.status(404).json({ error: 'Estimate not found' });
+  }
+  res.json(await describeEstimate(estimate));
+});
+
+// Change some of an estimate's fields. Content fields (line items, notes,
+// etc.) are merged into the current content; the total follows the line
+// items when there are any.
+route('patch', '/api/estimates/:trackingId', async (req, res) => {
+  const { trackingId } = req.params;
+  const estimate = await storage.getEstimate(trackingId);
+  if (!estimate || !ownsEstimate(req, estimate)) {
+    return res.status(404).json({ error: 'Estimate not found' });
+  }
+
+  const changes = {};
+  for (const field of ['title', 'customerName', 'customerEmail']) {
+    if (req.body[field] !== undefined) changes[field] = req.body[field] || null;
+  }
+  if (req.body.total !== undefined) {
+    if (req.body.total !== null && !Number.isFinite(Number(req.body.total))) {
+      return sendValidationError(res, 'total must be a number', { field: 'total' });
+    }
+    changes.total = req.body.total === null ? null : Number(req.body.total);
+  }
+  if (DETAIL_FIELDS.some(field => req.body[field] !== undefined)) {
+    const updates = Object.fromEntries(DETAIL_FIELDS.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]]));
+    const { details, error } = parseEstimateDetails({ ...estimate.details, ...updates });
+    if (error) {
+      return sendValidationError(res, error);
+    }
+    changes.details = details;
+  }
+  if (req.body.expiresAt !== undefined) {
+    const expiry = parseLinkExpiry(req.body.expiresAt);
+    if (expiry.error) {
+      return sendValidationError(res, expiry.error, { field: 'expiresAt' });
+    }
+    changes.linkExpiresAt = expiry.value;
+  }
+  if (req.body.locale !== undefined) {
+    const locale = parseLocale(req.body.locale);
+    if (locale.error) {
+      return sendValidationError(res, locale.error, { field: 'locale' });
+    }
+    changes.locale = locale.value;
+  }
+
+  const updated = { ...estimate, ...changes, updatedAt: new Date().toISOString() };
+  if (updated.details?.lineItems?.length > 0) {
+    updated.total = calculateTotals(updated.details).total;
+  }
+  await saveEstimateVersion(estimate, updated);
+
+  const [listed] = await storage.listEstimates({ ...estimateScope(req), trackingId, limit: 1 });
+  res.json(await describeEstimate(listed));
+});
+
+// Delete an estimate along with its views, engagement, responses, messages,
+// notifications, follow-ups and webhook deliveries. Its link shows the
+// expired page from then on.
+route('delete', '/api/estimates/:trackingId', async (req, res) => {
+  const estimate = await storage.getEstimate(req.params.trackingId);
+  if (!estimate || !ownsEstimate(req, estimate)) {
+    return res.status(404).json({ error: 'Estimate not found' });
+  }
+  await storage.deleteEstimate(estimate.tracking_id);
+  res.json({ success: true, trackingId: estimate.tracking_id });
+});
+
+// ============================================
+// REVISIONS
+// ============================================
+
+// Every version of an estimate, oldest first, with the fields that changed
+route('get', '/api/estimates/:trackingId/revisions', async (req, res) => {
+  const { trackingId } = req.params;
+  const estimate = await storage.getEstimate(trackingId);
+  if (!estimate || !ownsEstimate(req, estimate)) {
+    return res.status(404).json({ error: 'Estimate not found' });
+  }
+
+  const revisions = await storage.listRevisions(trackingId);
+  res.json({ trackingId, version: estimate.version ?? null, revisions: revisions.map(r => describeRevision(r)) });
+});
+
+// One version's content, as the customer saw it
+route('get', '/api/estimates/:trackingId/revisions/:version', async (req, res) => {
+  const { trackingId } = req.params;
+  const estimate = await storage.getEstimate(trackingId);
+  if (!estimate || !ownsEstimate(req, estimate)) {
+    return res.status(404).json({ error: 'Estimate not found' });
+  }
+
+  const version = Number(req.params.version);
+  const revision = Number.isInteger(version) ? await storage.getRevision(trackingId, version) : null;
+  if (!revision) {
+    return res.status(404).json({ error: 'Revision not found' });
+  }
+  res.json(describeRevision(revision, { full: true }));
+});
+
+// ============================================
+// MESSAGES
+// ============================================
+
+// Questions and comments from the view page with the contractor's replies,
+// oldest first
+route('get', '/api/estimates/:trackingId/messages', async (req, res) => {
+  const { trackingId } = req.params;
+  const estimate = await storage.getEstimate(trackingId);
+  if (!estimate || !ownsEstimate(req, estimate)) {
+    return res.status(404).json({ error: 'Estimate not found' });
+  }
+
+  const messages = await storage.listMessages(trackingId);
+  res.json({ trackingId, messages: messages.map(describeMessage) });
+});
+
+// Reply to the customer. Replies show on the view page the next time the
+// customer opens it.
+route('post', '/api/estimates/:trackingId/messages', async (req, res) => {
+  const { trackingId } = req.params;
+  const estimate = await storage.getEstimate(trackingId);
+  if (!estimate || !ownsEstimate(req, estimate)) {
+    return res.status(404).json({ error: 'Estimate not found' });
+  }
+
+  const { value: body, error } = parseReply(req.body);
+  if (error) {
+    return sendValidationError(res, error);
+  }
+
+  const contractor = await storage.getContractor(estimate.contractorId || DEFAULT_CONTRACTOR_ID);
+  const message = await recordMessage(trackingId, estimate, {
+    author: AUTHOR_CONTRACTOR,
+    name: contractor?.companyName || contractor?.name || null,
+    body,
+    ipHash: null
+  }, req.log.child({ trackingId }));
+  res.status(201).json(describeMessage(message));
+});
+
+// ============================================
+// REPORTS
+// ============================================
+
+// Estimates created in the report's range and daily counters for it
+async function loadReportData(req, options) {
+  const scope = { ...estimateScope(req), customer: options.customer };
+  return {
+    estimates: await storage.listEstimates({ ...scope, ...createdRange(options), limit: null }),
+    dailyStats: await storage.listDailyStats({ ...scope, from: options.from, to: options.to })
+  };
+}
+
+route('get', '/api/reports/overview', async (req, res) => {
+  const { value: options, error } = parseReportQuery(req.query);
+  if (error) {
+    return sendValidationError(res, error, { location: 'query' });
+  }
+  res.json(buildOverview(await loadReportData(req, options), options));
+});
+
+// One report as JSON, or as a CSV download with ?format=csv
+route('get', '/api/reports/:report', async (req, res) => {
+  const report = Object.hasOwn(REPORTS, req.params.report) ? REPORTS[req.params.report] : null;
+  if (!report) {
+    return res.status(404).json({ error: 'Report not found' });
+  }
+  const { value: options, error } = parseReportQuery(req.query);
+  if (error) {
+    return sendValidationError(res, error, { location: 'query' });
+  }
+
+  const rows = report.build(await loadReportData(req, options), options);
+  if (options.format === 'csv') {
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${req.params.report}-${options.from}-to-${options.to}.csv"`
+    });
+    return res.send(toCsv(report.columns, rows));
+  }
+  res.json({ report: req.params.report, from: options.from, to: options.to, customer: options.customer, rows });
+});
+
+// ============================================
+// PRIVACY
+// ============================================
+
+// The contractor's estimates sent to a customer email address
+async function customerEstimates(req, email) {
+  return storage.listEstimates({ ...estimateScope(req), customerEmail: email, limit: null });
+}
+
+// Everything stored about a customer: their estimates with the views,
+// responses, messages and engagement recorded on them
+route('get', '/api/privacy/customers/export', async (req, res) => {
+  const { value: email, error } = parseCustomerEmail(req.query.email);
+  if (error) {
+    return sendValidationError(res, error, { location: 'query', field: 'email' });
+  }
+
+  const estimates = [];
+  for (const estimate of await customerEstimates(req, email)) {
+    const views = await storage.listViews(estimate.tracking_id);
+    const responses = await storage.listStatusEvents(estimate.tracking_id);
+    const sessions = await storage.listEngagementSessions(estimate.tracking_id);
+    const messages = await storage.listMessages(estimate.tracking_id);
+    estimates.push({
+      ...(await describeEstimate(estimate)),
+      views: views.map(v => ({
+        type: v.event_type,
+        classification: v.classification,
+        timestamp: v.viewed_at,
+        ip: v.ip_address,
+        userAgent: v.user_agent,
+        referer: v.referer,
+        ...describeViewClient(v)
+      })),
+      responses: responses.map(event => ({
+        status: event.status,
+        name: event.name,
+        message: event.message,
+        signatureType: event.signatureType,
+        signature: event.signature,
+        ip_hash: event.ipHash,
+        userAgent: event.userAgent,
+        timestamp: event.createdAt
+      })),
+      messages: messages.map(message => ({ ...describeMessage(message), ip_hash: message.ipHash })),
+      engagementSessions: sessions.map(session => ({
+        startedAt: session.startedAt,
+        lastSeenAt: session.lastSeenAt,
+        activeMs: session.activeMs,
+        scrollDepth: session.scrollDepth,
+        sections: session.sections
+      }))
+    });
+  }
+
+  res.set('Content-Disposition', 'attachment; filename="customer-export.json"');
+  res.json({ customerEmail: email, exportedAt: new Date().toISOString(), estimates });
+});
+
+// Delete a customer's estimates with everything tracked about them,
+// including webhook deliveries about them. The audit record keeps counts
+// and a hash of the email, not the email itself.
+route('post', '/api/privacy/customers/erase', async (req, res) => {
+  const { value: email, error } = parseCustomerEmail(req.body?.email);
+  if (error) {
+    return sendValidationError(res, error, { field: 'email' });
+  }
+
+  const erased = { estimates: 0, views: 0, responses: 0, messages: 0, webhookDeliveries: 0 };
+  for (const estimate of await customerEstimates(req, email)) {
+    const trackingId = estimate.tracking_id;
+    erased.views += (await storage.listViews(trackingId)).length;
+    erased.responses += (await storage.listStatusEvents(trackingId)).length;
+    erased.messages += (await storage.listMessages(trackingId)).length;
+    const deleted = await storage.deleteEstimate(trackingId);
+    if (!deleted) continue;
+    erased.estimates++;
+    erased.webhookDeliveries += deleted.webhookDeliveries;
+  }
+
+  const entry = await storage.addPrivacyAudit({
+    action: AUDIT_ERASE,
+    contractorId: req.contractorId,
+    subject: hashEmail(email),
+    details: erased,
+    createdAt: new Date().toISOString()
+  });
+  res.json({ success: true, erased, audit: describeAuditEntry(entry) });
+});
+
+// Erasures by the contractor, newest first. The admin key also sees
+// retention purges.
+route('get', '/api/privacy/audit', async (req, res) => {
+  const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+    return sendValidationError(res, 'limit must be a whole number from 1 to 500', { location: 'query', field: 'limit' });
+  }
+  const entries = await storage.listPrivacyAudit({
+    contractorId: req.contractorId,
+    includeSystem: req.isAdmin,
+    limit
+  });
+  res.json({ entries: entries.map(describeAuditEntry) });
+});
+
+// ============================================
+// WEBHOOKS
+// ============================================
+
+async function findWebhook(req) {
+  const webhook = await storage.getWebhook(req.params.webhookId);
+  return webhook?.contractorId === req.contractorId ? webhook : null;
+}
+
+route('get', '/api/webhooks', async (req, res) => {
+  const subscriptions = await storage.listWebhooks(req.contractorId);
+  res.json({ webhooks: subscriptions.map(describeWebhook) });
+});
+
+// The signing secret is only returned here; store it on the receiving side
+route('post', '/api/webhooks', async (req, res) => {
+  const { value, error } = parseSubscription(req.body);
+  if (error) {
+    return sendValidationError(res, error);
+  }
+
+  const webhook = {
+    id: `wh_${crypto.randomBytes(8).toString('hex')}`,
+    contractorId: req.contractorId,
+    url: value.url,
+    secret: generateSecret(),
+    events: value.events,
+    description: value.description ?? null,
+    active: value.active ?? true,
+    createdAt: new Date().toISOString(),
+    updatedAt: null
+  };
+  await storage.saveWebhook(webhook);
+
+  res.status(201).json({ ...describeWebhook(webhook), secret: webhook.secret });
+});
+
+route('get', '/api/webhooks/:webhookId', async (req, res) => {
+  const webhook = await findWebhook(req);
+  if (!webhook) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  res.json(describeWebhook(webhook));
+});
+
+route('patch', '/api/webhooks/:webhookId', async (req, res) => {
+  const webhook = await findWebhook(req);
+  if (!webhook) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  const { value, error } = parseSubscription(req.body, { partial: true });
+  if (error) {
+    return sendValidationError(res, error);
+  }
+
+  const updated = { ...webhook, ...value, updatedAt: new Date().toISOString() };
+  await storage.saveWebhook(updated);
+  res.json(describeWebhook(updated));
+});
+
+route('delete', '/api/webhooks/:webhookId', async (req, res) => {
+  const webhook = await findWebhook(req);
+  if (!webhook) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  await storage.deleteWebhook(webhook.id);
+  res.json({ success: true });
+});
+
+// Recent deliveries with every attempt, for debugging a receiver
+route('get', '/api/webhooks/:webhookId/deliveries', async (req, res) => {
+  const webhook = await findWebhook(req);
+  if (!webhook) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+
+  const deliveries = await storage.listWebhookDeliveries(webhook.id, { limit: 50 });
+  res.json({
+    deliveries: deliveries.map(d => ({
+      id: d.id,
+      event: d.eventType,
+      status: d.status,
+      attempts: d.attempts,
+      nextAttemptAt: d.nextAttemptAt,
+      lastError: d.lastError,
+      createdAt: d.createdAt,
+      deliveredAt: d.deliveredAt,
+      payload: JSON.parse(d.payload),
+      attemptLog: d.attemptLog.map(a => ({
+        attemptedAt: a.attemptedAt,
+        statusCode: a.statusCode,
+        error: a.error,
+        durationMs: a.durationMs
+      }))
+    }))
+  });
+});
+
+// ============================================
+// FOLLOW-UPS
+// ============================================
+
+// Upcoming follow-ups by default; ?status=sent|cancelled|failed for history
+route('get', '/api/followups', async (req, res) => {
+  const jobs = await storage.listFollowupJobs({
+    contractorId: req.contractorId,
+    status: req.query.status || 'scheduled',
+    trackingId: req.query.trackingId || undefined,
+    limit: 200
+  });
+
+  const estimates = new Map();
+  for (const job of jobs) {
+    if (!estimates.has(job.trackingId)) estimates.set(job.trackingId, await storage.getEstimate(job.trackingId));
+  }
+
+  res.json({
+    followups: jobs.map(job => ({
+      id: job.id,
+      trackingId: job.trackingId,
+      estimateTitle: estimates.get(job.trackingId)?.title || null,
+      customerName: estimates.get(job.trackingId)?.customerName || null,
+      ruleId: job.ruleId,
+      trigger: job.trigger,
+      status: job.status,
+      dueAt: job.dueAt,
+      attempts: job.attempts,
+      lastError: job.lastError,
+      sentAt: job.sentAt,
+      cancelledAt: job.cancelledAt,
+      cancelReason: job.cancelReason
+    }))
+  });
+});
+
+route('get', '/api/followups/rules', async (req, res) => {
+  const rules = await storage.listFollowupRules(req.contractorId);
+  res.json({ rules: rules.map(describeFollowupRule) });
+});
+
+// Rules apply to estimates registered (or, for not_accepted, first viewed)
+// after they are created
+route('post', '/api/followups/rules', async (req, res) => {
+  const { value, error } = parseFollowupRule(req.body);
+  if (error) {
+    return sendValidationError(res, error);
+  }
+
+  const rule = await storage.saveFollowupRule({
+    id: `fur_${crypto.randomBytes(8).toString('hex')}`,
+    contractorId: req.contractorId,
+    trigger: value.trigger,
+    delayDays: value.delayDays,
+    subject: value.subject ?? null,
+    message: value.message ?? null,
+    active: value.active ?? true,
+    createdAt: new Date().toISOString(),
+    updatedAt: null
+  });
+  res.status(201).json(describeFollowupRule(rule));
+});
+
+async function findFollowupRule(req) {
+  const rule = await storage.getFollowupRule(req.params.ruleId);
+  return rule?.contractorId === req.contractorId ? rule : null;
+}
+
+// Changing delayDays reschedules pending follow-ups; deactivating cancels them
+route('patch', '/api/followups/rules/:ruleId', async (req, res) => {
+  const rule = await findFollowupRule(req);
+  if (!rule) {
+    return res.status(404).json({ error: 'Rule not found' });
+  }
+  const { value, error } = parseFollowupRule(req.body, { partial: true });
+  if (error) {
+    return sendValidationError(res, error);
+  }
+  if (value.trigger && value.trigger !== rule.trigger) {
+    return sendValidationError(res, 'trigger cannot be changed; create a new rule instead', { field: 'trigger' });
+  }
+
+  const updated = await storage.saveFollowupRule({ ...rule, ...value, updatedAt: new Date().toISOString() });
+  await followups.ruleChanged(updated);
+  res.json(describeFollowupRule(updated));
+});
+
+route('delete', '/api/followups/rules/:ruleId', async (req, res) => {
+  const rule = await findFollowupRule(req);
+  if (!rule) {
+    return res.status(404).json({ error: 'Rule not found' });
+  }
+  await followups.ruleChanged(rule, { deleted: true });
+  await storage.deleteFollowupRule(rule.id);
+  res.json({ success: true });
+});
+
+// Cancel one upcoming follow-up
+route('delete', '/api/followups/:followupId', async (req, res) => {
+  const [job] = await storage.listFollowupJobs({ id: req.params.followupId, contractorId: req.contractorId, status: 'scheduled' });
+  if (!job) {
+    return res.status(404).json({ error: 'Follow-up not found' });
+  }
+  await storage.saveFollowupJob({ ...job, status: 'cancelled', cancelledAt: new Date().toISOString(), cancelReason: 'cancelled by contractor' });
+  res.json({ success: true });
+});
+
+// Every documented operation must have a route
+const undeclared = unusedOperations(routes);
+if (undeclared.length > 0) {
+  throw new Error(`lib/api-schemas.js documents routes that don't exist: ${undeclared.join(', ')}`);
+}
+
+// 404 handler
+app.use((req, res) => {
+  res.status(404).json({ error: 'Not found' });
+});
+
+// Error handler
+app.use((err, req, res, next) => {
+  if (res.headersSent) {
+    return next(err);
+  }
+  // Body parser errors: malformed JSON, or a body over the size limit
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({
+      error: 'Request body is not valid JSON',
+      errors: [{ location: 'body', field: null, message: 'is not valid JSON' }]
+    });
+  }
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ error: 'Request body is too large' });
+  }
+  (req.log || logger).error('Unhandled error', { err });
+  res.status(500).json({ error: 'Internal server error' });
+});
+
+// Start server once storage is open
+createStorage().then(async store => {
+  storage = instrumentStorage(store);
+  logger.info('Storage opened', { driver: storage.driver });
+  lookupLocation = await openGeoLookup(GEOIP_DATABASE_PATH);
+  webhooks = createWebhookDispatcher({ storage });
+  webhooks.start();
+  followups = createFollowupScheduler({ storage, transporter: emailTransporter, publicUrl: PUBLIC_URL, from: EMAIL_FROM });
+  digests = createDigestScheduler({ storage, transporter: emailTransporter, from: EMAIL_FROM });
+  activity = createEventStream({ storage });
+  activity.start();
+  retention = createRetentionScheduler({
+    storage,
+    anonymizeIP,
+    viewRetentionDays: parseRetentionDays(process.env.VIEW_RETENTION_DAYS, 'VIEW_RETENTION_DAYS'),
+    notificationRetentionDays: parseRetentionDays(process.env.NOTIFICATION_RETENTION_DAYS, 'NOTIFICATION_RETENTION_DAYS')
+  });
+  retention.start();
+  backups = createBackupManager({
+    storage,
+    dir: BACKUP_DIR,
+    intervalHours: parseBackupSetting(process.env.BACKUP_INTERVAL_HOURS, 'BACKUP_INTERVAL_HOURS', DEFAULT_BACKUP_INTERVAL_HOURS),
+    retention: parseBackupSetting(process.env.BACKUP_RETENTION, 'BACKUP_RETENTION', DEFAULT_BACKUP_RETENTION)
+  });
+  backups.start();
+  if (emailTransporter) {
+    followups.start();
+    digests.start();
+  } else {
+    logger.warn('Follow-up and digest emails paused until SMTP is configured');
+  }
+  app.listen(PORT, () => {
+    logger.info('EstimatePro Tracking Server running', {
+      url: `http://localhost:${PORT}`,
+      version: SERVER_VERSION,
+      push: Object.keys(pushSenders).length > 0,
+      email: Boolean(emailTransporter)
+    });
+  });
+}).catch(err => {
+  logger.error('Failed to open storage', { err });
+  process.exit(1);
 });
 
 // Graceful shutdown
 process.on('SIGINT', async () => {
-  console.log('\nShutting down...');
-  if (apnProvider) apnProvider.shutdown();
-  await saveDB();
+  logger.info('Shutting down');
+  for (const sender of new Set(Object.values(pushSenders))) sender.shutdown();
+  if (webhooks) webhooks.stop();
+  if (followups) followups.stop();
+  if (digests) digests.stop();
+  if (activity) activity.stop();
+  if (retention) retention.stop();
+  if (backups) backups.stop();
+  if (storage) await storage.close();
   process.exit(0);
 });
@@ -0,0 +1,93 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, registerEstimate, createContractor } = require('./helpers');
+
+// API keys, admin-only routes and each contractor seeing only their own
+// estimates, against a running server
+
+describe('API authentication and ownership', () => {
+  let server;
+  let request;
+  let alice;
+  let bob;
+  let trackingId;
+
+  before(async () => {
+    server = await startServer();
+    request = server.request;
+    alice = await createContractor(request, 'alice@example.com');
+    bob = await createContractor(request, 'bob@example.com');
+    trackingId = await registerEstimate(request, {}, { key: alice.key });
+  });
+
+  after(() => server.stop());
+
+  it('requires an API key', async () => {
+    const res = await request('get', '/api/estimates', { key: null });
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error, 'Authentication required');
+  });
+
+  it('turns away unknown API keys', async () => {
+    const res = await request('get', '/api/estimates', { key: 'not-a-key' });
+    assert.equal(res.status, 403);
+  });
+
+  it('keeps admin routes to the admin key', async () => {
+    assert.equal((await request('get', '/api/admin/contractors', { key: alice.key })).status, 403);
+    assert.equal((await request('get', '/api/admin/contractors')).status, 200);
+  });
+
+  it('lists only the contractor\'s own estimates', async () => {
+    const own = await request('get', '/api/estimates', { key: alice.key });
+    assert.deepEqual(own.body.estimates.map(e => e.tracking_id), [trackingId]);
+    const other = await request('get', '/api/estimates', { key: bob.key });
+    assert.deepEqual(other.body.estimates, []);
+  });
+
+  it('hides another contractor\'s estimate', async () => {
+    for (const [method, path] of [
+      ['get', `/api/estimates/${trackingId}`],
+      ['get', `/api/views/${trackingId}`],
+      ['get', `/api/estimates/${trackingId}/status`],
+      ['patch', `/api/estimates/${trackingId}`],
+      ['post', `/api/estimates/${trackingId}/revoke`],
+      ['delete', `/api/estimates/${trackingId}`]
+    ]) {
+      const res = await request(method, path, { key: bob.key, ...(method === 'patch' && { body: { title: 'Mine' } }) });
+      assert.equal(res.status, 404, `${method.toUpperCase()} ${path}`);
+    }
+    assert.equal((await request('get', `/api/estimates/${trackingId}`, { key: alice.key })).body.title, 'Deck Repair');
+  });
+
+  it('answers 404 for view stats of unknown and deleted estimates', async () => {
+    assert.equal((await request('get', '/api/views/est_unknown')).status, 404);
+
+    const deleted = await registerEstimate(request, {}, { key: bob.key });
+    assert.equal((await request('get', `/api/views/${deleted}`, { key: bob.key })).status, 200);
+    await request('delete', `/api/estimates/${deleted}`, { key: bob.key });
+    assert.equal((await request('get', `/api/views/${deleted}`, { key: bob.key })).status, 404);
+  });
+
+  it('won\'t register a tracking ID another contractor owns', async () => {
+    const res = await request('post', `/api/register/${trackingId}`, { key: bob.key, body: { title: 'Mine' } });
+    assert.equal(res.status, 409);
+  });
+
+  it('turns away tracking IDs with a forged signature', async () => {
+    const forged = `${trackingId.slice(0, -4)}AAAA`;
+    const res = await request('post', `/api/register/${forged}`, { key: alice.key, body: { title: 'Forged' } });
+    assert.equal(res.status, 400);
+  });
+
+  it('stops accepting a key once it is revoked', async () => {
+    const created = await request('post', '/api/contractor/keys', { key: bob.key, body: { label: 'spare' } });
+    assert.equal(created.status, 201);
+    const { id, key } = created.body;
+    assert.equal((await request('get', '/api/estimates', { key })).status, 200);
+
+    assert.equal((await request('delete', `/api/contractor/keys/${id}`, { key: alice.key })).status, 404);
+    assert.equal((await request('delete', `/api/contractor/keys/${id}`, { key: bob.key })).status, 200);
+    assert.equal((await request('get', '/api/estimates', { key })).status, 403);
+  });
+});
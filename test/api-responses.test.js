@@ -0,0 +1,160 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, registerEstimate, createContractor } = require('./helpers');
+const { OPERATIONS, SCHEMAS } = require('../lib/api-schemas');
+const { validate } = require('../lib/schema');
+
+// What the server really serves, checked against the response schemas the
+// OpenAPI document publishes for each route
+
+const BROWSER = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 Version/17.0 Mobile/15E148 Safari/604.1';
+const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452000000010000000108060000001f15c489', 'hex');
+
+// The response declared for a status, including the 400/401/403 responses
+// lib/openapi.js adds to every validated and authenticated route
+function declaredResponse(method, template, status) {
+  const operation = OPERATIONS[`${method.toUpperCase()} ${template}`];
+  assert.ok(operation, `No operation for ${method.toUpperCase()} ${template}`);
+  if (status === 400 && !operation.responses[400]) return { schema: { $ref: '#/components/schemas/ValidationError' } };
+  if (status === 401 || status === 403) return operation.responses[status] || { schema: { $ref: '#/components/schemas/Error' } };
+  return operation.responses[status];
+}
+
+function assertServesDeclared(method, template, res) {
+  const declared = declaredResponse(method, template, res.status);
+  assert.ok(declared, `${method.toUpperCase()} ${template} answered an undeclared ${res.status}`);
+  const contentType = res.headers.get('content-type') || '';
+  if (declared.contentType && declared.contentType !== 'application/json') {
+    const types = [declared.contentType, ...(declared.alternatives || [])];
+    assert.ok(types.some(type => contentType.startsWith(type)), `${template} served ${contentType}`);
+    return;
+  }
+  if (!declared.schema) return;
+  const errors = validate(declared.schema, res.body, { components: SCHEMAS });
+  assert.deepEqual(errors, [], `${method.toUpperCase()} ${template} ${res.status} doesn't match its schema`);
+}
+
+describe('API responses', () => {
+  let server;
+  let alice;
+  let trackingId;
+
+  // Send a request to a route declared as `template` (e.g.
+  // /api/estimates/:trackingId), check the response against its schema and
+  // resolve with it
+  async function call(method, template, { params = {}, query = '', status, ...options } = {}) {
+    const path = template.replace(/:(\w+)/g, (match, name) => encodeURIComponent(params[name]));
+    const res = await server.request(method, `${path}${query}`, options);
+    if (status !== undefined) assert.equal(res.status, status, `${method.toUpperCase()} ${path}: ${JSON.stringify(res.body)}`);
+    assertServesDeclared(method, template, res);
+    return res;
+  }
+
+  before(async () => {
+    server = await startServer();
+    alice = await createContractor(server.request, 'alice@example.com');
+    trackingId = await registerEstimate(server.request, {
+      discounts: [{ label: 'Spring promo', type: 'percent', value: 10 }],
+      taxRate: 8.25,
+      company: { name: 'Acme Decks', primaryColor: '#1a73e8' }
+    }, { key: alice.key });
+    await fetch(`${server.url}/view/${trackingId}`, { headers: { 'User-Agent': BROWSER } });
+  });
+
+  after(() => server.stop());
+
+  it('serves contractors, with and without a logo', async () => {
+    const key = alice.key;
+    const params = { trackingId };
+    const withoutLogo = await call('get', '/api/contractor', { key, status: 200 });
+    assert.equal(withoutLogo.body.branding?.logo ?? null, null);
+
+    const upload = await fetch(`${server.url}/api/contractor/logo`, {
+      method: 'PUT',
+      headers: { Authorization: `Bearer ${key}`, 'Content-Type': 'image/png' },
+      body: PNG
+    });
+    assertServesDeclared('put', '/api/contractor/logo', { status: upload.status, headers: upload.headers, body: await upload.json() });
+    assert.equal(upload.status, 200);
+
+    const withLogo = await call('get', '/api/contractor', { key, status: 200 });
+    assert.equal(withLogo.body.branding.logo.contentType, 'image/png');
+    await call('get', '/api/contractor/logo', { key, status: 200 });
+    await call('get', '/api/admin/contractors', { status: 200 });
+    await call('post', '/api/contractor/register', {
+      key, status: 200, body: { email: 'alice@example.com', branding: { primaryColor: '#123456' } }
+    });
+    await call('get', '/api/contractor/notification-settings', { key, status: 200 });
+    await call('get', '/api/contractor/keys', { key, status: 200 });
+    await call('get', '/view/:trackingId/logo', { key: null, params, status: 200 });
+  });
+
+  it('serves estimates and their history', async () => {
+    const key = alice.key;
+    const params = { trackingId };
+    const listed = await call('get', '/api/estimates', { key, status: 200 });
+    assert.equal(listed.body.estimates.length, 1);
+    await call('get', '/api/estimates/:trackingId', { key, params, status: 200 });
+    await call('patch', '/api/estimates/:trackingId', { key, params, status: 200, body: { title: 'Deck Rebuild' } });
+    await call('get', '/api/views/:trackingId', { key, params, status: 200 });
+    await call('get', '/api/estimates/:trackingId/status', { key, params, status: 200 });
+    await call('get', '/api/estimates/:trackingId/revisions', { key, params, status: 200 });
+    await call('get', '/api/estimates/:trackingId/revisions/:version', { key, params: { trackingId, version: 1 }, status: 200 });
+    await call('post', '/api/estimates/:trackingId/messages', { key, params, status: 201, body: { message: 'Thanks!' } });
+    await call('get', '/api/estimates/:trackingId/messages', { key, params, status: 200 });
+    await call('get', '/api/estimates/:trackingId/pdf', { key, params, status: 200 });
+    await call('get', '/api/notifications', { key, status: 200 });
+    await call('get', '/api/reports/overview', { key, status: 200 });
+    for (const report of ['views', 'funnel', 'devices', 'referrers', 'estimates']) {
+      await call('get', '/api/reports/:report', { key, params: { report }, status: 200 });
+    }
+    await call('get', '/api/privacy/customers/export', { key, query: '?email=jane%40example.com', status: 200 });
+    await call('get', '/api/privacy/audit', { key, status: 200 });
+    await call('get', '/api/estimates/:trackingId', { key, params: { trackingId: 'est_missing' }, status: 404 });
+  });
+
+  it('serves devices, webhooks and follow-ups', async () => {
+    const key = alice.key;
+    await call('post', '/api/device/register', { key, status: 200, body: { deviceToken: 'a'.repeat(64), platform: 'ios' } });
+    await call('get', '/api/devices', { key, status: 200 });
+
+    const webhook = await call('post', '/api/webhooks', { key, status: 201, body: { url: 'https://example.com/hook' } });
+    const webhookParams = { webhookId: webhook.body.id };
+    await call('get', '/api/webhooks', { key, status: 200 });
+    await call('patch', '/api/webhooks/:webhookId', { key, params: webhookParams, status: 200, body: { active: false } });
+    await call('get', '/api/webhooks/:webhookId/deliveries', { key, params: webhookParams, status: 200 });
+
+    const rule = await call('post', '/api/followups/rules', { key, status: 201, body: { trigger: 'not_viewed', delayDays: 3 } });
+    await call('get', '/api/followups/rules', { key, status: 200 });
+    await call('patch', '/api/followups/rules/:ruleId', { key, params: { ruleId: rule.body.id }, status: 200, body: { delayDays: 5 } });
+    await call('get', '/api/followups', { key, status: 200 });
+  });
+
+  it('serves health, backups and the OpenAPI document', async () => {
+    await call('get', '/health', { key: null, status: 200 });
+    await call('get', '/api/openapi.json', { key: null, status: 200 });
+    await call('get', '/api/admin/backups', { status: 200 });
+  });
+
+  it('answers every invalid request with the same structured 400', async () => {
+    const key = alice.key;
+    const params = { trackingId };
+    const invalid = [
+      // Caught by the schemas
+      ['post', '/api/register/:trackingId', { params, body: { lineItems: [{ description: 'x', quantity: 1e308, unitPrice: 1e308 }] } }],
+      ['patch', '/api/estimates/:trackingId', { params, body: { lineItems: [{ description: 'x', quantity: 2e6 }] } }],
+      // Caught by the handlers
+      ['post', '/api/register/:trackingId', {
+        params, body: { lineItems: [{ description: 'x', quantity: 1e6, unitPrice: 1e9 }] }
+      }],
+      ['post', '/api/device/register', { body: { deviceToken: 'b'.repeat(64), quietHours: { start: '22:00', end: '07:00', timeZone: 'Mars/Olympus' } } }],
+      ['post', '/api/webhooks', { body: { url: 'http://127.0.0.1:1/x' } }],
+      ['get', '/api/privacy/audit', { query: '?limit=1000' }]
+    ];
+    for (const [method, template, options] of invalid) {
+      const res = await call(method, template, { key, status: 400, ...options });
+      assert.equal(typeof res.body.error, 'string');
+      assert.ok(res.body.errors.length > 0, `${template} lists its problems`);
+    }
+  });
+});
@@ -0,0 +1,128 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Shared setup for the tests: temporary directories that are removed when
+// the test process exits, and a real server process to send requests to.
+
+const ROOT_DIR = path.join(__dirname, '..');
+const ADMIN_KEY = 'test-admin-key';
+
+// Quiet the storage modules' logging in the test process too; require this
+// file before lib/
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const tempDirs = [];
+process.on('exit', () => {
+  for (const dir of tempDirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function tempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'estimatepro-test-'));
+  tempDirs.push(dir);
+  return dir;
+}
+
+async function waitForServer(url, child) {
+  const deadline = Date.now() + 15000;
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) throw new Error(`Server exited with code ${child.exitCode}`);
+    try {
+      const res = await fetch(`${url}/health`);
+      if (res.ok) return;
+    } catch (err) {
+      // Not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error('Server did not start');
+}
+
+// Start server.js on a free port with its data in a temporary directory.
+// `request(method, path, { key, body, headers })` sends a request with the
+// admin key unless another key (or null) is given, and resolves with
+// { status, headers, body }. `stop()` shuts the server down; call it from
+// after() so the test process can exit.
+async function startServer(env = {}) {
+  const dir = tempDir();
+  const port = 40000 + Math.floor(Math.random() * 20000);
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: ROOT_DIR,
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      API_KEY: ADMIN_KEY,
+      DATABASE_PATH: path.join(dir, 'tracking.db'),
+      JSON_DB_PATH: path.join(dir, 'tracking-data.json'),
+      BACKUP_DIR: path.join(dir, 'backups'),
+      BACKUP_INTERVAL_HOURS: '0',
+      LOG_LEVEL: 'error',
+      ...env
+    },
+    stdio: ['ignore', 'ignore', 'inherit']
+  });
+  const stopped = new Promise(resolve => child.once('exit', resolve));
+  async function stop() {
+    if (child.exitCode === null) {
+      child.kill('SIGINT');
+      await stopped;
+    }
+  }
+
+  const url = `http://127.0.0.1:${port}`;
+  try {
+    await waitForServer(url, child);
+  } catch (err) {
+    await stop();
+    throw err;
+  }
+
+  async function request(method, requestPath, { key = ADMIN_KEY, body, headers = {} } = {}) {
+    const res = await fetch(`${url}${requestPath}`, {
+      method: method.toUpperCase(),
+      redirect: 'manual',
+      headers: {
+        ...(key && { Authorization: `Bearer ${key}` }),
+        ...(body !== undefined && { 'Content-Type': 'application/json' }),
+        ...headers
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const text = await res.text();
+    let parsed = text;
+    if ((res.headers.get('content-type') || '').includes('application/json')) {
+      parsed = JSON.parse(text);
+    }
+    return { status: res.status, headers: res.headers, body: parsed };
+  }
+
+  return { url, request, stop };
+}
+
+// A tracking link and its estimate, registered with `key`
+async function registerEstimate(request, content = {}, { key = ADMIN_KEY } = {}) {
+  const link = await request('post', '/api/tracking-links', { key, body: {} });
+  const { trackingId } = link.body;
+  const res = await request('post', `/api/register/${trackingId}`, {
+    key,
+    body: {
+      title: 'Deck Repair',
+      customerName: 'Jane Smith',
+      customerEmail: 'jane@example.com',
+      lineItems: [{ description: 'Labor', quantity: 2, unitPrice: 50 }],
+      ...content
+    }
+  });
+  if (res.status !== 200) throw new Error(`Registration failed: ${JSON.stringify(res.body)}`);
+  return trackingId;
+}
+
+// A contractor account created with the admin key, with its API key
+async function createContractor(request, email) {
+  const res = await request('post', '/api/admin/contractors', { body: { email, name: email.split('@')[0] } });
+  if (res.status !== 201) throw new Error(`Creating a contractor failed: ${JSON.stringify(res.body)}`);
+  return { id: res.body.contractor.id, key: res.body.apiKey.key };
+}
+
+module.exports = { ADMIN_KEY, tempDir, startServer, registerEstimate, createContractor };
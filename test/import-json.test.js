@@ -0,0 +1,51 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { tempDir } = require('./helpers');
+const { createStorage } = require('../lib/storage');
+
+// scripts/import-json.js, run against a temporary SQLite database
+
+const SCRIPT = path.join(__dirname, '..', 'scripts', 'import-json.js');
+
+function legacyView(ip) {
+  return {
+    tracking_id: 'est_1',
+    event_type: 'page',
+    viewed_at: '2026-01-01T00:00:00.000Z',
+    ip_address: ip,
+    user_agent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X)',
+    referer: null
+  };
+}
+
+function importFile(data, env) {
+  const dir = tempDir();
+  const file = path.join(dir, 'tracking-data.json');
+  const database = path.join(dir, 'tracking.db');
+  fs.writeFileSync(file, JSON.stringify(data));
+  execFileSync(process.execPath, [SCRIPT, file], {
+    env: { PATH: process.env.PATH, LOG_LEVEL: 'error', STORAGE_DRIVER: 'sqlite', DATABASE_PATH: database, ...env },
+    stdio: 'ignore'
+  });
+  return database;
+}
+
+describe('import-json', () => {
+  it('anonymizes viewer IPs on the way in', async () => {
+    const database = importFile({
+      estimates: { est_1: { tracking_id: 'est_1', created_at: '2026-01-01T00:00:00.000Z' } },
+      views: [legacyView('203.0.113.7'), legacyView('2001:db8:1234:5678::1'), legacyView('0123456789abcdef'), legacyView(null)]
+    }, { IP_STORAGE: 'truncate' });
+
+    const storage = await createStorage({ driver: 'sqlite', file: database, importLegacy: false });
+    try {
+      const ips = (await storage.listViews('est_1')).map(v => v.ip_address).sort();
+      assert.deepEqual(ips, ['0123456789abcdef', '2001:db8:1234::', '203.0.113.0', null].sort());
+    } finally {
+      await storage.close();
+    }
+  });
+});
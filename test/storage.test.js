@@ -0,0 +1,188 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { tempDir } = require('./helpers');
+const { createStorage } = require('../lib/storage');
+
+// The contract every storage backend keeps. Each test gets a fresh store.
+
+function estimate(trackingId, contractorId, extra = {}) {
+  return {
+    tracking_id: trackingId,
+    contractorId,
+    title: `Estimate ${trackingId}`,
+    customerName: 'Jane Smith',
+    customerEmail: 'jane@example.com',
+    total: 100,
+    details: null,
+    status: 'pending',
+    created_at: new Date().toISOString(),
+    ...extra
+  };
+}
+
+function view(trackingId, extra = {}) {
+  return {
+    tracking_id: trackingId,
+    event_type: 'page',
+    viewed_at: new Date().toISOString(),
+    ip_address: null,
+    user_agent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X)',
+    referer: null,
+    classification: 'human',
+    ...extra
+  };
+}
+
+function notification(id, contractorId, viewedAt) {
+  return {
+    id,
+    contractorId,
+    type: 'first_view',
+    trackingId: 'est_1',
+    estimateTitle: 'Deck Repair',
+    customerName: null,
+    message: 'Viewed',
+    viewedAt,
+    isRead: false
+  };
+}
+
+function delivery(id, webhookId, trackingId) {
+  const createdAt = new Date().toISOString();
+  return {
+    id,
+    webhookId,
+    eventType: 'view.first',
+    payload: JSON.stringify({ id: `evt_${id}`, type: 'view.first', createdAt, data: { trackingId } }),
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: createdAt,
+    lastError: null,
+    createdAt,
+    deliveredAt: null
+  };
+}
+
+for (const driver of ['sqlite', 'json']) {
+  describe(`${driver} storage`, () => {
+    let storage;
+
+    beforeEach(async () => {
+      const file = path.join(tempDir(), driver === 'sqlite' ? 'tracking.db' : 'tracking-data.json');
+      storage = await createStorage({ driver, file, importLegacy: false });
+    });
+
+    afterEach(() => storage.close());
+
+    it('saves, lists and deletes estimates', async () => {
+      await storage.saveEstimate(estimate('est_1', 'alice'));
+      await storage.saveEstimate(estimate('est_2', 'bob'));
+
+      assert.equal((await storage.getEstimate('est_1')).title, 'Estimate est_1');
+      assert.equal(await storage.getEstimate('est_missing'), null);
+      assert.deepEqual((await storage.listEstimates({ contractorId: 'alice' })).map(e => e.tracking_id), ['est_1']);
+
+      assert.deepEqual(await storage.deleteEstimate('est_1'), { webhookDeliveries: 0 });
+      assert.equal(await storage.deleteEstimate('est_1'), null);
+      assert.equal(await storage.getEstimate('est_1'), null);
+      assert.deepEqual((await storage.listEstimates({ contractorId: 'alice' })), []);
+    });
+
+    it('only lists estimates without an owner when asked to', async () => {
+      await storage.addView(view('est_unowned'));
+
+      assert.deepEqual(await storage.listEstimates({ contractorId: 'default' }), []);
+      const listed = await storage.listEstimates({ contractorId: 'default', includeUnowned: true });
+      assert.deepEqual(listed.map(e => e.tracking_id), ['est_unowned']);
+    });
+
+    it('counts human views and keeps the rest out of the totals', async () => {
+      await storage.saveEstimate(estimate('est_1', 'alice'));
+      const first = await storage.addView(view('est_1'));
+      const proxy = await storage.addView(view('est_1', { classification: 'proxy' }));
+      const second = await storage.addView(view('est_1'));
+
+      assert.equal(first.isFirstView, true);
+      assert.equal(proxy.isFirstView, false);
+      assert.equal(second.isFirstView, false);
+      assert.equal((await storage.listViews('est_1')).length, 3);
+      const [listed] = await storage.listEstimates({ contractorId: 'alice' });
+      assert.equal(listed.view_count, 2);
+      assert.equal(listed.raw_view_count, 3);
+    });
+
+    it('pages through notifications newest first, per contractor', async () => {
+      for (let i = 0; i < 5; i++) {
+        await storage.addNotification(notification(`n${i}`, 'alice', `2026-01-0${i + 1}T00:00:00.000Z`));
+      }
+      await storage.addNotification(notification('other', 'bob', '2026-01-09T00:00:00.000Z'));
+
+      const page = await storage.listNotifications('alice', { limit: 2 });
+      assert.deepEqual(page.map(n => n.id), ['n4', 'n3']);
+      const next = await storage.listNotifications('alice', { limit: 10, before: page[1] });
+      assert.deepEqual(next.map(n => n.id), ['n2', 'n1', 'n0']);
+      assert.equal(await storage.countUnreadNotifications('alice'), 5);
+
+      await storage.markNotificationRead('alice', 'n4');
+      await storage.markNotificationRead('alice', 'other');
+      assert.equal(await storage.countUnreadNotifications('alice'), 4);
+      assert.equal(await storage.countUnreadNotifications('bob'), 1);
+    });
+
+    it('keeps every notification for paging through the history', async () => {
+      for (let i = 0; i < 120; i++) {
+        await storage.addNotification(notification(`n${i}`, 'alice', new Date(Date.UTC(2026, 0, 1, 0, i)).toISOString()));
+      }
+
+      const all = await storage.listNotifications('alice');
+      assert.equal(all.length, 120);
+      assert.equal(all[all.length - 1].id, 'n0');
+    });
+
+    it('finds API keys by hash until they are revoked', async () => {
+      await storage.saveContractor({ id: 'alice', email: 'alice@example.com', registeredAt: new Date().toISOString() });
+      await storage.addApiKey({
+        id: 'key_1', contractorId: 'alice', keyHash: 'hash_1', label: null, createdAt: new Date().toISOString(), revokedAt: null
+      });
+
+      assert.equal((await storage.findApiKeyByHash('hash_1')).contractorId, 'alice');
+      await storage.revokeApiKey('bob', 'key_1');
+      assert.ok(await storage.findApiKeyByHash('hash_1'), 'another contractor cannot revoke the key');
+      await storage.revokeApiKey('alice', 'key_1');
+      assert.equal(await storage.findApiKeyByHash('hash_1'), null);
+    });
+
+    it('deletes an estimate\'s webhook deliveries along with it', async () => {
+      await storage.saveEstimate(estimate('est_1', 'alice'));
+      await storage.saveEstimate(estimate('est_2', 'alice'));
+      await storage.saveWebhook({
+        id: 'wh_1', contractorId: 'alice', url: 'https://example.com/hook', secret: 'whsec_1', events: ['*'],
+        description: null, active: true, createdAt: new Date().toISOString(), updatedAt: null
+      });
+      await storage.addWebhookDelivery(delivery('whd_1', 'wh_1', 'est_1'));
+      await storage.addWebhookDelivery(delivery('whd_2', 'wh_1', 'est_2'));
+
+      assert.deepEqual(await storage.deleteEstimate('est_1'), { webhookDeliveries: 1 });
+      const remaining = await storage.listWebhookDeliveries('wh_1');
+      assert.deepEqual(remaining.map(d => d.id), ['whd_2']);
+    });
+
+    it('exports and imports the full dataset', async () => {
+      await storage.saveEstimate(estimate('est_1', 'alice'));
+      await storage.addView(view('est_1'));
+      await storage.addNotification(notification('n1', 'alice', new Date().toISOString()));
+      const exported = await storage.exportData();
+
+      const file = path.join(tempDir(), driver === 'sqlite' ? 'restored.db' : 'restored.json');
+      const restored = await createStorage({ driver, file, importLegacy: false });
+      assert.equal(await restored.isEmpty(), true);
+      await restored.importData(exported);
+
+      assert.equal((await restored.getEstimate('est_1')).title, 'Estimate est_1');
+      assert.equal((await restored.listViews('est_1')).length, 1);
+      assert.deepEqual((await restored.listNotifications('alice')).map(n => n.id), ['n1']);
+      await restored.close();
+    });
+  });
+}
@@ -0,0 +1,37 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, registerEstimate, createContractor } = require('./helpers');
+
+// Which events reach a contractor's webhooks, against a running server
+
+const BROWSER = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 Version/17.0 Mobile/15E148 Safari/604.1';
+
+describe('Webhook events', () => {
+  let server;
+  let alice;
+
+  before(async () => {
+    server = await startServer();
+    alice = await createContractor(server.request, 'alice@example.com');
+  });
+
+  after(() => server.stop());
+
+  it('leaves out views by mail scanners and prefetchers', async () => {
+    const key = alice.key;
+    const webhook = await server.request('post', '/api/webhooks', { key, body: { url: 'https://example.com/hook' } });
+    assert.equal(webhook.status, 201);
+    const trackingId = await registerEstimate(server.request, {}, { key });
+
+    // A link scanner, then a browser opening the link moments after it was sent
+    for (const userAgent of ['Mozilla/5.0 (compatible; Microsoft Office Protection)', BROWSER]) {
+      await fetch(`${server.url}/view/${trackingId}`, { headers: { 'User-Agent': userAgent } });
+    }
+    const views = await server.request('get', `/api/views/${trackingId}`, { key });
+    assert.deepEqual(views.body.viewCountByClassification, { human: 0, proxy: 0, bot: 2 });
+
+    const deliveries = await server.request('get', `/api/webhooks/${webhook.body.id}/deliveries`, { key });
+    assert.equal(deliveries.status, 200);
+    assert.deepEqual(deliveries.body.deliveries.filter(d => d.event.startsWith('view.')), []);
+  });
+});